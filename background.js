@@ -1,5 +1,30 @@
 // Fixed background script
 
+// Shared utilities (no window in the service worker, these attach to self)
+importScripts(
+  'utils/common.js',
+  'utils/retry-queue.js',
+  'utils/revision-scheduler.js',
+  'utils/readme-index.js',
+  'utils/github-auth.js',
+  'utils/github-api.js',
+  'utils/gitlab-api.js',
+  'utils/gitea-api.js',
+  'utils/git-provider.js',
+  'utils/llm-client.js',
+  'utils/gemini-api.js',
+  'utils/openai-api.js',
+  'utils/anthropic-api.js',
+  'utils/ollama-api.js',
+  'utils/llm-provider.js'
+);
+
+const BACKEND_BASE_URL = 'https://traverse-backend-api.azurewebsites.net';
+const RETRY_QUEUE_ALARM = 'retry-queue-drain';
+const REVISION_REMINDER_ALARM = 'revision-reminder';
+const REVISION_REMINDER_NOTIFICATION = 'revision-reminder';
+const REVISION_LAST_REMINDED_KEY = 'revision_last_reminded';
+
 // Global debug mode cache for background script
 let _bgDebugMode = false;
 
@@ -36,6 +61,10 @@ function bgWarn(...args) {
 
 bgLog("Background script starting...");
 
+const backendOutbox = new RetryQueue(RETRY_QUEUE_KEYS.BACKEND);
+const githubOutbox = new RetryQueue(RETRY_QUEUE_KEYS.GITHUB);
+const _drainsInProgress = new Set();
+
 // Allow users to open the side panel by clicking on the action toolbar icon
 chrome.sidePanel
   .setPanelBehavior({ openPanelOnActionClick: true })
@@ -58,6 +87,49 @@ chrome.runtime.onInstalled.addListener(() => {
   });
 });
 
+// Periodically drain the retry queues; each item carries its own backoff schedule
+function ensureRetryQueueAlarm() {
+  chrome.alarms.get(RETRY_QUEUE_ALARM, (alarm) => {
+    if (!alarm) {
+      chrome.alarms.create(RETRY_QUEUE_ALARM, { periodInMinutes: 1 });
+    }
+  });
+}
+
+ensureRetryQueueAlarm();
+
+// Hourly check for problems due for review; the reminder itself fires at most once a day
+function ensureRevisionReminderAlarm() {
+  chrome.alarms.get(REVISION_REMINDER_ALARM, (alarm) => {
+    if (!alarm) {
+      chrome.alarms.create(REVISION_REMINDER_ALARM, { delayInMinutes: 1, periodInMinutes: 60 });
+    }
+  });
+}
+
+ensureRevisionReminderAlarm();
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETRY_QUEUE_ALARM) {
+    drainBackendOutbox();
+    drainGitHubOutbox();
+  }
+  if (alarm.name === REVISION_REMINDER_ALARM) {
+    remindDueRevisions();
+  }
+});
+
+// Opens the most overdue problem; the full list is in the side panel History tab
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (notificationId !== REVISION_REMINDER_NOTIFICATION) return;
+
+  chrome.notifications.clear(notificationId);
+  const [next] = await new RevisionScheduler().getDue();
+  if (next?.url) {
+    chrome.tabs.create({ url: next.url });
+  }
+});
+
 // Track browser session for timer reset
 chrome.runtime.onStartup.addListener(() => {
   bgLog("Browser started - marking session restart");
@@ -94,6 +166,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
     }
 
+    if (request.type === 'testGitLabConnection') {
+      handleTestGitLabConnection(request, sender, sendResponse);
+      return true;
+    }
+
+    if (request.type === 'testGiteaConnection') {
+      handleTestGiteaConnection(request, sender, sendResponse);
+      return true;
+    }
+
+    if (request.type === 'GIT_PROVIDER_FETCH') {
+      handleGitProviderFetch(request, sender, sendResponse);
+      return true;
+    }
+
+    if (request.type === 'LLM_PROVIDER_FETCH') {
+      handleLLMProviderFetch(request, sender, sendResponse);
+      return true;
+    }
+
     if (request.type === 'initializeConfig') {
       handleInitializeConfig(request, sender, sendResponse);
       return true;
@@ -109,6 +201,27 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
     }
 
+    if (request.type === 'RETRY_QUEUE_UPDATED') {
+      ensureRetryQueueAlarm();
+      sendResponse({ success: true });
+      return false;
+    }
+
+    if (request.type === 'GITHUB_OAUTH_TOKEN') {
+      handleGitHubOAuthToken(request, sender, sendResponse);
+      return true;
+    }
+
+    if (request.type === 'RETRY_QUEUE_ITEM') {
+      handleRetryQueueItem(request, sender, sendResponse);
+      return true;
+    }
+
+    if (request.type === 'RETRY_QUEUE_CHANGE') {
+      handleRetryQueueChange(request, sender, sendResponse);
+      return true;
+    }
+
     // Unknown message type
     bgLog("Unknown message type:", request.type);
     sendResponse({ success: false, error: 'Unknown message type' });
@@ -177,6 +290,191 @@ async function handleBackendAPIFetch(request, sender, sendResponse) {
     });
   }
 }
+
+// Replay queued backend submissions whose backoff has elapsed
+async function drainBackendOutbox() {
+  if (_drainsInProgress.has(RETRY_QUEUE_KEYS.BACKEND)) return;
+  _drainsInProgress.add(RETRY_QUEUE_KEYS.BACKEND);
+
+  try {
+    const readyItems = await backendOutbox.getReadyItems();
+    if (readyItems.length === 0) return;
+
+    const { auth_token: authToken } = await chrome.storage.local.get(['auth_token']);
+    if (!authToken) {
+      bgLog('[Retry Queue] Not logged in - keeping backend submissions queued');
+      return;
+    }
+
+    bgLog(`[Retry Queue] Replaying ${readyItems.length} backend submission(s)`);
+
+    for (const item of readyItems) {
+      try {
+        const response = await fetch(`${BACKEND_BASE_URL}/api/submissions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${authToken}`
+          },
+          // Same idempotencyKey as the original attempt, so the backend can dedupe
+          body: JSON.stringify(item.payload)
+        });
+
+        // 409 means the backend already has this idempotencyKey
+        if (response.ok || response.status === 409) {
+          await backendOutbox.remove(item.id);
+          bgLog('[Retry Queue] Backend submission delivered:', item.id);
+          continue;
+        }
+
+        await backendOutbox.markFailure(item.id, `Backend API error: ${response.status}`, {
+          permanent: !RetryQueue.isRetryableStatus(response.status)
+        });
+      } catch (error) {
+        bgWarn('[Retry Queue] Backend submission failed again:', item.id, error);
+        await backendOutbox.markFailure(item.id, error.message);
+      }
+    }
+  } catch (error) {
+    bgError('[Retry Queue] Error draining backend outbox:', error);
+  } finally {
+    _drainsInProgress.delete(RETRY_QUEUE_KEYS.BACKEND);
+  }
+}
+
+// Replay queued GitHub commits, honouring the rate limit reset time
+async function drainGitHubOutbox() {
+  if (_drainsInProgress.has(RETRY_QUEUE_KEYS.GITHUB)) return;
+  _drainsInProgress.add(RETRY_QUEUE_KEYS.GITHUB);
+
+  try {
+    const readyItems = await githubOutbox.getReadyItems();
+    if (readyItems.length === 0) return;
+
+    bgLog(`[Retry Queue] Replaying ${readyItems.length} GitHub push(es)`);
+
+    // Items go back to the provider they were pushed to, even if the selection changed since
+    const providers = {};
+    let rateLimitedUntil = null;
+    for (const item of readyItems) {
+      // The limit is per token, so everything behind a rate-limited push waits too
+      if (rateLimitedUntil) {
+        await githubOutbox.defer(item.id, rateLimitedUntil);
+        continue;
+      }
+
+      const { provider = GIT_PROVIDERS.GITHUB } = item.payload;
+      if (!(provider in providers)) {
+        const providerAPI = await GitProvider.create(provider);
+        providers[provider] = (await providerAPI.initialize()) ? providerAPI : null;
+      }
+
+      const githubAPI = providers[provider];
+      if (!githubAPI) {
+        bgLog(`[Retry Queue] ${provider} not configured - keeping push queued:`, item.id);
+        continue;
+      }
+
+      const result = await githubAPI.replayPush(item.payload);
+
+      if (result.success) {
+        await githubOutbox.remove(item.id);
+        bgLog('[Retry Queue] GitHub push delivered:', item.id);
+        continue;
+      }
+
+      rateLimitedUntil = result.rateLimitReset;
+      await githubOutbox.markFailure(item.id, result.error, {
+        permanent: !githubAPI.isRetryableFailure(result),
+        notBefore: result.rateLimitReset || 0
+      });
+    }
+  } catch (error) {
+    bgError('[Retry Queue] Error draining GitHub outbox:', error);
+  } finally {
+    _drainsInProgress.delete(RETRY_QUEUE_KEYS.GITHUB);
+  }
+}
+
+// Daily notification listing the problems due for revision
+async function remindDueRevisions() {
+  try {
+    const due = await new RevisionScheduler().getDue();
+    if (due.length === 0) return;
+
+    const today = new Date().toDateString();
+    const result = await chrome.storage.local.get([REVISION_LAST_REMINDED_KEY]);
+    if (result[REVISION_LAST_REMINDED_KEY] === today) return;
+
+    const names = due.slice(0, 3).map((card) => card.name).join(', ');
+    chrome.notifications.create(REVISION_REMINDER_NOTIFICATION, {
+      type: 'basic',
+      iconUrl: 'icons/128.png',
+      title: `${due.length} problem${due.length !== 1 ? 's' : ''} due for review`,
+      message: due.length > 3 ? `${names} and ${due.length - 3} more` : names,
+      priority: 0
+    });
+    await chrome.storage.local.set({ [REVISION_LAST_REMINDED_KEY]: today });
+    bgLog(`[Revision] Reminded about ${due.length} due problem(s)`);
+  } catch (error) {
+    bgError('[Revision] Reminder failed:', error);
+  }
+}
+
+// Device-flow token for content scripts, refreshed here when it is about to expire
+async function handleGitHubOAuthToken(request, sender, sendResponse) {
+  try {
+    const token = await new GitHubDeviceAuth().getValidAccessToken();
+    sendResponse({ token });
+  } catch (error) {
+    bgError('[GitHub OAuth] Failed to get token:', error);
+    sendResponse({ token: null, error: error.message });
+  }
+}
+
+// Manual retry from the side panel
+async function handleRetryQueueItem(request, sender, sendResponse) {
+  try {
+    const drainers = {
+      [RETRY_QUEUE_KEYS.BACKEND]: { queue: backendOutbox, drain: drainBackendOutbox },
+      [RETRY_QUEUE_KEYS.GITHUB]: { queue: githubOutbox, drain: drainGitHubOutbox }
+    };
+    const target = drainers[request.queue];
+    if (!target) {
+      throw new Error(`Unknown retry queue: ${request.queue}`);
+    }
+
+    await target.queue.resetItem(request.id);
+    await target.drain();
+
+    const item = await target.queue.getItem(request.id);
+    sendResponse({ success: !item, item });
+  } catch (error) {
+    bgError('[Retry Queue] Manual retry failed:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Outbox writes from content scripts and the side panel, applied here after the drains' own writes
+async function handleRetryQueueChange(request, sender, sendResponse) {
+  try {
+    const queues = {
+      [RETRY_QUEUE_KEYS.BACKEND]: backendOutbox,
+      [RETRY_QUEUE_KEYS.GITHUB]: githubOutbox
+    };
+    const queue = queues[request.queue];
+    if (!queue) {
+      throw new Error(`Unknown retry queue: ${request.queue}`);
+    }
+
+    const items = await queue.applyChange(request.change, request.args);
+    sendResponse({ success: true, items });
+  } catch (error) {
+    bgError('[Retry Queue] Change failed:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 // Helper function to get debug mode
 async function getDebugMode() {
   return new Promise((resolve) => {
@@ -336,6 +634,109 @@ async function handleTestGitHubConnection(request, sender, sendResponse) {
   }
 }
 
+// request: { url: server URL (defaults to gitlab.com), token }
+async function handleTestGitLabConnection(request, sender, sendResponse) {
+  try {
+    const serverUrl = DSAUtils.normalizeServerUrl(request.url) || GITLAB_DEFAULT_URL;
+    const response = await fetch(`${serverUrl}/api/v4/user`, {
+      headers: {
+        'PRIVATE-TOKEN': request.token,
+        'Accept': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitLab API responded with ${response.status}`);
+    }
+
+    const userData = await response.json();
+    sendResponse({ success: true, user: { ...userData, login: userData.username } });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// request: { url: server URL, token }
+async function handleTestGiteaConnection(request, sender, sendResponse) {
+  try {
+    const serverUrl = DSAUtils.normalizeServerUrl(request.url);
+    if (!serverUrl) {
+      throw new Error('Gitea server URL is required');
+    }
+
+    const response = await fetch(`${serverUrl}/api/v1/user`, {
+      headers: {
+        'Authorization': `token ${request.token}`,
+        'Accept': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Gitea API responded with ${response.status}`);
+    }
+
+    const userData = await response.json();
+    sendResponse({ success: true, user: userData });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Fetch on behalf of a content script, limited to the configured GitLab/Gitea API
+async function handleGitProviderFetch(request, sender, sendResponse) {
+  try {
+    const config = await DSAUtils.getStoredConfig();
+    const allowedBases = [`${config.gitlabUrl}/api/v4/`, config.giteaUrl ? `${config.giteaUrl}/api/v1/` : null]
+      .filter(Boolean);
+
+    if (!allowedBases.some((base) => request.url.startsWith(base))) {
+      throw new Error('Request is not for the configured Git server');
+    }
+
+    const response = await fetch(request.url, request.options || {});
+    const headers = {};
+    response.headers.forEach((value, name) => {
+      headers[name.toLowerCase()] = value;
+    });
+
+    sendResponse({
+      ok: response.ok,
+      status: response.status,
+      headers,
+      body: await response.text()
+    });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+// Mistake analysis requests from content scripts; only the selected provider's endpoint is relayed
+async function handleLLMProviderFetch(request, sender, sendResponse) {
+  try {
+    const llm = await LLMProvider.create();
+    await llm.initialize();
+
+    if (!llm.baseURL || !request.url.startsWith(llm.baseURL.replace(/\/?$/, '/'))) {
+      throw new Error(`Request is not for the configured ${llm.providerName} server`);
+    }
+
+    const response = await fetch(request.url, request.options || {});
+    const headers = {};
+    response.headers.forEach((value, name) => {
+      headers[name.toLowerCase()] = value;
+    });
+
+    sendResponse({
+      ok: response.ok,
+      status: response.status,
+      headers,
+      body: await response.text()
+    });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
 async function handleInitializeConfig(request, sender, sendResponse) {
   try {
     const result = await chrome.storage.sync.get([
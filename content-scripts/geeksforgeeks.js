@@ -7,7 +7,6 @@
   let githubAPI = null;
   let backendAPI = null;
   let isInitialized = false;
-  let submissionInProgress = false;
   let extractorInstance = null; // Global singleton instance
 
   // GeeksforGeeks specific selectors
@@ -47,8 +46,10 @@
       this.shouldAnalyzeWithGemini = false;
       this.aiAnalysis = null;
       this.aiTags = [];
+      this.aiAnalysisDetails = null;
       this.topics = [];
       this.currentProblemUrl = null;
+      this.pendingJudgements = new Map(); // Submission id -> attempt awaiting its result
     }
 
     async initialize() {
@@ -56,12 +57,13 @@
         // Load persisted state from Chrome storage
         await this.loadPersistedState();
 
-        githubAPI = new GitHubAPI();
+        githubAPI = await GitProvider.create();
         await githubAPI.initialize();
 
         backendAPI = new BackendAPI();
         await backendAPI.initialize();
 
+        this.injectJudgeInterceptor();
         this.setupEventListeners();
         this.checkPageType();
 
@@ -74,6 +76,20 @@
           await this.savePersistedState();
         }
 
+        // Start the unified problem timer (handles visibility tracking & overlay)
+        if (window.ProblemTimer) {
+          window.ProblemTimer.getInstance().startTimer(currentUrl);
+
+          // Hints read the editor the same way runs and submissions do
+          window.ProblemTimer.getInstance().setHintSource(async () => ({
+            title: this.getProblemTitle(),
+            description: this.getProblemDescription(),
+            code: this.getCurrentCode(),
+            language: this.getCurrentLanguage(),
+            storageKey: `problem_data_${this.getCurrentProblemUrl()}`
+          }));
+        }
+
         DSAUtils.logDebug(PLATFORM, 'GeeksforGeeks extractor initialized');
         isInitialized = true;
       } catch (error) {
@@ -102,7 +118,7 @@
           this.currentProblemUrl = problemData.currentProblemUrl || currentUrl;
           this.topics = problemData.parent_topic || [];
 
-          debugLog(`[GeeksforGeeks] Restored - Runs: ${this.runCounter}, Failed: ${this.incorrectRunCounter}/3, Analyzed: ${this.hasAnalyzedMistakes}, ShouldAnalyze: ${this.shouldAnalyzeWithGemini}`);
+          debugLog(`[GeeksforGeeks] Restored - Runs: ${this.runCounter}, Failed: ${this.incorrectRunCounter}, Analyzed: ${this.hasAnalyzedMistakes}, ShouldAnalyze: ${this.shouldAnalyzeWithGemini}`);
         } else {
           debugLog(`[GeeksforGeeks] No problem data found - starting fresh`);
           this.topics = [];
@@ -189,6 +205,9 @@
           shouldAnalyzeWithGemini: this.shouldAnalyzeWithGemini || false,
           aiAnalysis: this.aiAnalysis || null,
           aiTags: this.aiTags || [],
+          aiAnalysisDetails: this.aiAnalysisDetails || existingData.aiAnalysisDetails || null,
+          // Only accepted submissions carry a fresh complexity; other writes keep the last one
+          complexityAnalysis: problemInfo.complexity !== undefined ? problemInfo.complexity : existingData.complexityAnalysis || null,
           currentProblemUrl: this.currentProblemUrl || currentUrl,
           timestamp: new Date().toISOString()
         };
@@ -225,7 +244,9 @@
       this.shouldAnalyzeWithGemini = false;
       this.aiAnalysis = null;
       this.aiTags = [];
+      this.aiAnalysisDetails = null;
       this.topics = [];
+      this.pendingJudgements.clear();
       debugLog(`[GeeksforGeeks] Counters reset for new problem`);
 
       // Clean up any stored problem data for this problem
@@ -237,11 +258,20 @@
       // Listen for URL changes
       this.observeUrlChanges();
 
-      // Monitor submissions
-      this.monitorSubmissions();
+      // Runs and submissions arrive from the judge interceptor
+      this.setupJudgeListener();
 
-      // Listen for run button clicks
-      this.observeRunButton();
+      // Mistake analysis requested from the side panel
+      this.setupAnalysisListener();
+    }
+
+    setupAnalysisListener() {
+      MistakeAnalysis.listen({
+        label: 'GeeksforGeeks',
+        getAttempts: () => this.attempts,
+        getProblem: async () => ({ title: this.getProblemTitle(), description: this.getProblemDescription() }),
+        onResult: (result) => this.keepMistakeAnalysis(result)
+      });
     }
 
     observeUrlChanges() {
@@ -267,200 +297,124 @@
       }
     }
 
-    monitorSubmissions() {
-      const observer = new MutationObserver(() => {
-        if (!submissionInProgress) {
-          this.attachSubmitButtonListener();
-        }
-      });
-
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-
-      // Initial attachment
-      this.attachSubmitButtonListener();
+    // Hooks fetch/XHR in the page so run and submit verdicts come straight from the judge
+    injectJudgeInterceptor() {
+      try {
+        const id = 'leetfeedback-gfg-interceptor';
+        if (document.getElementById(id)) return;
+        const script = document.createElement('script');
+        script.id = id;
+        script.src = chrome.runtime.getURL('utils/gfg-interceptor.js');
+        (document.head || document.documentElement).appendChild(script);
+      } catch (error) {
+        debugError('[GeeksforGeeks] Failed to inject judge interceptor', error);
+      }
     }
 
-    observeRunButton() {
-      let runButtonFound = false;
+    setupJudgeListener() {
+      window.addEventListener('message', (event) => {
+        if (event.source !== window) return;
+        const data = event.data || {};
+        if (data.source !== 'LeetFeedback' || !data.id) return;
 
-      // Monitor for run button clicks
-      const checkForRunButton = () => {
-        // Use the working selector for GeeksforGeeks run button
-        const runButton = document.querySelector('button.problems_compile_button__Lfluz');
-
-        if (runButton && !runButton.hasAttribute('data-dsa-listener')) {
-          if (!runButtonFound) {
-            DSAUtils.logDebug(PLATFORM, `Run button found and listener attached`);
-            runButtonFound = true;
-          }
-          runButton.setAttribute('data-dsa-listener', 'true');
-          runButton.addEventListener('click', () => {
-            setTimeout(() => this.handleRunAttempt(), 1000);
-          });
+        if (data.type === 'GFG_JUDGE_REQUEST') {
+          this.handleJudgeRequest(data);
+        } else if (data.type === 'GFG_JUDGE_RESULT') {
+          this.handleJudgeResult(data);
         }
-      };
-
-      // Check initially and on DOM changes
-      checkForRunButton();
-
-      // Periodic check every 10 seconds for run button
-      setInterval(() => {
-        checkForRunButton();
-      }, 10000);
-
-      const observer = new MutationObserver(() => {
-        checkForRunButton();
-      });
-
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
       });
     }
 
-    async handleRunAttempt() {
+    /**
+     * A run or submission was sent to the judge
+     * @param {object} request - { kind: 'run' | 'submit', id, code, language } from the interceptor
+     */
+    async handleJudgeRequest(request) {
       try {
-        this.runCounter++;
-        debugLog(`[GeeksforGeeks Run Counter] Run attempt #${this.runCounter}`);
-
-        const code = this.getCurrentCode();
-        const language = this.getCurrentLanguage();
-
-        DSAUtils.logDebug(PLATFORM, `Extracted code length: ${code ? code.length : 0}, language: ${language}`);
-
-        if (code && code.length > 10) {
-          const attempt = {
-            code,
-            language,
-            timestamp: new Date().toISOString(),
-            type: 'run',
-            runNumber: this.runCounter,
-            successful: null
-          };
-
-          this.attempts.push(attempt);
-          debugLog(`[GeeksforGeeks Run Counter] Stored run attempt #${this.runCounter}`);
+        const attempt = {
+          code: request.code,
+          language: request.language,
+          timestamp: new Date().toISOString(),
+          type: request.kind,
+          successful: null // Set when the judge result arrives
+        };
 
-          // Save state after adding attempt
-          await this.savePersistedState();
+        if (request.kind === GFG_JUDGE_KINDS.RUN) {
+          this.runCounter++;
+          attempt.runNumber = this.runCounter;
+        }
 
-          // Start observing for run results
-          await this.observeRunResult(attempt);
+        // Registered before any await so a fast result still finds its attempt
+        this.attempts.push(attempt);
+        this.pendingJudgements.set(request.id, attempt);
+        debugLog(`[GeeksforGeeks Run Counter] Recorded ${request.kind} ${request.id} (runs: ${this.runCounter})`);
 
-        } else {
-          debugLog(`[GeeksforGeeks Run Counter] Run #${this.runCounter} - Code too short or empty`);
+        // The request body is what was judged; fall back to the editor if it was not readable
+        if (!attempt.code) {
+          attempt.code = this.getCurrentCode();
         }
+        if (!attempt.language) {
+          attempt.language = this.getCurrentLanguage();
+        }
+
+        await this.savePersistedState();
       } catch (error) {
-        DSAUtils.logError(PLATFORM, 'Error storing run attempt', error);
+        DSAUtils.logError(PLATFORM, 'Error recording judge request', error);
       }
     }
 
-    async observeRunResult(attempt) {
-      // Look for run results to determine if the run was successful
-      const checkRunResult = async () => {
-        // GeeksforGeeks specific selectors for run results
-        const resultSelectors = [
-          '.problems_content__kWANg',
-          '[class*="result"]',
-          '[class*="output"]',
-          '.compile_and_run',
-          '[class*="console"]'
-        ];
-
-        for (const selector of resultSelectors) {
-          const resultElement = document.querySelector(selector);
-          if (resultElement && resultElement.textContent) {
-            const resultText = resultElement.textContent.toLowerCase();
-
-            // Check for successful run indicators
-            if (resultText.includes('correct') ||
-              resultText.includes('passed') ||
-              resultText.includes('expected output') ||
-              (resultText.includes('output:') && !resultText.includes('expected:'))) {
-
-              // Guard against multiple increments for the same attempt
-              if (attempt.successful !== true) {
-                attempt.successful = true;
-                debugLog(`[GeeksforGeeks Run Counter] Run #${attempt.runNumber} - SUCCESS (Expected output matched)`);
-
-                // Save state after successful attempt
-                await this.savePersistedState();
-              }
-              return true;
-            }
+    /**
+     * The judge finished a run or submission
+     * @param {object} message - { kind, id, data: raw result response } from the interceptor
+     */
+    async handleJudgeResult(message) {
+      const attempt = this.pendingJudgements.get(message.id);
+      if (!attempt) {
+        debugLog(`[GeeksforGeeks] Judge result for unknown ${message.kind} ${message.id} - ignoring`);
+        return;
+      }
+      this.pendingJudgements.delete(message.id);
 
-            // Check for failure indicators
-            if (resultText.includes('wrong') ||
-              resultText.includes('incorrect') ||
-              resultText.includes('failed') ||
-              resultText.includes('error') ||
-              resultText.includes('expected:') ||
-              resultText.includes('compilation error')) {
-
-              // Guard against multiple increments for the same attempt
-              if (attempt.successful !== false) {
-                attempt.successful = false;
-                this.incorrectRunCounter++;
-                debugLog(`[GeeksforGeeks Run Counter] Run #${attempt.runNumber} - FAILED (Incorrect output)`);
-                debugLog(`[GeeksforGeeks Run Counter] Total failed runs: ${this.incorrectRunCounter}/3`);
-
-                // Save state after failed attempt
-                await this.savePersistedState();
-
-                // Check if we've reached 3 failed runs
-                if (this.incorrectRunCounter >= 2 && !this.hasAnalyzedMistakes) {
-                  this.handleThreeIncorrectRuns();
-                }
-              }
-              return true;
-            }
-          }
+      try {
+        const result = GfgJudge.parseResult(message.data, { kind: message.kind });
+        DSAUtils.logDebug(PLATFORM, `Judge result for ${message.kind} ${message.id}: ${result.status}`);
+
+        attempt.successful = result.accepted;
+        attempt.status = result.status;
+        attempt.result = {
+          runtime: result.runtime,
+          memory: result.memory,
+          passedTestCases: result.passedTestCases,
+          totalTestCases: result.totalTestCases
+        };
+        attempt.failure = GfgJudge.toFailure(result);
+
+        if (message.kind === GFG_JUDGE_KINDS.RUN && !result.accepted) {
+          this.incorrectRunCounter++;
+          debugLog(`[GeeksforGeeks Run Counter] Run #${attempt.runNumber} - FAILED (${result.status})`);
+          debugLog(`[GeeksforGeeks Run Counter] Total failed runs: ${this.incorrectRunCounter}`);
         }
-        return false;
-      };
-
-      // Check immediately and then set up observer
-      const initialResult = await checkRunResult();
-      if (!initialResult) {
-        const observer = new MutationObserver(async () => {
-          if (await checkRunResult()) {
-            observer.disconnect();
-          }
-        });
 
-        observer.observe(document.body, {
-          childList: true,
-          subtree: true
-        });
+        await this.savePersistedState();
 
-        // Stop observing after 10 seconds to prevent memory leaks
-        setTimeout(async () => {
-          observer.disconnect();
-          if (attempt.successful === null) {
-            // If we can't determine the result, assume it's a failed run for safety
-            attempt.successful = false;
-            this.incorrectRunCounter++;
-            debugLog(`[GeeksforGeeks Run Counter] Run #${attempt.runNumber} - TIMEOUT → Counted as FAILED (safety measure)`);
-            debugLog(`[GeeksforGeeks Run Counter] Total failed runs: ${this.incorrectRunCounter}/3`);
-
-            // Save state after failed attempt
-            await this.savePersistedState();
-
-            // Check if we've reached 3 failed runs
-            if (this.incorrectRunCounter >= 3 && !this.hasAnalyzedMistakes) {
-              this.handleThreeIncorrectRuns();
-            }
+        if (message.kind === GFG_JUDGE_KINDS.RUN) {
+          if (!this.hasAnalyzedMistakes && this.incorrectRunCounter >= await LLMProvider.getFailureThreshold()) {
+            this.handleFailureThreshold();
           }
-        }, 10000);
+        } else if (result.accepted) {
+          await this.extractProblemInfo();
+          await this.handleSuccessfulSubmission(attempt, result);
+        } else {
+          DSAUtils.logDebug(PLATFORM, `Submission failed (${result.status}), not pushing to GitHub`);
+        }
+      } catch (error) {
+        DSAUtils.logError(PLATFORM, 'Error handling judge result', error);
       }
     }
 
-    async handleThreeIncorrectRuns() {
-      // Just set flag - Gemini analysis will run on successful submit before backend push
-      debugLog(`[GeeksforGeeks] 3 failed runs detected - flagging for Gemini analysis on submit`);
+    async handleFailureThreshold() {
+      // Just set flag - mistake analysis will run on successful submit before backend push
+      debugLog(`[GeeksforGeeks] ${this.incorrectRunCounter} failed runs - flagging for mistake analysis on submit`);
       this.hasAnalyzedMistakes = true;
       this.shouldAnalyzeWithGemini = true;
       await this.savePersistedState({
@@ -469,100 +423,6 @@
       });
     }
 
-    attachSubmitButtonListener() {
-      // Use the working selector for GeeksforGeeks submit button
-      const submitButton = document.querySelector('button.problems_submit_button__6QoNQ');
-
-      if (submitButton && !submitButton.hasAttribute('data-gfg-listener')) {
-        submitButton.setAttribute('data-gfg-listener', 'true');
-        DSAUtils.logDebug(PLATFORM, 'Submit button listener attached');
-
-        submitButton.addEventListener('click', () => {
-          DSAUtils.logDebug(PLATFORM, 'Submit button clicked!');
-          this.handleSubmissionAttempt();
-        });
-      }
-    }
-
-    async handleSubmissionAttempt() {
-      if (submissionInProgress) return;
-
-      submissionInProgress = true;
-      DSAUtils.logDebug(PLATFORM, 'Submission attempt detected');
-
-      // Extract problem info before submission
-      await this.extractProblemInfo();
-
-      // Monitor for submission result
-      this.monitorSubmissionResult();
-    }
-
-    monitorSubmissionResult() {
-      DSAUtils.logDebug(PLATFORM, 'Starting submission result monitoring...');
-      let checkCount = 0;
-
-      const checkInterval = setInterval(() => {
-        checkCount++;
-        DSAUtils.logDebug(PLATFORM, `Checking for result... attempt ${checkCount}`);
-
-        // Try multiple selectors for result
-        const resultSelectors = [
-          '[class*="problems_content"]',
-          '.submission-result',
-          '.result',
-          '[class*="result"]',
-          '[class*="status"]',
-          '[class*="verdict"]',
-          '.ui.message',
-          '[class*="message"]'
-        ];
-
-        let resultElement = null;
-        let resultText = '';
-
-        for (const selector of resultSelectors) {
-          const element = document.querySelector(selector);
-          if (element && element.textContent.trim()) {
-            resultElement = element;
-            resultText = element.textContent.trim();
-            DSAUtils.logDebug(PLATFORM, `Found result with selector ${selector}: "${resultText}"`);
-            break;
-          }
-        }
-
-        if (resultElement && resultText) {
-          DSAUtils.logDebug(PLATFORM, `Result text: "${resultText}"`);
-
-          if (resultText.includes('Problem Solved Successfully') ||
-            resultText.includes('Correct') ||
-            resultText.includes('Accepted') ||
-            resultText.includes('Success')) {
-            DSAUtils.logDebug(PLATFORM, 'Successful submission detected!');
-            clearInterval(checkInterval);
-            submissionInProgress = false;
-            this.handleSuccessfulSubmission();
-          } else if (resultText.includes('Compilation Error') ||
-            resultText.includes('Wrong Answer') ||
-            resultText.includes('Time Limit Exceeded') ||
-            resultText.includes('Runtime Error') ||
-            resultText.includes('Failed')) {
-            DSAUtils.logDebug(PLATFORM, 'Submission failed, not pushing to GitHub');
-            clearInterval(checkInterval);
-            submissionInProgress = false;
-          }
-        } else {
-          DSAUtils.logDebug(PLATFORM, 'No result element found yet...');
-        }
-      }, 1000);
-
-      // Stop monitoring after 30 seconds
-      setTimeout(() => {
-        DSAUtils.logDebug(PLATFORM, 'Stopping result monitoring after 30 seconds');
-        clearInterval(checkInterval);
-        submissionInProgress = false;
-      }, 30000);
-    }
-
     async extractProblemInfo() {
       try {
         DSAUtils.logDebug(PLATFORM, 'Starting problem extraction...');
@@ -885,16 +745,47 @@
       return '';
     }
 
-    async handleSuccessfulSubmission() {
+    // Analysis run from the side panel, kept for the solve like one made on submit
+    async keepMistakeAnalysis(result) {
+      this.aiAnalysis = result.analysis;
+      this.aiTags = result.tags || [];
+      this.aiAnalysisDetails = result.details || null;
+      await this.savePersistedState({ aiAnalysisDetails: this.aiAnalysisDetails });
+    }
+
+    // AI time/space complexity of the accepted code; null when no provider is set up or the call fails
+    async analyzeComplexity(problemInfo) {
+      try {
+        const llm = await LLMProvider.create();
+        if (!(await llm.initialize())) {
+          debugLog(`[GeeksforGeeks] ${llm.providerName} not configured - skipping complexity analysis`);
+          return null;
+        }
+
+        const result = await llm.analyzeComplexity(problemInfo);
+        if (!result.success) {
+          debugLog(`[GeeksforGeeks] Complexity analysis failed: ${result.error}`);
+          return null;
+        }
+
+        debugLog(`[GeeksforGeeks] Complexity: time ${result.complexity.time}, space ${result.complexity.space}`);
+        return result.complexity;
+      } catch (error) {
+        debugError(`[GeeksforGeeks] Complexity analysis error:`, error);
+        return null;
+      }
+    }
+
+    async handleSuccessfulSubmission(submissionAttempt = null, judgeResult = null) {
       try {
         debugLog(`[GeeksforGeeks Submission] SUCCESSFUL SUBMISSION DETECTED`);
         debugLog(`[GeeksforGeeks Stats] Total runs: ${this.runCounter}, Failed runs: ${this.incorrectRunCounter}`);
 
         DSAUtils.logDebug(PLATFORM, 'Handling successful submission');
 
-        // Get the solution code via message to background script
+        // The submitted code is what was accepted; ask the background script only if it is missing
         DSAUtils.logDebug(PLATFORM, 'Getting user solution...');
-        const solution = await this.getUserSolution();
+        const solution = submissionAttempt?.code || await this.getUserSolution();
         DSAUtils.logDebug(PLATFORM, 'Solution retrieved:', solution ? `${solution.length} characters` : 'null');
 
         if (!this.currentProblem) {
@@ -917,10 +808,16 @@
 
         // Add the solution code to problem info
         this.currentProblem.code = solution;
+        if (submissionAttempt?.language) {
+          this.currentProblem.language = submissionAttempt.language;
+        }
+        if (judgeResult) {
+          this.currentProblem.stats = GfgJudge.toStats(judgeResult);
+        }
         DSAUtils.logDebug(PLATFORM, 'Problem info with code:', this.currentProblem);
 
-        // Add final successful attempt
-        if (solution && solution.length > 10) {
+        // Add final successful attempt unless the judged submission is already recorded
+        if (!submissionAttempt && solution && solution.length > 10) {
           const successfulAttempt = {
             code: solution,
             language: this.currentProblem.language || 'Unknown',
@@ -945,40 +842,51 @@
         // Calculate total tries
         const totalTries = totalRunCounter + 1; // +1 for the successful submission
 
-        // Step 0: Run Gemini analysis if flagged (before backend push)
+        // Step 0: Run mistake analysis if flagged (before backend push)
         if (this.shouldAnalyzeWithGemini) {
-          debugLog(`[GeeksforGeeks Submission] Step 0: Running Gemini analysis before backend push...`);
+          debugLog(`[GeeksforGeeks Submission] Step 0: Running mistake analysis before backend push...`);
           try {
-            const geminiAPI = new GeminiAPI();
-            const geminiConfigured = await geminiAPI.initialize();
+            const llm = await LLMProvider.create();
+            const llmConfigured = await llm.initialize();
 
-            if (geminiConfigured) {
-              // Send ALL attempts (not just failed) to Gemini for full context
+            if (llmConfigured) {
+              // Send ALL attempts (not just failed) for full context
               const allAttempts = this.attempts.filter(a => a.code && a.code.length > 10);
-              debugLog(`[GeeksforGeeks] Sending ${allAttempts.length} code iterations to Gemini`);
+              debugLog(`[GeeksforGeeks] Sending ${allAttempts.length} code iterations to ${llm.providerName}`);
 
-              const geminiResult = await geminiAPI.analyzeMistakes(allAttempts, this.currentProblem);
+              const analysisResult = await llm.analyzeMistakes(allAttempts, this.currentProblem);
 
-              if (geminiResult.success) {
-                this.aiAnalysis = geminiResult.analysis;
-                this.aiTags = geminiResult.tags || [];
-                debugLog(`[GeeksforGeeks] Gemini analysis complete. Tags: ${this.aiTags.join(', ')}`);
+              if (analysisResult.success) {
+                this.aiAnalysis = analysisResult.analysis;
+                this.aiTags = analysisResult.tags || [];
+                this.aiAnalysisDetails = analysisResult.details || null;
+                debugLog(`[GeeksforGeeks] ${llm.providerName} analysis complete. Tags: ${this.aiTags.join(', ')}`);
               } else {
-                debugLog(`[GeeksforGeeks] Gemini analysis failed: ${geminiResult.error}`);
+                debugLog(`[GeeksforGeeks] ${llm.providerName} analysis failed: ${analysisResult.error}`);
               }
             } else {
-              debugLog(`[GeeksforGeeks] Gemini API key not configured - skipping analysis`);
+              debugLog(`[GeeksforGeeks] ${llm.providerName} not configured - skipping analysis`);
             }
           } catch (error) {
-            debugError(`[GeeksforGeeks] Gemini analysis error:`, error);
-            // Continue with submission even if Gemini fails
+            debugError(`[GeeksforGeeks] Mistake analysis error:`, error);
+            // Continue with submission even if the analysis fails
           }
         }
 
+        // Complexity of the accepted code, stored with the solve for GitHub and the backend
+        this.currentProblem.complexity = await this.analyzeComplexity(this.currentProblem);
+
         // Store problem data with AI analysis (will be picked up by backend push)
-        await this.storeProblemData(this.currentProblem, true, totalTries);
+        const storedProblem = await this.storeProblemData(this.currentProblem, true, totalTries);
         debugLog(`[GeeksforGeeks Submission] Stored problem as solved with ${totalTries} tries`);
 
+        // First solves and re-solves both move the problem along its review schedule
+        try {
+          await new RevisionScheduler().recordSolve(`problem_data_${this.getCurrentProblemUrl()}`, storedProblem);
+        } catch (error) {
+          debugError('[GeeksforGeeks] Error updating revision schedule:', error);
+        }
+
         // Step 1: Push to Backend API
         debugLog(`[GeeksforGeeks Submission] Step 1: Pushing to backend...`);
         try {
@@ -1015,7 +923,11 @@
             debugLog(`[GeeksforGeeks Submission] Backend push failed: ${backendResult.error}`);
             // Show error toast
             if (window.LeetFeedbackToast) {
-              window.LeetFeedbackToast.error(`Sync failed: ${backendResult.error}`);
+              if (backendResult.queued) {
+                window.LeetFeedbackToast.info('Sync failed - queued to retry automatically');
+              } else {
+                window.LeetFeedbackToast.error(`Sync failed: ${backendResult.error}`);
+              }
             }
             // Continue with GitHub push even if backend fails
           }
@@ -1039,10 +951,22 @@
         if (githubPushEnabled) {
           // Step 2: Push to GitHub
           debugLog(`[GeeksforGeeks Submission] Step 2: Pushing to GitHub...`);
-          const result = await githubAPI.pushSolution(this.currentProblem, PLATFORM);
+          const result = await githubAPI.pushSolution(this.currentProblem, PLATFORM, this.getCurrentProblemUrl());
           DSAUtils.logDebug(PLATFORM, 'Push result:', result);
 
-          if (result.success) {
+          // A queued push is stored locally and replayed by the background worker
+          if (result.queued) {
+            debugLog(`[GeeksforGeeks Submission] GitHub push queued for retry:`, result.error);
+            if (window.LeetFeedbackToast) {
+              window.LeetFeedbackToast.info(`${githubAPI.providerName} push failed - queued to retry automatically`);
+            }
+          }
+
+          if (result.pullRequest && window.LeetFeedbackToast) {
+            window.LeetFeedbackToast.success(`Pull request #${result.pullRequest.number} is ready for review`);
+          }
+
+          if (result.success || result.queued) {
             DSAUtils.logDebug(PLATFORM, 'Push successful!');
             debugLog(`[GeeksforGeeks Submission] Solution pushed to GitHub successfully!`);
 
@@ -1054,6 +978,7 @@
             this.shouldAnalyzeWithGemini = false;
             this.aiAnalysis = null;
             this.aiTags = [];
+            this.aiAnalysisDetails = null;
 
             // Persist final state
             await this.savePersistedState({
@@ -1079,6 +1004,7 @@
           this.shouldAnalyzeWithGemini = false;
           this.aiAnalysis = null;
           this.aiTags = [];
+          this.aiAnalysisDetails = null;
 
           await this.savePersistedState({
             attempts: finalAttempts,
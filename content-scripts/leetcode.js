@@ -31,11 +31,11 @@
       this.currentProblemUrl = null; // Track current problem to detect problem changes
       this.bridgeReady = false;
       this.pendingCodeRequests = new Map();
-      this.submissionInProgress = false;
       this.submitCounter = 0;
-      this.currentSubmissionAttempt = null;
+      this.pendingJudgements = new Map(); // Judge id -> { attempt, dataInput } awaiting its result
       this.aiAnalysis = null; // Store Gemini AI analysis
       this.aiTags = []; // Store Gemini mistake tags
+      this.aiAnalysisDetails = null; // Structured analysis (key issues, snippet, complexity)
       this.shouldAnalyzeWithGemini = false; // Flag to run Gemini on submit
       // Note: problemStartTime and pausedTime are now managed by ProblemTimer utility
     }
@@ -45,13 +45,14 @@
         // Load persisted state from Chrome storage
         await this.loadPersistedState();
 
-        githubAPI = new GitHubAPI();
+        githubAPI = await GitProvider.create();
         await githubAPI.initialize();
 
         backendAPI = new BackendAPI();
         await backendAPI.initialize();
 
         this.injectMonacoBridge();
+        this.injectJudgeInterceptor();
         this.setupBridgeListener();
         this.setupEventListeners();
         this.checkPageType();
@@ -68,6 +69,18 @@
         // Start the unified problem timer (handles visibility tracking & overlay)
         if (window.ProblemTimer) {
           window.ProblemTimer.getInstance().startTimer(currentUrl);
+
+          // Hints read the live editor through the Monaco bridge
+          window.ProblemTimer.getInstance().setHintSource(async () => {
+            const { code, language } = await this.getCodeViaBridge();
+            return {
+              title: this.getProblemTitle(),
+              description: this.getProblemDescription(),
+              code,
+              language,
+              storageKey: `problem_data_${this.getCurrentProblemUrl()}`
+            };
+          });
         }
 
         DSAUtils.logDebug(PLATFORM, 'LeetCode extractor initialized');
@@ -90,6 +103,20 @@
       }
     }
 
+    // Hooks fetch/XHR in the page so run and submit results come straight from LeetCode's judge
+    injectJudgeInterceptor() {
+      try {
+        const id = 'leetfeedback-judge-interceptor';
+        if (document.getElementById(id)) return;
+        const script = document.createElement('script');
+        script.id = id;
+        script.src = chrome.runtime.getURL('utils/leetcode-interceptor.js');
+        (document.head || document.documentElement).appendChild(script);
+      } catch (e) {
+        debugWarn('[LeetCode] Failed to inject judge interceptor', e);
+      }
+    }
+
     setupBridgeListener() {
       window.addEventListener('message', (event) => {
         try {
@@ -106,6 +133,14 @@
               this.pendingCodeRequests.delete(data.requestId);
               resolver({ code: this._sanitizeText(data.code), language: data.language });
             }
+            return;
+          }
+          if (data.type === 'LEETFEEDBACK_JUDGE_REQUEST' && data.id) {
+            this.handleJudgeRequest(data);
+            return;
+          }
+          if (data.type === 'LEETFEEDBACK_JUDGE_RESULT' && data.id) {
+            this.handleJudgeResult(data);
           }
         } catch (_) { /* no-op */ }
       });
@@ -171,7 +206,7 @@
           this.shouldAnalyzeWithGemini = problemData.shouldAnalyzeWithGemini || false;
           // Note: problemStartTime and pausedTime are now managed by ProblemTimer utility
 
-          debugLog(`[LeetCode] Restored - Runs: ${this.runCounter}, Failed: ${this.incorrectRunCounter}/3, Analyzed: ${this.hasAnalyzedMistakes}`);
+          debugLog(`[LeetCode] Restored - Runs: ${this.runCounter}, Failed: ${this.incorrectRunCounter}, Analyzed: ${this.hasAnalyzedMistakes}`);
         } else {
           debugLog(`[LeetCode] No problem data found - starting fresh`);
         }
@@ -269,6 +304,10 @@
           submitCounter: this.submitCounter || 0,
           aiAnalysis: this.aiAnalysis || null,
           aiTags: this.aiTags || [],
+          aiAnalysisDetails: this.aiAnalysisDetails || existingData.aiAnalysisDetails || null,
+          // Only accepted submissions carry a fresh complexity; other writes keep the last one
+          complexityAnalysis: problemInfo.complexity !== undefined ? problemInfo.complexity : existingData.complexityAnalysis || null,
+          stats: problemInfo.stats || existingData.stats || null,
           // Time values from ProblemTimer
           problemStartTime: timer?.getStartTime() || existingData.problemStartTime || Date.now(),
           pausedTime: timer?.getPausedTime() || existingData.pausedTime || 0,
@@ -305,10 +344,10 @@
       this.hasAnalyzedMistakes = false;
       this.topics = []; // Reset topics array
       this.submitCounter = 0;
-      this.submissionInProgress = false;
-      this.currentSubmissionAttempt = null;
+      this.pendingJudgements.clear();
       this.aiAnalysis = null;
       this.aiTags = [];
+      this.aiAnalysisDetails = null;
       this.shouldAnalyzeWithGemini = false;
       debugLog(`[LeetCode] Counters reset for new problem`);
 
@@ -325,15 +364,23 @@
       // Listen for URL changes (LeetCode is SPA)
       this.observeUrlChanges();
 
-      // Listen for submission events
-      this.observeSubmissions();
+      // Runs and submissions (button or keyboard shortcut) arrive from the judge interceptor
 
-      // Listen for run button clicks
-      this.observeRunButton();
+      // Mistake analysis requested from the side panel
+      this.setupAnalysisListener();
 
       // Note: visibility tracking is now handled by ProblemTimer utility
     }
 
+    setupAnalysisListener() {
+      MistakeAnalysis.listen({
+        label: 'LeetCode',
+        getAttempts: () => this.attempts,
+        getProblem: async () => ({ title: this.getProblemTitle(), description: this.getProblemDescription() }),
+        onResult: (result) => this.keepMistakeAnalysis(result)
+      });
+    }
+
     observeUrlChanges() {
       let currentUrl = location.href;
 
@@ -348,351 +395,99 @@
       }).observe(document, { subtree: true, childList: true });
     }
 
-    observeSubmissions() {
-      const attachSubmitListener = (root) => {
-        const submitButton = root.querySelector ?
-          root.querySelector('button[data-e2e-locator="console-submit-button"]') : null;
-
-        if (submitButton && !submitButton.hasAttribute('data-leetcode-submit-listener')) {
-          submitButton.setAttribute('data-leetcode-submit-listener', 'true');
-          submitButton.addEventListener('click', () => {
-            DSAUtils.logDebug(PLATFORM, 'Submit button clicked!');
-            this.handleSubmissionAttempt();
-          });
-        }
-      };
-
-      const observer = new MutationObserver((mutations) => {
-        mutations.forEach((mutation) => {
-          mutation.addedNodes.forEach((node) => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              attachSubmitListener(node);
-            }
-          });
-        });
-      });
-
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-
-      attachSubmitListener(document);
-    }
-
-    observeRunButton() {
-      let runButtonFound = false;
-
-      // Monitor for run button clicks
-      const checkForRunButton = () => {
-
-        // Use the exact working selector for LeetCode run button
-        const runButton = document.querySelector('button[data-e2e-locator="console-run-button"]');
-
-        if (runButton && !runButton.hasAttribute('data-dsa-listener')) {
-          if (!runButtonFound) {
-            DSAUtils.logDebug(PLATFORM, `Run button found and listener attached`);
-            runButtonFound = true;
-          }
-          runButton.setAttribute('data-dsa-listener', 'true');
-          runButton.addEventListener('click', () => {
-            setTimeout(() => this.handleRunAttempt(), 1000);
-          });
-        }
-      };
-
-      // Check initially and on DOM changes
-      checkForRunButton();
-
-      // Periodic check every 10 seconds for run button
-      setInterval(() => {
-        checkForRunButton();
-      }, 10000);
-
-      const observer = new MutationObserver(() => {
-        checkForRunButton();
-      });
-
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-    }
-
-    async handleSubmissionAttempt() {
-      if (this.submissionInProgress) {
-        DSAUtils.logDebug(PLATFORM, 'Submission already in progress - ignoring duplicate click');
-        return;
-      }
-
-      this.submissionInProgress = true;
-      this.submitCounter = (this.submitCounter || 0) + 1;
-
+    /**
+     * A run or submission was sent to the judge
+     * @param {object} request - { kind: 'run' | 'submit', id, code, language, dataInput } from the interceptor
+     */
+    async handleJudgeRequest(request) {
       try {
-        const code = await this.getCurrentCode();
-        const language = await this.getCurrentLanguage();
-
         const attempt = {
-          code,
-          language,
+          code: this._sanitizeText(request.code),
+          language: request.language,
           timestamp: new Date().toISOString(),
-          type: 'submit',
-          submissionNumber: this.submitCounter,
-          successful: null
+          type: request.kind,
+          successful: null // Set when the judge result arrives
         };
 
+        if (request.kind === LEETCODE_JUDGE_KINDS.SUBMIT) {
+          this.submitCounter = (this.submitCounter || 0) + 1;
+          attempt.submissionNumber = this.submitCounter;
+        } else {
+          this.runCounter++;
+          attempt.runNumber = this.runCounter;
+        }
+
+        // Registered before any await so a fast result still finds its attempt
         this.attempts.push(attempt);
-        this.currentSubmissionAttempt = attempt;
+        this.pendingJudgements.set(request.id, { attempt, dataInput: request.dataInput });
+        debugLog(`[LeetCode Run Counter] Recorded ${request.kind} ${request.id} (runs: ${this.runCounter}, submits: ${this.submitCounter})`);
 
-        DSAUtils.logDebug(PLATFORM, `Recorded submission attempt #${this.submitCounter}`);
+        // The request body is what was judged; fall back to the editor if it was not readable
+        if (!attempt.code) {
+          attempt.code = await this.getCurrentCode();
+        }
+        if (!attempt.language) {
+          attempt.language = await this.getCurrentLanguage();
+        }
 
         await this.savePersistedState();
-
-        this.monitorSubmissionResult(attempt);
       } catch (error) {
-        this.submissionInProgress = false;
-        DSAUtils.logError(PLATFORM, 'Error handling submission attempt', error);
+        DSAUtils.logError(PLATFORM, 'Error recording judge request', error);
       }
     }
 
-    monitorSubmissionResult(attempt) {
-      let checks = 0;
-      const maxChecks = 30;
-      const intervalMs = 1000;
-
-      const checkResult = async () => {
-        if (!this.submissionInProgress) {
-          return;
-        }
-
-        try {
-          const resultElement = document.querySelector('[data-e2e-locator="submission-result"]');
-
-          if (resultElement && resultElement.textContent) {
-            const resultText = resultElement.textContent.toLowerCase();
-
-            if (resultText.includes('accepted')) {
-              attempt.successful = true;
-              DSAUtils.logDebug(PLATFORM, 'Submission result detected: ACCEPTED');
-              await this.savePersistedState();
-              this.submissionInProgress = false;
-              this.currentSubmissionAttempt = null;
-              await this.handleSuccessfulSubmission(attempt);
-              return;
-            }
-
-            if (resultText.includes('wrong answer') ||
-              resultText.includes('runtime error') ||
-              resultText.includes('time limit exceeded') ||
-              resultText.includes('memory limit exceeded') ||
-              resultText.includes('compile error') ||
-              resultText.includes('compilation error') ||
-              resultText.includes('output limit exceeded') ||
-              resultText.includes('failed')) {
-              attempt.successful = false;
-              DSAUtils.logDebug(PLATFORM, `Submission result detected: ${resultText}`);
-              await this.savePersistedState();
-              this.submissionInProgress = false;
-              this.currentSubmissionAttempt = null;
-              return;
-            }
-          }
-
-          checks++;
-          if (checks < maxChecks) {
-            setTimeout(() => checkResult().catch((error) => {
-              DSAUtils.logError(PLATFORM, 'Error while polling submission result', error);
-            }), intervalMs);
-          } else {
-            attempt.successful = false;
-            DSAUtils.logDebug(PLATFORM, 'Submission result not detected within timeout - marking as failed');
-            await this.savePersistedState();
-            this.submissionInProgress = false;
-            this.currentSubmissionAttempt = null;
-          }
-        } catch (error) {
-          DSAUtils.logError(PLATFORM, 'Unexpected error while checking submission result', error);
-          this.submissionInProgress = false;
-          this.currentSubmissionAttempt = null;
-        }
-      };
-
-      setTimeout(() => checkResult().catch((error) => {
-        DSAUtils.logError(PLATFORM, 'Error while initiating submission result polling', error);
-        this.submissionInProgress = false;
-        this.currentSubmissionAttempt = null;
-      }), intervalMs);
-    }
+    /**
+     * The judge finished a run or submission
+     * @param {object} message - { kind, id, data: raw check response } from the interceptor
+     */
+    async handleJudgeResult(message) {
+      const pending = this.pendingJudgements.get(message.id);
+      if (!pending) {
+        debugLog(`[LeetCode] Judge result for unknown ${message.kind} ${message.id} - ignoring`);
+        return;
+      }
+      this.pendingJudgements.delete(message.id);
 
-    async handleRunAttempt() {
       try {
-        this.runCounter++;
-        debugLog(`[LeetCode Run Counter] Run attempt #${this.runCounter}`);
-
-        const code = await this.getCurrentCode();
-        const language = await this.getCurrentLanguage();
-
-        DSAUtils.logDebug(PLATFORM, `Extracted code length: ${code ? code.length : 0}, language: ${language}`);
-
-        if (code && code.length > 10) {
-          const attempt = {
-            code,
-            language,
-            timestamp: new Date().toISOString(),
-            type: 'run',
-            runNumber: this.runCounter,
-            successful: null // Will be determined by result observation
-          };
-
-          this.attempts.push(attempt);
-          debugLog(`[LeetCode Run Counter] Stored run attempt #${this.runCounter}`);
-
-          // Save state after adding attempt
-          await this.savePersistedState();
-
-          // Start observing for run results
-          await this.observeRunResult(attempt);
+        const { attempt } = pending;
+        const result = LeetCodeJudge.parseResult(message.data, { kind: message.kind, dataInput: pending.dataInput });
+        DSAUtils.logDebug(PLATFORM, `Judge result for ${message.kind} ${message.id}: ${result.status}`);
+
+        attempt.successful = result.accepted;
+        attempt.status = result.status;
+        attempt.result = {
+          runtime: result.runtime,
+          memory: result.memory,
+          runtimePercentile: result.runtimePercentile,
+          memoryPercentile: result.memoryPercentile,
+          passedTestCases: result.passedTestCases,
+          totalTestCases: result.totalTestCases
+        };
+        attempt.failure = LeetCodeJudge.toFailure(result);
 
-        } else {
-          debugLog(`[LeetCode Run Counter] Run #${this.runCounter} - Code too short or empty`);
+        if (message.kind === LEETCODE_JUDGE_KINDS.RUN && !result.accepted) {
+          this.incorrectRunCounter++;
+          debugLog(`[LeetCode Run Counter] Run #${attempt.runNumber} - FAILED (${result.status})`);
+          debugLog(`[LeetCode Run Counter] Total failed runs: ${this.incorrectRunCounter}`);
         }
-      } catch (error) {
-        DSAUtils.logError(PLATFORM, 'Error storing run attempt', error);
-      }
-    }
 
-    async observeRunResult(attempt) {
-      // Look for run results to determine if the run was successful
-      const checkRunResult = async () => {
-        // Updated LeetCode selectors for run results
-        const resultSelectors = [
-          '[data-e2e-locator="console-result"]',
-          '[data-e2e-locator="console-panel"]',
-          '.result-container',
-          '.console-wrapper',
-          '.result__3-aA',
-          '[class*="result"]',
-          '[class*="console"]',
-          '.code-output',
-          '.execution-result'
-        ];
-
-        for (const selector of resultSelectors) {
-          const resultElement = document.querySelector(selector);
-          if (resultElement && resultElement.textContent) {
-            const resultText = resultElement.textContent.toLowerCase();
-            DSAUtils.logDebug(PLATFORM, `Checking result text: "${resultText.substring(0, 100)}..."`);
-
-            // Check for successful run indicators
-            if (resultText.includes('accepted') ||
-              resultText.includes('success') ||
-              resultText.includes('correct') ||
-              resultText.includes('case passed') ||
-              (resultText.includes('runtime:') && resultText.includes('memory:')) ||
-              (resultText.includes('output') && !resultText.includes('expected') && !resultText.includes('wrong'))) {
-
-              // Guard against multiple increments for the same attempt
-              if (attempt.successful !== true) {
-                attempt.successful = true;
-                debugLog(`[LeetCode Run Counter] Run #${attempt.runNumber} - SUCCESS (Expected output matched)`);
-
-                // Save state after successful attempt
-                await this.savePersistedState();
-              } else {
-                DSAUtils.logDebug(PLATFORM, `Run #${attempt.runNumber} already marked as successful - skipping`);
-              }
-
-              return true;
-            }
+        await this.savePersistedState();
 
-            // Check for failure indicators
-            if (resultText.includes('wrong answer') ||
-              resultText.includes('time limit exceeded') ||
-              resultText.includes('runtime error') ||
-              resultText.includes('compilation error') ||
-              resultText.includes('expected:') ||
-              resultText.includes('output:') && resultText.includes('expected:') ||
-              resultText.includes('failed') ||
-              resultText.includes('error') ||
-              resultText.includes('incorrect')) {
-
-              // Guard against multiple increments for the same attempt
-              if (attempt.successful !== false) {
-                attempt.successful = false;
-                this.incorrectRunCounter++;
-                debugLog(`[LeetCode Run Counter] Run #${attempt.runNumber} - FAILED (Incorrect output)`);
-                debugLog(`[LeetCode Run Counter] Total failed runs: ${this.incorrectRunCounter}/3`);
-
-                // Save state after failed attempt
-                await this.savePersistedState();
-
-                // Check if we've reached 3 failed runs
-                if (this.incorrectRunCounter >= 2 && !this.hasAnalyzedMistakes) {
-                  this.handleThreeIncorrectRuns();
-                }
-              } else {
-                DSAUtils.logDebug(PLATFORM, `Run #${attempt.runNumber} already marked as failed - skipping increment`);
-              }
-              return true;
-            }
+        if (message.kind === LEETCODE_JUDGE_KINDS.RUN) {
+          if (!this.hasAnalyzedMistakes && this.incorrectRunCounter >= await LLMProvider.getFailureThreshold()) {
+            this.handleFailureThreshold();
           }
+        } else if (result.accepted) {
+          await this.handleSuccessfulSubmission(attempt, result);
         }
-        return false;
-      };
-
-      // Check immediately and then set up observer
-      const initialResult = await checkRunResult();
-      if (!initialResult) {
-        let checkCount = 0;
-        const observer = new MutationObserver(async () => {
-          checkCount++;
-          if (await checkRunResult()) {
-            DSAUtils.logDebug(PLATFORM, `Result detected after ${checkCount} mutations`);
-            clearInterval(periodicCheck);
-            observer.disconnect();
-          }
-        });
-
-        observer.observe(document.body, {
-          childList: true,
-          subtree: true
-        });
-
-        // Also check periodically in case mutation observer misses changes
-        const periodicCheck = setInterval(async () => {
-          if (await checkRunResult()) {
-            DSAUtils.logDebug(PLATFORM, `Result detected via periodic check`);
-            clearInterval(periodicCheck);
-            observer.disconnect();
-          }
-        }, 1000);
-
-        // Stop observing after 15 seconds to prevent memory leaks
-        setTimeout(async () => {
-          observer.disconnect();
-          clearInterval(periodicCheck);
-          if (attempt.successful === null) {
-            // If we can't determine the result, assume it's a failed run for safety
-            attempt.successful = false;
-            this.incorrectRunCounter++;
-            debugLog(`[LeetCode Run Counter] Run #${attempt.runNumber} - TIMEOUT → Counted as FAILED (safety measure)`);
-            debugLog(`[LeetCode Run Counter] Total failed runs: ${this.incorrectRunCounter}/3`);
-
-            // Save state after failed attempt
-            await this.savePersistedState();
-
-            // Check if we've reached 3 failed runs
-            if (this.incorrectRunCounter >= 3 && !this.hasAnalyzedMistakes) {
-              this.handleThreeIncorrectRuns();
-            }
-          }
-        }, 15000);
+      } catch (error) {
+        DSAUtils.logError(PLATFORM, 'Error handling judge result', error);
       }
     }
 
-    async handleThreeIncorrectRuns() {
-      // Just set flag - Gemini analysis will run on successful submit before backend push
-      debugLog(`[LeetCode] 3 failed runs detected - flagging for Gemini analysis on submit`);
+    async handleFailureThreshold() {
+      // Just set flag - mistake analysis will run on successful submit before backend push
+      debugLog(`[LeetCode] ${this.incorrectRunCounter} failed runs - flagging for mistake analysis on submit`);
       this.hasAnalyzedMistakes = true;
       this.shouldAnalyzeWithGemini = true;
       await this.savePersistedState({
@@ -929,16 +724,41 @@
       return null;
     }
 
-    async handleSuccessfulSubmission(submissionAttempt = null) {
+    // Analysis run from the side panel, kept for the solve like one made on submit
+    async keepMistakeAnalysis(result) {
+      this.aiAnalysis = result.analysis;
+      this.aiTags = result.tags || [];
+      this.aiAnalysisDetails = result.details || null;
+      await this.savePersistedState({ aiAnalysisDetails: this.aiAnalysisDetails });
+    }
+
+    // AI time/space complexity of the accepted code; null when no provider is set up or the call fails
+    async analyzeComplexity(problemInfo) {
       try {
-        debugLog(`[LeetCode Submission] SUCCESSFUL SUBMISSION DETECTED`);
-        debugLog(`[LeetCode Stats] Total runs: ${this.runCounter}, Failed runs: ${this.incorrectRunCounter}`);
+        const llm = await LLMProvider.create();
+        if (!(await llm.initialize())) {
+          debugLog(`[LeetCode] ${llm.providerName} not configured - skipping complexity analysis`);
+          return null;
+        }
 
-        // Wait a bit for performance data to load
-        await DSAUtils.sleep(2000);
+        const result = await llm.analyzeComplexity(problemInfo);
+        if (!result.success) {
+          debugLog(`[LeetCode] Complexity analysis failed: ${result.error}`);
+          return null;
+        }
 
-        // Extract performance metrics
-        const stats = this.extractPerformanceStats();
+        debugLog(`[LeetCode] Complexity: time ${result.complexity.time}, space ${result.complexity.space}`);
+        return result.complexity;
+      } catch (error) {
+        debugError(`[LeetCode] Complexity analysis error:`, error);
+        return null;
+      }
+    }
+
+    async handleSuccessfulSubmission(submissionAttempt = null, judgeResult = null) {
+      try {
+        debugLog(`[LeetCode Submission] SUCCESSFUL SUBMISSION DETECTED`);
+        debugLog(`[LeetCode Stats] Total runs: ${this.runCounter}, Failed runs: ${this.incorrectRunCounter}`);
 
         // Get updated problem info
         const problemInfo = await this.extractProblemInfo();
@@ -947,8 +767,14 @@
           return;
         }
 
-        // Add performance stats
-        problemInfo.stats = stats;
+        // The judge response has exact performance numbers, and the submitted code is what was accepted
+        if (judgeResult) {
+          problemInfo.stats = LeetCodeJudge.toStats(judgeResult);
+        }
+        if (submissionAttempt?.code) {
+          problemInfo.code = submissionAttempt.code;
+          problemInfo.language = submissionAttempt.language;
+        }
 
         // Case 1: Normal successful submission (push to backend first, then GitHub)
         debugLog(`[LeetCode Submission] UPDATED VERSION - Pushing successful solution to backend and GitHub...`);
@@ -960,7 +786,7 @@
             latestAttempt.successful = true;
           }
         } else if (attemptsToPersist.length > 0) {
-          // Mark the last attempt as successful if we triggered from observer fallback
+          // Mark the last attempt as successful when called without the judged attempt
           const lastAttempt = attemptsToPersist[attemptsToPersist.length - 1];
           if (lastAttempt && lastAttempt.type === 'submit') {
             lastAttempt.successful = true;
@@ -974,40 +800,51 @@
         const submissionCount = attemptsToPersist.filter(a => a.type === 'submit').length;
         const totalTries = (submissionCount > 0 ? submissionCount : this.runCounter + 1);
 
-        // Step 0: Run Gemini analysis if flagged (before backend push)
+        // Step 0: Run mistake analysis if flagged (before backend push)
         if (this.shouldAnalyzeWithGemini) {
-          debugLog(`[LeetCode Submission] Step 0: Running Gemini analysis before backend push...`);
+          debugLog(`[LeetCode Submission] Step 0: Running mistake analysis before backend push...`);
           try {
-            const geminiAPI = new GeminiAPI();
-            const geminiConfigured = await geminiAPI.initialize();
+            const llm = await LLMProvider.create();
+            const llmConfigured = await llm.initialize();
 
-            if (geminiConfigured) {
-              // Send ALL attempts (not just failed) to Gemini for full context
+            if (llmConfigured) {
+              // Send ALL attempts (not just failed) for full context
               const allAttempts = this.attempts.filter(a => a.code && a.code.length > 10);
-              debugLog(`[LeetCode] Sending ${allAttempts.length} code iterations to Gemini`);
+              debugLog(`[LeetCode] Sending ${allAttempts.length} code iterations to ${llm.providerName}`);
 
-              const geminiResult = await geminiAPI.analyzeMistakes(allAttempts, problemInfo);
+              const analysisResult = await llm.analyzeMistakes(allAttempts, problemInfo);
 
-              if (geminiResult.success) {
-                this.aiAnalysis = geminiResult.analysis;
-                this.aiTags = geminiResult.tags || [];
-                debugLog(`[LeetCode] Gemini analysis complete. Tags: ${this.aiTags.join(', ')}`);
+              if (analysisResult.success) {
+                this.aiAnalysis = analysisResult.analysis;
+                this.aiTags = analysisResult.tags || [];
+                this.aiAnalysisDetails = analysisResult.details || null;
+                debugLog(`[LeetCode] ${llm.providerName} analysis complete. Tags: ${this.aiTags.join(', ')}`);
               } else {
-                debugLog(`[LeetCode] Gemini analysis failed: ${geminiResult.error}`);
+                debugLog(`[LeetCode] ${llm.providerName} analysis failed: ${analysisResult.error}`);
               }
             } else {
-              debugLog(`[LeetCode] Gemini API key not configured - skipping analysis`);
+              debugLog(`[LeetCode] ${llm.providerName} not configured - skipping analysis`);
             }
           } catch (error) {
-            debugError(`[LeetCode] Gemini analysis error:`, error);
-            // Continue with submission even if Gemini fails
+            debugError(`[LeetCode] Mistake analysis error:`, error);
+            // Continue with submission even if the analysis fails
           }
         }
 
+        // Complexity of the accepted code, stored with the solve for GitHub and the backend
+        problemInfo.complexity = await this.analyzeComplexity(problemInfo);
+
         // Store problem data with AI analysis (will be picked up by backend push)
-        await this.storeProblemData(problemInfo, true, totalTries);
+        const storedProblem = await this.storeProblemData(problemInfo, true, totalTries);
         debugLog(`[LeetCode Submission] Stored problem as solved with ${totalTries} tries`);
 
+        // First solves and re-solves both move the problem along its review schedule
+        try {
+          await new RevisionScheduler().recordSolve(`problem_data_${this.getCurrentProblemUrl()}`, storedProblem);
+        } catch (error) {
+          debugError('[LeetCode] Error updating revision schedule:', error);
+        }
+
         // Step 1: Push to Backend API
         debugLog(`[LeetCode Submission] Step 1: Pushing to backend...`);
         debugLog(`[LeetCode Debug] BackendAPI available:`, typeof BackendAPI !== 'undefined');
@@ -1048,7 +885,11 @@
             debugLog(`[LeetCode Submission] Backend push failed: ${backendResult.error}`);
             // Show error toast
             if (window.LeetFeedbackToast) {
-              window.LeetFeedbackToast.error(`Sync failed: ${backendResult.error}`);
+              if (backendResult.queued) {
+                window.LeetFeedbackToast.info('Sync failed - queued to retry automatically');
+              } else {
+                window.LeetFeedbackToast.error(`Sync failed: ${backendResult.error}`);
+              }
             }
             // Continue with GitHub push even if backend fails
           }
@@ -1072,9 +913,21 @@
         if (githubPushEnabled) {
           // Step 2: Push to GitHub (normal solution)
           debugLog(`[LeetCode Submission] Step 2: Pushing to GitHub...`);
-          const result = await githubAPI.pushSolution(problemInfo, PLATFORM);
+          const result = await githubAPI.pushSolution(problemInfo, PLATFORM, this.getCurrentProblemUrl());
 
-          if (result.success) {
+          // A queued push is stored locally and replayed by the background worker
+          if (result.queued) {
+            debugLog(`[LeetCode Submission] GitHub push queued for retry:`, result.error);
+            if (window.LeetFeedbackToast) {
+              window.LeetFeedbackToast.info(`${githubAPI.providerName} push failed - queued to retry automatically`);
+            }
+          }
+
+          if (result.pullRequest && window.LeetFeedbackToast) {
+            window.LeetFeedbackToast.success(`Pull request #${result.pullRequest.number} is ready for review`);
+          }
+
+          if (result.success || result.queued) {
             debugLog(`[LeetCode Submission] Solution pushed to GitHub successfully!`);
 
             // Reset counters after successful submission
@@ -1084,9 +937,9 @@
             this.hasAnalyzedMistakes = false;
             this.shouldAnalyzeWithGemini = false;
             this.submitCounter = 0;
-            this.currentSubmissionAttempt = null;
             this.aiAnalysis = null;
             this.aiTags = [];
+            this.aiAnalysisDetails = null;
 
             await this.savePersistedState({
               attempts: attemptsToPersist,
@@ -1110,9 +963,9 @@
           this.hasAnalyzedMistakes = false;
           this.shouldAnalyzeWithGemini = false;
           this.submitCounter = 0;
-          this.currentSubmissionAttempt = null;
           this.aiAnalysis = null;
           this.aiTags = [];
+          this.aiAnalysisDetails = null;
 
           await this.savePersistedState({
             attempts: attemptsToPersist,
@@ -1130,31 +983,52 @@
         DSAUtils.logError(PLATFORM, 'Error handling submission', error);
       }
     }
+  }
 
-    extractPerformanceStats() {
-      const stats = {};
+  // Past accepted submissions, imported on request from the side panel
+  let backfill = null;
 
-      const runtimeElement = document.querySelector('[class*="runtime"]');
-      if (runtimeElement) {
-        stats.runtime = runtimeElement.textContent.trim();
-      }
+  function setupBackfill() {
+    if (backfill) return;
+    backfill = new LeetCodeBackfill({ baseURL: window.location.origin, pushSolution: pushBackfilledSolution });
 
-      const memoryElement = document.querySelector('[class*="memory"]');
-      if (memoryElement) {
-        stats.memory = memoryElement.textContent.trim();
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message?.type === 'LEETCODE_BACKFILL_START') {
+        startBackfill(message.restart === true).then(sendResponse);
+        return true;
       }
-
-      const beatsElements = document.querySelectorAll('[class*="beats"]');
-      if (beatsElements.length > 0) {
-        stats.beats = Array.from(beatsElements)
-          .map(el => el.textContent.trim())
-          .join(', ');
+      if (message?.type === 'LEETCODE_BACKFILL_STOP') {
+        backfill.stop();
+        sendResponse({ success: true });
       }
+      return false;
+    });
+  }
+
+  async function startBackfill(restart) {
+    // Only one tab imports at a time; a tab that closed mid-import leaves stale progress behind
+    const progress = await backfill.getProgress();
+    if (!backfill.isRunning() && progress?.status === LEETCODE_BACKFILL_STATUS.RUNNING && !LeetCodeBackfill.isStale(progress)) {
+      return { success: false, error: 'An import is already running in another LeetCode tab' };
+    }
+
+    backfill.run({ restart });
+    return { success: true };
+  }
 
-      return stats;
+  // Same order as a live solve: backend first, then the Git provider when pushing is enabled
+  async function pushBackfilledSolution(slug, problemInfo) {
+    const backendResult = await backendAPI.pushCurrentProblemData(slug);
+    if (!backendResult.success) {
+      debugLog(`[LeetCode Backfill] Backend push failed for ${slug}: ${backendResult.error}`);
     }
 
+    const githubSettings = await chrome.storage.sync.get(['github_push_enabled']);
+    if (githubSettings.github_push_enabled === false) {
+      return { success: true };
+    }
 
+    return githubAPI.pushSolution(problemInfo, PLATFORM, slug);
   }
 
   // Initialize when DOM is ready
@@ -1182,6 +1056,7 @@
     }
 
     await extractorInstance.initialize();
+    setupBackfill();
   }
 
 })();
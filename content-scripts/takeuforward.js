@@ -34,12 +34,13 @@
       this.shouldAnalyzeWithGemini = false;
       this.aiAnalysis = null;
       this.aiTags = [];
+      this.aiAnalysisDetails = null;
     }
 
     async initialize() {
       try {
         // Initialize GitHub API
-        githubAPI = new GitHubAPI();
+        githubAPI = await GitProvider.create();
         await githubAPI.initialize();
 
         // Initialize Backend API
@@ -55,6 +56,19 @@
         const problemSlug = this.getProblemSlugFromUrl();
         if (window.ProblemTimer && problemSlug) {
           window.ProblemTimer.getInstance().startTimer(problemSlug);
+
+          // The editor is only read on run/submit, so hints see the latest captured code
+          window.ProblemTimer.getInstance().setHintSource(async () => {
+            await this.fetchQuestionDetails();
+            const lastAttempt = this.attempts[this.attempts.length - 1];
+            return {
+              title: QUES,
+              description: DESCRIPTION,
+              code: lastAttempt?.code || PUBLIC_CODE,
+              language: lastAttempt?.language || SELECTED_LANGUAGE,
+              storageKey: `problem_data_${window.location.href.split('?')[0]}`
+            };
+          });
         }
 
         DSAUtils.logDebug(PLATFORM, 'TakeUforward extractor initialized');
@@ -74,6 +88,21 @@
 
       // Track user activity
       this.setupActivityTracking();
+
+      // Mistake analysis requested from the side panel
+      this.setupAnalysisListener();
+    }
+
+    setupAnalysisListener() {
+      MistakeAnalysis.listen({
+        label: 'TakeUforward',
+        getAttempts: () => this.attempts,
+        getProblem: async () => {
+          await this.fetchQuestionDetails();
+          return { title: QUES, description: DESCRIPTION };
+        },
+        onResult: (result) => this.keepMistakeAnalysis(result)
+      });
     }
 
     observeUrlChanges() {
@@ -92,6 +121,7 @@
           this.shouldAnalyzeWithGemini = false;
           this.aiAnalysis = null;
           this.aiTags = [];
+          this.aiAnalysisDetails = null;
 
           // Reset the unified problem timer
           if (window.ProblemTimer) {
@@ -174,6 +204,13 @@
           // Find the most recent run attempt and mark it
           const lastAttempt = this.attempts.filter(a => a.type === 'run').pop();
           if (lastAttempt && lastAttempt.successful === null) {
+            lastAttempt.status = runResult.status;
+            lastAttempt.result = {
+              passedTestCases: runResult.passedTestCases,
+              totalTestCases: runResult.totalTestCases
+            };
+            lastAttempt.failure = runResult.failure || null;
+
             if (runResult.success === true || runResult.status === 'Accepted') {
               lastAttempt.successful = true;
               debugLog(`[TakeUforward] Run #${lastAttempt.runNumber} - SUCCESS`);
@@ -181,11 +218,11 @@
               lastAttempt.successful = false;
               this.incorrectRunCounter++;
               debugLog(`[TakeUforward] Run #${lastAttempt.runNumber} - FAILED`);
-              debugLog(`[TakeUforward] Total failed runs: ${this.incorrectRunCounter}/3`);
+              debugLog(`[TakeUforward] Total failed runs: ${this.incorrectRunCounter}`);
 
-              // Check if we've reached 3 failed runs
-              if (this.incorrectRunCounter >= 2 && !this.hasAnalyzedMistakes) {
-                this.handleThreeIncorrectRuns();
+              // Check if we've reached the failure threshold
+              if (!this.hasAnalyzedMistakes && this.incorrectRunCounter >= await LLMProvider.getFailureThreshold()) {
+                this.handleFailureThreshold();
               }
             }
           }
@@ -201,12 +238,32 @@
             await this.handleSuccessfulSubmission(submissionData);
           } else {
             debugLog('[TakeUforward] Submission was not successful. Status:', submissionData.status);
+
+            if (PUBLIC_CODE) {
+              this.attempts.push({
+                code: PUBLIC_CODE,
+                language: SELECTED_LANGUAGE,
+                timestamp: new Date().toISOString(),
+                type: 'submit',
+                submissionNumber: TRIES,
+                successful: false,
+                status: submissionData.status,
+                result: {
+                  runtime: submissionData.averageTime,
+                  memory: submissionData.averageMemory,
+                  passedTestCases: submissionData.passedTestCases,
+                  totalTestCases: submissionData.totalTestCases
+                },
+                failure: submissionData.failure || null
+              });
+            }
+
             // Count failed submissions as failed runs too
             this.incorrectRunCounter++;
-            debugLog(`[TakeUforward] Total failed attempts: ${this.incorrectRunCounter}/3`);
+            debugLog(`[TakeUforward] Total failed attempts: ${this.incorrectRunCounter}`);
 
-            if (this.incorrectRunCounter >= 3 && !this.hasAnalyzedMistakes) {
-              this.handleThreeIncorrectRuns();
+            if (!this.hasAnalyzedMistakes && this.incorrectRunCounter >= await LLMProvider.getFailureThreshold()) {
+              this.handleFailureThreshold();
             }
           }
         }
@@ -229,7 +286,7 @@
     pollForQuestionDetails() {
       const pollInterval = setInterval(() => {
         debugLog('[TakeUforward] Polling for question details...');
-        this.fetchQuestionDetails();
+        this.fetchQuestionDetails(0);
 
         if (QUES && DESCRIPTION) {
           debugLog('[TakeUforward] Question details found, stopping poll');
@@ -250,11 +307,21 @@
       }
     }
 
-    fetchQuestionDetails() {
+    /**
+     * Read the question title, description and difficulty into QUES / DESCRIPTION / DIFFICULTY
+     * @param {number} timeout - How long to wait (ms) for the question to render before giving up
+     */
+    async fetchQuestionDetails(timeout = 5000) {
       debugLog('📖 [TakeUforward] Fetching question details...');
 
-      const headingElem = document.querySelector('h1.text-xl.font-bold');
-      const paragraphElem = document.querySelector('.tuf-text-14');
+      const deadline = Date.now() + timeout;
+      let headingElem = document.querySelector('h1.text-xl.font-bold');
+      let paragraphElem = document.querySelector('.tuf-text-14');
+      while ((!headingElem || !paragraphElem) && Date.now() < deadline) {
+        await DSAUtils.sleep(250);
+        headingElem = document.querySelector('h1.text-xl.font-bold');
+        paragraphElem = document.querySelector('.tuf-text-14');
+      }
 
       if (headingElem && paragraphElem) {
         QUES = headingElem.textContent?.trim() || "";
@@ -276,7 +343,7 @@
     async extractProblemInfo() {
       try {
         // Make sure we have latest question details
-        this.fetchQuestionDetails();
+        await this.fetchQuestionDetails();
 
         // Try to get stored code data if not in memory
         if (!PUBLIC_CODE || !SELECTED_LANGUAGE || !PROBLEM_SLUG) {
@@ -406,8 +473,12 @@
           // Gemini analysis data
           aiAnalysis: this.aiAnalysis || null,
           aiTags: this.aiTags || [],
+          aiAnalysisDetails: this.aiAnalysisDetails || existingData.aiAnalysisDetails || null,
+          // Only accepted submissions carry a fresh complexity; other writes keep the last one
+          complexityAnalysis: problemInfo.complexity !== undefined ? problemInfo.complexity : existingData.complexityAnalysis || null,
           shouldAnalyzeWithGemini: this.shouldAnalyzeWithGemini || false,
           // Run tracking
+          attempts: this.attempts || [],
           runCounter: this.runCounter || 0,
           incorrectRunCounter: this.incorrectRunCounter || 0,
           timestamp: new Date().toISOString()
@@ -423,13 +494,57 @@
       }
     }
 
-    async handleThreeIncorrectRuns() {
-      // Just set flag - Gemini analysis will run on successful submit before backend push
-      debugLog(`[TakeUforward] 3 failed runs detected - flagging for Gemini analysis on submit`);
+    async handleFailureThreshold() {
+      // Just set flag - mistake analysis will run on successful submit before backend push
+      debugLog(`[TakeUforward] ${this.incorrectRunCounter} failed runs - flagging for mistake analysis on submit`);
       this.hasAnalyzedMistakes = true;
       this.shouldAnalyzeWithGemini = true;
     }
 
+    // Analysis run from the side panel, kept for the solve like one made on submit
+    async keepMistakeAnalysis(result) {
+      this.aiAnalysis = result.analysis;
+      this.aiTags = result.tags || [];
+      this.aiAnalysisDetails = result.details || null;
+
+      // Problems get a record on their first accepted submit; until then the result waits in memory
+      const storageKey = `problem_data_${window.location.href.split('?')[0]}`;
+      const { [storageKey]: problemData } = await chrome.storage.local.get([storageKey]);
+      if (problemData) {
+        await chrome.storage.local.set({
+          [storageKey]: {
+            ...problemData,
+            aiAnalysis: this.aiAnalysis,
+            aiTags: this.aiTags,
+            aiAnalysisDetails: this.aiAnalysisDetails
+          }
+        });
+      }
+    }
+
+    // AI time/space complexity of the accepted code; null when no provider is set up or the call fails
+    async analyzeComplexity(problemInfo) {
+      try {
+        const llm = await LLMProvider.create();
+        if (!(await llm.initialize())) {
+          debugLog(`[TakeUforward] ${llm.providerName} not configured - skipping complexity analysis`);
+          return null;
+        }
+
+        const result = await llm.analyzeComplexity(problemInfo);
+        if (!result.success) {
+          debugLog(`[TakeUforward] Complexity analysis failed: ${result.error}`);
+          return null;
+        }
+
+        debugLog(`[TakeUforward] Complexity: time ${result.complexity.time}, space ${result.complexity.space}`);
+        return result.complexity;
+      } catch (error) {
+        debugError(`[TakeUforward] Complexity analysis error:`, error);
+        return null;
+      }
+    }
+
     async handleSuccessfulSubmission(submissionData) {
       try {
         debugLog('[TakeUforward] SUCCESSFUL SUBMISSION DETECTED');
@@ -469,43 +584,54 @@
           topics: problemInfo.topics
         });
 
+        // Complexity of the accepted code, stored with the solve for GitHub and the backend
+        problemInfo.complexity = await this.analyzeComplexity(problemInfo);
+
         // Store problem as solved BEFORE pushing to backend
         await this.storeProblemData(problemInfo, true);
         debugLog('[TakeUforward] Stored problem as solved');
 
-        // Step 0: Run Gemini analysis if flagged (before backend push)
+        // Step 0: Run mistake analysis if flagged (before backend push)
         if (this.shouldAnalyzeWithGemini) {
-          debugLog(`[TakeUforward] Step 0: Running Gemini analysis before backend push...`);
+          debugLog(`[TakeUforward] Step 0: Running mistake analysis before backend push...`);
           try {
-            const geminiAPI = new GeminiAPI();
-            const geminiConfigured = await geminiAPI.initialize();
+            const llm = await LLMProvider.create();
+            const llmConfigured = await llm.initialize();
 
-            if (geminiConfigured) {
-              // Send ALL attempts (not just failed) to Gemini for full context
+            if (llmConfigured) {
+              // Send ALL attempts (not just failed) for full context
               const allAttempts = this.attempts.filter(a => a.code && a.code.length > 10);
-              debugLog(`[TakeUforward] Sending ${allAttempts.length} code iterations to Gemini`);
+              debugLog(`[TakeUforward] Sending ${allAttempts.length} code iterations to ${llm.providerName}`);
 
-              const geminiResult = await geminiAPI.analyzeMistakes(allAttempts, problemInfo);
+              const analysisResult = await llm.analyzeMistakes(allAttempts, problemInfo);
 
-              if (geminiResult.success) {
-                this.aiAnalysis = geminiResult.analysis;
-                this.aiTags = geminiResult.tags || [];
-                debugLog(`[TakeUforward] Gemini analysis complete. Tags: ${this.aiTags.join(', ')}`);
+              if (analysisResult.success) {
+                this.aiAnalysis = analysisResult.analysis;
+                this.aiTags = analysisResult.tags || [];
+                this.aiAnalysisDetails = analysisResult.details || null;
+                debugLog(`[TakeUforward] ${llm.providerName} analysis complete. Tags: ${this.aiTags.join(', ')}`);
 
                 // Update stored problem data with AI analysis
                 await this.storeProblemData(problemInfo, true);
               } else {
-                debugLog(`[TakeUforward] Gemini analysis failed: ${geminiResult.error}`);
+                debugLog(`[TakeUforward] ${llm.providerName} analysis failed: ${analysisResult.error}`);
               }
             } else {
-              debugLog(`[TakeUforward] Gemini API key not configured - skipping analysis`);
+              debugLog(`[TakeUforward] ${llm.providerName} not configured - skipping analysis`);
             }
           } catch (error) {
-            debugError(`[TakeUforward] Gemini analysis error:`, error);
-            // Continue with submission even if Gemini fails
+            debugError(`[TakeUforward] Mistake analysis error:`, error);
+            // Continue with submission even if the analysis fails
           }
         }
 
+        // First solves and re-solves both move the problem along its review schedule (AI tags included)
+        try {
+          await new RevisionScheduler().recordSolve(`problem_data_${problemInfo.url}`);
+        } catch (error) {
+          debugError('[TakeUforward] Error updating revision schedule:', error);
+        }
+
         // Step 1: Push to Backend API
         debugLog('[TakeUforward] Step 1: Pushing to backend...');
         
@@ -540,7 +666,11 @@
             debugLog('[TakeUforward] Backend push failed:', backendResult.error);
             // Show error toast
             if (window.LeetFeedbackToast) {
-              window.LeetFeedbackToast.error(`Sync failed: ${backendResult.error}`);
+              if (backendResult.queued) {
+                window.LeetFeedbackToast.info('Sync failed - queued to retry automatically');
+              } else {
+                window.LeetFeedbackToast.error(`Sync failed: ${backendResult.error}`);
+              }
             }
           }
         } catch (error) {
@@ -562,9 +692,21 @@
         if (githubPushEnabled) {
           // Step 2: Push to GitHub
           debugLog('[TakeUforward] Step 2: Pushing to GitHub...');
-          const githubResult = await githubAPI.pushSolution(problemInfo, PLATFORM);
+          const githubResult = await githubAPI.pushSolution(problemInfo, PLATFORM, problemInfo.url);
+
+          // A queued push is stored locally and replayed by the background worker
+          if (githubResult.queued) {
+            debugLog('[TakeUforward] GitHub push queued for retry:', githubResult.error);
+            if (window.LeetFeedbackToast) {
+              window.LeetFeedbackToast.info(`${githubAPI.providerName} push failed - queued to retry automatically`);
+            }
+          }
+
+          if (githubResult.pullRequest && window.LeetFeedbackToast) {
+            window.LeetFeedbackToast.success(`Pull request #${githubResult.pullRequest.number} is ready for review`);
+          }
 
-          if (githubResult.success) {
+          if (githubResult.success || githubResult.queued) {
             debugLog('[TakeUforward] GitHub push successful!');
 
             // Clear stored code data after successful push
@@ -582,6 +724,7 @@
             this.shouldAnalyzeWithGemini = false;
             this.aiAnalysis = null;
             this.aiTags = [];
+            this.aiAnalysisDetails = null;
           } else {
             debugError('[TakeUforward] GitHub push failed:', githubResult.error);
           }
@@ -599,6 +742,7 @@
           this.shouldAnalyzeWithGemini = false;
           this.aiAnalysis = null;
           this.aiTags = [];
+          this.aiAnalysisDetails = null;
         }
 
       } catch (error) {
@@ -26,6 +26,48 @@ function spError(...args) {
   }
 }
 
+// Retry queues shown in the Settings tab
+const SYNC_QUEUES = [
+  { key: RETRY_QUEUE_KEYS.BACKEND, name: "Traverse" },
+  { key: RETRY_QUEUE_KEYS.GITHUB, name: "GitHub" },
+];
+
+// Shared AI provider inputs: element id and storage key suffix (openai_base_url, ...)
+const LLM_SETTING_FIELDS = {
+  baseUrl: { input: "llm-base-url", suffix: "base_url" },
+  apiKey: { input: "llm-api-key", suffix: "api_key" },
+  model: { input: "llm-model", suffix: "model" },
+};
+
+// Fields each non-Gemini provider uses, with the default an empty field falls back to
+const LLM_PROVIDER_FIELDS = {
+  [LLM_PROVIDERS.OPENAI]: {
+    baseUrl: OPENAI_DEFAULT_URL,
+    apiKey: "sk-...",
+    model: "gpt-4o-mini",
+    keyHelp: "Required for api.openai.com, optional for local servers",
+  },
+  [LLM_PROVIDERS.ANTHROPIC]: {
+    apiKey: "sk-ant-...",
+    model: "claude-3-5-haiku-latest",
+    keyHelp: "From console.anthropic.com",
+  },
+  [LLM_PROVIDERS.OLLAMA]: {
+    baseUrl: OLLAMA_DEFAULT_URL,
+    model: "llama3.1",
+    urlHelp: "Start Ollama with OLLAMA_ORIGINS=chrome-extension://*, then grant access with Test provider below",
+  },
+};
+
+// Example problem used to preview path templates
+const TEMPLATE_PREVIEW_PROBLEM = {
+  title: "1. Two Sum",
+  number: "1",
+  difficulty: "Easy",
+  language: "cpp",
+  topics: ["Array", "Hash Table"],
+};
+
 class PopupController {
   constructor() {
     this.config = {};
@@ -44,6 +86,14 @@ class PopupController {
     this.initializeChromaText();
     this.checkForUpdates();
     this.updateSessionStatus();
+    this.renderSyncQueue();
+    this.renderBackfill();
+    this.renderAttemptHistory();
+    this.renderRevisionsDue();
+    this.renderProblemHistory();
+    this.renderStats();
+    this.initializeMarkdownTemplates();
+    this.renderGitHubOAuth();
   }
 
   initializeChromaText() {
@@ -74,7 +124,7 @@ class PopupController {
     // Debounced save for config form
     const debouncedSave = this.debounce(() => this.saveConfiguration(), 500);
 
-    ["token", "owner", "repo", "gemini-key", "branch"].forEach((id) => {
+    ["token", "owner", "repo", "gemini-key", "branch", "provider-url", "provider-token", "llm-base-url", "llm-api-key", "llm-model"].forEach((id) => {
       const element = document.getElementById(id);
       if (element) {
         element.addEventListener("input", () => {
@@ -83,6 +133,135 @@ class PopupController {
       }
     });
 
+    // Path templates: live preview on every keystroke, saved only when valid
+    const debouncedTemplateSave = this.debounce(() => this.saveTemplates(), 500);
+    ["path-template", "filename-template"].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.addEventListener("input", () => {
+          if (this.updateTemplatePreview()) {
+            debouncedTemplateSave();
+          }
+        });
+      }
+    });
+
+    // Git provider: GitHub, GitLab or Gitea
+    const providerSelect = document.getElementById("git-provider");
+    if (providerSelect) {
+      providerSelect.addEventListener("change", () => {
+        // Keep what was typed for the previous provider before its inputs are refilled
+        const previous = this.config.provider;
+        if (previous !== GIT_PROVIDERS.GITHUB) {
+          this.config[`${previous}Url`] = document.getElementById("provider-url").value.trim();
+          this.config[`${previous}Token`] = document.getElementById("provider-token").value.trim();
+          chrome.storage.sync.set({
+            [`${previous}_url`]: this.config[`${previous}Url`],
+            [`${previous}_token`]: this.config[`${previous}Token`],
+          });
+        }
+
+        this.config.provider = providerSelect.value;
+        this.showProviderFields();
+        this.saveConfiguration();
+      });
+    }
+
+    const testConnectionButton = document.getElementById("test-connection");
+    if (testConnectionButton) {
+      testConnectionButton.addEventListener("click", () => this.testConnection());
+    }
+
+    // AI provider for mistake analysis
+    const llmProviderSelect = document.getElementById("llm-provider");
+    if (llmProviderSelect) {
+      llmProviderSelect.addEventListener("change", () => {
+        // Keep what was typed for the previous provider before its inputs are refilled
+        const previous = this.config.llmProvider;
+        if (previous !== LLM_PROVIDERS.GEMINI) {
+          chrome.storage.sync.set(this.collectLLMSettings(previous));
+        }
+
+        this.config.llmProvider = llmProviderSelect.value;
+        this.showLLMFields();
+        this.saveConfiguration();
+      });
+    }
+
+    const testLLMButton = document.getElementById("test-llm");
+    if (testLLMButton) {
+      testLLMButton.addEventListener("click", () => this.testLLMProvider());
+    }
+
+    const analysisThresholdInput = document.getElementById("analysis-threshold");
+    if (analysisThresholdInput) {
+      analysisThresholdInput.addEventListener("change", () => {
+        const threshold = Math.max(1, parseInt(analysisThresholdInput.value, 10) || MISTAKE_ANALYSIS_THRESHOLD_DEFAULT);
+        analysisThresholdInput.value = threshold;
+        this.config.analysisThreshold = threshold;
+        chrome.storage.sync.set({ mistake_analysis_threshold: threshold });
+      });
+    }
+
+    const analyzeNowButton = document.getElementById("analyze-now");
+    if (analyzeNowButton) {
+      analyzeNowButton.addEventListener("click", () => this.analyzeAttemptsNow());
+    }
+
+    // Create & seed the configured repository
+    const createRepoButton = document.getElementById("create-repo");
+    if (createRepoButton) {
+      createRepoButton.addEventListener("click", () => this.createRepository());
+    }
+
+    // GitHub device-flow sign-in
+    const clientIdInput = document.getElementById("github-client-id");
+    if (clientIdInput) {
+      const debouncedClientIdSave = this.debounce(() => {
+        chrome.storage.sync.set({ github_oauth_client_id: clientIdInput.value.trim() });
+      }, 500);
+      clientIdInput.addEventListener("input", debouncedClientIdSave);
+    }
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes[GITHUB_OAUTH_SESSION_KEY] && !this.githubDeviceFlow) {
+        this.renderGitHubOAuth();
+      }
+    });
+
+    // Solution history mode
+    const solutionHistorySelect = document.getElementById("solution-history");
+    if (solutionHistorySelect) {
+      solutionHistorySelect.addEventListener("change", (e) => {
+        this.config.solutionHistory = e.target.value;
+        chrome.storage.sync.set({ github_solution_history: e.target.value });
+        spLog("Solution history mode:", e.target.value);
+      });
+    }
+
+    // Pull-request mode
+    const pullRequestCheckbox = document.getElementById("pull-request-mode");
+    if (pullRequestCheckbox) {
+      pullRequestCheckbox.addEventListener("change", (e) => {
+        this.config.pullRequestMode = e.target.checked;
+        chrome.storage.sync.set({ github_pull_request_mode: e.target.checked });
+        spLog("Pull request mode:", e.target.checked);
+      });
+    }
+
+    // Markdown template editor
+    const templateSelect = document.getElementById("markdown-template-select");
+    const templateInput = document.getElementById("markdown-template-input");
+    if (templateSelect && templateInput) {
+      templateSelect.addEventListener("change", () => this.showMarkdownTemplate());
+      templateInput.addEventListener("input", () => {
+        this.markdownTemplates[templateSelect.value] = templateInput.value;
+        this.renderMarkdownPreview();
+      });
+      document.getElementById("markdown-template-save").addEventListener("click", () => this.saveMarkdownTemplate());
+      document.getElementById("markdown-template-reset").addEventListener("click", () => this.resetMarkdownTemplate());
+    }
+
     // Toggle password visibility
     const toggleTokenBtn = document.getElementById("toggle-token");
     if (toggleTokenBtn) {
@@ -91,7 +270,14 @@ class PopupController {
       });
     }
 
-    // Toggle Gemini key visibility
+    // Toggle provider token visibility
+    const toggleProviderTokenBtn = document.getElementById("toggle-provider-token");
+    if (toggleProviderTokenBtn) {
+      toggleProviderTokenBtn.addEventListener("click", () => {
+        this.togglePasswordVisibility("provider-token", "toggle-provider-token");
+      });
+    }
+
     const toggleGeminiBtn = document.getElementById("toggle-gemini");
     if (toggleGeminiBtn) {
       toggleGeminiBtn.addEventListener("click", () => {
@@ -99,6 +285,13 @@ class PopupController {
       });
     }
 
+    const toggleLLMKeyBtn = document.getElementById("toggle-llm-api-key");
+    if (toggleLLMKeyBtn) {
+      toggleLLMKeyBtn.addEventListener("click", () => {
+        this.togglePasswordVisibility("llm-api-key", "toggle-llm-api-key");
+      });
+    }
+
     // Token links - open in new tab
     document.querySelectorAll(".token-link").forEach((link) => {
       link.addEventListener("click", (e) => {
@@ -139,6 +332,74 @@ class PopupController {
       });
     }
 
+    // Re-render the sync queue whenever the background drains it
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && SYNC_QUEUES.some((queue) => changes[queue.key])) {
+        this.renderSyncQueue();
+      }
+    });
+
+    // LeetCode history import runs in a LeetCode tab and reports progress through storage
+    const backfillStartButton = document.getElementById("backfill-start");
+    if (backfillStartButton) {
+      backfillStartButton.addEventListener("click", () => this.toggleBackfill());
+    }
+    const backfillRestartButton = document.getElementById("backfill-restart");
+    if (backfillRestartButton) {
+      backfillRestartButton.addEventListener("click", () => this.startBackfill(true));
+    }
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes[LEETCODE_BACKFILL_KEY]) {
+        this.renderBackfill(changes[LEETCODE_BACKFILL_KEY].newValue);
+      }
+    });
+
+    // Attempt history follows the problem open in the active tab
+    const debouncedAttemptRender = this.debounce(() => this.renderAttemptHistory(), 300);
+    chrome.tabs.onActivated.addListener(() => debouncedAttemptRender());
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (tab.active && changeInfo.url) {
+        debouncedAttemptRender();
+      }
+    });
+    const debouncedStatsRender = this.debounce(() => this.renderStats(), 300);
+
+    // History tab filters re-render on every change
+    const debouncedHistoryRender = this.debounce(() => this.renderProblemHistory(), 300);
+    ["history-platform", "history-difficulty", "history-topic", "history-tag", "history-status", "history-sort", "history-from", "history-to"].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.addEventListener("change", () => this.renderProblemHistory());
+      }
+    });
+
+    ["history-list", "revision-due"].forEach((id) => {
+      const list = document.getElementById(id);
+      if (list) {
+        list.addEventListener("click", (e) => {
+          const item = e.target.closest("[data-url]");
+          if (item) {
+            chrome.tabs.create({ url: item.dataset.url });
+          }
+        });
+      }
+    });
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes[REVISION_SCHEDULE_KEY]) {
+        this.renderRevisionsDue();
+      }
+    });
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && Object.keys(changes).some((key) => key.startsWith("problem_data_"))) {
+        debouncedAttemptRender();
+        debouncedHistoryRender();
+        debouncedStatsRender();
+      }
+    });
+
     // All event listeners set up
   }
 
@@ -322,6 +583,19 @@ class PopupController {
           "mistake_tags",
           "github_push_enabled",
           "timer_overlay_enabled",
+          "github_path_template",
+          "github_filename_template",
+          "github_solution_history",
+          "github_pull_request_mode",
+          "github_oauth_client_id",
+          "git_provider",
+          "gitlab_url",
+          "gitlab_token",
+          "gitea_url",
+          "gitea_token",
+          "llm_provider",
+          "mistake_analysis_threshold",
+          ...this.getLLMSettingKeys(),
         ],
         (data) => {
           this.config = {
@@ -333,6 +607,19 @@ class PopupController {
             debugMode: data.debug_mode || false,
             githubPushEnabled: data.github_push_enabled !== false, // Default true
             timerOverlayEnabled: data.timer_overlay_enabled !== false, // Default true
+            pathTemplate: data.github_path_template || PATH_TEMPLATE_DEFAULT,
+            fileNameTemplate: data.github_filename_template || FILENAME_TEMPLATE_DEFAULT,
+            solutionHistory: data.github_solution_history || SOLUTION_HISTORY_MODES.OVERWRITE,
+            pullRequestMode: data.github_pull_request_mode === true,
+            githubClientId: data.github_oauth_client_id || "",
+            provider: data.git_provider || GIT_PROVIDERS.GITHUB,
+            gitlabUrl: data.gitlab_url || "",
+            gitlabToken: data.gitlab_token || "",
+            giteaUrl: data.gitea_url || "",
+            giteaToken: data.gitea_token || "",
+            llmProvider: data.llm_provider || LLM_PROVIDERS.GEMINI,
+            llmSettings: this.readLLMSettings(data),
+            analysisThreshold: parseInt(data.mistake_analysis_threshold, 10) || MISTAKE_ANALYSIS_THRESHOLD_DEFAULT,
           };
           this.mistakeTags = data.mistake_tags || {};
           resolve();
@@ -348,6 +635,17 @@ class PopupController {
     document.getElementById("branch").value = this.config.branch;
     document.getElementById("gemini-key").value = this.config.geminiKey;
     document.getElementById("debug-mode").checked = this.config.debugMode;
+    document.getElementById("path-template").value = this.config.pathTemplate;
+    document.getElementById("filename-template").value = this.config.fileNameTemplate;
+    this.updateTemplatePreview();
+    document.getElementById("solution-history").value = this.config.solutionHistory;
+    document.getElementById("pull-request-mode").checked = this.config.pullRequestMode;
+    document.getElementById("github-client-id").value = this.config.githubClientId;
+    document.getElementById("git-provider").value = this.config.provider;
+    this.showProviderFields();
+    document.getElementById("llm-provider").value = this.config.llmProvider;
+    this.showLLMFields();
+    document.getElementById("analysis-threshold").value = this.config.analysisThreshold;
 
     // New settings
     const githubPushCheckbox = document.getElementById("github-push-enabled");
@@ -385,19 +683,33 @@ class PopupController {
     const formData = this.collectFormData();
 
     try {
-      chrome.storage.sync.set(
-        {
-          github_token: formData.token,
-          github_owner: formData.owner,
-          github_repo: formData.repo,
-          github_branch: formData.branch,
-          gemini_api_key: formData.geminiKey,
-          debug_mode: formData.debugMode,
-        },
-        () => { },
-      );
+      const settings = {
+        github_token: formData.token,
+        github_owner: formData.owner,
+        github_repo: formData.repo,
+        github_branch: formData.branch,
+        gemini_api_key: formData.geminiKey,
+        debug_mode: formData.debugMode,
+        git_provider: formData.provider,
+        llm_provider: formData.llmProvider,
+      };
+
+      // Server URL and token are kept per provider so switching back loses nothing
+      if (formData.provider !== GIT_PROVIDERS.GITHUB) {
+        settings[`${formData.provider}_url`] = formData.providerUrl;
+        settings[`${formData.provider}_token`] = formData.providerToken;
+        this.config[`${formData.provider}Url`] = formData.providerUrl;
+        this.config[`${formData.provider}Token`] = formData.providerToken;
+      }
+
+      if (formData.llmProvider !== LLM_PROVIDERS.GEMINI) {
+        Object.assign(settings, this.collectLLMSettings(formData.llmProvider));
+      }
 
-      this.config = formData;
+      await chrome.storage.sync.set(settings);
+
+      const { providerUrl, providerToken, ...config } = formData;
+      this.config = { ...this.config, ...config };
 
       this.refreshAuthConfigSummary();
 
@@ -417,9 +729,513 @@ class PopupController {
       branch: document.getElementById("branch").value.trim() || "main",
       geminiKey: document.getElementById("gemini-key").value.trim(),
       debugMode: document.getElementById("debug-mode").checked,
+      provider: document.getElementById("git-provider").value,
+      providerUrl: document.getElementById("provider-url").value.trim(),
+      providerToken: document.getElementById("provider-token").value.trim(),
+      llmProvider: document.getElementById("llm-provider").value,
+    };
+  }
+
+  // Storage keys of every per-provider AI setting (openai_base_url, anthropic_model, ...)
+  getLLMSettingKeys() {
+    return Object.entries(LLM_PROVIDER_FIELDS).flatMap(([provider, fields]) =>
+      Object.keys(LLM_SETTING_FIELDS)
+        .filter((field) => field in fields)
+        .map((field) => `${provider}_${LLM_SETTING_FIELDS[field].suffix}`),
+    );
+  }
+
+  readLLMSettings(data) {
+    const settings = {};
+    Object.entries(LLM_PROVIDER_FIELDS).forEach(([provider, fields]) => {
+      settings[provider] = {};
+      Object.keys(LLM_SETTING_FIELDS)
+        .filter((field) => field in fields)
+        .forEach((field) => {
+          settings[provider][field] = data[`${provider}_${LLM_SETTING_FIELDS[field].suffix}`] || "";
+        });
+    });
+    return settings;
+  }
+
+  // Read the shared AI inputs into the provider's settings; returns them keyed for storage
+  collectLLMSettings(provider) {
+    const fields = LLM_PROVIDER_FIELDS[provider] || {};
+    const stored = {};
+    Object.entries(LLM_SETTING_FIELDS)
+      .filter(([field]) => field in fields)
+      .forEach(([field, { input, suffix }]) => {
+        const value = document.getElementById(input).value.trim();
+        this.config.llmSettings[provider][field] = value;
+        stored[`${provider}_${suffix}`] = value;
+      });
+    return stored;
+  }
+
+  // Show the fields for the selected AI provider and fill in its settings
+  showLLMFields() {
+    const provider = this.config.llmProvider || LLM_PROVIDERS.GEMINI;
+
+    document.querySelectorAll("#llm-section [data-llm-provider]").forEach((field) => {
+      const providers = field.dataset.llmProvider.split(" ");
+      field.classList.toggle("provider-hidden", !providers.includes(provider));
+    });
+
+    const fields = LLM_PROVIDER_FIELDS[provider];
+    if (!fields) return;
+
+    Object.entries(LLM_SETTING_FIELDS).forEach(([field, { input }]) => {
+      if (!(field in fields)) return;
+      const element = document.getElementById(input);
+      element.value = this.config.llmSettings[provider][field] || "";
+      element.placeholder = fields[field];
+    });
+    document.getElementById("llm-api-key-help").textContent = fields.keyHelp || "";
+    document.getElementById("llm-base-url-help").textContent =
+      fields.urlHelp || "Local servers need access granted once: use Test provider below";
+  }
+
+  // Servers with a configurable URL (local ones especially) are optional host permissions, granted from a click
+  async requestLLMServerAccess(provider) {
+    const fields = LLM_PROVIDER_FIELDS[provider];
+    if (!fields?.baseUrl) return true;
+
+    const value = document.getElementById("llm-base-url").value.trim() || fields.baseUrl;
+    const url = /^https?:\/\//i.test(value) || provider !== LLM_PROVIDERS.OLLAMA ? value : `http://${value}`;
+    try {
+      return await chrome.permissions.request({ origins: [`${new URL(DSAUtils.normalizeServerUrl(url)).origin}/*`] });
+    } catch (error) {
+      spError("[AI Provider] Invalid server URL:", error);
+      return false;
+    }
+  }
+
+  // Ask the selected provider for a one-word reply
+  async testLLMProvider() {
+    const button = document.getElementById("test-llm");
+    const provider = document.getElementById("llm-provider").value;
+
+    // Ask for access first, while the click still counts as a user gesture
+    if (!(await this.requestLLMServerAccess(provider))) {
+      this.showLLMMessage("error", "Access to the server was not granted");
+      return;
+    }
+
+    await this.saveConfiguration();
+    const llm = await LLMProvider.create(provider);
+    if (!(await llm.initialize())) {
+      this.showLLMMessage("error", `${llm.providerName} is not configured`);
+      return;
+    }
+
+    button.disabled = true;
+    this.showLLMMessage("info", `Asking ${llm.providerName} (${llm.model})...`);
+
+    try {
+      const reply = await llm.complete("Reply with the single word OK.");
+      this.showLLMMessage("success", `${llm.providerName} replied: ${reply.trim().substring(0, 60)}`);
+    } catch (error) {
+      this.showLLMMessage("error", error.message);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  showLLMMessage(type = "", message = "") {
+    const messageElement = document.getElementById("llm-test-message");
+    if (!messageElement) return;
+
+    messageElement.textContent = message;
+    messageElement.className = "auth-form-message";
+    if (type && message) {
+      messageElement.classList.add(type);
+    }
+  }
+
+  // Show the fields for the selected provider and fill in its server URL and token
+  showProviderFields() {
+    const provider = this.config.provider || GIT_PROVIDERS.GITHUB;
+
+    document.querySelectorAll("#github-config-fields [data-provider]").forEach((field) => {
+      const providers = field.dataset.provider.split(" ");
+      field.classList.toggle("provider-hidden", !providers.includes(provider));
+    });
+
+    if (provider === GIT_PROVIDERS.GITHUB) return;
+
+    const urlInput = document.getElementById("provider-url");
+    const tokenInput = document.getElementById("provider-token");
+    const tokenHelp = document.getElementById("provider-token-help");
+
+    urlInput.value = this.config[`${provider}Url`] || "";
+    tokenInput.value = this.config[`${provider}Token`] || "";
+
+    if (provider === GIT_PROVIDERS.GITLAB) {
+      urlInput.placeholder = GITLAB_DEFAULT_URL;
+      tokenInput.placeholder = "glpat-...";
+      tokenHelp.textContent = "Personal or project access token with the api scope";
+    } else {
+      urlInput.placeholder = "https://gitea.example.com";
+      tokenInput.placeholder = "Access token";
+      tokenHelp.textContent = "Access token with read:user and write:repository";
+    }
+  }
+
+  // Self-hosted servers are optional host permissions, granted from a click
+  async requestServerAccess(provider, serverUrl) {
+    if (provider === GIT_PROVIDERS.GITHUB) return true;
+
+    const url = DSAUtils.normalizeServerUrl(serverUrl) || GITLAB_DEFAULT_URL;
+    try {
+      return await chrome.permissions.request({ origins: [`${new URL(url).origin}/*`] });
+    } catch (error) {
+      spError("[Git Provider] Invalid server URL:", error);
+      return false;
+    }
+  }
+
+  async testConnection() {
+    const button = document.getElementById("test-connection");
+    const formData = this.collectFormData();
+    const providerName = { gitlab: "GitLab", gitea: "Gitea" }[formData.provider] || "GitHub";
+
+    // Ask for access first, while the click still counts as a user gesture
+    const granted = await this.requestServerAccess(formData.provider, formData.providerUrl);
+    if (!granted) {
+      this.showConnectionMessage("error", `Access to the ${providerName} server was not granted`);
+      return;
+    }
+
+    button.disabled = true;
+    this.showConnectionMessage("info", `Connecting to ${providerName}...`);
+
+    try {
+      let response;
+      if (formData.provider === GIT_PROVIDERS.GITHUB) {
+        const oauthToken = await new GitHubDeviceAuth().getValidAccessToken();
+        response = await this.sendMessageToBackground({
+          type: "testGitHubConnection",
+          token: oauthToken || formData.token,
+        });
+      } else {
+        response = await this.sendMessageToBackground({
+          type: formData.provider === GIT_PROVIDERS.GITLAB ? "testGitLabConnection" : "testGiteaConnection",
+          url: formData.providerUrl,
+          token: formData.providerToken,
+        });
+      }
+
+      if (response?.success) {
+        this.showConnectionMessage("success", `Connected to ${providerName} as @${response.user.login}`);
+      } else {
+        this.showConnectionMessage("error", response?.error || "No response from background");
+      }
+    } catch (error) {
+      this.showConnectionMessage("error", error.message);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  showConnectionMessage(type = "", message = "") {
+    const messageElement = document.getElementById("connection-test-message");
+    if (!messageElement) return;
+
+    messageElement.textContent = message;
+    messageElement.className = "auth-form-message";
+    if (type && message) {
+      messageElement.classList.add(type);
+    }
+  }
+
+  // Render the example path and return whether both templates are valid
+  updateTemplatePreview() {
+    const preview = document.getElementById("template-preview");
+    if (!preview) return false;
+
+    const pathTemplate = document.getElementById("path-template").value.trim();
+    const fileNameTemplate = document.getElementById("filename-template").value.trim();
+
+    const { errors } = DSAUtils.validateTemplates(pathTemplate, fileNameTemplate);
+    if (errors.length > 0) {
+      preview.classList.add("invalid");
+      preview.innerHTML = errors.map((error) => `<div>${this.escapeHtml(error)}</div>`).join("");
+      return false;
+    }
+
+    const dirPath = DSAUtils.createDirectoryPath("leetcode", TEMPLATE_PREVIEW_PROBLEM, pathTemplate);
+    const fileName = DSAUtils.createFileName("leetcode", TEMPLATE_PREVIEW_PROBLEM, fileNameTemplate);
+    const extension = DSAUtils.getFileExtension(TEMPLATE_PREVIEW_PROBLEM.language);
+
+    preview.classList.remove("invalid");
+    preview.innerHTML = `
+      <span class="template-preview-label">Preview (${TEMPLATE_PREVIEW_PROBLEM.title})</span>
+      <div>${this.escapeHtml(`${dirPath}/${fileName}.md`)}</div>
+      <div>${this.escapeHtml(`${dirPath}/${fileName}${extension}`)}</div>
+    `;
+    return true;
+  }
+
+  // Checked again here: the inputs may have turned invalid while the debounced save was waiting
+  saveTemplates() {
+    const pathTemplate = document.getElementById("path-template").value.trim();
+    const fileNameTemplate = document.getElementById("filename-template").value.trim();
+    if (!DSAUtils.validateTemplates(pathTemplate, fileNameTemplate).valid) {
+      return;
+    }
+
+    chrome.storage.sync.set({
+      github_path_template: pathTemplate,
+      github_filename_template: fileNameTemplate,
+    });
+    this.config.pathTemplate = pathTemplate;
+    this.config.fileNameTemplate = fileNameTemplate;
+    spLog("Path templates saved:", pathTemplate, fileNameTemplate);
+  }
+
+  async createRepository() {
+    const button = document.getElementById("create-repo");
+    const formData = this.collectFormData();
+
+    if (!formData.owner || !formData.repo) {
+      this.showRepoSetupMessage("error", "Enter an owner and repository name first");
+      return;
+    }
+
+    if (!(await this.requestServerAccess(formData.provider, formData.providerUrl))) {
+      this.showRepoSetupMessage("error", "Access to the server was not granted");
+      return;
+    }
+
+    button.disabled = true;
+    this.showRepoSetupMessage("info", `Creating ${formData.owner}/${formData.repo}...`);
+
+    try {
+      // Make sure the API reads the values currently in the form
+      await this.saveConfiguration();
+
+      const githubAPI = await GitProvider.create(formData.provider);
+      if (!(await githubAPI.initialize())) {
+        this.showRepoSetupMessage(
+          "error",
+          formData.provider === GIT_PROVIDERS.GITHUB
+            ? "Sign in with GitHub or add a token first"
+            : "Add the server URL and an access token first",
+        );
+        return;
+      }
+
+      const isPrivate = document.getElementById("repo-visibility").value === "private";
+      const result = await githubAPI.createRepository({ isPrivate });
+
+      if (result.success) {
+        this.showRepoSetupMessage("success", `Created ${result.repo.full_name} on ${formData.branch}`);
+      } else {
+        this.showRepoSetupMessage("error", result.error);
+      }
+    } catch (error) {
+      spError("[Repo Setup] Failed to create repository:", error);
+      this.showRepoSetupMessage("error", error.message);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  showRepoSetupMessage(type = "", message = "") {
+    const messageElement = document.getElementById("repo-setup-message");
+    if (!messageElement) return;
+
+    messageElement.textContent = message;
+    messageElement.className = "auth-form-message";
+    if (type && message) {
+      messageElement.classList.add(type);
+    }
+  }
+
+  async renderGitHubOAuth(error = "") {
+    const container = document.getElementById("github-oauth");
+    if (!container) return;
+
+    const session = await new GitHubDeviceAuth().getSession();
+    const errorMarkup = error ? `<div class="github-oauth-error">${this.escapeHtml(error)}</div>` : "";
+
+    if (session) {
+      const scopes = session.scopes.length > 0 ? session.scopes.join(", ") : "GitHub App permissions";
+      let expiry = "Token does not expire";
+      if (session.expiresAt) {
+        expiry = session.refreshToken
+          ? `Token renews automatically (current one expires ${this.formatRelativeTime(session.expiresAt)})`
+          : `Token expires ${this.formatRelativeTime(session.expiresAt)}`;
+      }
+
+      container.innerHTML = `
+        <div class="github-oauth-account">Signed in as @${this.escapeHtml(session.login || "unknown")}</div>
+        <div class="github-oauth-meta">Scopes: ${this.escapeHtml(scopes)}<br />${expiry}</div>
+        ${errorMarkup}
+        <button type="button" class="btn btn-secondary" id="github-oauth-signout">Sign out of GitHub</button>
+      `;
+      document.getElementById("github-oauth-signout").addEventListener("click", async () => {
+        await new GitHubDeviceAuth().signOut();
+        this.renderGitHubOAuth();
+      });
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="github-oauth-meta">Sign in to get a scoped token instead of pasting one</div>
+      ${errorMarkup}
+      <button type="button" class="btn btn-primary" id="github-oauth-signin">Sign in with GitHub</button>
+    `;
+    document.getElementById("github-oauth-signin").addEventListener("click", () => this.startGitHubDeviceFlow());
+  }
+
+  async startGitHubDeviceFlow() {
+    const container = document.getElementById("github-oauth");
+    const deviceAuth = new GitHubDeviceAuth();
+    this.githubDeviceFlow = deviceAuth;
+
+    try {
+      const deviceCode = await deviceAuth.requestDeviceCode();
+
+      container.innerHTML = `
+        <div class="github-oauth-meta">Enter this code on GitHub to authorize Traverse</div>
+        <div class="github-oauth-code">${this.escapeHtml(deviceCode.userCode)}</div>
+        <button type="button" class="btn btn-primary" id="github-oauth-open">Open GitHub</button>
+        <button type="button" class="btn btn-secondary" id="github-oauth-cancel">Cancel</button>
+      `;
+      document.getElementById("github-oauth-open").addEventListener("click", () => {
+        chrome.tabs.create({ url: deviceCode.verificationUri });
+      });
+      document.getElementById("github-oauth-cancel").addEventListener("click", () => deviceAuth.cancel());
+
+      const session = await deviceAuth.pollForToken(deviceCode);
+      spLog("[GitHub OAuth] Signed in as", session.login);
+      this.githubDeviceFlow = null;
+      this.renderGitHubOAuth();
+    } catch (error) {
+      spError("[GitHub OAuth] Sign-in failed:", error);
+      this.githubDeviceFlow = null;
+      this.renderGitHubOAuth(error.message === "Sign-in cancelled" ? "" : error.message);
+    }
+  }
+
+  async initializeMarkdownTemplates() {
+    const keys = Object.values(MARKDOWN_TEMPLATE_KEYS);
+    const saved = await chrome.storage.sync.get(keys);
+
+    this.markdownTemplates = {};
+    keys.forEach((key) => {
+      this.markdownTemplates[key] = saved[key] || MARKDOWN_TEMPLATE_DEFAULTS[key];
+    });
+
+    const variablesHelp = document.getElementById("markdown-template-variables");
+    if (variablesHelp) {
+      variablesHelp.textContent = `Variables: ${Object.keys(MARKDOWN_TEMPLATE_VARIABLES)
+        .map((name) => `{{${name}}}`)
+        .join(" ")} · Sections: {{#runtime}}...{{/runtime}}`;
+    }
+
+    this.previewProblem = await this.getLastSolvedProblem();
+    this.showMarkdownTemplate();
+  }
+
+  showMarkdownTemplate() {
+    const key = document.getElementById("markdown-template-select").value;
+    document.getElementById("markdown-template-input").value = this.markdownTemplates[key];
+    this.showTemplateMessage();
+    this.renderMarkdownPreview();
+  }
+
+  renderMarkdownPreview() {
+    const preview = document.getElementById("markdown-template-preview");
+    const source = document.getElementById("markdown-template-source");
+    if (!preview) return;
+
+    const key = document.getElementById("markdown-template-select").value;
+    const { problemInfo, platform, problemData, attempt } = this.previewProblem;
+    const githubAPI = new GitHubAPI();
+
+    const variables = MarkdownTemplate.buildVariables(problemInfo, platform, {
+      problemData,
+      attempt,
+      analysis: problemData?.aiAnalysis || "*AI analysis appears here*",
+      languageFence: githubAPI.getLanguageForMarkdown(attempt?.language || problemInfo.language),
+    });
+
+    preview.textContent = MarkdownTemplate.render(this.markdownTemplates[key], variables);
+    if (source) {
+      source.textContent = problemData ? `(last solved: ${problemInfo.title})` : "(example problem)";
+    }
+  }
+
+  // Most recently solved problem_data_* record, shaped like the data GitHubAPI receives
+  async getLastSolvedProblem() {
+    const all = await chrome.storage.local.get(null);
+    const solved = Object.keys(all)
+      .filter((key) => key.startsWith("problem_data_") && all[key]?.solved?.value)
+      .map((key) => all[key])
+      .sort((a, b) => (b.solved.date || 0) - (a.solved.date || 0));
+
+    if (solved.length === 0) {
+      return { problemInfo: TEMPLATE_PREVIEW_PROBLEM, platform: "leetcode", problemData: null, attempt: null };
+    }
+
+    const problemData = solved[0];
+    const attempts = problemData.attempts || [];
+    const attempt = [...attempts].reverse().find((entry) => entry.successful) || attempts[attempts.length - 1] || null;
+
+    return {
+      problemInfo: {
+        title: problemData.name,
+        url: problemData.problem_link,
+        difficulty: ["Easy", "Medium", "Hard"][problemData.difficulty] || "Unknown",
+        topics: problemData.parent_topic || [],
+        stats: problemData.stats || {},
+      },
+      platform: problemData.platform || "leetcode",
+      problemData,
+      attempt,
     };
   }
 
+  async saveMarkdownTemplate() {
+    const key = document.getElementById("markdown-template-select").value;
+    const template = this.markdownTemplates[key];
+
+    if (!template.trim()) {
+      this.showTemplateMessage("error", "Template cannot be empty");
+      return;
+    }
+
+    try {
+      await chrome.storage.sync.set({ [key]: template });
+      this.showTemplateMessage("success", "Template saved");
+    } catch (error) {
+      // Sync storage caps each item at 8 KB
+      spError("Failed to save markdown template:", error);
+      this.showTemplateMessage("error", `Could not save: ${error.message}`);
+    }
+  }
+
+  async resetMarkdownTemplate() {
+    const key = document.getElementById("markdown-template-select").value;
+    await chrome.storage.sync.remove(key);
+    this.markdownTemplates[key] = MARKDOWN_TEMPLATE_DEFAULTS[key];
+    this.showMarkdownTemplate();
+    this.showTemplateMessage("info", "Reset to default");
+  }
+
+  showTemplateMessage(type = "", message = "") {
+    const messageElement = document.getElementById("markdown-template-message");
+    if (!messageElement) return;
+
+    messageElement.textContent = message;
+    messageElement.className = "auth-form-message";
+    if (type && message) {
+      messageElement.classList.add(type);
+    }
+  }
+
   updateConnectionStatus() {
     const statusDot = document.getElementById("status-dot");
     const statusText = document.getElementById("status-text");
@@ -840,6 +1656,635 @@ class PopupController {
     }
   }
 
+  async renderSyncQueue() {
+    const container = document.getElementById("sync-queue");
+    if (!container) return;
+
+    const entries = [];
+    for (const queue of SYNC_QUEUES) {
+      const items = await new RetryQueue(queue.key).getItems();
+      items.forEach((item) => entries.push({ queue, item }));
+    }
+
+    if (entries.length === 0) {
+      container.innerHTML = `<div class="sync-queue-empty">Nothing waiting to sync</div>`;
+      return;
+    }
+
+    entries.sort((a, b) => a.item.createdAt - b.item.createdAt);
+
+    container.innerHTML = entries
+      .map(({ queue, item }) => {
+        const isFailed = item.status === RETRY_QUEUE_STATUS.FAILED;
+        const badge = isFailed
+          ? `<div class="profile-status-badge error">Failed</div>`
+          : `<div class="profile-status-badge warning">Pending</div>`;
+        const nextAttempt = isFailed
+          ? "Retries stopped"
+          : `Next retry ${this.formatRelativeTime(item.nextAttemptAt)}`;
+
+        return `
+          <div class="sync-queue-item${isFailed ? " failed" : ""}">
+            <div class="sync-queue-header">
+              <span class="sync-queue-label">${this.escapeHtml(item.label)}</span>
+              ${badge}
+            </div>
+            <div class="sync-queue-meta">
+              ${queue.name} · ${item.attempts} attempt${item.attempts !== 1 ? "s" : ""} · ${nextAttempt}
+            </div>
+            ${item.lastError ? `<div class="sync-queue-error">${this.escapeHtml(item.lastError)}</div>` : ""}
+            <div class="sync-queue-actions">
+              <button class="btn" data-action="retry" data-queue="${queue.key}" data-id="${this.escapeHtml(item.id)}">Retry now</button>
+              <button class="btn btn-secondary" data-action="discard" data-queue="${queue.key}" data-id="${this.escapeHtml(item.id)}">Discard</button>
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+
+    container.querySelectorAll("button[data-action]").forEach((button) => {
+      button.addEventListener("click", () => {
+        const { action, queue, id } = button.dataset;
+        if (action === "retry") {
+          this.retrySyncQueueItem(queue, id, button);
+        } else {
+          this.discardSyncQueueItem(queue, id);
+        }
+      });
+    });
+  }
+
+  async retrySyncQueueItem(queueKey, id, button) {
+    button.disabled = true;
+    button.textContent = "Retrying...";
+
+    const response = await this.sendMessageToBackground({
+      type: "RETRY_QUEUE_ITEM",
+      queue: queueKey,
+      id,
+    });
+    spLog("[Sync Queue] Retry result:", response);
+
+    // Storage change listener re-renders on success; restore the button otherwise
+    if (!response?.success) {
+      this.renderSyncQueue();
+    }
+  }
+
+  async discardSyncQueueItem(queueKey, id) {
+    await new RetryQueue(queueKey).remove(id);
+    spLog("[Sync Queue] Discarded:", id);
+  }
+
+  async getBackfillProgress() {
+    const result = await chrome.storage.local.get([LEETCODE_BACKFILL_KEY]);
+    return result[LEETCODE_BACKFILL_KEY] || null;
+  }
+
+  async renderBackfill(progress = undefined) {
+    const summary = document.getElementById("backfill-summary");
+    if (!summary) return;
+
+    if (progress === undefined) {
+      progress = await this.getBackfillProgress();
+    }
+
+    const startButton = document.getElementById("backfill-start");
+    const restartButton = document.getElementById("backfill-restart");
+    const barFill = document.getElementById("backfill-bar-fill");
+    const failedList = document.getElementById("backfill-failed");
+
+    const status = progress?.status || LEETCODE_BACKFILL_STATUS.IDLE;
+    const interrupted = LeetCodeBackfill.isStale(progress);
+    const running = status === LEETCODE_BACKFILL_STATUS.RUNNING && !interrupted;
+    const percent = progress?.total ? Math.round((progress.processed / progress.total) * 100) : 0;
+    const counts = progress
+      ? `${progress.processed} of ${progress.total} · ${progress.imported} imported · ${progress.skipped} already synced · ${progress.failed.length} failed`
+      : "";
+
+    barFill.style.width = `${status === LEETCODE_BACKFILL_STATUS.DONE ? 100 : percent}%`;
+
+    if (running) {
+      summary.textContent = progress.currentTitle
+        ? `Importing ${progress.currentTitle}... ${counts}`
+        : `Reading your solved problems... ${counts}`;
+      startButton.textContent = "Pause";
+    } else if (status === LEETCODE_BACKFILL_STATUS.DONE) {
+      summary.textContent = `Finished · ${counts}`;
+      startButton.textContent = "Import again";
+    } else if (status === LEETCODE_BACKFILL_STATUS.ERROR) {
+      summary.textContent = `Stopped: ${progress.error} · ${counts}`;
+      startButton.textContent = "Resume";
+    } else if (status === LEETCODE_BACKFILL_STATUS.PAUSED || interrupted) {
+      summary.textContent = `${interrupted ? "Interrupted" : "Paused"} · ${counts}`;
+      startButton.textContent = "Resume";
+      this.showBackfillMessage();
+    } else {
+      summary.textContent = "Not started";
+      startButton.textContent = "Start import";
+    }
+
+    startButton.dataset.running = running ? "true" : "false";
+    restartButton.hidden = running || !progress || status === LEETCODE_BACKFILL_STATUS.DONE;
+
+    const failed = progress?.failed || [];
+    failedList.innerHTML = failed
+      .map((entry) => `<div class="sync-queue-error">${this.escapeHtml(entry.title)}: ${this.escapeHtml(entry.error)}</div>`)
+      .join("");
+  }
+
+  async toggleBackfill() {
+    const startButton = document.getElementById("backfill-start");
+    if (startButton.dataset.running === "true") {
+      await this.stopBackfill();
+    } else {
+      await this.startBackfill(false);
+    }
+  }
+
+  async getLeetCodeTabs() {
+    const tabs = await chrome.tabs.query({ url: "https://*.leetcode.com/*" });
+    // Prefer the tab the user is looking at
+    return tabs.sort((a, b) => Number(b.active) - Number(a.active));
+  }
+
+  async startBackfill(restart) {
+    const tabs = await this.getLeetCodeTabs();
+    if (tabs.length === 0) {
+      this.showBackfillMessage("info", "Open leetcode.com in a tab and sign in, then start the import");
+      return;
+    }
+
+    try {
+      const response = await chrome.tabs.sendMessage(tabs[0].id, { type: "LEETCODE_BACKFILL_START", restart });
+      if (response?.success) {
+        this.showBackfillMessage();
+      } else {
+        this.showBackfillMessage("error", response?.error || "The LeetCode tab did not respond");
+      }
+    } catch (error) {
+      // Tabs opened before the extension was installed or updated have no content script
+      spError("[Backfill] Could not reach LeetCode tab:", error);
+      this.showBackfillMessage("error", "Reload your LeetCode tab and try again");
+    }
+  }
+
+  async stopBackfill() {
+    // Only the tab running the import acts on this
+    const tabs = await this.getLeetCodeTabs();
+    await Promise.all(
+      tabs.map((tab) => chrome.tabs.sendMessage(tab.id, { type: "LEETCODE_BACKFILL_STOP" }).catch(() => null)),
+    );
+    this.showBackfillMessage("info", "Pausing after the current problem...");
+  }
+
+  showBackfillMessage(type = "", message = "") {
+    const messageElement = document.getElementById("backfill-message");
+    if (!messageElement) return;
+
+    messageElement.textContent = message;
+    messageElement.className = "auth-form-message";
+    if (type && message) {
+      messageElement.classList.add(type);
+    }
+  }
+
+  async renderRevisionsDue() {
+    const list = document.getElementById("revision-due");
+    if (!list) return;
+
+    const due = await new RevisionScheduler().getDue();
+    if (due.length === 0) {
+      list.innerHTML = `<div class="sync-queue-empty">Nothing to review today</div>`;
+      return;
+    }
+
+    const today = RevisionScheduler.endOfDay(Date.now());
+    list.innerHTML = due
+      .map((card) => {
+        const overdueDays = Math.floor((today - card.dueAt) / (24 * 60 * 60 * 1000));
+        const badge = overdueDays > 0
+          ? `<div class="profile-status-badge error">${overdueDays}d overdue</div>`
+          : `<div class="profile-status-badge warning">Due today</div>`;
+        const meta = [
+          card.platform,
+          `Review ${card.reviews + 1}`,
+          card.lastReviewedAt ? `last solved ${new Date(card.lastReviewedAt).toLocaleDateString()}` : "",
+        ].filter(Boolean);
+
+        return `
+          <div class="sync-queue-item history-item"${card.url ? ` data-url="${this.escapeHtml(card.url)}"` : ""}>
+            <div class="sync-queue-header">
+              <span class="sync-queue-label">${this.escapeHtml(card.name)}</span>
+              ${badge}
+            </div>
+            <div class="sync-queue-meta">${meta.map((part) => this.escapeHtml(part)).join(" · ")}</div>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  getHistoryFilters() {
+    const value = (id) => document.getElementById(id)?.value || "";
+    // Date inputs are local calendar days; "to" includes the whole day
+    const from = value("history-from") ? new Date(`${value("history-from")}T00:00:00`).getTime() : null;
+    const to = value("history-to") ? new Date(`${value("history-to")}T23:59:59.999`).getTime() : null;
+
+    return {
+      platform: value("history-platform"),
+      difficulty: value("history-difficulty"),
+      topic: value("history-topic"),
+      tag: value("history-tag"),
+      status: value("history-status"),
+      from,
+      to,
+    };
+  }
+
+  // Refill a filter dropdown, keeping the current choice if it still exists
+  setHistoryOptions(id, values) {
+    const select = document.getElementById(id);
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = [`<option value="">All</option>`]
+      .concat(values.map((value) => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`))
+      .join("");
+    select.value = values.includes(selected) ? selected : "";
+  }
+
+  async renderProblemHistory() {
+    const list = document.getElementById("history-list");
+    if (!list) return;
+
+    const all = await chrome.storage.local.get(null);
+    const entries = ProblemHistory.fromStorage(all);
+
+    const options = ProblemHistory.getFilterOptions(entries);
+    this.setHistoryOptions("history-platform", options.platforms);
+    this.setHistoryOptions("history-topic", options.topics);
+    this.setHistoryOptions("history-tag", options.tags);
+
+    const [sortBy, direction] = (document.getElementById("history-sort")?.value || PROBLEM_HISTORY_SORTS.RECENT).split("-");
+    const visible = ProblemHistory.sort(
+      ProblemHistory.filter(entries, this.getHistoryFilters()),
+      sortBy,
+      direction === "asc",
+    );
+
+    document.getElementById("history-count").textContent = entries.length
+      ? `${visible.length} of ${entries.length} problem${entries.length !== 1 ? "s" : ""}`
+      : "";
+
+    if (visible.length === 0) {
+      list.innerHTML = `<div class="sync-queue-empty">${entries.length ? "No problems match these filters" : "Problems you open appear here"}</div>`;
+      return;
+    }
+
+    list.innerHTML = visible
+      .map((entry) => {
+        const badge = entry.solved
+          ? `<div class="profile-status-badge">Solved</div>`
+          : `<div class="profile-status-badge warning">Unsolved</div>`;
+        const meta = [
+          entry.platform,
+          entry.difficulty,
+          entry.date ? new Date(entry.date).toLocaleDateString() : "",
+          entry.tries ? `${entry.tries} ${entry.tries !== 1 ? "tries" : "try"}` : "",
+          MarkdownTemplate.formatDuration(entry.timeTaken),
+        ].filter(Boolean);
+        const tags = entry.tags.length
+          ? `<div class="history-tags">${entry.tags.map((tag) => `<span class="history-tag">${this.escapeHtml(tag)}</span>`).join("")}</div>`
+          : "";
+
+        return `
+          <div class="sync-queue-item history-item"${entry.url ? ` data-url="${this.escapeHtml(entry.url)}"` : ""}>
+            <div class="sync-queue-header">
+              <span class="sync-queue-label">${this.escapeHtml(entry.name)}</span>
+              ${badge}
+            </div>
+            <div class="sync-queue-meta">${meta.map((part) => this.escapeHtml(part)).join(" · ")}</div>
+            ${tags}
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  async renderStats() {
+    const summary = document.getElementById("stats-summary");
+    if (!summary) return;
+
+    const all = await chrome.storage.local.get(null);
+    const stats = ProblemStats.compute(ProblemHistory.fromStorage(all));
+    const plural = (count, word) => `${count} ${word}${count !== 1 ? "s" : ""}`;
+
+    summary.innerHTML = [
+      ["Current streak", plural(stats.currentStreak, "day")],
+      ["Longest streak", plural(stats.longestStreak, "day")],
+      ["Solved", stats.totalSolved],
+    ]
+      .map(
+        ([label, value]) => `
+        <div class="stats-card">
+          <div class="stats-card-value">${value}</div>
+          <div class="sync-queue-meta">${label}</div>
+        </div>
+      `,
+      )
+      .join("");
+
+    // Day keys are local YYYY-MM-DD dates
+    const toDate = (key) => {
+      const [year, month, date] = key.split("-").map(Number);
+      return new Date(year, month - 1, date);
+    };
+    const shortDate = (key) => toDate(key).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+    this.renderColumnChart(
+      "stats-daily",
+      stats.solvesPerDay.map((item) => ({ label: String(toDate(item.day).getDate()), title: shortDate(item.day), value: item.count })),
+    );
+    this.renderColumnChart(
+      "stats-weekly",
+      stats.solvesPerWeek.map((item) => ({ label: shortDate(item.weekStart), title: `Week of ${shortDate(item.weekStart)}`, value: item.count })),
+    );
+    this.renderBarChart(
+      "stats-time",
+      Object.keys(stats.averageTimeByDifficulty).map((difficulty) => {
+        const average = stats.averageTimeByDifficulty[difficulty];
+        return { label: difficulty, value: average || 0, display: average ? MarkdownTemplate.formatDuration(average) : "—" };
+      }),
+    );
+    this.renderBarChart(
+      "stats-tries",
+      stats.triesDistribution.map((item) => ({ label: `${item.bucket} ${item.bucket === "1" ? "try" : "tries"}`, value: item.count })),
+    );
+    this.renderBarChart(
+      "stats-topics",
+      stats.topicCoverage.slice(0, 10).map((item) => ({ label: item.topic, value: item.count })),
+      "Solve a problem to see topic coverage",
+    );
+  }
+
+  // Vertical bars, one per period
+  renderColumnChart(id, items) {
+    const container = document.getElementById(id);
+    const max = Math.max(1, ...items.map((item) => item.value));
+
+    container.innerHTML = items
+      .map(
+        (item) => `
+        <div class="stats-column" title="${this.escapeHtml(`${item.title}: ${item.value}`)}">
+          <div class="stats-column-value">${item.value || ""}</div>
+          <div class="stats-column-track"><div class="stats-column-bar" style="height: ${Math.round((item.value / max) * 100)}%"></div></div>
+          <div class="stats-column-label">${this.escapeHtml(item.label)}</div>
+        </div>
+      `,
+      )
+      .join("");
+  }
+
+  // Horizontal bars with a label and value per row
+  renderBarChart(id, items, emptyMessage = "") {
+    const container = document.getElementById(id);
+    if (items.length === 0) {
+      container.innerHTML = `<div class="sync-queue-empty">${this.escapeHtml(emptyMessage)}</div>`;
+      return;
+    }
+
+    const max = Math.max(1, ...items.map((item) => item.value));
+    container.innerHTML = items
+      .map(
+        (item) => `
+        <div class="stats-bar-row">
+          <span class="stats-bar-label">${this.escapeHtml(item.label)}</span>
+          <div class="stats-bar"><div class="stats-bar-fill" style="width: ${Math.round((item.value / max) * 100)}%"></div></div>
+          <span class="stats-bar-value">${this.escapeHtml(item.display ?? String(item.value))}</span>
+        </div>
+      `,
+      )
+      .join("");
+  }
+
+  // problem_data_* key the content scripts use for a problem page, or null for other pages
+  getProblemDataKey(url) {
+    if (!url) return null;
+
+    if (url.includes("takeuforward.org")) {
+      return `problem_data_${url.split("?")[0]}`;
+    }
+    if (url.includes("leetcode.com") || url.includes("geeksforgeeks.org")) {
+      const match = url.match(/\/problems\/([^\/?#]+)/);
+      return match ? `problem_data_${match[1]}` : null;
+    }
+    return null;
+  }
+
+  // Problem open in the active tab, falling back to the most recently attempted one
+  async getCurrentProblemRecord() {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const activeKey = this.getProblemDataKey(activeTab?.url);
+    const all = await chrome.storage.local.get(null);
+
+    if (activeKey && all[activeKey]) {
+      return all[activeKey];
+    }
+
+    return Object.keys(all)
+      .filter((key) => key.startsWith("problem_data_") && all[key]?.attempts?.length)
+      .map((key) => all[key])
+      .sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0))[0] || null;
+  }
+
+  async renderAttemptHistory() {
+    const container = document.getElementById("attempt-history");
+    const problemLabel = document.getElementById("attempt-history-problem");
+    if (!container) return;
+
+    const record = await this.getCurrentProblemRecord();
+    const attempts = record?.attempts || [];
+
+    this.renderMistakeAnalysis(record?.aiAnalysis, record?.aiTags);
+    if (!record) {
+      problemLabel.textContent = "Open a problem to see its runs and submissions";
+      container.innerHTML = "";
+      return;
+    }
+
+    const hintsUsed = record.hintsUsed ? ` · ${record.hintsUsed} hint${record.hintsUsed === 1 ? "" : "s"} used` : "";
+    problemLabel.textContent = `${record.name || record.problem_link || "Current problem"}${hintsUsed}`;
+    if (attempts.length === 0) {
+      container.innerHTML = `<div class="sync-queue-empty">No runs or submissions recorded yet</div>`;
+      return;
+    }
+
+    // Newest first, numbered in the order they were made
+    container.innerHTML = attempts
+      .map((attempt, index) => this.renderAttempt(attempt, index + 1, attempts[index - 1]))
+      .reverse()
+      .join("");
+  }
+
+  // Mistake analysis of the active tab's attempts, run by its content script
+  async analyzeAttemptsNow() {
+    const button = document.getElementById("analyze-now");
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!this.getProblemDataKey(activeTab?.url)) {
+      this.showAnalyzeMessage("info", "Open a LeetCode, GeeksforGeeks or TakeUforward problem to analyze it");
+      return;
+    }
+
+    button.disabled = true;
+    this.showAnalyzeMessage("info", "Analyzing your attempts...");
+
+    try {
+      const response = await chrome.tabs.sendMessage(activeTab.id, { type: "ANALYZE_MISTAKES_NOW" });
+      if (response?.success) {
+        this.showAnalyzeMessage();
+        this.renderMistakeAnalysis(response.analysis, response.tags);
+      } else {
+        this.showAnalyzeMessage("error", response?.error || "The problem tab did not respond");
+      }
+    } catch (error) {
+      // Tabs opened before the extension was installed or updated have no content script
+      spError("[Mistake Analysis] Could not reach problem tab:", error);
+      this.showAnalyzeMessage("error", "Reload the problem tab and try again");
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  renderMistakeAnalysis(analysis, tags = []) {
+    const section = document.getElementById("mistake-analysis");
+    if (!section) return;
+
+    section.hidden = !analysis;
+    document.getElementById("mistake-analysis-text").textContent = analysis || "";
+    document.getElementById("mistake-analysis-tags").innerHTML = (tags || [])
+      .map((tag) => `<span class="history-tag">${this.escapeHtml(tag)}</span>`)
+      .join("");
+  }
+
+  showAnalyzeMessage(type = "", message = "") {
+    const messageElement = document.getElementById("analyze-now-message");
+    if (!messageElement) return;
+
+    messageElement.textContent = message;
+    messageElement.className = "auth-form-message";
+    if (type && message) {
+      messageElement.classList.add(type);
+    }
+  }
+
+  renderAttempt(attempt, number, previousAttempt) {
+    const isSubmit = attempt.type === "submit";
+    const label = `${isSubmit ? "Submission" : "Run"} ${number}`;
+
+    let badge;
+    if (attempt.successful === null || attempt.successful === undefined) {
+      badge = `<div class="profile-status-badge warning">Judging</div>`;
+    } else if (attempt.successful) {
+      badge = `<div class="profile-status-badge">${this.escapeHtml(attempt.status || "Accepted")}</div>`;
+    } else {
+      badge = `<div class="profile-status-badge error">${this.escapeHtml(attempt.status || "Failed")}</div>`;
+    }
+
+    const result = attempt.result || {};
+    const meta = [
+      attempt.language,
+      attempt.timestamp ? new Date(attempt.timestamp).toLocaleString() : "",
+      result.totalTestCases ? `${result.passedTestCases ?? 0}/${result.totalTestCases} tests` : "",
+      result.runtime,
+    ].filter(Boolean);
+
+    return `
+      <div class="sync-queue-item${attempt.successful === false ? " failed" : ""}">
+        <div class="sync-queue-header">
+          <span class="sync-queue-label">${label}</span>
+          ${badge}
+        </div>
+        <div class="sync-queue-meta">${meta.map((part) => this.escapeHtml(part)).join(" · ")}</div>
+        ${this.renderAttemptFailure(attempt.failure)}
+        ${previousAttempt ? this.renderAttemptDiff(previousAttempt, attempt) : ""}
+      </div>
+    `;
+  }
+
+  // Collapsible line diff against the previous attempt
+  renderAttemptDiff(previousAttempt, attempt) {
+    const operations = AttemptDiff.diffLines(previousAttempt.code, attempt.code);
+    const { added, removed } = AttemptDiff.summarize(operations);
+    if (added === 0 && removed === 0) {
+      return `<div class="sync-queue-meta">No code changes since the previous attempt</div>`;
+    }
+
+    const markers = {
+      [ATTEMPT_DIFF_TYPES.SAME]: " ",
+      [ATTEMPT_DIFF_TYPES.ADDED]: "+",
+      [ATTEMPT_DIFF_TYPES.REMOVED]: "-",
+    };
+    const lines = AttemptDiff.collapse(operations)
+      .map((op) =>
+        op.type === ATTEMPT_DIFF_TYPES.SKIP
+          ? `<div class="attempt-diff-line skip">··· ${op.count} unchanged line${op.count !== 1 ? "s" : ""}</div>`
+          : `<div class="attempt-diff-line ${op.type}">${markers[op.type]} ${this.escapeHtml(op.text)}</div>`,
+      )
+      .join("");
+
+    return `
+      <details class="attempt-diff">
+        <summary>
+          Changes since previous attempt
+          <span class="attempt-diff-added">+${added}</span>
+          <span class="attempt-diff-removed">-${removed}</span>
+        </summary>
+        <div class="attempt-diff-lines">${lines}</div>
+      </details>
+    `;
+  }
+
+  renderAttemptFailure(failure) {
+    if (!failure) return "";
+
+    const rows = [
+      ["Input", failure.input],
+      ["Expected", failure.expected],
+      ["Output", failure.actual],
+      ["Error", failure.error],
+    ].filter(([, value]) => value);
+    if (rows.length === 0) return "";
+
+    return `
+      <div class="attempt-failure">
+        ${rows
+          .map(
+            ([name, value]) => `
+          <span class="template-preview-label">${name}</span>
+          <pre class="attempt-failure-value">${this.escapeHtml(value)}</pre>
+        `,
+          )
+          .join("")}
+      </div>
+    `;
+  }
+
+  formatRelativeTime(timestamp) {
+    const diff = timestamp - Date.now();
+    if (diff <= 0) return "any moment";
+
+    const minutes = Math.ceil(diff / (60 * 1000));
+    if (minutes < 60) return `in ${minutes} min`;
+    return `in ${Math.ceil(minutes / 60)}h`;
+  }
+
+  escapeHtml(value) {
+    const div = document.createElement("div");
+    div.textContent = value == null ? "" : String(value);
+    return div.innerHTML.replace(/"/g, "&quot;");
+  }
+
   compareVersions(a, b) {
     const partsA = a.split(".").map(Number);
     const partsB = b.split(".").map(Number);
@@ -0,0 +1,53 @@
+'use strict';
+
+const assert = require('assert');
+const { AttemptDiff, ATTEMPT_DIFF_TYPES } = require('../utils/attempt-diff');
+
+function render(operations) {
+  const marks = { same: ' ', added: '+', removed: '-' };
+  return operations.map((op) => (op.type === ATTEMPT_DIFF_TYPES.SKIP ? `@${op.count}` : `${marks[op.type]}${op.text}`));
+}
+
+function testChangedLine() {
+  const before = 'int a = 0;\nfor (int i = 0; i <= n; i++)\n  a += i;\nreturn a;';
+  const after = 'int a = 0;\nfor (int i = 0; i < n; i++)\n  a += i;\nreturn a;\n';
+
+  const operations = AttemptDiff.diffLines(before, after);
+  assert.deepStrictEqual(render(operations), [
+    ' int a = 0;',
+    '-for (int i = 0; i <= n; i++)',
+    '+for (int i = 0; i < n; i++)',
+    '   a += i;',
+    ' return a;',
+  ]);
+  assert.deepStrictEqual(AttemptDiff.summarize(operations), { added: 1, removed: 1 });
+}
+
+function testInsertionsAreAligned() {
+  const operations = AttemptDiff.diffLines('a\nb\nc\nd', 'a\nx\nb\nd\ny');
+  assert.deepStrictEqual(render(operations), [' a', '+x', ' b', '-c', ' d', '+y']);
+}
+
+function testLineEndingsAndEmptyCode() {
+  assert.deepStrictEqual(AttemptDiff.summarize(AttemptDiff.diffLines('a\r\nb\r\n', 'a\nb')), { added: 0, removed: 0 });
+  assert.deepStrictEqual(render(AttemptDiff.diffLines('', 'a')), ['+a']);
+}
+
+function testCollapseKeepsContext() {
+  const before = ['1', '2', '3', '4', '5', '6', '7', '8'].join('\n');
+  const after = ['1', '2', '3', '4', '5', '6', '7', 'eight'].join('\n');
+
+  const collapsed = AttemptDiff.collapse(AttemptDiff.diffLines(before, after), 2);
+  assert.deepStrictEqual(render(collapsed), ['@5', ' 6', ' 7', '-8', '+eight']);
+}
+
+try {
+  testChangedLine();
+  testInsertionsAreAligned();
+  testLineEndingsAndEmptyCode();
+  testCollapseKeepsContext();
+  console.log('Attempt diff tests passed');
+} catch (error) {
+  console.error('Attempt diff tests failed:', error);
+  process.exit(1);
+}
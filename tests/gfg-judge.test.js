@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require('assert');
+const { GfgJudge, GFG_JUDGE_KINDS, GFG_JUDGE_STATUS } = require('../utils/gfg-judge');
+
+function testAcceptedSubmission() {
+  const result = GfgJudge.parseResult({
+    status: 'SUCCESS',
+    message: 'Problem Solved Successfully',
+    test_cases_processed: '1115',
+    total_test_cases: '1115',
+    time_taken: 0.63,
+  }, { kind: GFG_JUDGE_KINDS.SUBMIT });
+
+  assert.strictEqual(result.accepted, true);
+  assert.strictEqual(result.status, GFG_JUDGE_STATUS.ACCEPTED);
+  assert.strictEqual(result.passedTestCases, 1115);
+  assert.strictEqual(result.runtime, '0.63s');
+  assert.strictEqual(result.failingTestCase, null);
+  assert.deepStrictEqual(GfgJudge.toStats(result), { runtime: '0.63s', memory: '', beats: '' });
+}
+
+function testPartialSubmission() {
+  const result = GfgJudge.parseResult({
+    status: 'SUCCESS',
+    message: 'Wrong Answer. !!!',
+    test_cases_processed: 12,
+    total_test_cases: 1115,
+    test_case: '5\n1 2 3 4 5',
+    expected_output: '15',
+    output: '10',
+  }, { kind: GFG_JUDGE_KINDS.SUBMIT });
+
+  assert.strictEqual(result.accepted, false);
+  assert.strictEqual(result.status, GFG_JUDGE_STATUS.WRONG_ANSWER);
+  assert.strictEqual(result.passedTestCases, 12);
+  assert.strictEqual(result.totalTestCases, 1115);
+  assert.deepStrictEqual(result.failingTestCase, { input: '5\n1 2 3 4 5', expected: '15', actual: '10' });
+  assert.strictEqual(GfgJudge.toFailure(result).error, '');
+}
+
+function testCompileError() {
+  const result = GfgJudge.parseResult({
+    status: 'SUCCESS',
+    compile_error: 'prog.cpp:12: error: expected \';\'',
+  }, { kind: GFG_JUDGE_KINDS.RUN });
+
+  assert.strictEqual(result.status, GFG_JUDGE_STATUS.COMPILATION_ERROR);
+  assert.strictEqual(result.error, 'prog.cpp:12: error: expected \';\'');
+  assert.strictEqual(result.failingTestCase, null);
+  assert.deepStrictEqual(GfgJudge.toFailure(result), {
+    input: '', expected: '', actual: '', error: 'prog.cpp:12: error: expected \';\'',
+  });
+}
+
+function testErrorsBeatTestCounts() {
+  const result = GfgJudge.parseResult({
+    message: 'Time Limit Exceeded',
+    test_cases_processed: 40,
+    total_test_cases: 40,
+  }, { kind: GFG_JUDGE_KINDS.SUBMIT });
+  assert.strictEqual(result.status, GFG_JUDGE_STATUS.TIME_LIMIT_EXCEEDED);
+
+  const runtime = GfgJudge.parseResult({ runtime_error: 'Segmentation Fault (SIGSEGV)' }, { kind: 'submit' });
+  assert.strictEqual(runtime.status, GFG_JUDGE_STATUS.RUNTIME_ERROR);
+  assert.strictEqual(runtime.accepted, false);
+}
+
+function testRunsCompareOutputs() {
+  const passing = GfgJudge.parseResult({ output: '15\n', expected_output: '15' }, { kind: GFG_JUDGE_KINDS.RUN });
+  assert.strictEqual(passing.accepted, true);
+
+  const failing = GfgJudge.parseResult({ output: '10', expected_output: '15', input: '5' }, { kind: GFG_JUDGE_KINDS.RUN });
+  assert.strictEqual(failing.status, GFG_JUDGE_STATUS.WRONG_ANSWER);
+  assert.deepStrictEqual(failing.failingTestCase, { input: '5', expected: '15', actual: '10' });
+
+  // Custom input without an expected output only has to run
+  const custom = GfgJudge.parseResult({ output: '42' }, { kind: GFG_JUDGE_KINDS.RUN });
+  assert.strictEqual(custom.accepted, true);
+}
+
+try {
+  testAcceptedSubmission();
+  testPartialSubmission();
+  testCompileError();
+  testErrorsBeatTestCounts();
+  testRunsCompareOutputs();
+  console.log('GeeksforGeeks judge tests passed');
+} catch (error) {
+  console.error('GeeksforGeeks judge tests failed:', error);
+  process.exit(1);
+}
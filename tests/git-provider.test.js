@@ -0,0 +1,726 @@
+'use strict';
+
+const assert = require('assert');
+
+const syncData = {};
+const localData = {};
+
+function resetStorage(values = {}, localValues = {}) {
+  Object.keys(syncData).forEach((key) => delete syncData[key]);
+  Object.assign(syncData, values);
+  Object.keys(localData).forEach((key) => delete localData[key]);
+  Object.assign(localData, localValues);
+}
+
+global.self = global;
+global.chrome = {
+  storage: {
+    sync: {
+      get(keys, callback) {
+        const result = {};
+        (Array.isArray(keys) ? keys : [keys]).forEach((key) => {
+          if (Object.prototype.hasOwnProperty.call(syncData, key)) {
+            result[key] = syncData[key];
+          }
+        });
+        return callback ? callback(result) : Promise.resolve(result);
+      },
+    },
+    local: {
+      async get(keys) {
+        if (keys === null) return { ...localData };
+        const result = {};
+        (Array.isArray(keys) ? keys : [keys]).forEach((key) => {
+          if (Object.prototype.hasOwnProperty.call(localData, key)) {
+            result[key] = localData[key];
+          }
+        });
+        return result;
+      },
+      async set(items) {
+        Object.assign(localData, JSON.parse(JSON.stringify(items)));
+      },
+    },
+    onChanged: { addListener() {} },
+  },
+  runtime: {
+    sendMessage(message, callback) {
+      if (callback) callback();
+    },
+  },
+};
+
+// The provider files attach their classes to self, like in the extension
+require('../utils/common');
+require('../utils/github-api');
+require('../utils/gitlab-api');
+require('../utils/gitea-api');
+require('../utils/git-provider');
+require('../utils/llm-client');
+require('../utils/gemini-api');
+require('../utils/openai-api');
+require('../utils/anthropic-api');
+require('../utils/ollama-api');
+require('../utils/llm-provider');
+Object.assign(
+  global,
+  require('../utils/markdown-template'),
+  require('../utils/readme-index'),
+  require('../utils/retry-queue'),
+);
+
+function jsonResponse(status, body = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: async () => body,
+  };
+}
+
+// Fake server: routes are "METHOD path-prefix" -> handler(body, url)
+function installFetch(routes, calls) {
+  global.fetch = async (url, options = {}) => {
+    const method = options.method || 'GET';
+    const body = options.body ? JSON.parse(options.body) : null;
+    calls.push({ method, url, body, headers: options.headers });
+
+    const route = Object.keys(routes).find((key) => {
+      const [routeMethod, prefix] = key.split(' ');
+      return routeMethod === method && url.includes(prefix);
+    });
+    if (!route) {
+      throw new Error(`Unexpected ${method} ${url}`);
+    }
+    return routes[route](body, url);
+  };
+}
+
+async function testProviderSelection() {
+  resetStorage();
+  assert.ok((await GitProvider.create()) instanceof GitHubAPI);
+  assert.ok((await GitProvider.create(GIT_PROVIDERS.GITLAB)) instanceof GitLabAPI);
+
+  resetStorage({ git_provider: 'gitea' });
+  const provider = await GitProvider.create();
+  assert.ok(provider instanceof GiteaAPI);
+  assert.strictEqual(provider.providerName, 'Gitea');
+}
+
+async function testGitLabConfig() {
+  resetStorage({ git_provider: 'gitlab', gitlab_token: 'glpat-1', github_owner: 'team/dsa', github_repo: 'solutions' });
+  const gitlab = new GitLabAPI();
+  assert.ok(await gitlab.initialize());
+  assert.strictEqual(gitlab.baseURL, 'https://gitlab.com/api/v4');
+  assert.strictEqual(gitlab.projectPath, '/projects/team%2Fdsa%2Fsolutions');
+
+  resetStorage({ gitea_token: 'token', github_owner: 'me', github_repo: 'dsa' });
+  assert.ok(!(await new GiteaAPI().initialize()), 'Gitea needs a server URL');
+}
+
+async function testGitLabCommit() {
+  resetStorage({
+    gitlab_url: 'git.example.com/',
+    gitlab_token: 'glpat-1',
+    github_owner: 'me',
+    github_repo: 'dsa',
+    github_branch: 'solutions',
+  });
+
+  const calls = [];
+  installFetch({
+    'GET /repository/branches/solutions': () => jsonResponse(404),
+    'GET /projects/me%2Fdsa': () => jsonResponse(200, { empty_repo: false, default_branch: 'main' }),
+    'HEAD /repository/files/README.md': () => jsonResponse(200),
+    'HEAD /repository/files/': () => jsonResponse(404),
+    'POST /repository/commits': () => jsonResponse(201, { id: 'abc' }),
+  }, calls);
+
+  const gitlab = new GitLabAPI();
+  await gitlab.initialize();
+  const result = await gitlab.commitFiles(
+    [
+      { path: 'README.md', content: '# DSA' },
+      { path: 'leetcode/Easy/1-two-sum/solution.md', content: '# Two Sum' },
+    ],
+    'Add solution',
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.ok(calls[0].url.startsWith('https://git.example.com/api/v4/'));
+  assert.strictEqual(calls[0].headers['PRIVATE-TOKEN'], 'glpat-1');
+
+  const commit = calls.find((call) => call.method === 'POST').body;
+  assert.strictEqual(commit.branch, 'solutions');
+  assert.strictEqual(commit.start_branch, 'main', 'a missing branch should start from the default one');
+  assert.deepStrictEqual(commit.actions.map((action) => action.action), ['update', 'create']);
+}
+
+async function testGiteaCommit() {
+  resetStorage({
+    gitea_url: 'https://gitea.example.com',
+    gitea_token: 'tea-1',
+    github_owner: 'me',
+    github_repo: 'dsa',
+    github_branch: 'main',
+  });
+
+  const calls = [];
+  let commitAttempts = 0;
+  installFetch({
+    'GET /branches/main': () => jsonResponse(200, { name: 'main' }),
+    'GET /contents/README.md': () => jsonResponse(200, { sha: 'readme-sha', content: Buffer.from('# Old').toString('base64') }),
+    'GET /contents/': () => jsonResponse(404),
+    'POST /repos/me/dsa/contents': () => {
+      commitAttempts++;
+      // First attempt loses a race with another push
+      return commitAttempts === 1 ? jsonResponse(409, { message: 'sha does not match' }) : jsonResponse(201, {});
+    },
+  }, calls);
+
+  const gitea = new GiteaAPI();
+  await gitea.initialize();
+  const result = await gitea.commitFiles(
+    [
+      { path: 'README.md', content: '# DSA' },
+      { path: 'leetcode/notes.md', content: 'notes' },
+    ],
+    'Add solution',
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(commitAttempts, 2, 'a conflict should be retried');
+
+  const commit = calls.filter((call) => call.method === 'POST').pop().body;
+  assert.strictEqual(commit.branch, 'main');
+  assert.strictEqual(commit.new_branch, undefined);
+  assert.deepStrictEqual(
+    commit.files.map((file) => [file.operation, file.sha]),
+    [['update', 'readme-sha'], ['create', undefined]],
+  );
+  assert.strictEqual(Buffer.from(commit.files[0].content, 'base64').toString(), '# DSA');
+}
+
+async function testGitHubCommit() {
+  resetStorage({ github_token: 'ghp_1', github_owner: 'me', github_repo: 'dsa', github_branch: 'main' });
+
+  const calls = [];
+  const refUpdates = [];
+  installFetch({
+    'GET /git/ref/heads/main': () => jsonResponse(200, { object: { sha: `head-${refUpdates.length}` } }),
+    'GET /git/commits/': () => jsonResponse(200, { tree: { sha: 'base-tree' } }),
+    'POST /git/trees': () => jsonResponse(201, { sha: 'new-tree' }),
+    'POST /git/commits': () => jsonResponse(201, { sha: 'new-commit' }),
+    'PATCH /git/refs/heads/main': (body) => {
+      refUpdates.push(body);
+      return jsonResponse(200, { object: { sha: body.sha } });
+    },
+  }, calls);
+
+  const github = new GitHubAPI();
+  await github.initialize();
+  const files = [
+    { path: 'leetcode/Easy/1-two-sum/solution.md', content: '# Two Sum' },
+    { path: 'leetcode/Easy/1-two-sum/metadata.json', content: '{}' },
+  ];
+  const result = await github.commitFiles(files, 'Add solution for Two Sum');
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(
+    calls.map((call) => `${call.method} ${call.url.replace('https://api.github.com/repos/me/dsa/', '')}`),
+    ['GET git/ref/heads/main', 'GET git/commits/head-0', 'POST git/trees', 'POST git/commits', 'PATCH git/refs/heads/main'],
+  );
+  const tree = calls[2].body;
+  assert.strictEqual(tree.base_tree, 'base-tree');
+  assert.deepStrictEqual(tree.tree.map((entry) => [entry.path, entry.mode, entry.type, entry.content]), [
+    ['leetcode/Easy/1-two-sum/solution.md', '100644', 'blob', '# Two Sum'],
+    ['leetcode/Easy/1-two-sum/metadata.json', '100644', 'blob', '{}'],
+  ]);
+  assert.deepStrictEqual(calls[3].body, { message: 'Add solution for Two Sum', tree: 'new-tree', parents: ['head-0'] });
+  assert.deepStrictEqual(refUpdates, [{ sha: 'new-commit', force: false }], 'the branch is only fast-forwarded');
+}
+
+async function testGitHubCommitConflict() {
+  resetStorage({ github_token: 'ghp_1', github_owner: 'me', github_repo: 'dsa', github_branch: 'main' });
+
+  const calls = [];
+  let head = 'head-1';
+  let conflicts = 1;
+  installFetch({
+    'GET /git/ref/heads/main': () => jsonResponse(200, { object: { sha: head } }),
+    'GET /git/commits/': () => jsonResponse(200, { tree: { sha: 'base-tree' } }),
+    'POST /git/trees': () => jsonResponse(201, { sha: 'new-tree' }),
+    'POST /git/commits': () => jsonResponse(201, { sha: 'new-commit' }),
+    'PATCH /git/refs/heads/main': () => {
+      // Another push lands between reading the ref and updating it
+      if (conflicts > 0) {
+        conflicts--;
+        head = 'head-2';
+        return jsonResponse(422, { message: 'Update is not a fast forward' });
+      }
+      return jsonResponse(200, {});
+    },
+  }, calls);
+
+  const github = new GitHubAPI();
+  await github.initialize();
+  const files = [{ path: 'leetcode/notes.md', content: 'notes' }];
+
+  let result = await github.commitFiles(files, 'Add solution');
+  assert.strictEqual(result.success, true);
+  const commits = calls.filter((call) => call.method === 'POST' && call.url.endsWith('/git/commits'));
+  assert.deepStrictEqual(commits.map((call) => call.body.parents), [['head-1'], ['head-2']], 'the retry rebuilds on the new head');
+
+  // A branch that keeps moving gives up after the retries as a conflict, so the push is queued
+  calls.length = 0;
+  conflicts = Infinity;
+  result = await github.commitFiles(files, 'Add solution', { maxConflictRetries: 1 });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, 409);
+  assert.strictEqual(calls.filter((call) => call.method === 'PATCH').length, 2);
+  assert.strictEqual(github.isRetryableFailure(result), true);
+}
+
+async function testSolutionHistory() {
+  const github = new GitHubAPI();
+  const { OVERWRITE, VERSIONED, PER_LANGUAGE } = SOLUTION_HISTORY_MODES;
+  const first = { version: 1, file: 'solution.md', sourceFile: 'solution.cpp', language: 'cpp' };
+
+  assert.strictEqual(github.getHistoryFileName('solution', OVERWRITE, [first], 'cpp'), 'solution');
+  assert.strictEqual(github.getHistoryFileName('solution', VERSIONED, [], 'cpp'), 'solution');
+  assert.strictEqual(github.getHistoryFileName('solution', VERSIONED, [first], 'cpp'), 'solution-2');
+  assert.strictEqual(github.getHistoryFileName('solution', PER_LANGUAGE, [], 'python3'), 'solution-py');
+  assert.strictEqual(github.getHistoryFileName('solution', PER_LANGUAGE, [], 'Brainf*ck 2'), 'solution-brainfck-2');
+  assert.strictEqual(github.getHistoryFileName('solution', PER_LANGUAGE, [], null), 'solution-text');
+
+  const second = github.addToSolutionHistory([first], { file: 'solution-2.md', language: 'java' });
+  assert.deepStrictEqual(second.map((entry) => [entry.version, entry.file]), [[1, 'solution.md'], [2, 'solution-2.md']]);
+
+  // Re-pushing a per-language file keeps its version number instead of adding a row
+  const resubmitted = github.addToSolutionHistory(second, { file: 'solution.md', language: 'cpp', date: '2026-03-10' });
+  assert.deepStrictEqual(resubmitted.map((entry) => [entry.version, entry.file]), [[1, 'solution.md'], [2, 'solution-2.md']]);
+  assert.strictEqual(resubmitted[0].date, '2026-03-10');
+}
+
+async function testSolutionHistoryMetadata() {
+  resetStorage({ github_token: 'ghp_1', github_owner: 'me', github_repo: 'dsa', github_branch: 'main' });
+
+  let metadata = null;
+  const calls = [];
+  installFetch({
+    'GET /contents/leetcode/1-two-sum/metadata.json': () => (metadata
+      ? jsonResponse(200, { sha: 'meta', content: Buffer.from(JSON.stringify(metadata)).toString('base64') })
+      : jsonResponse(404)),
+  }, calls);
+
+  const github = new GitHubAPI();
+  await github.initialize();
+  assert.deepStrictEqual(await github.getSolutionHistory('leetcode/1-two-sum', 'solution'), []);
+  assert.ok(calls[0].url.endsWith('?ref=main'));
+
+  // A folder pushed before history was enabled counts as the first version
+  metadata = { language: 'cpp', sourceFile: 'solution.cpp', updatedAt: '2026-01-01T00:00:00.000Z' };
+  assert.deepStrictEqual(await github.getSolutionHistory('leetcode/1-two-sum', 'solution'), [
+    { version: 1, file: 'solution.md', sourceFile: 'solution.cpp', language: 'cpp', date: '2026-01-01T00:00:00.000Z' },
+  ]);
+
+  metadata = { solutions: [{ version: 1, file: 'solution-cpp.md' }, { version: 2, file: 'solution-py.md' }] };
+  assert.deepStrictEqual(await github.getSolutionHistory('leetcode/1-two-sum', 'solution'), metadata.solutions);
+}
+
+async function testSourceFile() {
+  const github = new GitHubAPI();
+  assert.strictEqual(github.getSourceFileName('cpp'), 'solution.cpp');
+  assert.strictEqual(github.getSourceFileName('Python3', 'two-sum'), 'two-sum.py');
+  assert.strictEqual(github.getSourceFileName(' C# '), 'solution.cs');
+  assert.strictEqual(github.getSourceFileName('MS SQL Server'), 'solution.sql');
+  assert.strictEqual(github.getSourceFileName('Brainf*ck'), null);
+  assert.strictEqual(github.getSourceFileName(undefined), null);
+
+  resetStorage({ github_token: 'ghp_1', github_owner: 'me', github_repo: 'dsa', github_branch: 'main' });
+  const calls = [];
+  installFetch({
+    'GET /contents/': () => jsonResponse(404),
+    'GET /git/ref/heads/main': () => jsonResponse(200, { object: { sha: 'head' } }),
+    'GET /git/commits/': () => jsonResponse(200, { tree: { sha: 'base-tree' } }),
+    'POST /git/trees': () => jsonResponse(201, { sha: 'new-tree' }),
+    'POST /git/commits': () => jsonResponse(201, { sha: 'new-commit' }),
+    'PATCH /git/refs/heads/main': () => jsonResponse(200, {}),
+  }, calls);
+
+  const problemInfo = { title: 'Two Sum', number: '1', difficulty: 'Easy', slug: 'two-sum', code: 'class Solution:\n    pass', language: 'python3' };
+  const pushedFiles = async (info) => {
+    calls.length = 0;
+    assert.strictEqual((await new GitHubAPI().pushSolution(info, 'leetcode')).success, true);
+    return calls.find((call) => call.url.endsWith('/git/trees')).body.tree;
+  };
+
+  // The raw code is committed next to solution.md and named in metadata.json
+  let tree = await pushedFiles(problemInfo);
+  const source = tree.find((entry) => entry.path.endsWith('/solution.py'));
+  assert.ok(source, 'solution.py should be committed');
+  assert.strictEqual(source.content, problemInfo.code);
+  assert.strictEqual(source.path.replace('solution.py', 'solution.md'), tree.find((entry) => entry.path.endsWith('/solution.md')).path);
+  assert.strictEqual(JSON.parse(tree.find((entry) => entry.path.endsWith('metadata.json')).content).sourceFile, 'solution.py');
+
+  // Without code, or in a language with no known extension, only the markdown is pushed
+  for (const info of [{ ...problemInfo, code: '' }, { ...problemInfo, language: 'Brainf*ck' }]) {
+    tree = await pushedFiles(info);
+    assert.deepStrictEqual(tree.map((entry) => entry.path.split('/').pop()).filter((name) => name.startsWith('solution.')), ['solution.md']);
+    assert.strictEqual(JSON.parse(tree.find((entry) => entry.path.endsWith('metadata.json')).content).sourceFile, null);
+  }
+}
+
+async function testCreateRepository() {
+  const settings = { github_token: 'ghp_1', github_owner: 'Me', github_repo: 'dsa', github_branch: 'main' };
+  const solved = {
+    name: '1. Two Sum',
+    platform: 'leetcode',
+    difficulty: 0,
+    problem_link: 'https://leetcode.com/problems/two-sum/',
+    solved: { value: true, date: Date.UTC(2026, 2, 9) },
+  };
+  resetStorage(settings, { problem_data_two_sum: solved });
+
+  const calls = [];
+  let created = { full_name: 'Me/dsa', default_branch: 'master' };
+  let readmeStatus = 201;
+  installFetch({
+    'GET /user': () => jsonResponse(200, { login: 'me' }),
+    'POST /user/repos': () => jsonResponse(201, created),
+    'POST /orgs/acme/repos': () => jsonResponse(201, created),
+    'PUT /contents/README.md': () => jsonResponse(readmeStatus, { content: { sha: 'readme' } }),
+    'GET /git/ref/heads/main': () => jsonResponse(200, { object: { sha: 'readme-commit' } }),
+    'GET /git/commits/': () => jsonResponse(200, { tree: { sha: 'readme-tree' } }),
+    'POST /git/trees': () => jsonResponse(201, { sha: 'layout-tree' }),
+    'POST /git/commits': () => jsonResponse(201, { sha: 'layout-commit' }),
+    'PATCH /git/refs/heads/main': () => jsonResponse(200, {}),
+    'PATCH /repos/Me/dsa': () => jsonResponse(200, {}),
+  }, calls);
+  const request = (method, path) => calls.find((call) => call.method === method && call.url.endsWith(path));
+
+  // The owner matches the signed-in user (case aside), so the repo is created under /user
+  let result = await new GitHubAPI().createRepository();
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.repo, created);
+  assert.deepStrictEqual(request('POST', '/user/repos').body, {
+    name: 'dsa', private: true, description: 'DSA solutions synced by LeetFeedback', auto_init: false,
+  });
+
+  const readme = request('PUT', '/contents/README.md').body;
+  assert.strictEqual(readme.message, 'Initialize repository');
+  assert.strictEqual(readme.branch, 'main');
+  assert.ok(Buffer.from(readme.content, 'base64').toString().includes('Two Sum'), 'problems solved earlier are listed');
+
+  const layout = request('POST', '/git/trees').body.tree;
+  assert.deepStrictEqual(layout.map((entry) => entry.path), [
+    '.gitignore', '.leetfeedback/index.json', 'leetcode/.gitkeep', 'geeksforgeeks/.gitkeep', 'takeuforward/.gitkeep',
+  ]);
+  assert.strictEqual(JSON.parse(layout[1].content).problems[0].url, solved.problem_link);
+  assert.strictEqual(request('POST', '/git/commits').body.message, 'Add repository layout');
+
+  // GitHub picked master, so the configured branch is made the default
+  assert.deepStrictEqual(request('PATCH', '/repos/Me/dsa').body, { default_branch: 'main' });
+
+  // Anyone else is an organization; a matching default branch is left alone
+  calls.length = 0;
+  created = { full_name: 'acme/dsa', default_branch: 'main' };
+  resetStorage({ ...settings, github_owner: 'acme', github_path_template: '{year}/{platform}/{slug}' });
+  result = await new GitHubAPI().createRepository({ isPrivate: false, description: 'Mentor repo' });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(request('POST', '/orgs/acme/repos').body.private, false);
+  assert.strictEqual(request('POST', '/orgs/acme/repos').body.description, 'Mentor repo');
+  assert.ok(!calls.some((call) => call.method === 'PATCH' && call.url.endsWith('/repos/acme/dsa')));
+  // No platform folder comes before the first variable segment
+  assert.deepStrictEqual(request('POST', '/git/trees').body.tree.map((entry) => entry.path), ['.gitignore', '.leetfeedback/index.json']);
+
+  // A seeding failure still reports the repository that was created
+  calls.length = 0;
+  readmeStatus = 500;
+  resetStorage(settings);
+  result = await new GitHubAPI().createRepository();
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /^Repository created, but seeding failed: GitHub API error: 500/);
+  assert.deepStrictEqual(result.repo, created);
+  assert.ok(!calls.some((call) => call.url.endsWith('/git/trees')));
+}
+
+async function testCreateExistingRepository() {
+  resetStorage({ github_token: 'ghp_1', github_owner: 'me', github_repo: 'dsa', github_branch: 'main' });
+
+  const calls = [];
+  installFetch({
+    'GET /user': () => jsonResponse(200, { login: 'me' }),
+    'POST /user/repos': () => jsonResponse(422, { message: 'Repository creation failed.', errors: [{ message: 'name already exists on this account' }] }),
+  }, calls);
+  let result = await new GitHubAPI().createRepository();
+  assert.deepStrictEqual(result, { success: false, error: 'me/dsa already exists' });
+  assert.ok(!calls.some((call) => call.method === 'PUT'), 'nothing is seeded into an existing repo');
+
+  installFetch({ 'GET /user': () => jsonResponse(401, {}) }, calls);
+  result = await new GitHubAPI().createRepository();
+  assert.deepStrictEqual(result, { success: false, error: 'Could not verify GitHub account: GitHub API error: 401' });
+}
+
+async function testUnreadableSolutionHistory() {
+  const settings = {
+    github_token: 'ghp_1', github_owner: 'me', github_repo: 'dsa', github_branch: 'main', github_solution_history: 'versioned',
+  };
+  resetStorage(settings);
+
+  const calls = [];
+  let metadataStatus = 503;
+  installFetch({
+    'GET /contents/leetcode/easy/1-two-sum/metadata.json': () => (metadataStatus === 200
+      ? jsonResponse(200, { sha: 'meta', content: Buffer.from(JSON.stringify({ language: 'cpp', sourceFile: 'solution.cpp' })).toString('base64') })
+      : jsonResponse(metadataStatus, { message: 'Server Error' })),
+    'GET /contents/': () => jsonResponse(404),
+    'GET /git/ref/heads/main': () => jsonResponse(200, { object: { sha: 'head' } }),
+    'GET /git/commits/': () => jsonResponse(200, { tree: { sha: 'base-tree' } }),
+    'POST /git/trees': () => jsonResponse(201, { sha: 'new-tree' }),
+    'POST /git/commits': () => jsonResponse(201, { sha: 'new-commit' }),
+    'PATCH /git/refs/heads/main': () => jsonResponse(200, {}),
+  }, calls);
+
+  const problemInfo = { title: 'Two Sum', number: '1', difficulty: 'Easy', slug: 'two-sum', code: 'class Solution {};', language: 'cpp' };
+  const result = await new GitHubAPI().pushSolution(problemInfo, 'leetcode');
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, 503);
+  assert.strictEqual(result.queued, true, 'a server error while reading the history is retried later');
+  assert.ok(!calls.some((call) => call.url.endsWith('/git/trees')));
+
+  // The queued push has no files yet: they depend on the history
+  const [item] = localData[RETRY_QUEUE_KEYS.GITHUB];
+  assert.ok(item.id.startsWith('leetcode/easy/1-two-sum/solution@'));
+  assert.strictEqual(item.payload.files, null);
+  assert.strictEqual(item.payload.draft.content.includes('class Solution {};'), true);
+
+  // The replay reads the history first, so the earlier solution is kept as version 1
+  metadataStatus = 200;
+  const replayed = await new GitHubAPI().replayPush(item.payload);
+  assert.strictEqual(replayed.success, true);
+  const tree = calls.find((call) => call.url.endsWith('/git/trees')).body.tree;
+  const paths = tree.map((entry) => entry.path);
+  assert.ok(paths.includes('leetcode/easy/1-two-sum/solution-2.md'));
+  assert.ok(paths.includes('leetcode/easy/1-two-sum/solution-2.cpp'));
+  const metadata = JSON.parse(tree.find((entry) => entry.path.endsWith('metadata.json')).content);
+  assert.deepStrictEqual(metadata.solutions.map((solution) => solution.file), ['solution.md', 'solution-2.md']);
+  assert.strictEqual(metadata.solutions[1].date, item.payload.draft.date, 'the version keeps the time it was solved');
+
+  // A replay that still can't read the history stays retryable
+  metadataStatus = 502;
+  const failedAgain = await new GitHubAPI().replayPush(item.payload);
+  assert.strictEqual(failedAgain.status, 502);
+  assert.strictEqual(new GitHubAPI().isRetryableFailure(failedAgain), true);
+
+  // Bad credentials are reported, not queued
+  resetStorage(settings);
+  metadataStatus = 401;
+  const rejected = await new GitHubAPI().pushSolution(problemInfo, 'leetcode');
+  assert.strictEqual(rejected.status, 401);
+  assert.strictEqual(rejected.queued, undefined);
+  assert.strictEqual(localData[RETRY_QUEUE_KEYS.GITHUB], undefined);
+}
+
+async function testMistakeAnalysisThreshold() {
+  const calls = [];
+  installFetch({
+    'POST localhost:11434/api/chat': () => jsonResponse(200, {
+      message: {
+        content: JSON.stringify({
+          tags: ['Off By One'],
+          keyIssues: ['Loop ran one step past the end'],
+          improvements: [],
+          memorableSnippet: { code: '', why: '' },
+          complexity: { time: 'O(n)', space: 'O(1)' },
+        }),
+      },
+    }),
+    'GET /contents/': () => jsonResponse(404),
+    'GET /git/ref/heads/main': () => jsonResponse(200, { object: { sha: 'head' } }),
+    'GET /git/commits/': () => jsonResponse(200, { tree: { sha: 'base-tree' } }),
+    'POST /git/trees': () => jsonResponse(201, { sha: 'new-tree' }),
+    'POST /git/commits': () => jsonResponse(201, { sha: 'new-commit' }),
+    'PATCH /git/refs/heads/main': () => jsonResponse(200, {}),
+  }, calls);
+
+  const problemInfo = {
+    title: 'Two Sum',
+    number: '1',
+    difficulty: 'Easy',
+    slug: 'two-sum',
+    url: 'https://leetcode.com/problems/two-sum/',
+    attempts: [
+      { code: 'for (i = 0; i <= n; i++)', language: 'cpp', status: 'Wrong Answer' },
+      { code: 'for (i = 0; i < n; i++)', language: 'cpp', status: 'Accepted' },
+    ],
+  };
+  const settings = { github_token: 'ghp_1', github_owner: 'me', github_repo: 'dsa', github_branch: 'main', llm_provider: 'ollama' };
+
+  resetStorage(settings);
+  let result = await new GitHubAPI().pushMistakeAnalysis(problemInfo, 'leetcode');
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'Need at least 3 failed attempts for mistake analysis. Found: 2');
+
+  // A lower threshold from the side panel lets the same attempts through
+  resetStorage({ ...settings, mistake_analysis_threshold: 2 });
+  result = await new GitHubAPI().pushMistakeAnalysis(problemInfo, 'leetcode');
+  assert.strictEqual(result.success, true);
+  assert.ok(result.analysis.includes('Loop ran one step past the end'));
+  const tree = calls.find((call) => call.url.endsWith('/git/trees')).body.tree;
+  const solution = tree.find((entry) => entry.path.endsWith('solution.md'));
+  assert.ok(solution.content.includes('## AI Mistake Analysis'));
+  // The source file holds the final attempt, not the failed ones
+  assert.strictEqual(tree.find((entry) => entry.path.endsWith('solution.cpp')).content, 'for (i = 0; i < n; i++)');
+}
+
+async function testGitHubPullRequest() {
+  resetStorage({ github_token: 'ghp_1', github_owner: 'me', github_repo: 'dsa', github_branch: 'main' });
+
+  const calls = [];
+  let openPulls = [];
+  let featureBranchExists = false;
+  installFetch({
+    'GET /git/ref/heads/solution/leetcode/two-sum': () => jsonResponse(featureBranchExists ? 200 : 404, { object: { sha: 'feature' } }),
+    'GET /git/ref/heads/main': () => jsonResponse(200, { object: { sha: 'base' } }),
+    'POST /git/refs': () => {
+      featureBranchExists = true;
+      return jsonResponse(201, {});
+    },
+    'GET /git/commits/': () => jsonResponse(200, { tree: { sha: 'tree' } }),
+    'POST /git/trees': () => jsonResponse(201, { sha: 'new-tree' }),
+    'POST /git/commits': () => jsonResponse(201, { sha: 'commit' }),
+    'PATCH /git/refs/heads/': () => jsonResponse(200, {}),
+    'GET /pulls': () => jsonResponse(200, openPulls),
+    'POST /pulls': () => jsonResponse(201, { number: 7, html_url: 'https://github.com/me/dsa/pull/7' }),
+    'PATCH /pulls/7': () => jsonResponse(200, {}),
+  }, calls);
+
+  const github = new GitHubAPI();
+  await github.initialize();
+  const branch = github.getPullRequestBranch('leetcode', { title: '1. Two Sum', slug: 'two-sum' });
+  assert.strictEqual(branch, 'solution/leetcode/two-sum');
+
+  const pullRequest = { branch, title: 'Add solution for Two Sum', body: 'analysis' };
+  const files = [{ path: 'leetcode/Easy/1-two-sum/solution.md', content: '# Two Sum' }];
+
+  let result = await github.commitAsPullRequest(files, 'Add solution for Two Sum', null, pullRequest);
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.pullRequest, { number: 7, url: 'https://github.com/me/dsa/pull/7' });
+  assert.deepStrictEqual(calls.find((call) => call.url.endsWith('/git/refs')).body, { ref: `refs/heads/${branch}`, sha: 'base' });
+  assert.ok(calls.some((call) => call.method === 'PATCH' && call.url.endsWith(`/git/refs/heads/${branch}`)), 'commit should land on the feature branch');
+  assert.deepStrictEqual(calls.find((call) => call.url.endsWith('/pulls')).body, {
+    title: 'Add solution for Two Sum', head: branch, base: 'main', body: 'analysis',
+  });
+
+  // Pushing the same problem again updates the open pull request instead of opening another
+  calls.length = 0;
+  openPulls = [{ number: 7, html_url: 'https://github.com/me/dsa/pull/7', head: { ref: branch }, base: { ref: 'main' } }];
+  result = await github.commitAsPullRequest(files, 'Add solution for Two Sum', null, { ...pullRequest, body: 'new analysis' });
+  assert.strictEqual(result.pullRequest.number, 7);
+  assert.ok(!calls.some((call) => call.method === 'POST' && call.url.endsWith('/pulls')));
+  assert.deepStrictEqual(calls.find((call) => call.method === 'PATCH' && call.url.endsWith('/pulls/7')).body, { body: 'new analysis' });
+}
+
+async function testPullRequestIndex() {
+  resetStorage({ github_token: 'ghp_1', github_owner: 'me', github_repo: 'dsa', github_branch: 'main' });
+
+  // Fake repository: branch heads, the files on main and what each ref update committed
+  const heads = { main: 'base' };
+  const mainFiles = {};
+  const commits = [];
+  let lastTree = [];
+  let pullNumber = 0;
+  installFetch({
+    'GET /contents/': (body, url) => {
+      const path = decodeURIComponent(url.split('/contents/')[1].split('?')[0]);
+      return path in mainFiles
+        ? jsonResponse(200, { sha: `sha-${path}`, content: Buffer.from(mainFiles[path]).toString('base64') })
+        : jsonResponse(404);
+    },
+    'GET /git/ref/heads/': (body, url) => {
+      const branch = url.split('/git/ref/heads/')[1];
+      return heads[branch] ? jsonResponse(200, { object: { sha: heads[branch] } }) : jsonResponse(404);
+    },
+    'POST /git/refs': (body) => {
+      heads[body.ref.replace('refs/heads/', '')] = body.sha;
+      return jsonResponse(201, {});
+    },
+    'GET /git/commits/': () => jsonResponse(200, { tree: { sha: 'tree' } }),
+    'POST /git/trees': (body) => {
+      lastTree = body.tree;
+      return jsonResponse(201, { sha: 'new-tree' });
+    },
+    'POST /git/commits': (body) => jsonResponse(201, { sha: `commit-${commits.length}`, message: body.message }),
+    'PATCH /git/refs/heads/': (body, url) => {
+      const branch = url.split('/git/refs/heads/')[1];
+      heads[branch] = body.sha;
+      commits.push({ branch, paths: lastTree.map((entry) => entry.path) });
+      if (branch === 'main') {
+        lastTree.forEach((entry) => { mainFiles[entry.path] = entry.content; });
+      }
+      return jsonResponse(200, {});
+    },
+    'GET /pulls': () => jsonResponse(200, []),
+    'POST /pulls': () => {
+      pullNumber++;
+      return jsonResponse(201, { number: pullNumber, html_url: `https://github.com/me/dsa/pull/${pullNumber}` });
+    },
+  }, []);
+
+  const github = new GitHubAPI();
+  await github.initialize();
+  for (const problem of [{ title: 'Two Sum', slug: 'two-sum' }, { title: '3Sum', slug: '3sum' }]) {
+    const dirPath = `leetcode/medium/${problem.slug}`;
+    const indexEntry = ReadmeIndex.createEntry(
+      { ...problem, url: `https://leetcode.com/problems/${problem.slug}/`, difficulty: 'Medium' },
+      'leetcode',
+      { solutionPath: `${dirPath}/solution.md` },
+    );
+    const result = await github.commitAsPullRequest(
+      [{ path: `${dirPath}/solution.md`, content: `# ${problem.title}` }],
+      `Add solution for ${problem.title}`,
+      indexEntry,
+      { branch: github.getPullRequestBranch('leetcode', problem), title: `Add solution for ${problem.title}`, body: '' },
+    );
+    assert.strictEqual(result.success, true);
+  }
+
+  // Each pull request carries only its problem's files, so merging one can't conflict with the other
+  const branchCommits = commits.filter((commit) => commit.branch !== 'main');
+  assert.deepStrictEqual(branchCommits, [
+    { branch: 'solution/leetcode/two-sum', paths: ['leetcode/medium/two-sum/solution.md'] },
+    { branch: 'solution/leetcode/3sum', paths: ['leetcode/medium/3sum/solution.md'] },
+  ]);
+
+  // The index goes straight to main, one follow-up commit per pull request, each building on the last
+  const indexCommits = commits.filter((commit) => commit.branch === 'main');
+  assert.strictEqual(indexCommits.length, 2);
+  indexCommits.forEach((commit) => assert.deepStrictEqual(commit.paths.sort(), [README_INDEX_PATH, README_PATH]));
+  assert.deepStrictEqual(ReadmeIndex.parse(mainFiles[README_INDEX_PATH]).map((entry) => entry.title), ['Two Sum', '3Sum']);
+  assert.ok(mainFiles[README_PATH].includes('3Sum') && mainFiles[README_PATH].includes('Two Sum'));
+}
+
+(async () => {
+  try {
+    await testProviderSelection();
+    await testGitLabConfig();
+    await testGitLabCommit();
+    await testGiteaCommit();
+    await testGitHubCommit();
+    await testGitHubCommitConflict();
+    await testSolutionHistory();
+    await testSolutionHistoryMetadata();
+    await testSourceFile();
+    await testUnreadableSolutionHistory();
+    await testCreateRepository();
+    await testCreateExistingRepository();
+    await testMistakeAnalysisThreshold();
+    await testGitHubPullRequest();
+    await testPullRequestIndex();
+    console.log('Git provider tests passed');
+  } catch (error) {
+    console.error('Git provider tests failed:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,240 @@
+'use strict';
+
+const assert = require('assert');
+
+const storageData = {};
+
+function resetStorage() {
+  Object.keys(storageData).forEach((key) => delete storageData[key]);
+}
+
+function createArea() {
+  return {
+    async get(keys) {
+      const list = Array.isArray(keys) ? keys : [keys];
+      const result = {};
+      list.forEach((key) => {
+        if (Object.prototype.hasOwnProperty.call(storageData, key)) {
+          result[key] = storageData[key];
+        }
+      });
+      return result;
+    },
+    async set(items) {
+      Object.assign(storageData, JSON.parse(JSON.stringify(items)));
+    },
+    async remove(keys) {
+      (Array.isArray(keys) ? keys : [keys]).forEach((key) => delete storageData[key]);
+    },
+  };
+}
+
+global.chrome = {
+  storage: {
+    local: createArea(),
+    sync: createArea(),
+  },
+};
+
+const { GitHubDeviceAuth, GITHUB_OAUTH_SESSION_KEY } = require('../utils/github-auth');
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name] || null },
+    json: async () => body,
+  };
+}
+
+// Fake fetch answering token requests from a script and /user with a fixed account
+function createFetch(tokenResponses, calls) {
+  return async (url, options = {}) => {
+    calls.push({ url, body: options.body ? new URLSearchParams(options.body) : null });
+
+    if (url.endsWith('/login/device/code')) {
+      return jsonResponse({
+        device_code: 'device-123',
+        user_code: 'ABCD-1234',
+        verification_uri: 'https://github.com/login/device',
+        expires_in: 900,
+        interval: 5,
+      });
+    }
+    if (url.endsWith('/login/oauth/access_token')) {
+      return jsonResponse(tokenResponses.shift());
+    }
+    if (url.endsWith('/user')) {
+      return jsonResponse({ login: 'octocat' }, 200, { 'X-OAuth-Scopes': 'repo' });
+    }
+    throw new Error(`Unexpected request to ${url}`);
+  };
+}
+
+async function testMissingClientId() {
+  resetStorage();
+  const auth = new GitHubDeviceAuth({ fetch: createFetch([], []) });
+  await assert.rejects(() => auth.requestDeviceCode(), /client ID is not configured/);
+}
+
+async function testDeviceFlow() {
+  resetStorage();
+  storageData.github_oauth_client_id = 'client-abc';
+
+  const calls = [];
+  const sleeps = [];
+  const auth = new GitHubDeviceAuth({
+    fetch: createFetch(
+      [
+        { error: 'authorization_pending' },
+        { error: 'slow_down', interval: 10 },
+        {
+          access_token: 'ghu_first',
+          token_type: 'bearer',
+          scope: '',
+          expires_in: 28800,
+          refresh_token: 'ghr_first',
+          refresh_token_expires_in: 15897600,
+        },
+      ],
+      calls,
+    ),
+    sleep: async (ms) => sleeps.push(ms),
+  });
+
+  const deviceCode = await auth.requestDeviceCode();
+  assert.strictEqual(deviceCode.userCode, 'ABCD-1234');
+  assert.strictEqual(calls[0].body.get('client_id'), 'client-abc');
+  assert.strictEqual(calls[0].body.get('scope'), 'repo');
+
+  const session = await auth.pollForToken(deviceCode);
+  assert.deepStrictEqual(sleeps, [5000, 5000, 10000], 'slow_down should lengthen the interval');
+  assert.strictEqual(session.accessToken, 'ghu_first');
+  assert.strictEqual(session.login, 'octocat');
+  assert.deepStrictEqual(session.scopes, ['repo']);
+  assert.strictEqual(storageData[GITHUB_OAUTH_SESSION_KEY].refreshToken, 'ghr_first');
+
+  assert.strictEqual(await auth.getValidAccessToken(), 'ghu_first');
+}
+
+async function testDeniedFlow() {
+  resetStorage();
+  storageData.github_oauth_client_id = 'client-abc';
+
+  const auth = new GitHubDeviceAuth({
+    fetch: createFetch([{ error: 'access_denied' }], []),
+    sleep: async () => {},
+  });
+  const deviceCode = await auth.requestDeviceCode();
+  await assert.rejects(() => auth.pollForToken(deviceCode), /cancelled on GitHub/);
+  assert.strictEqual(storageData[GITHUB_OAUTH_SESSION_KEY], undefined);
+}
+
+async function testRefreshOnExpiry() {
+  resetStorage();
+  storageData.github_oauth_client_id = 'client-abc';
+  const now = 1700000000000;
+  storageData[GITHUB_OAUTH_SESSION_KEY] = {
+    accessToken: 'ghu_old',
+    scopes: [],
+    expiresAt: now + 60 * 1000, // inside the refresh margin
+    refreshToken: 'ghr_old',
+    refreshTokenExpiresAt: now + 24 * 60 * 60 * 1000,
+    login: 'octocat',
+  };
+
+  const calls = [];
+  const auth = new GitHubDeviceAuth({
+    fetch: createFetch([{ access_token: 'ghu_new', expires_in: 28800, refresh_token: 'ghr_new' }], calls),
+    now: () => now,
+  });
+
+  const [first, second] = await Promise.all([auth.getValidAccessToken(), auth.getValidAccessToken()]);
+  assert.strictEqual(first, 'ghu_new');
+  assert.strictEqual(second, 'ghu_new');
+
+  const refreshCalls = calls.filter((call) => call.url.endsWith('/login/oauth/access_token'));
+  assert.strictEqual(refreshCalls.length, 1, 'concurrent callers should share one refresh');
+  assert.strictEqual(refreshCalls[0].body.get('grant_type'), 'refresh_token');
+  assert.strictEqual(refreshCalls[0].body.get('refresh_token'), 'ghr_old');
+  assert.strictEqual(storageData[GITHUB_OAUTH_SESSION_KEY].refreshToken, 'ghr_new');
+}
+
+async function testRejectedRefreshSignsOut() {
+  resetStorage();
+  storageData.github_oauth_client_id = 'client-abc';
+  const now = 1700000000000;
+  storageData[GITHUB_OAUTH_SESSION_KEY] = {
+    accessToken: 'ghu_old',
+    scopes: [],
+    expiresAt: now - 1000,
+    refreshToken: 'ghr_revoked',
+    refreshTokenExpiresAt: null,
+    login: 'octocat',
+  };
+
+  const auth = new GitHubDeviceAuth({
+    fetch: createFetch([{ error: 'bad_refresh_token' }], []),
+    now: () => now,
+  });
+
+  assert.strictEqual(await auth.getValidAccessToken(), null);
+  assert.strictEqual(storageData[GITHUB_OAUTH_SESSION_KEY], undefined);
+}
+
+async function testFailedRefreshKeepsSession() {
+  resetStorage();
+  storageData.github_oauth_client_id = 'client-abc';
+  const now = 1700000000000;
+  const session = {
+    accessToken: 'ghu_old',
+    scopes: [],
+    expiresAt: now - 1000,
+    refreshToken: 'ghr_old',
+    refreshTokenExpiresAt: null,
+    login: 'octocat',
+  };
+  storageData[GITHUB_OAUTH_SESSION_KEY] = session;
+
+  const failing = (response) => new GitHubDeviceAuth({ fetch: async () => response(), now: () => now });
+
+  await assert.rejects(failing(() => jsonResponse({}, 502)).getValidAccessToken(), /GitHub returned 502/);
+  assert.deepStrictEqual(storageData[GITHUB_OAUTH_SESSION_KEY], session);
+
+  await assert.rejects(
+    failing(() => { throw new TypeError('Failed to fetch'); }).getValidAccessToken(),
+    /Unable to reach GitHub/,
+  );
+  assert.deepStrictEqual(storageData[GITHUB_OAUTH_SESSION_KEY], session);
+
+  // Other OAuth errors, e.g. a misconfigured client, don't end the session either
+  await assert.rejects(
+    failing(() => jsonResponse({ error: 'incorrect_client_credentials' }, 401)).getValidAccessToken(),
+    /incorrect_client_credentials/,
+  );
+  assert.deepStrictEqual(storageData[GITHUB_OAUTH_SESSION_KEY], session);
+
+  await failing(() => jsonResponse({ error: 'invalid_grant' }, 400)).getValidAccessToken();
+  assert.strictEqual(storageData[GITHUB_OAUTH_SESSION_KEY], undefined);
+
+  // An expired refresh token ends the session without asking GitHub
+  storageData[GITHUB_OAUTH_SESSION_KEY] = { ...session, refreshTokenExpiresAt: now - 1 };
+  const offline = failing(() => { throw new Error('should not be called'); });
+  assert.strictEqual(await offline.getValidAccessToken(), null);
+  assert.strictEqual(storageData[GITHUB_OAUTH_SESSION_KEY], undefined);
+}
+
+(async () => {
+  try {
+    await testMissingClientId();
+    await testDeviceFlow();
+    await testDeniedFlow();
+    await testRefreshOnExpiry();
+    await testRejectedRefreshSignsOut();
+    await testFailedRefreshKeepsSession();
+    console.log('GitHub auth tests passed');
+  } catch (error) {
+    console.error('GitHub auth tests failed:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,312 @@
+'use strict';
+
+const assert = require('assert');
+
+const storageData = {};
+
+function resetStorage(values = {}) {
+  Object.keys(storageData).forEach((key) => delete storageData[key]);
+  Object.assign(storageData, JSON.parse(JSON.stringify(values)));
+}
+
+global.chrome = {
+  storage: {
+    local: {
+      async get(keys) {
+        const result = {};
+        (Array.isArray(keys) ? keys : [keys]).forEach((key) => {
+          if (Object.prototype.hasOwnProperty.call(storageData, key)) {
+            result[key] = JSON.parse(JSON.stringify(storageData[key]));
+          }
+        });
+        return result;
+      },
+      async set(items) {
+        Object.assign(storageData, JSON.parse(JSON.stringify(items)));
+      },
+    },
+  },
+};
+
+const { LeetCodeBackfill, LEETCODE_BACKFILL_KEY, LEETCODE_BACKFILL_STATUS } = require('../utils/leetcode-backfill');
+
+const SOLVED = [
+  { frontendId: '1', title: 'Two Sum', titleSlug: 'two-sum', difficulty: 'EASY', topicTags: [{ name: 'Array' }] },
+  { frontendId: '2', title: 'Add Two Numbers', titleSlug: 'add-two-numbers', difficulty: 'MEDIUM', topicTags: [] },
+  { frontendId: '3', title: 'Longest Substring', titleSlug: 'longest-substring', difficulty: 'MEDIUM', topicTags: [] },
+];
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+// Fake /graphql/ answering by operation; submissions for longest-substring were never accepted
+function createFetch(calls, { rateLimitFirst = false } = {}) {
+  let rateLimited = !rateLimitFirst;
+  return async (url, options) => {
+    const { query, variables } = JSON.parse(options.body);
+    calls.push({ url, query, variables, headers: options.headers });
+
+    if (!rateLimited) {
+      rateLimited = true;
+      return jsonResponse({}, 429);
+    }
+    if (query.includes('userProgressQuestionList')) {
+      const { skip, limit } = variables.filters;
+      return jsonResponse({
+        data: { userProgressQuestionList: { totalNum: SOLVED.length, questions: SOLVED.slice(skip, skip + limit) } },
+      });
+    }
+    if (query.includes('questionSubmissionList')) {
+      const accepted = variables.titleSlug !== 'longest-substring';
+      return jsonResponse({
+        data: {
+          questionSubmissionList: {
+            hasNext: false,
+            submissions: [
+              { id: '300', timestamp: '1700000300', statusDisplay: accepted ? 'Accepted' : 'Wrong Answer' },
+              { id: '200', timestamp: '1700000200', statusDisplay: 'Wrong Answer' },
+            ],
+          },
+        },
+      });
+    }
+    if (query.includes('question(titleSlug')) {
+      return jsonResponse({ data: { question: { content: '<p>Given an array&nbsp;<code>nums</code></p>' } } });
+    }
+    if (query.includes('submissionDetails')) {
+      return jsonResponse({
+        data: {
+          submissionDetails: {
+            code: 'class Solution {}',
+            timestamp: 1700000300,
+            runtimeDisplay: '3 ms',
+            memoryDisplay: '42 MB',
+            runtimePercentile: 91.234,
+            lang: { name: 'java' },
+          },
+        },
+      });
+    }
+    throw new Error(`Unexpected query ${query}`);
+  };
+}
+
+async function testImport() {
+  resetStorage({
+    'problem_data_add-two-numbers': { name: 'Add Two Numbers', solved: { value: true, date: 1, tries: 1 } },
+  });
+
+  const calls = [];
+  const sleeps = [];
+  const pushed = [];
+  const backfill = new LeetCodeBackfill({
+    fetch: createFetch(calls),
+    sleep: async (ms) => sleeps.push(ms),
+    pageSize: 2,
+    pushSolution: async (slug, problemInfo) => {
+      pushed.push({ slug, problemInfo });
+      return { success: true };
+    },
+  });
+
+  await backfill.run();
+
+  const progress = storageData[LEETCODE_BACKFILL_KEY];
+  assert.strictEqual(progress.status, LEETCODE_BACKFILL_STATUS.DONE);
+  assert.strictEqual(progress.total, 3);
+  assert.strictEqual(progress.processed, 3);
+  assert.strictEqual(progress.imported, 1);
+  assert.strictEqual(progress.skipped, 1, 'problems solved while installed should be skipped');
+  assert.deepStrictEqual(progress.failed.map((entry) => entry.slug), ['longest-substring']);
+
+  assert.strictEqual(calls.filter((call) => call.query.includes('userProgressQuestionList')).length, 2, 'solved list is paged');
+  assert.ok(calls.every((call) => call.url === 'https://leetcode.com/graphql/'));
+
+  assert.strictEqual(pushed.length, 1);
+  assert.deepStrictEqual(pushed[0].problemInfo, {
+    title: 'Two Sum',
+    number: '1',
+    description: 'Given an array nums',
+    difficulty: 'Easy',
+    url: 'https://leetcode.com/problems/two-sum/',
+    language: 'java',
+    code: 'class Solution {}',
+    topics: ['Array'],
+    stats: { runtime: '3 ms', memory: '42 MB', beats: '91.23%' },
+  });
+
+  const record = storageData['problem_data_two-sum'];
+  assert.deepStrictEqual(record.solved, { value: true, date: 1700000300000, tries: 2 });
+  assert.strictEqual(record.difficulty, 0);
+  assert.strictEqual(record.platform, 'leetcode');
+  assert.strictEqual(record.backfilled, true);
+  assert.strictEqual(storageData['problem_data_add-two-numbers'].backfilled, undefined);
+  assert.ok(sleeps.length > 0, 'requests should be paced');
+}
+
+async function testPauseAndResume() {
+  resetStorage();
+
+  const pushed = [];
+  let backfill = null;
+  backfill = new LeetCodeBackfill({
+    fetch: createFetch([]),
+    sleep: async () => {},
+    pushSolution: async (slug) => {
+      pushed.push(slug);
+      backfill.stop();
+      return { success: false, queued: true, error: 'offline' };
+    },
+  });
+
+  await backfill.run();
+  let progress = storageData[LEETCODE_BACKFILL_KEY];
+  assert.strictEqual(progress.status, LEETCODE_BACKFILL_STATUS.PAUSED);
+  assert.deepStrictEqual(progress.completedSlugs, ['two-sum']);
+  assert.strictEqual(progress.imported, 1, 'a queued push still counts as imported');
+
+  // A new instance (e.g. after a reload) picks up where the last one stopped
+  const resumed = new LeetCodeBackfill({
+    fetch: createFetch([]),
+    sleep: async () => {},
+    pushSolution: async (slug) => {
+      pushed.push(slug);
+      return { success: false, error: 'Bad credentials' };
+    },
+  });
+  await resumed.run();
+
+  progress = storageData[LEETCODE_BACKFILL_KEY];
+  assert.strictEqual(progress.status, LEETCODE_BACKFILL_STATUS.DONE);
+  assert.deepStrictEqual(pushed, ['two-sum', 'add-two-numbers']);
+  assert.deepStrictEqual(progress.failed.map((entry) => entry.error), ['Bad credentials', 'No accepted submission found']);
+
+  // Starting over clears progress; the queued push is skipped now, the failed one is tried again
+  pushed.length = 0;
+  await resumed.run({ restart: true });
+  progress = storageData[LEETCODE_BACKFILL_KEY];
+  assert.strictEqual(progress.skipped, 1);
+  assert.deepStrictEqual(pushed, ['add-two-numbers']);
+  assert.deepStrictEqual(progress.failed.map((entry) => entry.slug), ['add-two-numbers', 'longest-substring']);
+}
+
+async function testRestartRetriesFailedPush() {
+  resetStorage();
+
+  const pushed = [];
+  let pushWorks = false;
+  const backfill = new LeetCodeBackfill({
+    fetch: createFetch([]),
+    sleep: async () => {},
+    pushSolution: async (slug) => {
+      pushed.push(slug);
+      return pushWorks ? { success: true } : { success: false, error: 'GitHub API error: 401' };
+    },
+  });
+
+  await backfill.run();
+  assert.deepStrictEqual(pushed, ['two-sum', 'add-two-numbers']);
+  assert.strictEqual(storageData['problem_data_two-sum'].solved.value, true);
+  assert.strictEqual(storageData['problem_data_two-sum'].pushPending, true, 'a failed push leaves the record pending');
+
+  // Resuming a finished import starts over, and the pending records are pushed this time
+  pushWorks = true;
+  pushed.length = 0;
+  await backfill.run();
+  const progress = storageData[LEETCODE_BACKFILL_KEY];
+  assert.deepStrictEqual(pushed, ['two-sum', 'add-two-numbers']);
+  assert.strictEqual(progress.imported, 2);
+  assert.deepStrictEqual(progress.failed.map((entry) => entry.slug), ['longest-substring']);
+  assert.strictEqual(storageData['problem_data_two-sum'].pushPending, undefined);
+
+  // Once pushed, a record is skipped like a live solve
+  pushed.length = 0;
+  await backfill.run({ restart: true });
+  assert.deepStrictEqual(pushed, []);
+  assert.strictEqual(storageData[LEETCODE_BACKFILL_KEY].skipped, 2);
+}
+
+async function testTries() {
+  resetStorage();
+
+  // Newest first across three pages; the problem was first accepted on the third submission
+  const submissions = [
+    { id: '500', timestamp: '1700000500', statusDisplay: 'Accepted' },
+    { id: '400', timestamp: '1700000400', statusDisplay: 'Time Limit Exceeded' },
+    { id: '300', timestamp: '1700000300', statusDisplay: 'Accepted' },
+    { id: '200', timestamp: '1700000200', statusDisplay: 'Runtime Error' },
+    { id: '100', timestamp: '1700000100', statusDisplay: 'Wrong Answer' },
+  ];
+  const calls = [];
+  const backfill = new LeetCodeBackfill({
+    sleep: async () => {},
+    submissionPageSize: 2,
+    fetch: async (url, options) => {
+      const { query, variables } = JSON.parse(options.body);
+      calls.push({ query, variables });
+      if (query.includes('questionSubmissionList')) {
+        const { offset, limit } = variables;
+        return jsonResponse({
+          data: {
+            questionSubmissionList: {
+              hasNext: offset + limit < submissions.length,
+              submissions: submissions.slice(offset, offset + limit),
+            },
+          },
+        });
+      }
+      if (query.includes('question(titleSlug')) {
+        return jsonResponse({ data: { question: { content: '' } } });
+      }
+      return jsonResponse({ data: { submissionDetails: { code: `// ${variables.submissionId}`, lang: { name: 'cpp' } } } });
+    },
+  });
+
+  const { problemInfo, solvedAt, tries } = await backfill.fetchAcceptedSolution(SOLVED[0]);
+  assert.strictEqual(tries, 3, 'rejected submissions before the first accept count as tries');
+  assert.strictEqual(problemInfo.code, '// 500', 'the latest accepted code is imported');
+  assert.strictEqual(solvedAt, 1700000500000);
+
+  const pages = calls.filter((call) => call.query.includes('questionSubmissionList')).map((call) => call.variables);
+  assert.deepStrictEqual(pages.map((page) => page.offset), [0, 2, 4]);
+  assert.ok(pages.every((page) => !('status' in page)), 'submissions are not filtered by status');
+}
+
+async function testRateLimit() {
+  resetStorage();
+
+  const sleeps = [];
+  const backfill = new LeetCodeBackfill({
+    fetch: createFetch([], { rateLimitFirst: true }),
+    sleep: async (ms) => sleeps.push(ms),
+    rateLimitDelayMs: 1000,
+  });
+
+  await backfill.run();
+  assert.strictEqual(sleeps[0], 1000, '429 should wait before retrying');
+  assert.strictEqual(storageData[LEETCODE_BACKFILL_KEY].status, LEETCODE_BACKFILL_STATUS.DONE);
+}
+
+async function testStaleProgress() {
+  const now = 1700000000000;
+  const running = { status: LEETCODE_BACKFILL_STATUS.RUNNING, updatedAt: now - 10 * 60 * 1000 };
+  assert.strictEqual(LeetCodeBackfill.isStale(running, now), true);
+  assert.strictEqual(LeetCodeBackfill.isStale({ ...running, updatedAt: now }, now), false);
+  assert.strictEqual(LeetCodeBackfill.isStale(null, now), false);
+}
+
+(async () => {
+  try {
+    await testImport();
+    await testPauseAndResume();
+    await testRestartRetriesFailedPush();
+    await testTries();
+    await testRateLimit();
+    await testStaleProgress();
+    console.log('LeetCode backfill tests passed');
+  } catch (error) {
+    console.error('LeetCode backfill tests failed:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,105 @@
+'use strict';
+
+const assert = require('assert');
+const { LeetCodeJudge, LEETCODE_JUDGE_KINDS } = require('../utils/leetcode-judge');
+
+function testAcceptedSubmission() {
+  const result = LeetCodeJudge.parseResult({
+    state: 'SUCCESS',
+    status_code: 10,
+    status_msg: 'Accepted',
+    status_runtime: '3 ms',
+    status_memory: '42.1 MB',
+    runtime_percentile: 91.2345,
+    memory_percentile: 55.5,
+    total_correct: 63,
+    total_testcases: 63,
+    submission_id: '1234567',
+  }, { kind: LEETCODE_JUDGE_KINDS.SUBMIT });
+
+  assert.strictEqual(result.accepted, true);
+  assert.strictEqual(result.status, 'Accepted');
+  assert.strictEqual(result.runtimePercentile, 91.2345);
+  assert.strictEqual(result.passedTestCases, 63);
+  assert.strictEqual(result.failingTestCase, null);
+  assert.strictEqual(LeetCodeJudge.toFailure(result), null);
+  assert.deepStrictEqual(LeetCodeJudge.toStats(result), { runtime: '3 ms', memory: '42.1 MB', beats: '91.23%' });
+}
+
+function testWrongAnswerSubmission() {
+  const result = LeetCodeJudge.parseResult({
+    status_code: 11,
+    status_msg: 'Wrong Answer',
+    total_correct: 10,
+    total_testcases: 63,
+    last_testcase: '[2,7,11,15]\n9',
+    expected_output: '[0,1]',
+    code_output: '[1,0]',
+    runtime_percentile: null,
+  }, { kind: LEETCODE_JUDGE_KINDS.SUBMIT });
+
+  assert.strictEqual(result.accepted, false);
+  assert.strictEqual(result.statusCode, 11);
+  assert.strictEqual(result.runtimePercentile, null);
+  assert.deepStrictEqual(result.failingTestCase, { input: '[2,7,11,15]\n9', expected: '[0,1]', actual: '[1,0]' });
+  assert.strictEqual(LeetCodeJudge.toStats(result).beats, '');
+  assert.deepStrictEqual(LeetCodeJudge.toFailure(result), {
+    input: '[2,7,11,15]\n9', expected: '[0,1]', actual: '[1,0]', error: '',
+  });
+}
+
+function testCompileError() {
+  const result = LeetCodeJudge.parseResult({
+    status_code: 20,
+    status_msg: 'Compile Error',
+    compile_error: 'Line 3: error',
+    full_compile_error: 'Line 3: error: expected \';\'',
+    submission_id: 'runcode_1700000000.123_abc',
+  });
+
+  assert.strictEqual(result.kind, LEETCODE_JUDGE_KINDS.RUN, 'runcode ids are runs');
+  assert.strictEqual(result.accepted, false);
+  assert.strictEqual(result.error, 'Line 3: error: expected \';\'');
+  assert.strictEqual(result.failingTestCase, null);
+  assert.deepStrictEqual(LeetCodeJudge.toFailure(result), {
+    input: '', expected: '', actual: '', error: 'Line 3: error: expected \';\'',
+  });
+}
+
+function testRunWithWrongOutput() {
+  // Runs finish with status 10 even when an output differs
+  const result = LeetCodeJudge.parseResult({
+    status_code: 10,
+    status_msg: 'Accepted',
+    correct_answer: false,
+    compare_result: '101',
+    code_answer: ['[0,1]', '[2,1]', '[0,1]'],
+    expected_code_answer: ['[0,1]', '[1,2]', '[0,1]'],
+    total_correct: 2,
+    total_testcases: 3,
+  }, { kind: LEETCODE_JUDGE_KINDS.RUN, dataInput: '[2,7,11,15]\n9\n[3,2,4]\n6\n[3,3]\n6' });
+
+  assert.strictEqual(result.accepted, false);
+  assert.strictEqual(result.status, 'Wrong Answer');
+  assert.deepStrictEqual(result.failingTestCase, { input: '[3,2,4]\n6', expected: '[1,2]', actual: '[2,1]' });
+
+  const passing = LeetCodeJudge.parseResult({ status_code: 10, status_msg: 'Accepted', correct_answer: true }, { kind: 'run' });
+  assert.strictEqual(passing.accepted, true);
+}
+
+function testRunInputThatDoesNotSplitEvenly() {
+  assert.strictEqual(LeetCodeJudge.getRunTestCaseInput('a\nb\nc', 2, 1), 'a\nb\nc');
+  assert.strictEqual(LeetCodeJudge.getRunTestCaseInput('', 2, 1), '');
+}
+
+try {
+  testAcceptedSubmission();
+  testWrongAnswerSubmission();
+  testCompileError();
+  testRunWithWrongOutput();
+  testRunInputThatDoesNotSplitEvenly();
+  console.log('LeetCode judge tests passed');
+} catch (error) {
+  console.error('LeetCode judge tests failed:', error);
+  process.exit(1);
+}
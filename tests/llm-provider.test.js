@@ -0,0 +1,267 @@
+'use strict';
+
+const assert = require('assert');
+
+const syncData = {};
+
+function resetStorage(values = {}) {
+  Object.keys(syncData).forEach((key) => delete syncData[key]);
+  Object.assign(syncData, values);
+}
+
+global.self = global;
+global.chrome = {
+  storage: {
+    sync: {
+      get(keys, callback) {
+        const result = {};
+        (Array.isArray(keys) ? keys : [keys]).forEach((key) => {
+          if (Object.prototype.hasOwnProperty.call(syncData, key)) {
+            result[key] = syncData[key];
+          }
+        });
+        return callback ? callback(result) : Promise.resolve(result);
+      },
+    },
+    onChanged: { addListener() {} },
+  },
+};
+
+// The provider files attach their classes to self, like in the extension
+require('../utils/common');
+require('../utils/git-provider');
+require('../utils/llm-client');
+require('../utils/gemini-api');
+require('../utils/openai-api');
+require('../utils/anthropic-api');
+require('../utils/ollama-api');
+require('../utils/llm-provider');
+
+const DETAILS = {
+  tags: ['Off By One', 'Edge Cases'],
+  keyIssues: ['Loop ran one step past the end'],
+  improvements: ['Bound fixed to i < n'],
+  memorableSnippet: { code: 'for (i = 0; i < n; i++)', why: 'The exclusive bound' },
+  complexity: { time: 'O(n)', space: 'O(1)' },
+};
+const REPLY = JSON.stringify(DETAILS);
+
+const ATTEMPTS = [
+  { code: 'for (i = 0; i <= n; i++)', language: 'cpp', status: 'Wrong Answer', failure: { input: '[1,2]', expected: '3', actual: '4' } },
+  { code: 'for (i = 0; i < n; i++)', language: 'cpp', status: 'Accepted' },
+];
+
+// Records each request and answers with the provider-specific body (one per call when given a list)
+function installFetch(body, calls) {
+  const bodies = Array.isArray(body) ? [...body] : null;
+  global.fetch = async (url, options = {}) => {
+    calls.push({ url, headers: options.headers, body: JSON.parse(options.body) });
+    const next = bodies ? bodies.shift() : body;
+    return {
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      json: async () => next,
+      text: async () => JSON.stringify(next),
+    };
+  };
+}
+
+async function analyze(provider, responseBody) {
+  const calls = [];
+  installFetch(responseBody, calls);
+  const llm = await LLMProvider.create();
+  assert.strictEqual(llm.constructor.name, provider);
+  const result = await llm.analyzeMistakes(ATTEMPTS, { title: 'Two Sum', description: 'Find two numbers' });
+  return { llm, result, call: calls[0], calls };
+}
+
+function assertAnalysis(result) {
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.tags, ['Off By One', 'Edge Cases']);
+  assert.deepStrictEqual(result.details, DETAILS);
+  assert.strictEqual(result.analysis, [
+    '**Key Issues**\n- Loop ran one step past the end',
+    '**Improvements**\n- Bound fixed to i < n',
+    '**Time-Travel Debugging**\n```cpp\nfor (i = 0; i < n; i++)\n```\nThe exclusive bound',
+    '**Complexity**: Time O(n), Space O(1)',
+  ].join('\n\n'));
+}
+
+async function testGemini() {
+  resetStorage({ gemini_api_key: 'AIza-test' });
+  const { result, call } = await analyze('GeminiAPI', { candidates: [{ content: { parts: [{ text: REPLY }] } }] });
+
+  assertAnalysis(result);
+  assert.strictEqual(call.url, 'https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent');
+  assert.strictEqual(call.headers['x-goog-api-key'], 'AIza-test');
+  assert.ok(call.body.contents[0].parts[0].text.includes('Failing input: [1,2]'));
+  assert.strictEqual(call.body.generationConfig.responseMimeType, 'application/json');
+}
+
+async function testOpenAICompatible() {
+  resetStorage({ llm_provider: 'openai', openai_api_key: 'sk-test' });
+  let { result, call } = await analyze('OpenAICompatibleAPI', { choices: [{ message: { content: REPLY } }] });
+
+  assertAnalysis(result);
+  assert.strictEqual(call.url, 'https://api.openai.com/v1/chat/completions');
+  assert.strictEqual(call.headers.Authorization, 'Bearer sk-test');
+  assert.strictEqual(call.body.model, 'gpt-4o-mini');
+  assert.deepStrictEqual(call.body.response_format, { type: 'json_object' });
+
+  // A local server (llama.cpp, LM Studio) needs no key
+  resetStorage({ llm_provider: 'openai', openai_base_url: 'localhost:8080/v1/', openai_model: 'qwen2.5-coder' });
+  ({ call } = await analyze('OpenAICompatibleAPI', { choices: [{ message: { content: REPLY } }] }));
+  assert.strictEqual(call.url, 'https://localhost:8080/v1/chat/completions');
+  assert.strictEqual(call.headers.Authorization, undefined);
+  assert.strictEqual(call.body.model, 'qwen2.5-coder');
+  assert.strictEqual(call.body.response_format, undefined);
+
+  resetStorage({ llm_provider: 'openai' });
+  const unconfigured = await LLMProvider.create();
+  assert.strictEqual(await unconfigured.initialize(), false);
+  assert.deepStrictEqual(await unconfigured.analyzeMistakes(ATTEMPTS, { title: 'Two Sum' }), {
+    success: false,
+    error: 'OpenAI-compatible API is not configured',
+  });
+}
+
+async function testAnthropic() {
+  resetStorage({ llm_provider: 'anthropic', anthropic_api_key: 'sk-ant-test' });
+  const { result, call } = await analyze('AnthropicAPI', { content: [{ type: 'text', text: REPLY }] });
+
+  assertAnalysis(result);
+  assert.strictEqual(call.url, 'https://api.anthropic.com/v1/messages');
+  assert.strictEqual(call.headers['x-api-key'], 'sk-ant-test');
+  assert.strictEqual(call.headers['anthropic-version'], '2023-06-01');
+  assert.strictEqual(typeof call.body.max_tokens, 'number');
+}
+
+async function testOllama() {
+  resetStorage({ llm_provider: 'ollama', ollama_base_url: 'localhost:11434' });
+  const { result, call } = await analyze('OllamaAPI', { message: { role: 'assistant', content: REPLY } });
+
+  assertAnalysis(result);
+  assert.strictEqual(call.url, 'http://localhost:11434/api/chat');
+  assert.strictEqual(call.body.stream, false);
+  assert.strictEqual(call.body.model, 'llama3.1');
+  assert.strictEqual(call.body.format, 'json');
+}
+
+function testParsing() {
+  const llm = new GeminiAPI();
+
+  // Fenced JSON, a single string for a list and loosely spelled tags are all accepted
+  const loose = llm.parseAnalysisResponse(`Here you go:\n\`\`\`json\n${JSON.stringify({
+    ...DETAILS,
+    tags: ['off by one', 'Recursion', 'OFF BY ONE'],
+    keyIssues: 'Loop ran one step past the end',
+  })}\n\`\`\``);
+  assert.strictEqual(loose.valid, true);
+  assert.deepStrictEqual(loose.details.tags, ['Off By One']);
+  assert.deepStrictEqual(loose.details.keyIssues, ['Loop ran one step past the end']);
+
+  assert.deepStrictEqual(llm.parseAnalysisResponse('TAGS: Off By One').errors, ['reply contains no JSON object']);
+  assert.match(llm.parseAnalysisResponse('{"tags": [}').errors[0], /^invalid JSON/);
+
+  const { errors } = llm.parseAnalysisResponse(JSON.stringify({ tags: ['Recursion'], keyIssues: [], complexity: 'O(n)' }));
+  assert.strictEqual(errors.length, 4);
+  assert.ok(errors[0].startsWith('"tags" must list 1-3 of: Logic Error'));
+}
+
+async function testRepair() {
+  resetStorage({ llm_provider: 'ollama' });
+  const malformed = { message: { content: '{"tags": ["Off By One"], "keyIssues": ["Loop bound"]}' } };
+
+  let { result, calls } = await analyze('OllamaAPI', [malformed, { message: { content: REPLY } }]);
+  assertAnalysis(result);
+  assert.strictEqual(calls.length, 2);
+  const repairPrompt = calls[1].body.messages[0].content;
+  assert.ok(repairPrompt.includes('"memorableSnippet" must be an object'));
+  assert.ok(repairPrompt.includes('"keyIssues": ["Loop bound"]'));
+
+  ({ result, calls } = await analyze('OllamaAPI', [malformed, malformed]));
+  assert.strictEqual(calls.length, 2, 'only one repair pass');
+  assert.strictEqual(result.success, false);
+  assert.ok(result.error.startsWith('Malformed analysis from Ollama: "memorableSnippet"'));
+}
+
+async function testHints() {
+  resetStorage({ llm_provider: 'ollama' });
+  const calls = [];
+  installFetch({ message: { content: '  Which pairs have you already seen?  ' } }, calls);
+  const llm = await LLMProvider.create();
+  const problem = { title: 'Two Sum', description: 'Find two numbers', code: 'for (i = 0; i <= n; i++)', language: 'cpp' };
+
+  assert.deepStrictEqual(await llm.getHint(problem), { success: true, hint: 'Which pairs have you already seen?', level: 'nudge' });
+  const firstPrompt = calls[0].body.messages[0].content;
+  assert.ok(firstPrompt.includes('for (i = 0; i <= n; i++)'));
+  assert.ok(firstPrompt.includes(HINT_LEVELS[0].instruction));
+  assert.ok(!firstPrompt.includes('Hints already given'));
+
+  // Later hints go deeper, see the earlier ones and stop at pseudo-code
+  assert.strictEqual((await llm.getHint(problem, 1, ['Which pairs have you already seen?'])).level, 'approach');
+  assert.ok(calls[1].body.messages[0].content.includes('1. Which pairs have you already seen?'));
+  assert.strictEqual((await llm.getHint(problem, 5)).level, 'pseudo-code');
+  assert.strictEqual(calls[1].body.format, undefined, 'hints are plain text');
+}
+
+async function testComplexity() {
+  resetStorage({ llm_provider: 'ollama' });
+  const calls = [];
+  const complexity = { time: 'O(n)', space: 'O(n)', explanation: 'One pass with a hash map of seen values' };
+  installFetch([
+    { message: { content: '{"time": "O(n)", "space": ""}' } },
+    { message: { content: JSON.stringify(complexity) } },
+  ], calls);
+  const llm = await LLMProvider.create();
+  const problem = { title: 'Two Sum', code: 'seen[x] = i;', language: 'cpp' };
+
+  assert.deepStrictEqual(await llm.analyzeComplexity(problem), { success: true, complexity });
+  assert.ok(calls[0].body.messages[0].content.includes('seen[x] = i;'));
+  assert.strictEqual(calls[0].body.format, 'json');
+  const repairPrompt = calls[1].body.messages[0].content;
+  assert.ok(repairPrompt.includes('"space" must be a non-empty string'));
+  assert.ok(repairPrompt.includes('"explanation" must be a non-empty string'));
+
+  assert.strictEqual((await llm.analyzeComplexity({ title: 'Two Sum' })).error, 'No code to analyze');
+}
+
+async function testFailureThreshold() {
+  resetStorage();
+  assert.strictEqual(await LLMProvider.getFailureThreshold(), MISTAKE_ANALYSIS_THRESHOLD_DEFAULT);
+  resetStorage({ mistake_analysis_threshold: 5 });
+  assert.strictEqual(await LLMProvider.getFailureThreshold(), 5);
+  resetStorage({ mistake_analysis_threshold: 0 });
+  assert.strictEqual(await LLMProvider.getFailureThreshold(), MISTAKE_ANALYSIS_THRESHOLD_DEFAULT);
+}
+
+async function testErrors() {
+  resetStorage({ gemini_api_key: 'AIza-test' });
+  global.fetch = async () => ({ ok: false, status: 429, text: async () => 'quota exceeded' });
+  const llm = await LLMProvider.create();
+  assert.deepStrictEqual(await llm.analyzeMistakes(ATTEMPTS, { title: 'Two Sum' }), {
+    success: false,
+    error: 'Gemini responded with 429: quota exceeded',
+  });
+  assert.strictEqual((await llm.analyzeMistakes([], { title: 'Two Sum' })).error, 'No attempts to analyze');
+}
+
+(async () => {
+  try {
+    await testGemini();
+    await testOpenAICompatible();
+    await testAnthropic();
+    await testOllama();
+    testParsing();
+    await testRepair();
+    await testHints();
+    await testComplexity();
+    await testFailureThreshold();
+    await testErrors();
+    console.log('LLM provider tests passed');
+  } catch (error) {
+    console.error('LLM provider tests failed:', error);
+    process.exit(1);
+  }
+})();
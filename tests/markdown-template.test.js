@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  MarkdownTemplate,
+  MARKDOWN_TEMPLATE_KEYS,
+  MARKDOWN_TEMPLATE_DEFAULTS,
+} = require('../utils/markdown-template.js');
+
+async function testRender() {
+  assert.strictEqual(
+    MarkdownTemplate.render('# {{title}} ({{ difficulty }})', { title: 'Two Sum', difficulty: 'Easy' }),
+    '# Two Sum (Easy)',
+  );
+  assert.strictEqual(MarkdownTemplate.render('{{missing}}!', {}), '!');
+  assert.strictEqual(MarkdownTemplate.render('{{tags}}', { tags: ['dp', 'off-by-one'] }), 'dp, off-by-one');
+}
+
+async function testSections() {
+  const template = '{{#runtime}}Runtime: {{runtime}}{{/runtime}}{{^runtime}}No stats{{/runtime}}';
+  assert.strictEqual(MarkdownTemplate.render(template, { runtime: '4 ms' }), 'Runtime: 4 ms');
+  assert.strictEqual(MarkdownTemplate.render(template, { runtime: '' }), 'No stats');
+  assert.strictEqual(MarkdownTemplate.render('{{#tags}}has tags{{/tags}}', { tags: [] }), '');
+}
+
+async function testBuildVariables() {
+  const problemData = {
+    solved: { value: true, date: 1700000000000 + 1000 * 60 * 15, tries: 3 },
+    problemStartTime: 1700000000000,
+    pausedTime: 1000 * 60 * 5,
+    aiAnalysis: 'Forgot the empty array case',
+    aiTags: ['edge-case'],
+  };
+
+  const variables = MarkdownTemplate.buildVariables(
+    { title: 'Two Sum', code: 'return [];', language: 'python3', stats: { runtime: '40 ms' } },
+    'leetcode',
+    { problemData, languageFence: 'python' },
+  );
+
+  assert.strictEqual(variables.platformName, 'Leetcode');
+  assert.strictEqual(variables.attempts, 3);
+  assert.strictEqual(variables.timeTaken, '10m 0s');
+  assert.strictEqual(variables.runtime, '40 ms');
+  assert.strictEqual(variables.analysis, 'Forgot the empty array case');
+  assert.strictEqual(variables.difficulty, 'Unknown');
+
+  const rendered = MarkdownTemplate.render(MARKDOWN_TEMPLATE_DEFAULTS[MARKDOWN_TEMPLATE_KEYS.SOLUTION], variables);
+  assert.ok(rendered.startsWith('# Two Sum\n'));
+  assert.ok(rendered.includes('```python\nreturn [];\n```'));
+  assert.ok(!rendered.includes('## Complexity'));
+
+  problemData.complexityAnalysis = { time: 'O(1)', space: 'O(1)', explanation: 'Returns immediately' };
+  const withComplexity = MarkdownTemplate.render(
+    MARKDOWN_TEMPLATE_DEFAULTS[MARKDOWN_TEMPLATE_KEYS.SOLUTION],
+    MarkdownTemplate.buildVariables({ title: 'Two Sum', code: 'return [];' }, 'leetcode', { problemData }),
+  );
+  assert.ok(withComplexity.includes('## Complexity\n- **Time:** O(1)\n- **Space:** O(1)\n\nReturns immediately\n'));
+}
+
+(async () => {
+  try {
+    await testRender();
+    await testSections();
+    await testBuildVariables();
+    console.log('Markdown template tests passed');
+  } catch (error) {
+    console.error('Markdown template tests failed:', error);
+    process.exit(1);
+  }
+})();
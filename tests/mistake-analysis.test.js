@@ -0,0 +1,97 @@
+'use strict';
+
+const assert = require('assert');
+
+const listeners = [];
+global.chrome = {
+  runtime: {
+    onMessage: {
+      addListener(listener) {
+        listeners.push(listener);
+      },
+    },
+  },
+};
+
+const requests = [];
+global.LLMProvider = {
+  async create() {
+    return {
+      providerName: 'Ollama',
+      async analyzeMistakes(attempts, problem) {
+        requests.push({ attempts, problem });
+        return problem.title
+          ? { success: true, analysis: '**Key Issues**\n- Off by one', tags: ['Off By One'], details: {} }
+          : { success: false, error: 'Malformed analysis from Ollama' };
+      },
+    };
+  },
+};
+
+const { MistakeAnalysis } = require('../utils/mistake-analysis');
+
+const ATTEMPTS = [
+  { code: 'for (i = 0; i <= n; i++)', language: 'cpp', successful: false },
+  { code: '', language: 'cpp', successful: false },
+];
+
+function source(overrides = {}) {
+  const kept = [];
+  return {
+    kept,
+    label: 'LeetCode',
+    getAttempts: () => ATTEMPTS,
+    getProblem: async () => ({ title: 'Two Sum', description: 'Find two numbers' }),
+    onResult: async (result) => kept.push(result),
+    ...overrides,
+  };
+}
+
+async function testAnalyze() {
+  const platform = source();
+  const result = await MistakeAnalysis.analyze(platform);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.tags, ['Off By One']);
+  assert.deepStrictEqual(platform.kept, [result]);
+  assert.strictEqual(requests[0].attempts.length, 1, 'attempts without code are left out');
+  assert.deepStrictEqual(requests[0].problem, { title: 'Two Sum', description: 'Find two numbers' });
+
+  // A failed analysis is reported but not kept
+  const untitled = source({ getProblem: async () => ({ title: '', description: '' }) });
+  assert.deepStrictEqual(await MistakeAnalysis.analyze(untitled), { success: false, error: 'Malformed analysis from Ollama' });
+  assert.deepStrictEqual(untitled.kept, []);
+
+  assert.deepStrictEqual(await MistakeAnalysis.analyze(source({ getAttempts: () => [] })), {
+    success: false,
+    error: 'No runs or submissions with code yet',
+  });
+
+  const broken = source({ getProblem: async () => { throw new Error('Editor not ready'); } });
+  assert.deepStrictEqual(await MistakeAnalysis.analyze(broken), { success: false, error: 'Editor not ready' });
+}
+
+async function testListen() {
+  const platform = source();
+  MistakeAnalysis.listen(platform);
+  const [listener] = listeners;
+
+  assert.strictEqual(listener({ type: 'LEETCODE_BACKFILL_STOP' }, {}, () => {}), false, 'other messages are left alone');
+
+  const response = await new Promise((resolve) => {
+    assert.strictEqual(listener({ type: 'ANALYZE_MISTAKES_NOW' }, {}, resolve), true, 'the reply is async');
+  });
+  assert.strictEqual(response.success, true);
+  assert.strictEqual(platform.kept.length, 1);
+}
+
+(async () => {
+  try {
+    await testAnalyze();
+    await testListen();
+    console.log('Mistake analysis tests passed');
+  } catch (error) {
+    console.error('Mistake analysis tests failed:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,79 @@
+'use strict';
+
+const assert = require('assert');
+
+global.self = global;
+require('../utils/common');
+
+const PROBLEM = {
+  title: '1. Two Sum',
+  number: '1',
+  difficulty: 'Easy',
+  language: 'python3',
+  topics: ['Array', 'Hash Table'],
+};
+
+async function testRender() {
+  const values = DSAUtils.getTemplateValues('leetcode', PROBLEM, new Date(2026, 2, 9));
+
+  assert.strictEqual(DSAUtils.renderPathTemplate(PATH_TEMPLATE_DEFAULT, values), 'leetcode/easy/1-two-sum');
+  assert.strictEqual(
+    DSAUtils.renderPathTemplate('{year}/{month}/{topic}/{title}-{lang}', values),
+    '2026/03/array/two-sum-py',
+  );
+  assert.strictEqual(DSAUtils.renderPathTemplate('{platform}/{tags}', values), 'leetcode/array_hash-table');
+  assert.strictEqual(DSAUtils.renderPathTemplate('{date}_{slug}', values), '2026-03-09_two-sum');
+
+  // Empty placeholders leave no dangling separators or empty folders
+  const unnumbered = DSAUtils.getTemplateValues('takeuforward', { title: '3 Sum' });
+  assert.strictEqual(DSAUtils.renderPathTemplate('{platform}/{difficulty}/{number}-{slug}', unnumbered), 'takeuforward/3-sum');
+  assert.strictEqual(DSAUtils.renderPathTemplate('{unknown}', unnumbered), '');
+
+  assert.strictEqual(DSAUtils.createFileName('leetcode', PROBLEM, '{number}'), '1');
+  assert.strictEqual(DSAUtils.createFileName('takeuforward', { title: '3 Sum' }, '{number}'), FILENAME_TEMPLATE_DEFAULT);
+}
+
+async function testValidate() {
+  assert.deepStrictEqual(DSAUtils.validatePathTemplate(PATH_TEMPLATE_DEFAULT), { valid: true, errors: [] });
+  assert.deepStrictEqual(DSAUtils.validatePathTemplate('  '), { valid: false, errors: ['Template cannot be empty'] });
+
+  assert.deepStrictEqual(DSAUtils.validatePathTemplate('{platform}/{foo}/{bar}').errors, ['Unknown placeholders: {foo}, {bar}']);
+  assert.deepStrictEqual(DSAUtils.validatePathTemplate('{platform/{slug}').errors, ['Unbalanced { or }']);
+  assert.strictEqual(DSAUtils.validatePathTemplate('{platform}:{slug}').valid, false);
+  assert.deepStrictEqual(DSAUtils.validatePathTemplate('/{platform}').errors, ['Path must be relative to the repository root']);
+  assert.deepStrictEqual(DSAUtils.validatePathTemplate('{platform}/../{slug}').errors, ['Path must be relative to the repository root']);
+
+  assert.ok(DSAUtils.validatePathTemplate('{number}-{slug}', { allowSlashes: false }).valid);
+  assert.deepStrictEqual(
+    DSAUtils.validatePathTemplate('{platform}/{slug}', { allowSlashes: false }).errors,
+    ['File name cannot contain /'],
+  );
+}
+
+async function testValidateTogether() {
+  assert.deepStrictEqual(DSAUtils.validateTemplates(PATH_TEMPLATE_DEFAULT, FILENAME_TEMPLATE_DEFAULT), { valid: true, errors: [] });
+  assert.ok(DSAUtils.validateTemplates('{platform}/{difficulty}', '{number}-{lang}').valid, 'the file name can identify the problem');
+  assert.ok(DSAUtils.validateTemplates('{year}/{title}', 'solution').valid);
+
+  // Without a problem placeholder every solve would overwrite the same files
+  const identifying = 'Use {slug}, {number} or {title} in the folder or file name so each problem gets its own files';
+  assert.deepStrictEqual(DSAUtils.validateTemplates('{platform}', 'solution').errors, [identifying]);
+  assert.deepStrictEqual(DSAUtils.validateTemplates('{platform}/{difficulty}/{topic}', '{lang}').errors, [identifying]);
+
+  assert.deepStrictEqual(DSAUtils.validateTemplates('{platform}/{foo}', '{slug}/x').errors, [
+    'Folder: Unknown placeholder: {foo}',
+    'File name: File name cannot contain /',
+  ]);
+}
+
+(async () => {
+  try {
+    await testRender();
+    await testValidate();
+    await testValidateTogether();
+    console.log('Path template tests passed');
+  } catch (error) {
+    console.error('Path template tests failed:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert');
+const { ProblemHistory, PROBLEM_HISTORY_SORTS, PROBLEM_HISTORY_STATUS } = require('../utils/problem-history');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 2, 10);
+
+const STORAGE = {
+  'problem_data_two-sum': {
+    name: 'Two Sum',
+    platform: 'leetcode',
+    difficulty: 0,
+    solved: { value: true, date: NOW - 2 * DAY, tries: 1 },
+    parent_topic: ['Array', 'Hash Table'],
+    aiTags: [],
+    problemStartTime: NOW - 2 * DAY - 10 * 60 * 1000,
+    pausedTime: 60 * 1000,
+    problem_link: 'https://leetcode.com/problems/two-sum/',
+  },
+  'problem_data_lru-cache': {
+    name: 'LRU Cache',
+    platform: 'leetcode',
+    difficulty: 1,
+    solved: { value: true, date: NOW - DAY, tries: 4 },
+    parent_topic: ['Design', 'Hash Table'],
+    aiTags: ['Edge Cases', 'Off By One'],
+    problemStartTime: NOW - DAY - 45 * 60 * 1000,
+    pausedTime: 0,
+    problem_link: 'https://leetcode.com/problems/lru-cache/',
+  },
+  'problem_data_https://takeuforward.org/plus/dsa/problems/3-sum': {
+    name: '3 Sum',
+    platform: 'takeuforward',
+    difficulty: 'hard',
+    solved: { value: false, date: 0, tries: 0 },
+    parent_topic: ['Arrays'],
+    attempts: [{ code: 'a' }, { code: 'b' }],
+    aiTags: [],
+    aiAnalysisDetails: { tags: ['Array Bounds'] },
+    timestamp: new Date(NOW).toISOString(),
+    problem_link: 'https://takeuforward.org/plus/dsa/problems/3-sum',
+  },
+  leetcode_backfill: { status: 'done' },
+};
+
+function testEntries() {
+  const entries = ProblemHistory.fromStorage(STORAGE);
+  assert.strictEqual(entries.length, 3, 'non-problem keys are ignored');
+
+  const twoSum = entries.find((entry) => entry.name === 'Two Sum');
+  assert.strictEqual(twoSum.difficulty, 'Easy');
+  assert.strictEqual(twoSum.timeTaken, 9 * 60 * 1000);
+  assert.strictEqual(twoSum.date, NOW - 2 * DAY);
+
+  const threeSum = entries.find((entry) => entry.platform === 'takeuforward');
+  assert.strictEqual(threeSum.difficulty, 'Hard');
+  assert.strictEqual(threeSum.tries, 2, 'unsolved problems count their attempts');
+  assert.strictEqual(threeSum.timeTaken, 0);
+  assert.strictEqual(threeSum.date, NOW);
+  assert.deepStrictEqual(threeSum.tags, ['Array Bounds'], 'tags fall back to the stored structured analysis');
+}
+
+function testFilters() {
+  const entries = ProblemHistory.fromStorage(STORAGE);
+  const names = (filters) => ProblemHistory.filter(entries, filters).map((entry) => entry.name).sort();
+
+  assert.deepStrictEqual(names({ platform: 'leetcode' }), ['LRU Cache', 'Two Sum']);
+  assert.deepStrictEqual(names({ difficulty: 'Medium' }), ['LRU Cache']);
+  assert.deepStrictEqual(names({ topic: 'Hash Table' }), ['LRU Cache', 'Two Sum']);
+  assert.deepStrictEqual(names({ tag: 'Edge Cases' }), ['LRU Cache']);
+  assert.deepStrictEqual(names({ status: PROBLEM_HISTORY_STATUS.UNSOLVED }), ['3 Sum']);
+  assert.deepStrictEqual(names({ from: NOW - DAY - 1, to: NOW - 1 }), ['LRU Cache']);
+  assert.strictEqual(names({ platform: '', topic: '' }).length, 3);
+}
+
+function testSort() {
+  const entries = ProblemHistory.fromStorage(STORAGE);
+  const names = (sortBy, ascending) => ProblemHistory.sort(entries, sortBy, ascending).map((entry) => entry.name);
+
+  assert.deepStrictEqual(names(PROBLEM_HISTORY_SORTS.RECENT), ['3 Sum', 'LRU Cache', 'Two Sum']);
+  assert.deepStrictEqual(names(PROBLEM_HISTORY_SORTS.TRIES), ['LRU Cache', '3 Sum', 'Two Sum']);
+  // Unknown time stays last in both directions
+  assert.deepStrictEqual(names(PROBLEM_HISTORY_SORTS.TIME), ['LRU Cache', 'Two Sum', '3 Sum']);
+  assert.deepStrictEqual(names(PROBLEM_HISTORY_SORTS.TIME, true), ['Two Sum', 'LRU Cache', '3 Sum']);
+}
+
+function testFilterOptions() {
+  const options = ProblemHistory.getFilterOptions(ProblemHistory.fromStorage(STORAGE));
+  assert.deepStrictEqual(options.platforms, ['leetcode', 'takeuforward']);
+  assert.deepStrictEqual(options.topics, ['Array', 'Arrays', 'Design', 'Hash Table']);
+  assert.deepStrictEqual(options.tags, ['Array Bounds', 'Edge Cases', 'Off By One']);
+}
+
+try {
+  testEntries();
+  testFilters();
+  testSort();
+  testFilterOptions();
+  console.log('Problem history tests passed');
+} catch (error) {
+  console.error('Problem history tests failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert');
+const { ProblemStats } = require('../utils/problem-stats');
+
+// Local noon keeps every date on its calendar day whatever the machine's timezone
+const day = (month, date) => new Date(2026, month - 1, date, 12).getTime();
+const NOW = day(3, 11); // Wednesday
+
+function entry(overrides) {
+  return {
+    name: 'Problem',
+    platform: 'leetcode',
+    difficulty: 'Easy',
+    topics: [],
+    tags: [],
+    solved: true,
+    tries: 1,
+    timeTaken: 0,
+    date: NOW,
+    url: '',
+    ...overrides,
+  };
+}
+
+const ENTRIES = [
+  entry({ date: day(3, 11), difficulty: 'Medium', tries: 3, timeTaken: 20 * 60 * 1000, topics: ['Array', 'Graph'] }),
+  entry({ date: day(3, 10), tries: 1, timeTaken: 5 * 60 * 1000, topics: ['Array'] }),
+  entry({ date: day(3, 10), tries: 7, timeTaken: 15 * 60 * 1000, topics: ['Array'] }),
+  entry({ date: day(3, 9), difficulty: 'Medium', timeTaken: 40 * 60 * 1000 }),
+  // Earlier four-day run
+  entry({ date: day(2, 20) }),
+  entry({ date: day(2, 21) }),
+  entry({ date: day(2, 22) }),
+  entry({ date: day(2, 23), difficulty: 'Hard', tries: 2 }),
+  entry({ solved: false, date: day(3, 11), topics: ['Graph'] }),
+];
+
+function testStreaks() {
+  const stats = ProblemStats.compute(ENTRIES, { now: NOW });
+  assert.strictEqual(stats.totalSolved, 8);
+  assert.strictEqual(stats.currentStreak, 3);
+  assert.strictEqual(stats.longestStreak, 4);
+
+  // Not solving yet today keeps yesterday's streak alive; a missed day ends it
+  assert.strictEqual(ProblemStats.compute(ENTRIES, { now: day(3, 12) }).currentStreak, 3);
+  assert.strictEqual(ProblemStats.compute(ENTRIES, { now: day(3, 13) }).currentStreak, 0);
+}
+
+function testSolvesPerPeriod() {
+  const stats = ProblemStats.compute(ENTRIES, { now: NOW, days: 3, weeks: 3 });
+  assert.deepStrictEqual(stats.solvesPerDay.map((item) => item.count), [1, 2, 1]);
+  assert.strictEqual(stats.solvesPerDay[2].day, '2026-03-11');
+
+  assert.deepStrictEqual(stats.solvesPerWeek.map((item) => item.weekStart), ['2026-02-23', '2026-03-02', '2026-03-09']);
+  assert.deepStrictEqual(stats.solvesPerWeek.map((item) => item.count), [1, 0, 4]);
+}
+
+function testAveragesAndDistribution() {
+  const stats = ProblemStats.compute(ENTRIES, { now: NOW });
+  assert.deepStrictEqual(stats.averageTimeByDifficulty, {
+    Easy: 10 * 60 * 1000,
+    Medium: 30 * 60 * 1000,
+    Hard: null,
+  });
+  assert.deepStrictEqual(stats.triesDistribution.map((item) => item.count), [5, 1, 1, 0, 1]);
+  assert.deepStrictEqual(stats.topicCoverage, [
+    { topic: 'Array', count: 3 },
+    { topic: 'Graph', count: 1 },
+  ]);
+}
+
+try {
+  testStreaks();
+  testSolvesPerPeriod();
+  testAveragesAndDistribution();
+  console.log('Problem stats tests passed');
+} catch (error) {
+  console.error('Problem stats tests failed:', error);
+  process.exit(1);
+}
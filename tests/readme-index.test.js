@@ -0,0 +1,107 @@
+'use strict';
+
+const assert = require('assert');
+
+const storageData = {};
+
+global.chrome = {
+  storage: {
+    local: {
+      async get() {
+        return { ...storageData };
+      },
+    },
+  },
+};
+
+const {
+  ReadmeIndex,
+  README_INDEX_START,
+  README_INDEX_END,
+} = require('../utils/readme-index.js');
+
+function entry(overrides = {}) {
+  return {
+    id: 'https://leetcode.com/problems/two-sum',
+    title: 'Two Sum',
+    platform: 'leetcode',
+    difficulty: 'Easy',
+    topic: 'Array',
+    language: 'cpp',
+    date: '2026-01-02',
+    url: 'https://leetcode.com/problems/two-sum',
+    path: 'leetcode/easy/1-two-sum/solution.md',
+    ...overrides,
+  };
+}
+
+async function testUpsertKeepsFirstSolveDate() {
+  let entries = ReadmeIndex.upsert([], entry());
+  entries = ReadmeIndex.upsert(entries, entry({ language: 'python3', date: '2026-03-01' }));
+
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].language, 'python3');
+  assert.strictEqual(entries[0].date, '2026-01-02');
+
+  const roundTrip = ReadmeIndex.parse(ReadmeIndex.serialize(entries));
+  assert.deepStrictEqual(roundTrip, entries);
+  assert.deepStrictEqual(ReadmeIndex.parse('not json'), []);
+}
+
+async function testReadmeMarkers() {
+  const entries = [entry(), entry({ id: 'x', title: 'A | B', difficulty: 'Hard', path: null, url: null })];
+
+  const created = ReadmeIndex.applyToReadme(null, entries, 'my-dsa');
+  assert.ok(created.startsWith('# my-dsa\n'));
+  assert.ok(created.includes('**2 problems solved** (Easy: 1 · Medium: 0 · Hard: 1)'));
+  assert.ok(created.includes('| A \\| B | Leetcode | Hard |'));
+  assert.ok(created.includes('[Solution](leetcode/easy/1-two-sum/solution.md)'));
+
+  // Existing README without markers keeps its content and gains a section
+  const appended = ReadmeIndex.applyToReadme('# Notes\n\nMy own text\n', entries);
+  assert.ok(appended.startsWith('# Notes\n\nMy own text\n\n## Solved Problems'));
+
+  // Only the marked section is replaced on later pushes
+  const replaced = ReadmeIndex.applyToReadme(appended.replace('My own text', 'Edited'), [entry()]);
+  assert.ok(replaced.includes('Edited'));
+  assert.ok(replaced.includes('**1 problem solved**'));
+  assert.strictEqual(replaced.split(README_INDEX_START).length, 2);
+  assert.strictEqual(replaced.split(README_INDEX_END).length, 2);
+}
+
+async function testSeedFromProblemData() {
+  storageData.problem_data_two_sum = {
+    name: '1. Two Sum',
+    platform: 'leetcode',
+    difficulty: 0,
+    solved: { value: true, date: Date.UTC(2026, 0, 2), tries: 1 },
+    parent_topic: ['Array'],
+    problem_link: 'https://leetcode.com/problems/two-sum',
+    attempts: [{ language: 'cpp' }],
+  };
+  storageData.problem_data_unsolved = {
+    name: 'Unsolved',
+    solved: { value: false, date: 0, tries: 0 },
+    problem_link: 'https://leetcode.com/problems/unsolved',
+  };
+  storageData.github_token = 'not a problem record';
+
+  const seeded = await ReadmeIndex.seedFromProblemData();
+  assert.strictEqual(seeded.length, 1);
+  assert.strictEqual(seeded[0].title, 'Two Sum');
+  assert.strictEqual(seeded[0].difficulty, 'Easy');
+  assert.strictEqual(seeded[0].language, 'cpp');
+  assert.strictEqual(seeded[0].date, '2026-01-02');
+}
+
+(async () => {
+  try {
+    await testUpsertKeepsFirstSolveDate();
+    await testReadmeMarkers();
+    await testSeedFromProblemData();
+    console.log('README index tests passed');
+  } catch (error) {
+    console.error('README index tests failed:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,170 @@
+'use strict';
+
+const assert = require('assert');
+
+const storageData = {};
+
+function resetStorage() {
+  Object.keys(storageData).forEach((key) => delete storageData[key]);
+}
+
+global.chrome = {
+  storage: {
+    local: {
+      async get(keys) {
+        const list = Array.isArray(keys) ? keys : [keys];
+        const result = {};
+        list.forEach((key) => {
+          if (Object.prototype.hasOwnProperty.call(storageData, key)) {
+            result[key] = storageData[key];
+          }
+        });
+        return result;
+      },
+      async set(items) {
+        Object.assign(storageData, JSON.parse(JSON.stringify(items)));
+      },
+    },
+  },
+  runtime: {
+    lastError: null,
+    // Set by tests to stand in for background.js
+    onChange: null,
+    sendMessage(message, callback) {
+      setImmediate(async () => {
+        try {
+          callback({ success: true, items: await chrome.runtime.onChange(message) });
+        } catch (error) {
+          callback({ success: false, error: error.message });
+        }
+      });
+    },
+  },
+};
+
+const { RetryQueue, RETRY_QUEUE_STATUS } = require('../utils/retry-queue.js');
+
+async function testRetryableStatus() {
+  assert.strictEqual(RetryQueue.isRetryableStatus(undefined), true);
+  assert.strictEqual(RetryQueue.isRetryableStatus(429), true);
+  assert.strictEqual(RetryQueue.isRetryableStatus(503), true);
+  assert.strictEqual(RetryQueue.isRetryableStatus(400), false);
+  assert.strictEqual(RetryQueue.isRetryableStatus(401), false);
+}
+
+async function testBackoff() {
+  const queue = new RetryQueue('test_queue', { baseDelayMs: 1000, maxDelayMs: 5000 });
+  assert.strictEqual(queue.getBackoffDelay(1), 1000);
+  assert.strictEqual(queue.getBackoffDelay(2), 2000);
+  assert.strictEqual(queue.getBackoffDelay(3), 4000);
+  assert.strictEqual(queue.getBackoffDelay(10), 5000);
+}
+
+async function testEnqueueAndDrain() {
+  resetStorage();
+
+  const queue = new RetryQueue('test_queue', { baseDelayMs: 1000, maxAttempts: 3 });
+  await Promise.all([
+    queue.enqueue('two-sum-1', { problemSlug: 'two-sum' }, { label: 'Two Sum' }),
+    queue.enqueue('3sum-1', { problemSlug: '3sum' }),
+  ]);
+
+  let items = await queue.getItems();
+  assert.strictEqual(items.length, 2, 'concurrent enqueues should not overwrite each other');
+  assert.strictEqual(items[0].label, 'Two Sum');
+  assert.strictEqual(items[0].attempts, 1);
+
+  // Backoff has not elapsed yet
+  assert.strictEqual((await queue.getReadyItems()).length, 0);
+  assert.strictEqual((await queue.getReadyItems(Date.now() + 1000)).length, 2);
+
+  // Re-enqueueing the same id replaces it instead of duplicating
+  await queue.enqueue('two-sum-1', { problemSlug: 'two-sum', tries: 2 });
+  items = await queue.getItems();
+  assert.strictEqual(items.length, 2);
+  assert.strictEqual(items[0].payload.tries, 2);
+  assert.strictEqual(items[0].label, 'Two Sum');
+
+  await queue.remove('3sum-1');
+  assert.strictEqual((await queue.getItems()).length, 1);
+}
+
+async function testFailureTransitions() {
+  resetStorage();
+
+  const queue = new RetryQueue('test_queue', { baseDelayMs: 1000, maxAttempts: 3 });
+  await queue.enqueue('a', {});
+
+  await queue.markFailure('a', 'Backend API error: 503');
+  let item = await queue.getItem('a');
+  assert.strictEqual(item.status, RETRY_QUEUE_STATUS.PENDING);
+  assert.strictEqual(item.attempts, 2);
+  assert.strictEqual(item.lastError, 'Backend API error: 503');
+
+  const notBefore = Date.now() + 60 * 60 * 1000;
+  await queue.markFailure('a', 'Rate limited', { notBefore });
+  item = await queue.getItem('a');
+  assert.strictEqual(item.status, RETRY_QUEUE_STATUS.FAILED, 'maxAttempts reached');
+
+  await queue.resetItem('a');
+  item = await queue.getItem('a');
+  assert.strictEqual(item.status, RETRY_QUEUE_STATUS.PENDING);
+  assert.strictEqual((await queue.getReadyItems()).length, 1);
+
+  const deferredUntil = Date.now() + 5 * 60 * 1000;
+  await queue.defer('a', deferredUntil);
+  item = await queue.getItem('a');
+  assert.strictEqual(item.nextAttemptAt, deferredUntil);
+  assert.strictEqual(item.attempts, 0, 'deferring should not count as an attempt');
+
+  await queue.markFailure('a', 'Backend API error: 400', { permanent: true });
+  item = await queue.getItem('a');
+  assert.strictEqual(item.status, RETRY_QUEUE_STATUS.FAILED);
+}
+
+async function testSharedStorage() {
+  resetStorage();
+
+  // background.js and the instances a content script and the side panel create over the same key
+  const worker = new RetryQueue('shared_queue', { relay: false });
+  const contentScript = new RetryQueue('shared_queue', { relay: true });
+  const sidePanel = new RetryQueue('shared_queue', { relay: true });
+  const relayed = [];
+  chrome.runtime.onChange = (message) => {
+    relayed.push(message.change);
+    assert.strictEqual(message.queue, 'shared_queue');
+    return worker.applyChange(message.change, message.args);
+  };
+
+  await worker.enqueue('drained', {});
+  await worker.enqueue('dismissed', {});
+
+  await Promise.all([
+    contentScript.enqueue('new-push', { tries: 1 }, { label: 'Two Sum' }),
+    sidePanel.remove('dismissed'),
+    worker.remove('drained'),
+    new RetryQueue('shared_queue', { relay: false }).enqueue('backfill', {}),
+  ]);
+
+  const items = await worker.getItems();
+  assert.deepStrictEqual(items.map((item) => item.id).sort(), ['backfill', 'new-push']);
+  assert.strictEqual(items.find((item) => item.id === 'new-push').label, 'Two Sum');
+  assert.deepStrictEqual(relayed, ['enqueue', 'remove']);
+
+  await assert.rejects(worker.applyChange('getItems'), /Unknown retry queue change: getItems/);
+  await assert.rejects(contentScript.applyChange('clear'), /Unknown retry queue change: clear/);
+}
+
+(async () => {
+  try {
+    await testRetryableStatus();
+    await testBackoff();
+    await testEnqueueAndDrain();
+    await testFailureTransitions();
+    await testSharedStorage();
+    console.log('Retry queue tests passed');
+  } catch (error) {
+    console.error('Retry queue tests failed:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,145 @@
+'use strict';
+
+const assert = require('assert');
+
+const storageData = {};
+
+global.chrome = {
+  storage: {
+    local: {
+      async get(keys) {
+        const result = {};
+        keys.forEach((key) => {
+          if (Object.prototype.hasOwnProperty.call(storageData, key)) {
+            result[key] = storageData[key];
+          }
+        });
+        return result;
+      },
+      async set(items) {
+        Object.assign(storageData, JSON.parse(JSON.stringify(items)));
+      },
+    },
+  },
+};
+
+const { RevisionScheduler, REVISION_SCHEDULE_KEY } = require('../utils/revision-scheduler.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const NOW = new Date(2026, 2, 10, 12).getTime();
+
+function problem(overrides = {}) {
+  return {
+    name: 'Two Sum',
+    platform: 'leetcode',
+    difficulty: 0,
+    solved: { value: true, date: NOW, tries: 1 },
+    attempts: [{ type: 'submit', successful: true }],
+    aiTags: [],
+    problemStartTime: NOW - 10 * MINUTE,
+    pausedTime: 0,
+    problem_link: 'https://leetcode.com/problems/two-sum/',
+    ...overrides,
+  };
+}
+
+function testQuality() {
+  assert.strictEqual(RevisionScheduler.computeQuality(problem(), null, NOW), 5);
+
+  const struggled = problem({
+    attempts: [{ successful: false }, { successful: false }, { successful: true }],
+    problemStartTime: NOW - 25 * MINUTE,
+  });
+  assert.strictEqual(RevisionScheduler.computeQuality(struggled, null, NOW), 2);
+
+  const tagged = problem({ aiTags: ['Edge Cases', 'Off By One'], problemStartTime: NOW - 40 * MINUTE });
+  assert.strictEqual(RevisionScheduler.computeQuality(tagged, null, NOW), 2);
+
+  // Backfilled records have no attempts or timer; their stored tries are used
+  const backfilled = problem({ attempts: [], problemStartTime: null, solved: { value: true, date: NOW, tries: 2 } });
+  assert.strictEqual(RevisionScheduler.computeQuality(backfilled, null, NOW), 4);
+
+  // A timer started before the last review belongs to an earlier session and is ignored
+  const carriedOver = problem({ problemStartTime: NOW - 10 * DAY });
+  assert.strictEqual(RevisionScheduler.computeQuality(carriedOver, { lastReviewedAt: NOW - 5 * DAY }, NOW), 5);
+}
+
+function testResolveQuality() {
+  const lastReviewedAt = NOW - 5 * DAY;
+  const at = (time) => new Date(time).toISOString();
+
+  // Failures from the first solve are still in the record when the problem is solved again
+  const resolved = problem({
+    attempts: [
+      { successful: false, timestamp: at(NOW - 6 * DAY) },
+      { successful: false, timestamp: at(NOW - 6 * DAY + MINUTE) },
+      { successful: true, timestamp: at(NOW - 6 * DAY + 2 * MINUTE) },
+      { successful: true, timestamp: at(NOW - MINUTE) },
+    ],
+  });
+  assert.strictEqual(RevisionScheduler.computeQuality(resolved, { lastReviewedAt }, NOW), 5);
+  assert.strictEqual(RevisionScheduler.computeQuality(resolved, null, NOW), 3, 'a first solve counts every attempt');
+
+  // Failures in this session still count, with numeric timestamps too
+  resolved.attempts.splice(3, 0, { successful: false, timestamp: NOW - 2 * MINUTE });
+  assert.strictEqual(RevisionScheduler.computeQuality(resolved, { lastReviewedAt }, NOW), 4);
+}
+
+function testIntervals() {
+  let card = RevisionScheduler.applyReview(null, 5, NOW);
+  assert.strictEqual(card.interval, 1);
+  assert.strictEqual(card.easeFactor, 2.6);
+  assert.strictEqual(card.dueAt, NOW + DAY);
+
+  card = RevisionScheduler.applyReview(card, 4, NOW + DAY);
+  assert.strictEqual(card.interval, 6);
+  assert.strictEqual(card.easeFactor, 2.6);
+
+  card = RevisionScheduler.applyReview(card, 4, NOW + 7 * DAY);
+  assert.strictEqual(card.interval, 16);
+  assert.strictEqual(card.reviews, 3);
+
+  card = RevisionScheduler.applyReview(card, 1, NOW + 23 * DAY);
+  assert.strictEqual(card.repetitions, 0);
+  assert.strictEqual(card.interval, 1);
+  assert.strictEqual(card.easeFactor, 2.06);
+}
+
+async function testRecordAndDue() {
+  let now = NOW;
+  const scheduler = new RevisionScheduler({ now: () => now });
+
+  storageData['problem_data_two-sum'] = problem();
+  await Promise.all([
+    scheduler.recordSolve('problem_data_two-sum'),
+    scheduler.recordSolve('problem_data_lru-cache', problem({ name: 'LRU Cache', difficulty: 1 })),
+  ]);
+  assert.strictEqual(Object.keys(storageData[REVISION_SCHEDULE_KEY]).length, 2, 'concurrent records should not overwrite each other');
+
+  assert.deepStrictEqual(await scheduler.getDue(), []);
+
+  now = NOW + DAY;
+  const due = await scheduler.getDue();
+  assert.deepStrictEqual(due.map((card) => card.name).sort(), ['LRU Cache', 'Two Sum']);
+  assert.strictEqual(due[0].url.startsWith('https://leetcode.com/problems/'), true);
+
+  // Re-solving moves the problem out of today's list
+  await scheduler.recordSolve('problem_data_two-sum', problem({ problemStartTime: NOW + DAY - 5 * MINUTE }));
+  assert.deepStrictEqual((await scheduler.getDue()).map((card) => card.name), ['LRU Cache']);
+
+  assert.strictEqual(await scheduler.recordSolve('problem_data_missing'), null);
+}
+
+(async () => {
+  try {
+    testQuality();
+    testResolveQuality();
+    testIntervals();
+    await testRecordAndDue();
+    console.log('Revision scheduler tests passed');
+  } catch (error) {
+    console.error('Revision scheduler tests failed:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,47 @@
+// Anthropic Messages API
+
+class AnthropicAPI extends LLMClient {
+  constructor() {
+    super();
+    this.providerName = 'Anthropic';
+    this.baseURL = 'https://api.anthropic.com/v1';
+    this.model = 'claude-3-5-haiku-latest';
+    this.maxTokens = 1024;
+  }
+
+  async loadSettings() {
+    const data = await this.getSettings(['anthropic_api_key', 'anthropic_model']);
+    this.apiKey = data.anthropic_api_key || null;
+    this.model = data.anthropic_model || this.model;
+    return Boolean(this.apiKey);
+  }
+
+  async complete(prompt) {
+    const data = await this.request('/messages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+        // Required for calls carrying an Origin header (extension pages)
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.maxTokens,
+        messages: [{ role: 'user', content: prompt }]
+      })
+    });
+
+    const text = (data.content || [])
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+    if (!text) {
+      throw new Error(`Invalid response format from ${this.providerName}`);
+    }
+    return text;
+  }
+}
+
+self.AnthropicAPI = AnthropicAPI;
@@ -0,0 +1,127 @@
+// Line-level diff between consecutive attempts, shown in the side panel attempt history
+// Plain LCS over the lines that differ; attempts are small enough that nothing fancier is needed
+
+const ATTEMPT_DIFF_TYPES = {
+  SAME: 'same',
+  ADDED: 'added',
+  REMOVED: 'removed',
+  SKIP: 'skip'
+};
+
+// Above this many line pairs the changed block is shown as removed-then-added instead of aligned
+const ATTEMPT_DIFF_MAX_CELLS = 250000;
+
+const AttemptDiff = {
+  splitLines(code) {
+    if (!code) return [];
+    return code.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+  },
+
+  /**
+   * Line operations turning one attempt's code into the next
+   * @param {string} before - Code of the previous attempt
+   * @param {string} after - Code of this attempt
+   * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+   */
+  diffLines(before, after) {
+    const a = this.splitLines(before);
+    const b = this.splitLines(after);
+
+    // Unchanged head and tail are common and keep the table small
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const same = (line) => ({ type: ATTEMPT_DIFF_TYPES.SAME, text: line });
+    return [
+      ...a.slice(0, start).map(same),
+      ...this.diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+      ...a.slice(endA).map(same)
+    ];
+  },
+
+  diffMiddle(a, b) {
+    const removed = (line) => ({ type: ATTEMPT_DIFF_TYPES.REMOVED, text: line });
+    const added = (line) => ({ type: ATTEMPT_DIFF_TYPES.ADDED, text: line });
+
+    if (a.length === 0 || b.length === 0 || a.length * b.length > ATTEMPT_DIFF_MAX_CELLS) {
+      return [...a.map(removed), ...b.map(added)];
+    }
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        operations.push({ type: ATTEMPT_DIFF_TYPES.SAME, text: a[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        operations.push(removed(a[i++]));
+      } else {
+        operations.push(added(b[j++]));
+      }
+    }
+    return [...operations, ...a.slice(i).map(removed), ...b.slice(j).map(added)];
+  },
+
+  summarize(operations) {
+    return {
+      added: operations.filter((op) => op.type === ATTEMPT_DIFF_TYPES.ADDED).length,
+      removed: operations.filter((op) => op.type === ATTEMPT_DIFF_TYPES.REMOVED).length
+    };
+  },
+
+  /**
+   * Keeps only changed lines and a little context around them
+   * @param {Array} operations - Output of diffLines
+   * @param {number} context - Unchanged lines kept on each side of a change
+   * @returns {Array} operations with runs of unchanged lines replaced by { type: 'skip', count }
+   */
+  collapse(operations, context = 2) {
+    const keep = operations.map(() => false);
+    operations.forEach((op, index) => {
+      if (op.type === ATTEMPT_DIFF_TYPES.SAME) return;
+      for (let k = Math.max(0, index - context); k <= Math.min(operations.length - 1, index + context); k++) {
+        keep[k] = true;
+      }
+    });
+
+    const collapsed = [];
+    operations.forEach((op, index) => {
+      if (keep[index]) {
+        collapsed.push(op);
+        return;
+      }
+      const last = collapsed[collapsed.length - 1];
+      if (last && last.type === ATTEMPT_DIFF_TYPES.SKIP) {
+        last.count++;
+      } else {
+        collapsed.push({ type: ATTEMPT_DIFF_TYPES.SKIP, count: 1 });
+      }
+    });
+    return collapsed;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AttemptDiff, ATTEMPT_DIFF_TYPES };
+} else {
+  self.AttemptDiff = AttemptDiff;
+  self.ATTEMPT_DIFF_TYPES = ATTEMPT_DIFF_TYPES;
+}
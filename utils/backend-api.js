@@ -180,9 +180,13 @@ class BackendAPI {
           }
         }, (response) => {
           if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
+            const runtimeError = new Error(chrome.runtime.lastError.message);
+            runtimeError.retryable = true;
+            reject(runtimeError);
           } else if (!response) {
-            reject(new Error('No response from background script'));
+            const emptyError = new Error('No response from background script');
+            emptyError.retryable = true;
+            reject(emptyError);
           } else {
             resolve(response);
           }
@@ -193,7 +197,10 @@ class BackendAPI {
         const errorStatus = response.status || 'unknown';
         const errorDetails = response.error || response.data || 'No details available';
         this._error('[Backend API] Push failed:', errorStatus, errorDetails);
-        throw new Error(`Backend API error: ${errorStatus} - ${typeof errorDetails === 'object' ? JSON.stringify(errorDetails) : errorDetails}`);
+        const pushError = new Error(`Backend API error: ${errorStatus} - ${typeof errorDetails === 'object' ? JSON.stringify(errorDetails) : errorDetails}`);
+        // Network failures, cold starts and 5xx are worth retrying; validation errors are not
+        pushError.retryable = RetryQueue.isRetryableStatus(response.status);
+        throw pushError;
       }
 
       this._log('[Backend API] Submission data pushed successfully! Status:', response.status);
@@ -202,7 +209,33 @@ class BackendAPI {
 
     } catch (error) {
       this._error('[Backend API] Error pushing submission data:', error);
-      return { success: false, error: error.message };
+      const queued = error.retryable ? await this.enqueueForRetry(problemData, error.message) : false;
+      return { success: false, error: error.message, queued };
+    }
+  }
+
+  // Store a failed submission in the outbox so the background worker can replay it
+  async enqueueForRetry(problemData, errorMessage) {
+    try {
+      if (!problemData?.idempotencyKey) {
+        return false;
+      }
+
+      const outbox = new RetryQueue(RETRY_QUEUE_KEYS.BACKEND);
+      await outbox.enqueue(problemData.idempotencyKey, problemData, {
+        label: `${problemData.problemTitle || problemData.problemSlug} (${problemData.platform})`,
+        lastError: errorMessage
+      });
+      this._log('[Backend API] Submission queued for retry:', problemData.idempotencyKey);
+
+      // Let the background worker know there is something to drain
+      chrome.runtime.sendMessage({ type: 'RETRY_QUEUE_UPDATED', queue: RETRY_QUEUE_KEYS.BACKEND }, () => {
+        void chrome.runtime.lastError;
+      });
+      return true;
+    } catch (error) {
+      this._error('[Backend API] Failed to queue submission for retry:', error);
+      return false;
     }
   }
 
@@ -220,6 +253,7 @@ class BackendAPI {
         runCounter = 0,
         aiAnalysis = null,
         aiTags = [],  // Gemini-generated mistake tags
+        complexityAnalysis = null,  // { time, space, explanation } of the accepted code
         problemStartTime = null,
         timestamp,
         language = null  // Add language from stored data (for TakeUforward/GFG)
@@ -286,6 +320,7 @@ class BackendAPI {
         deviceId: 1, // Default device ID
         aiAnalysis: aiAnalysis, // Gemini AI analysis if available
         mistakeTags: aiTags || [], // Gemini-generated mistake tags
+        complexity: complexityAnalysis, // AI time/space complexity, null when unavailable
         numberOfTries: Number(runCounter) || 1, // Use runCounter (run button presses)
         timeTaken: timeTaken,
         category: mapTopicToCategory(parent_topic) // Map topic to category ID for ML model
@@ -70,23 +70,85 @@ function isDebugMode() {
   return _debugModeCache;
 }
 
-// Make debug functions available globally
-window.debugLog = debugLog;
-window.debugError = debugError;
-window.debugWarn = debugWarn;
-window.isDebugMode = isDebugMode;
+// Make debug functions available globally (self is window in pages, the worker global in background.js)
+self.debugLog = debugLog;
+self.debugError = debugError;
+self.debugWarn = debugWarn;
+self.isDebugMode = isDebugMode;
 
+// Keys are lowercase; covers LeetCode display names, LeetCode langSlugs and Monaco language ids
 const LANGUAGE_EXTENSIONS = {
-  'C++': '.cpp',
+  'c++': '.cpp',
   'cpp': '.cpp',
-  'C': '.c',
-  'Java': '.java',
-  'Python': '.py',
-  'Python3': '.py',
+  'c': '.c',
+  'c#': '.cs',
+  'csharp': '.cs',
+  'java': '.java',
   'python': '.py',
-  'Go': '.go',
+  'python3': '.py',
+  'javascript': '.js',
+  'typescript': '.ts',
+  'php': '.php',
+  'swift': '.swift',
+  'kotlin': '.kt',
+  'dart': '.dart',
+  'go': '.go',
+  'golang': '.go',
+  'ruby': '.rb',
+  'scala': '.scala',
+  'rust': '.rs',
+  'racket': '.rkt',
+  'erlang': '.erl',
+  'elixir': '.ex',
+  'bash': '.sh',
+  'shell': '.sh',
+  'mysql': '.sql',
+  'ms sql server': '.sql',
+  'mssql': '.sql',
+  'oracle': '.sql',
+  'oraclesql': '.sql',
+  'postgresql': '.sql',
+  'sql': '.sql',
+  'pandas': '.py',
+  'pythondata': '.py',
 };
 
+// Where solutions are pushed; GitLab and Gitea also work self-hosted
+const GIT_PROVIDERS = {
+  GITHUB: 'github',
+  GITLAB: 'gitlab',
+  GITEA: 'gitea'
+};
+const GITLAB_DEFAULT_URL = 'https://gitlab.com';
+
+// Who writes the mistake analysis; OpenAI-compatible also covers llama.cpp and other local servers
+const LLM_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  ANTHROPIC: 'anthropic',
+  OLLAMA: 'ollama'
+};
+
+// Failed runs before a problem is flagged for mistake analysis on its accepted submit
+const MISTAKE_ANALYSIS_THRESHOLD_DEFAULT = 3;
+
+// Repository layout templates, e.g. "{platform}/{topic}/{number}-{slug}"
+const PATH_TEMPLATE_DEFAULT = '{platform}/{difficulty}/{number}-{slug}';
+const FILENAME_TEMPLATE_DEFAULT = 'solution';
+
+// What happens when a problem is solved again
+const SOLUTION_HISTORY_MODES = {
+  OVERWRITE: 'overwrite',
+  VERSIONED: 'versioned',
+  PER_LANGUAGE: 'per-language'
+};
+const PATH_TEMPLATE_PLACEHOLDERS = [
+  'platform', 'difficulty', 'topic', 'tags', 'number', 'slug', 'title',
+  'lang', 'date', 'year', 'month'
+];
+// At least one of these must appear in the folder or file template, or every solve lands in the same files
+const PATH_TEMPLATE_PROBLEM_PLACEHOLDERS = ['slug', 'number', 'title'];
+
 class DSAUtils {
   static getCurrentPlatform() {
     const hostname = window.location.hostname;
@@ -103,7 +165,8 @@ class DSAUtils {
   }
 
   static getFileExtension(language) {
-    return LANGUAGE_EXTENSIONS[language] || '.txt';
+    if (!language) return '.txt';
+    return LANGUAGE_EXTENSIONS[language.trim().toLowerCase()] || '.txt';
   }
 
   static sanitizeFileName(filename) {
@@ -128,22 +191,54 @@ class DSAUtils {
         'github_token',
         'github_owner',
         'github_repo',
-        'github_branch'
+        'github_branch',
+        'github_path_template',
+        'github_filename_template',
+        'github_solution_history',
+        'github_pull_request_mode',
+        'git_provider',
+        'gitlab_url',
+        'gitlab_token',
+        'gitea_url',
+        'gitea_token'
       ], (data) => {
         resolve({
+          provider: data.git_provider || GIT_PROVIDERS.GITHUB,
           token: data.github_token || '',
           owner: data.github_owner || '',
           repo: data.github_repo || '',
-          branch: data.github_branch || 'main'
+          branch: data.github_branch || 'main',
+          pathTemplate: data.github_path_template || PATH_TEMPLATE_DEFAULT,
+          fileNameTemplate: data.github_filename_template || FILENAME_TEMPLATE_DEFAULT,
+          solutionHistory: data.github_solution_history || SOLUTION_HISTORY_MODES.OVERWRITE,
+          pullRequestMode: data.github_pull_request_mode === true,
+          gitlabUrl: this.normalizeServerUrl(data.gitlab_url) || GITLAB_DEFAULT_URL,
+          gitlabToken: data.gitlab_token || '',
+          giteaUrl: this.normalizeServerUrl(data.gitea_url),
+          giteaToken: data.gitea_token || ''
         });
       });
     });
   }
 
+  // Stored problem_data_* record (key suffix is the slug, or the URL on TakeUforward)
+  static async getProblemData(problemKey) {
+    const storageKey = `problem_data_${problemKey}`;
+    const result = await chrome.storage.local.get([storageKey]);
+    return result[storageKey] || null;
+  }
+
   static isConfigComplete(config) {
     return config.token && config.owner && config.repo;
   }
 
+  // "gitlab.example.com/" -> "https://gitlab.example.com"; '' when empty
+  static normalizeServerUrl(url) {
+    const value = (url || '').trim().replace(/\/+$/, '');
+    if (!value) return '';
+    return /^https?:\/\//i.test(value) ? value : `https://${value}`;
+  }
+
 
 
   static sleep(ms) {
@@ -187,27 +282,131 @@ class DSAUtils {
     return message;
   }
 
-  static createDirectoryPath(platform, problemInfo) {
-    const { difficulty, category, number, title } = problemInfo;
+  static createDirectoryPath(platform, problemInfo, template = PATH_TEMPLATE_DEFAULT) {
+    const values = this.getTemplateValues(platform, problemInfo);
+    return this.renderPathTemplate(template || PATH_TEMPLATE_DEFAULT, values);
+  }
+
+  // Base name (no extension) shared by solution.md and solution.<ext>
+  static createFileName(platform, problemInfo, template = FILENAME_TEMPLATE_DEFAULT) {
+    const values = this.getTemplateValues(platform, problemInfo);
+    return this.renderPathTemplate(template || FILENAME_TEMPLATE_DEFAULT, values) || FILENAME_TEMPLATE_DEFAULT;
+  }
 
-    let path = platform;
+  /**
+   * Placeholder values for path templates, already safe to use as path segments
+   * @param {string} platform
+   * @param {object} problemInfo - { title, number, difficulty, language, topics, slug }
+   * @param {Date} date - Defaults to now
+   */
+  static getTemplateValues(platform, problemInfo, date = new Date()) {
+    const { title = '', number, difficulty, language, slug } = problemInfo;
+    const topics = Array.isArray(problemInfo.topics) ? problemInfo.topics : [];
+    const extension = this.getFileExtension(language);
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return {
+      platform: platform || '',
+      difficulty: difficulty ? this.sanitizeFileName(String(difficulty)) : '',
+      topic: topics.length > 0 ? this.sanitizeFileName(topics[0]) : '',
+      tags: topics.map((topic) => this.sanitizeFileName(topic)).filter(Boolean).join('_'),
+      number: number ? String(number) : '',
+      slug: slug ? this.sanitizeFileName(slug) : this.formatProblemName(title),
+      title: this.sanitizeFileName(title.replace(/^\d+\.\s*/, '')),
+      lang: extension !== '.txt' ? extension.slice(1) : (language ? this.sanitizeFileName(language) : ''),
+      date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      year: String(date.getFullYear()),
+      month: pad(date.getMonth() + 1)
+    };
+  }
 
-    if (difficulty) {
-      path += `/${difficulty.toLowerCase()}`;
+  /**
+   * Substitute {placeholders}; segments that end up empty are dropped and
+   * dangling separators trimmed, so "{number}-{slug}" works without a number
+   */
+  static renderPathTemplate(template, values) {
+    return template
+      .replace(/\{(\w+)\}/g, (match, name) => values[name] ?? '')
+      .split('/')
+      .map((segment) => segment.trim().replace(/^[-_.\s]+|[-_.\s]+$/g, ''))
+      .filter(Boolean)
+      .join('/');
+  }
+
+  /**
+   * Leading folders of a template that depend only on the platform,
+   * e.g. "solutions/{platform}/{difficulty}" -> "solutions/leetcode"
+   * @returns {string} '' when the first segment already needs problem details
+   */
+  static getPlatformRootFolder(template, platform) {
+    const segments = (template || PATH_TEMPLATE_DEFAULT).split('/');
+    const fixed = [];
+    for (const segment of segments) {
+      const placeholders = segment.match(/\{(\w+)\}/g) || [];
+      if (placeholders.some((placeholder) => placeholder !== '{platform}')) break;
+      fixed.push(segment);
+    }
+    return this.renderPathTemplate(fixed.join('/'), { platform });
+  }
+
+  /**
+   * Check a template before it is saved
+   * @param {string} template
+   * @param {object} options - { allowSlashes: false for file-name templates }
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  static validatePathTemplate(template, options = {}) {
+    const { allowSlashes = true } = options;
+    const errors = [];
+    const value = (template || '').trim();
+
+    if (!value) {
+      return { valid: false, errors: ['Template cannot be empty'] };
+    }
+
+    const unknown = [...value.matchAll(/\{(\w*)\}/g)]
+      .map((match) => match[1])
+      .filter((name) => !PATH_TEMPLATE_PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+      errors.push(`Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map((name) => `{${name}}`).join(', ')}`);
     }
 
-    if (category) {
-      path += `/${this.sanitizeFileName(category)}`;
+    if (/[{}]/.test(value.replace(/\{\w*\}/g, ''))) {
+      errors.push('Unbalanced { or }');
     }
 
-    if (number && title) {
-      const folderName = `${number}-${this.formatProblemName(title)}`;
-      path += `/${folderName}`;
-    } else if (title) {
-      path += `/${this.formatProblemName(title)}`;
+    if (/[\\:*?"<>|]/.test(value)) {
+      errors.push('Contains characters that are not allowed in paths: \\ : * ? " < > |');
+    }
+
+    if (!allowSlashes && value.includes('/')) {
+      errors.push('File name cannot contain /');
+    }
+
+    if (value.startsWith('/') || value.split('/').some((segment) => segment.trim() === '..')) {
+      errors.push('Path must be relative to the repository root');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Check the folder and file-name templates together, as the side panel saves them
+   * @returns {{valid: boolean, errors: string[]}} Errors prefixed with "Folder:" or "File name:"
+   */
+  static validateTemplates(pathTemplate, fileNameTemplate) {
+    const errors = [
+      ...this.validatePathTemplate(pathTemplate).errors.map((error) => `Folder: ${error}`),
+      ...this.validatePathTemplate(fileNameTemplate, { allowSlashes: false }).errors.map((error) => `File name: ${error}`)
+    ];
+
+    const identifies = PATH_TEMPLATE_PROBLEM_PLACEHOLDERS
+      .some((name) => `${pathTemplate || ''}/${fileNameTemplate || ''}`.includes(`{${name}}`));
+    if (!identifies) {
+      errors.push('Use {slug}, {number} or {title} in the folder or file name so each problem gets its own files');
     }
 
-    return path;
+    return { valid: errors.length === 0, errors };
   }
 
   static async updateStats(platform, operation = 'increment') {
@@ -251,6 +450,15 @@ class DSAUtils {
 }
 
 // Make utilities available globally
-window.DSAUtils = DSAUtils;
-window.DSA_PLATFORMS = DSA_PLATFORMS;
-window.LANGUAGE_EXTENSIONS = LANGUAGE_EXTENSIONS;
\ No newline at end of file
+self.DSAUtils = DSAUtils;
+self.DSA_PLATFORMS = DSA_PLATFORMS;
+self.LANGUAGE_EXTENSIONS = LANGUAGE_EXTENSIONS;
+self.PATH_TEMPLATE_DEFAULT = PATH_TEMPLATE_DEFAULT;
+self.FILENAME_TEMPLATE_DEFAULT = FILENAME_TEMPLATE_DEFAULT;
+self.PATH_TEMPLATE_PLACEHOLDERS = PATH_TEMPLATE_PLACEHOLDERS;
+self.PATH_TEMPLATE_PROBLEM_PLACEHOLDERS = PATH_TEMPLATE_PROBLEM_PLACEHOLDERS;
+self.SOLUTION_HISTORY_MODES = SOLUTION_HISTORY_MODES;
+self.GIT_PROVIDERS = GIT_PROVIDERS;
+self.GITLAB_DEFAULT_URL = GITLAB_DEFAULT_URL;
+self.LLM_PROVIDERS = LLM_PROVIDERS;
+self.MISTAKE_ANALYSIS_THRESHOLD_DEFAULT = MISTAKE_ANALYSIS_THRESHOLD_DEFAULT;
\ No newline at end of file
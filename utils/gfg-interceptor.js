@@ -0,0 +1,130 @@
+// Page-context hook for GeeksforGeeks' judge endpoints, injected by content-scripts/geeksforgeeks.js
+// Wraps fetch and XHR and forwards compile/submit requests and their judged results via postMessage
+
+(function () {
+  'use strict';
+
+  if (window.__leetFeedbackGfgInterceptor) return;
+  window.__leetFeedbackGfgInterceptor = true;
+
+  const SUBMIT_PATTERN = /\/problems\/[^/]+\/submit\/compile\/?$/;
+  const RUN_PATTERN = /\/problems\/[^/]+\/compile\/?$/;
+  const RESULT_PATTERN = /\/problems\/submission\/(?:submit\/)?result\/?$/;
+
+  const PENDING_STATES = ['queued', 'pending', 'processing', 'running', 'compiling', 'in_queue'];
+
+  // Submission id -> 'run' | 'submit', so results can be matched to their request
+  const pendingKinds = new Map();
+
+  function post(type, payload) {
+    window.postMessage({ source: 'LeetFeedback', type, ...payload }, '*');
+  }
+
+  function getPath(url) {
+    try {
+      return new URL(url, window.location.origin).pathname;
+    } catch (_) {
+      return '';
+    }
+  }
+
+  function isJudgeUrl(url) {
+    const path = getPath(url);
+    return SUBMIT_PATTERN.test(path) || RUN_PATTERN.test(path) || RESULT_PATTERN.test(path);
+  }
+
+  // Request bodies are form data or JSON depending on the page version
+  function readFields(body) {
+    if (!body) return {};
+    try {
+      if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        return Object.fromEntries(body.entries());
+      }
+      if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+        return Object.fromEntries(body.entries());
+      }
+      if (typeof body === 'string') {
+        return body.trim().startsWith('{') ? JSON.parse(body) : Object.fromEntries(new URLSearchParams(body).entries());
+      }
+    } catch (_) {}
+    return {};
+  }
+
+  function handleResponse(url, requestBody, responseText) {
+    const path = getPath(url);
+    let data;
+    try {
+      data = JSON.parse(responseText);
+    } catch (_) {
+      return;
+    }
+
+    const fields = readFields(requestBody);
+
+    if (SUBMIT_PATTERN.test(path) || RUN_PATTERN.test(path)) {
+      const kind = SUBMIT_PATTERN.test(path) ? 'submit' : 'run';
+      const id = data.results?.submission_id || data.submission_id;
+      if (!id) return;
+
+      pendingKinds.set(String(id), kind);
+      post('GFG_JUDGE_REQUEST', {
+        kind,
+        id: String(id),
+        code: fields.user_code || fields.userCode || fields.code || '',
+        language: fields.language || fields.lang || ''
+      });
+      return;
+    }
+
+    // The page polls until the submission is judged; only the final response matters
+    const result = data.results || data;
+    if (PENDING_STATES.includes(String(result.status || '').toLowerCase())) return;
+
+    const id = String(fields.sub_id || result.submission_id || '');
+    if (!id) return;
+
+    const kind = pendingKinds.get(id) || (/submit/i.test(fields.sub_type || '') ? 'submit' : 'run');
+    pendingKinds.delete(id);
+    post('GFG_JUDGE_RESULT', { kind, id, data: result });
+  }
+
+  const originalFetch = window.fetch;
+  window.fetch = function (input, init) {
+    const url = typeof input === 'string' ? input : (input && input.url) || String(input);
+    const requestBody = init ? init.body : null;
+    const responsePromise = originalFetch.apply(this, arguments);
+
+    if (isJudgeUrl(url)) {
+      responsePromise
+        .then((response) => response.clone().text())
+        .then((text) => handleResponse(url, requestBody, text))
+        .catch(() => {});
+    }
+
+    return responsePromise;
+  };
+
+  const XHR = XMLHttpRequest.prototype;
+  const open = XHR.open;
+  const send = XHR.send;
+
+  XHR.open = function (method, url) {
+    this._leetFeedbackUrl = String(url);
+    return open.apply(this, arguments);
+  };
+
+  XHR.send = function (body) {
+    if (this._leetFeedbackUrl && isJudgeUrl(this._leetFeedbackUrl)) {
+      this.addEventListener('load', function () {
+        try {
+          if (this.responseType === '' || this.responseType === 'text') {
+            handleResponse(this._leetFeedbackUrl, body, this.responseText);
+          }
+        } catch (_) {
+          // Never break the page's own request handling
+        }
+      });
+    }
+    return send.apply(this, arguments);
+  };
+})();
@@ -0,0 +1,121 @@
+// Turns GeeksforGeeks judge responses (captured by utils/gfg-interceptor.js) into attempt results
+// Results come from the practice API's submission result endpoint, polled by the page until judged
+
+const GFG_JUDGE_KINDS = {
+  RUN: 'run',
+  SUBMIT: 'submit'
+};
+
+const GFG_JUDGE_STATUS = {
+  ACCEPTED: 'Accepted',
+  WRONG_ANSWER: 'Wrong Answer',
+  COMPILATION_ERROR: 'Compilation Error',
+  RUNTIME_ERROR: 'Runtime Error',
+  TIME_LIMIT_EXCEEDED: 'Time Limit Exceeded',
+  MEMORY_LIMIT_EXCEEDED: 'Memory Limit Exceeded'
+};
+
+const GfgJudge = {
+  // Field names differ between endpoints, so values are looked up under several keys
+  pick(data, keys) {
+    for (const key of keys) {
+      if (typeof data[key] === 'string' && data[key].trim()) {
+        return data[key];
+      }
+    }
+    return '';
+  },
+
+  count(value) {
+    const count = parseInt(value, 10);
+    return isNaN(count) ? null : count;
+  },
+
+  /**
+   * Normalized result of a finished run or submission
+   * @param {object} data - Result response body
+   * @param {object} request - { kind: 'run' | 'submit' }
+   * @returns {{kind, accepted, status, message, runtime, memory, passedTestCases, totalTestCases,
+   *   failingTestCase: {input, expected, actual}|null, error: string|null}}
+   */
+  parseResult(data, request = {}) {
+    const kind = request.kind || GFG_JUDGE_KINDS.SUBMIT;
+    const message = this.pick(data, ['message', 'status_msg', 'result']);
+    const compileError = this.pick(data, ['compile_error', 'compiler_output', 'compilation_error']);
+    const runtimeError = this.pick(data, ['runtime_error', 'error_message', 'stderr']);
+    const passedTestCases = this.count(data.test_cases_processed ?? data.testcases_passed);
+    const totalTestCases = this.count(data.total_test_cases ?? data.total_testcases);
+    const expected = this.pick(data, ['expected_output', 'correct_output']);
+    const actual = this.pick(data, ['output', 'user_output', 'code_output']);
+
+    const status = this.classify({ kind, message, compileError, runtimeError, passedTestCases, totalTestCases, expected, actual });
+    const accepted = status === GFG_JUDGE_STATUS.ACCEPTED;
+    const time = data.time_taken ?? data.execution_time;
+
+    return {
+      kind,
+      accepted,
+      status,
+      message,
+      runtime: time !== undefined && time !== null && time !== '' ? `${time}s` : '',
+      memory: this.pick(data, ['memory', 'memory_used']),
+      passedTestCases,
+      totalTestCases,
+      failingTestCase: accepted || status === GFG_JUDGE_STATUS.COMPILATION_ERROR || (!expected && !actual)
+        ? null
+        : { input: this.pick(data, ['test_case', 'input', 'testcase']), expected, actual },
+      error: compileError || runtimeError || null
+    };
+  },
+
+  // Errors first, then test counts, then the verdict text; runs without counts compare outputs
+  classify({ kind, message, compileError, runtimeError, passedTestCases, totalTestCases, expected, actual }) {
+    if (compileError || /compil\w* error/i.test(message)) return GFG_JUDGE_STATUS.COMPILATION_ERROR;
+    if (/time limit/i.test(message)) return GFG_JUDGE_STATUS.TIME_LIMIT_EXCEEDED;
+    if (/memory limit/i.test(message)) return GFG_JUDGE_STATUS.MEMORY_LIMIT_EXCEEDED;
+    if (runtimeError || /runtime error|segmentation fault|exception/i.test(message)) return GFG_JUDGE_STATUS.RUNTIME_ERROR;
+
+    if (kind === GFG_JUDGE_KINDS.SUBMIT && totalTestCases) {
+      return passedTestCases === totalTestCases ? GFG_JUDGE_STATUS.ACCEPTED : GFG_JUDGE_STATUS.WRONG_ANSWER;
+    }
+    if (/wrong answer|incorrect|failed/i.test(message)) return GFG_JUDGE_STATUS.WRONG_ANSWER;
+    if (/solved successfully|correct answer|accepted/i.test(message)) return GFG_JUDGE_STATUS.ACCEPTED;
+
+    if (kind === GFG_JUDGE_KINDS.RUN && expected) {
+      return expected.trim() === actual.trim() ? GFG_JUDGE_STATUS.ACCEPTED : GFG_JUDGE_STATUS.WRONG_ANSWER;
+    }
+
+    // A run with custom input and no expected output only has to execute
+    return kind === GFG_JUDGE_KINDS.RUN ? GFG_JUDGE_STATUS.ACCEPTED : GFG_JUDGE_STATUS.WRONG_ANSWER;
+  },
+
+  // attempt.failure for a rejected run or submission; null when the judge accepted it
+  toFailure(result) {
+    if (result.accepted) return null;
+
+    const testCase = result.failingTestCase || {};
+    return {
+      input: testCase.input || '',
+      expected: testCase.expected || '',
+      actual: testCase.actual || '',
+      error: result.error || ''
+    };
+  },
+
+  // problemInfo.stats in the shape the markdown template reads
+  toStats(result) {
+    return {
+      runtime: result.runtime,
+      memory: result.memory,
+      beats: ''
+    };
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GfgJudge, GFG_JUDGE_KINDS, GFG_JUDGE_STATUS };
+} else {
+  self.GfgJudge = GfgJudge;
+  self.GFG_JUDGE_KINDS = GFG_JUDGE_KINDS;
+  self.GFG_JUDGE_STATUS = GFG_JUDGE_STATUS;
+}
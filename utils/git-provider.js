@@ -0,0 +1,66 @@
+// Picks the push provider (GitHub, GitLab or Gitea) selected in the side panel
+// Every provider exposes GitHubAPI's interface: initialize, pushSolution, pushMistakeAnalysis, commitWithIndex ...
+
+// Extension pages and the service worker can fetch any granted host; content scripts cannot
+function isExtensionContext() {
+  return typeof window === 'undefined' || window.location.protocol === 'chrome-extension:';
+}
+
+/**
+ * fetch() for self-hosted servers, which rarely send CORS headers
+ * Content scripts hand the request to background.js and get a Response-like object back
+ * @param {string} messageType - Background handler that checks the URL against its configured server
+ */
+async function providerFetch(url, options = {}, messageType = 'GIT_PROVIDER_FETCH') {
+  if (isExtensionContext()) {
+    return fetch(url, options);
+  }
+
+  const response = await new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: messageType, url, options }, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(result);
+    });
+  });
+
+  // A missing response is a network failure as far as the caller is concerned
+  if (!response || response.error) {
+    throw new Error(response?.error || 'No response from background');
+  }
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    headers: { get: (name) => response.headers[name.toLowerCase()] ?? null },
+    json: async () => JSON.parse(response.body),
+    text: async () => response.body
+  };
+}
+
+const GitProvider = {
+  async getSelected() {
+    const data = await chrome.storage.sync.get(['git_provider']);
+    return data.git_provider || GIT_PROVIDERS.GITHUB;
+  },
+
+  /**
+   * Provider instance (not yet initialized)
+   * @param {string|null} provider - One of GIT_PROVIDERS, defaults to the stored selection
+   */
+  async create(provider = null) {
+    switch (provider || await this.getSelected()) {
+      case GIT_PROVIDERS.GITLAB:
+        return new GitLabAPI();
+      case GIT_PROVIDERS.GITEA:
+        return new GiteaAPI();
+      default:
+        return new GitHubAPI();
+    }
+  }
+};
+
+self.GitProvider = GitProvider;
+self.providerFetch = providerFetch;
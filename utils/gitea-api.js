@@ -0,0 +1,138 @@
+// Gitea / Forgejo provider behind the same push interface as GitHubAPI
+// Gitea's /api/v1 mirrors GitHub's REST layout, so only commits and branch creation differ
+
+class GiteaAPI extends GitHubAPI {
+  constructor() {
+    super();
+    this.provider = GIT_PROVIDERS.GITEA;
+    this.providerName = 'Gitea';
+  }
+
+  async initialize() {
+    try {
+      this.config = await DSAUtils.getStoredConfig();
+      this.config.token = this.config.giteaToken;
+      this.baseURL = `${this.config.giteaUrl}/api/v1`;
+
+      // There is no default server, so the URL is part of a complete config
+      return Boolean(this.config.giteaUrl) && DSAUtils.isConfigComplete(this.config);
+    } catch (error) {
+      this._error('[Gitea API] Error during initialization:', error);
+      return false;
+    }
+  }
+
+  _fetch(url, options = {}) {
+    return providerFetch(url, options);
+  }
+
+  async ensureBranch(branch, base) {
+    const existing = await this._gitRequest('GET', `branches/${encodeURIComponent(branch)}`);
+    if (existing.ok) return;
+    if (existing.status !== 404) {
+      this._assertOk(existing, 'Failed to read branch');
+    }
+
+    const created = await this._gitRequest('POST', 'branches', {
+      new_branch_name: branch,
+      old_branch_name: base
+    });
+    this._assertOk(created, 'Failed to create branch');
+  }
+
+  // Single files go through the multi-file endpoint too, so create vs update is decided in one place
+  async createOrUpdateFile(filePath, content, commitMessage) {
+    return this.commitFiles([{ path: filePath, content }], commitMessage);
+  }
+
+  /**
+   * Commit several files in one commit via POST /repos/{owner}/{repo}/contents (Gitea 1.20+)
+   * Updates must carry the current blob SHA, so existing files are read first
+   */
+  async commitFiles(files, commitMessage, options = {}) {
+    if (!this.config) {
+      await this.initialize();
+    }
+
+    const { maxConflictRetries = 2 } = options;
+    const branch = options.branch || this.config.branch || 'main';
+    let lastFailure = null;
+
+    for (let attempt = 0; attempt <= maxConflictRetries; attempt++) {
+      try {
+        const branchInfo = await this._gitRequest('GET', `branches/${encodeURIComponent(branch)}`);
+        let baseBranch = null;
+        let isEmpty = false;
+
+        if (branchInfo.status === 404) {
+          const repo = await this._gitRequest('GET', '');
+          this._assertOk(repo, 'Failed to read repository');
+          isEmpty = repo.data.empty;
+          // Branch off the default branch unless there is nothing to branch from yet
+          if (!isEmpty && repo.data.default_branch) {
+            baseBranch = repo.data.default_branch;
+          }
+        } else {
+          this._assertOk(branchInfo, 'Failed to read branch');
+        }
+
+        const existing = isEmpty
+          ? files.map(() => null)
+          : await Promise.all(files.map((file) => this.getFileContent(file.path, baseBranch || branch)));
+
+        const readError = existing.find((file) => file?.error);
+        if (readError) {
+          throw new Error(`Failed to read existing files: ${readError.error}`);
+        }
+
+        const body = {
+          message: commitMessage,
+          branch: baseBranch || branch,
+          files: files.map((file, index) => {
+            const current = existing[index];
+            const operation = {
+              operation: current?.exists ? 'update' : 'create',
+              path: file.path,
+              content: this.encodeContentSafely(file.content)
+            };
+            if (current?.exists) {
+              operation.sha = current.sha;
+            }
+            return operation;
+          })
+        };
+        if (baseBranch) {
+          body.new_branch = branch;
+        }
+
+        const commit = await this._gitRequest('POST', 'contents', body);
+
+        // Stale SHA or a file that appeared meanwhile: read the files again
+        if (commit.status === 409 || commit.status === 422) {
+          this._warn(`[Gitea API] Files on ${branch} changed during commit, retrying (attempt ${attempt + 1})`);
+          lastFailure = {
+            success: false,
+            error: 'Branch was updated while committing',
+            status: 409,
+            rateLimitReset: null
+          };
+          continue;
+        }
+        this._assertOk(commit, 'Failed to create commit');
+
+        return { success: true, data: commit.data };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          status: error.status,
+          rateLimitReset: error.rateLimitReset || null
+        };
+      }
+    }
+
+    return lastFailure;
+  }
+}
+
+self.GiteaAPI = GiteaAPI;
@@ -1,9 +1,34 @@
 // GitHub API utility for DSA to GitHub extension
 
+// Pull-request mode branches: solution/<platform>/<slug>
+const PULL_REQUEST_BRANCH_PREFIX = 'solution/';
+
+// .gitignore committed when the extension creates the repository
+const REPO_GITIGNORE = `# OS files
+.DS_Store
+Thumbs.db
+
+# Editors
+.vscode/
+.idea/
+*.swp
+
+# Local build output
+*.class
+*.o
+*.out
+*.exe
+__pycache__/
+node_modules/
+target/
+`;
+
 class GitHubAPI {
   constructor() {
     this.baseURL = 'https://api.github.com';
     this.config = null;
+    this.provider = GIT_PROVIDERS.GITHUB;
+    this.providerName = 'GitHub';
   }
 
   // Debug-aware logging (uses global debugLog/debugError if available, otherwise checks debug mode)
@@ -34,6 +59,13 @@ class GitHubAPI {
   async initialize() {
     try {
       this.config = await DSAUtils.getStoredConfig();
+
+      // A device-flow sign-in takes precedence over a pasted token
+      const oauthToken = await this.getOAuthToken();
+      if (oauthToken) {
+        this.config.token = oauthToken;
+      }
+
       return DSAUtils.isConfigComplete(this.config);
     } catch (error) {
       this._error('[GitHub API] Error during initialization:', error);
@@ -41,13 +73,41 @@ class GitHubAPI {
     }
   }
 
+  // Valid device-flow access token, or null when the user pasted a token instead
+  async getOAuthToken() {
+    try {
+      if (typeof GitHubDeviceAuth !== 'undefined') {
+        return await new GitHubDeviceAuth().getValidAccessToken();
+      }
+
+      // Content scripts can't call github.com/login (no CORS), so the background refreshes for them
+      return await new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: 'GITHUB_OAUTH_TOKEN' }, (response) => {
+          if (chrome.runtime.lastError) {
+            resolve(null);
+            return;
+          }
+          resolve(response?.token || null);
+        });
+      });
+    } catch (error) {
+      this._warn('[GitHub API] Could not load GitHub sign-in:', error);
+      return null;
+    }
+  }
+
+  // GitLab and Gitea override this so content scripts can reach servers without CORS headers
+  _fetch(url, options = {}) {
+    return fetch(url, options);
+  }
+
   async testConnection() {
     if (!this.config) {
       await this.initialize();
     }
 
     try {
-      const response = await fetch(`${this.baseURL}/user`, {
+      const response = await this._fetch(`${this.baseURL}/user`, {
         headers: {
           'Authorization': `token ${this.config.token}`,
           'Accept': 'application/vnd.github.v3+json'
@@ -55,7 +115,7 @@ class GitHubAPI {
       });
 
       if (!response.ok) {
-        throw new Error(`GitHub API error: ${response.status}`);
+        throw new Error(`${this.providerName} API error: ${response.status}`);
       }
 
       const userData = await response.json();
@@ -71,7 +131,7 @@ class GitHubAPI {
     }
 
     try {
-      const response = await fetch(
+      const response = await this._fetch(
         `${this.baseURL}/repos/${this.config.owner}/${this.config.repo}`,
         {
           headers: {
@@ -92,14 +152,125 @@ class GitHubAPI {
     }
   }
 
-  async getFileContent(filePath) {
+  /**
+   * Create the configured repository under the user or organization and seed it
+   * @param {object} options - { isPrivate: defaults to true, description }
+   */
+  async createRepository(options = {}) {
     if (!this.config) {
       await this.initialize();
     }
 
+    const { isPrivate = true, description = 'DSA solutions synced by LeetFeedback' } = options;
+
     try {
-      const response = await fetch(
-        `${this.baseURL}/repos/${this.config.owner}/${this.config.repo}/contents/${filePath}`,
+      const repoData = await this.createRemoteRepository({ isPrivate, description });
+
+      const seeded = await this.initializeRepository(repoData.default_branch);
+      if (!seeded.success) {
+        return { success: false, error: `Repository created, but seeding failed: ${seeded.error}`, repo: repoData };
+      }
+
+      return { success: true, repo: repoData };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create an empty repository (GitHub and Gitea share these endpoints)
+   * @returns {Promise<object>} Repository data with full_name and default_branch
+   */
+  async createRemoteRepository({ isPrivate, description }) {
+    const account = await this.testConnection();
+    if (!account.success) {
+      throw new Error(`Could not verify ${this.providerName} account: ${account.error}`);
+    }
+
+    // /user/repos only creates repos for the signed-in user; anything else is an organization
+    const isPersonal = account.user.login.toLowerCase() === this.config.owner.toLowerCase();
+    const endpoint = isPersonal ? '/user/repos' : `/orgs/${this.config.owner}/repos`;
+
+    const response = await this._fetch(`${this.baseURL}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `token ${this.config.token}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        name: this.config.repo,
+        private: isPrivate,
+        description,
+        auto_init: false
+      })
+    });
+
+    const repoData = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      // GitHub answers 422, Gitea 409
+      if ((response.status === 422 || response.status === 409) && /already exists/i.test(JSON.stringify(repoData))) {
+        throw new Error(`${this.config.owner}/${this.config.repo} already exists`);
+      }
+      throw new Error(`${this.providerName} API error: ${response.status} - ${repoData.message}`);
+    }
+
+    return repoData;
+  }
+
+  /**
+   * Seed an empty repository on the configured branch and make that branch the default
+   * @param {string|null} currentDefaultBranch - Default branch GitHub reported for the new repo
+   */
+  async initializeRepository(currentDefaultBranch = null) {
+    const branch = this.config.branch || 'main';
+    const [readme, ...rest] = await this.buildSeedFiles();
+
+    // The Data API needs an existing commit, so the README creates the branch first
+    const first = await this.createOrUpdateFile(readme.path, readme.content, 'Initialize repository');
+    if (!first.success) return first;
+
+    const result = await this.commitFiles(rest, 'Add repository layout');
+    if (!result.success) return result;
+
+    if (currentDefaultBranch && currentDefaultBranch !== branch) {
+      const update = await this.setDefaultBranch(branch);
+      if (!update.ok) {
+        this._warn(`[GitHub API] Could not make ${branch} the default branch: ${update.status}`);
+      }
+    }
+
+    return result;
+  }
+
+  async setDefaultBranch(branch) {
+    return this._gitRequest('PATCH', '', { default_branch: branch });
+  }
+
+  // README (with any problems already solved in this browser), .gitignore, index and platform folders
+  async buildSeedFiles() {
+    const entries = await ReadmeIndex.seedFromProblemData();
+    const folders = Object.values(DSA_PLATFORMS)
+      .map((platform) => DSAUtils.getPlatformRootFolder(this.config.pathTemplate, platform))
+      .filter(Boolean);
+
+    return [
+      { path: README_PATH, content: ReadmeIndex.applyToReadme(null, entries, this.config.repo) },
+      { path: '.gitignore', content: REPO_GITIGNORE },
+      { path: README_INDEX_PATH, content: ReadmeIndex.serialize(entries) },
+      ...[...new Set(folders)].map((folder) => ({ path: `${folder}/.gitkeep`, content: '' }))
+    ];
+  }
+
+  async getFileContent(filePath, ref = null) {
+    if (!this.config) {
+      await this.initialize();
+    }
+
+    try {
+      const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+      const response = await this._fetch(
+        `${this.baseURL}/repos/${this.config.owner}/${this.config.repo}/contents/${filePath}${query}`,
         {
           headers: {
             'Authorization': `token ${this.config.token}`,
@@ -116,10 +287,20 @@ class GitHubAPI {
       } else if (response.status === 404) {
         return { exists: false, sha: null, content: null };
       } else {
-        throw new Error(`Failed to get file content: ${response.status}`);
+        const readError = new Error(`Failed to get file content: ${response.status}`);
+        readError.status = response.status;
+        readError.rateLimitReset = this.getRateLimitReset(response);
+        throw readError;
       }
     } catch (error) {
-      return { exists: false, sha: null, content: null, error: error.message };
+      return {
+        exists: false,
+        sha: null,
+        content: null,
+        error: error.message,
+        status: error.status,
+        rateLimitReset: error.rateLimitReset || null
+      };
     }
   }
 
@@ -141,7 +322,12 @@ class GitHubAPI {
         payload.sha = sha;
       }
 
-      const response = await fetch(
+      // Without a branch the contents API writes to the repository's default branch
+      if (this.config.branch) {
+        payload.branch = this.config.branch;
+      }
+
+      const response = await this._fetch(
         `${this.baseURL}/repos/${this.config.owner}/${this.config.repo}/contents/${filePath}`,
         {
           method: 'PUT',
@@ -155,38 +341,446 @@ class GitHubAPI {
       );
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`GitHub API error: ${response.status} - ${errorData.message}`);
+        const errorData = await response.json().catch(() => ({}));
+        const pushError = new Error(`GitHub API error: ${response.status} - ${errorData.message}`);
+        pushError.status = response.status;
+        pushError.rateLimitReset = this.getRateLimitReset(response);
+        throw pushError;
       }
 
       return { success: true, data: await response.json() };
     } catch (error) {
-      return { success: false, error: error.message };
+      return {
+        success: false,
+        error: error.message,
+        status: error.status,
+        rateLimitReset: error.rateLimitReset || null
+      };
+    }
+  }
+
+  /**
+   * Write a file, refetching its SHA when GitHub reports a conflict
+   * (someone else updated the file between our read and our write)
+   */
+  async writeFile(filePath, content, commitMessage, maxConflictRetries = 2) {
+    if (!this.config) {
+      await this.initialize();
+    }
+
+    let result;
+
+    for (let attempt = 0; attempt <= maxConflictRetries; attempt++) {
+      const existingFile = await this.getFileContent(filePath, this.config.branch);
+      const sha = existingFile.exists ? existingFile.sha : null;
+
+      result = await this.createOrUpdateFile(filePath, content, commitMessage, sha);
+
+      // 409 = stale SHA, 422 = file appeared without us sending a SHA
+      if (result.success || (result.status !== 409 && result.status !== 422)) {
+        return result;
+      }
+
+      this._warn(`[GitHub API] SHA conflict on ${filePath}, refetching (attempt ${attempt + 1})`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Commit several files in one atomic commit using the Git Data API
+   * (ref -> base commit -> new tree -> new commit -> fast-forward the ref)
+   * @param {Array<{path: string, content: string}>} files - Paths relative to the repo root
+   * @param {string} commitMessage
+   * @param {object} options - { branch: defaults to the configured branch, maxConflictRetries: retries when the branch moves underneath us }
+   */
+  async commitFiles(files, commitMessage, options = {}) {
+    if (!this.config) {
+      await this.initialize();
+    }
+
+    const { maxConflictRetries = 2 } = options;
+    const branch = options.branch || this.config.branch || 'main';
+    let lastFailure = null;
+
+    for (let attempt = 0; attempt <= maxConflictRetries; attempt++) {
+      try {
+        const ref = await this._gitRequest('GET', `git/ref/heads/${branch}`);
+
+        // Empty repository (409) or missing branch (404): the Data API needs a parent commit,
+        // so seed it through the contents API one file at a time
+        if (ref.status === 409 || ref.status === 404) {
+          this._log(`[GitHub API] No commits on ${branch} yet, falling back to the contents API`);
+          return await this.writeFilesSequentially(files, commitMessage);
+        }
+        this._assertOk(ref, 'Failed to read branch');
+
+        const parentSha = ref.data.object.sha;
+        const parentCommit = await this._gitRequest('GET', `git/commits/${parentSha}`);
+        this._assertOk(parentCommit, 'Failed to read latest commit');
+
+        const tree = await this._gitRequest('POST', 'git/trees', {
+          base_tree: parentCommit.data.tree.sha,
+          tree: files.map((file) => ({
+            path: file.path,
+            mode: '100644',
+            type: 'blob',
+            content: file.content
+          }))
+        });
+        this._assertOk(tree, 'Failed to create tree');
+
+        const commit = await this._gitRequest('POST', 'git/commits', {
+          message: commitMessage,
+          tree: tree.data.sha,
+          parents: [parentSha]
+        });
+        this._assertOk(commit, 'Failed to create commit');
+
+        const update = await this._gitRequest('PATCH', `git/refs/heads/${branch}`, {
+          sha: commit.data.sha,
+          force: false
+        });
+
+        // 422 "Update is not a fast forward": someone pushed in the meantime, rebuild on the new head
+        if (update.status === 422) {
+          this._warn(`[GitHub API] ${branch} moved during commit, retrying (attempt ${attempt + 1})`);
+          lastFailure = {
+            success: false,
+            error: 'Branch was updated while committing',
+            status: 409,
+            rateLimitReset: null
+          };
+          continue;
+        }
+        this._assertOk(update, 'Failed to update branch');
+
+        return { success: true, data: commit.data };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          status: error.status,
+          rateLimitReset: error.rateLimitReset || null
+        };
+      }
+    }
+
+    return lastFailure;
+  }
+
+  /**
+   * Commit files together with the regenerated README index
+   * The index is merged right before committing so replayed pushes never drop each other's entries
+   * @param {object|null} indexEntry - ReadmeIndex entry for the pushed problem
+   * @param {object} options - Passed to commitFiles, e.g. { branch }
+   */
+  async commitWithIndex(files, commitMessage, indexEntry = null, options = {}) {
+    if (!indexEntry) {
+      return this.commitFiles(files, commitMessage, options);
+    }
+
+    try {
+      const indexFiles = await this.buildIndexFiles(indexEntry);
+      return await this.commitFiles([...files, ...indexFiles], commitMessage, options);
+    } catch (error) {
+      return { success: false, error: error.message, status: error.status, rateLimitReset: null };
+    }
+  }
+
+  /**
+   * Pull-request mode: commit to a per-problem branch cut from the configured branch,
+   * then open a pull request back into it (or refresh the description of the open one)
+   * The README index is committed to the configured branch in a follow-up commit, never to the
+   * per-problem branch: open pull requests would all conflict on it once the first one merged
+   * @param {object} pullRequest - { branch, title, body }
+   */
+  async commitAsPullRequest(files, commitMessage, indexEntry, pullRequest) {
+    if (!this.config) {
+      await this.initialize();
+    }
+
+    const base = this.config.branch || 'main';
+
+    try {
+      await this.ensureBranch(pullRequest.branch, base);
+
+      const result = await this.commitFiles(files, commitMessage, { branch: pullRequest.branch });
+      if (!result.success) return result;
+
+      const opened = await this.ensurePullRequest(pullRequest.branch, base, pullRequest.title, pullRequest.body);
+      this._log(`[GitHub API] Pull request ready: ${opened.url}`);
+
+      if (indexEntry) {
+        const indexed = await this.commitWithIndex([], `Update README index: ${indexEntry.title}`, indexEntry);
+        if (!indexed.success) return indexed;
+      }
+      return { ...result, pullRequest: opened };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        status: error.status,
+        rateLimitReset: error.rateLimitReset || null
+      };
+    }
+  }
+
+  // Create `branch` from the head of `base` unless it already exists
+  async ensureBranch(branch, base) {
+    const existing = await this._gitRequest('GET', `git/ref/heads/${branch}`);
+    if (existing.ok) return;
+    if (existing.status !== 404) {
+      this._assertOk(existing, 'Failed to read branch');
+    }
+
+    const baseRef = await this._gitRequest('GET', `git/ref/heads/${base}`);
+    this._assertOk(baseRef, `Failed to read ${base}`);
+
+    const created = await this._gitRequest('POST', 'git/refs', {
+      ref: `refs/heads/${branch}`,
+      sha: baseRef.data.object.sha
+    });
+    this._assertOk(created, 'Failed to create branch');
+  }
+
+  /**
+   * Open pull request from `branch` into `base`, created if there is none yet
+   * (Gitea shares these endpoints; it ignores the head filter, hence the client-side check)
+   * @returns {Promise<{number: number, url: string}>}
+   */
+  async ensurePullRequest(branch, base, title, body) {
+    const open = await this._gitRequest(
+      'GET',
+      `pulls?state=open&head=${encodeURIComponent(`${this.config.owner}:${branch}`)}&base=${encodeURIComponent(base)}&per_page=100`
+    );
+    this._assertOk(open, 'Failed to list pull requests');
+
+    const existing = (Array.isArray(open.data) ? open.data : [])
+      .find((pull) => pull.head?.ref === branch && pull.base?.ref === base);
+
+    if (existing) {
+      // Keep the description in step with the latest push
+      const updated = await this._gitRequest('PATCH', `pulls/${existing.number}`, { body });
+      this._assertOk(updated, 'Failed to update pull request');
+      return { number: existing.number, url: existing.html_url };
+    }
+
+    const created = await this._gitRequest('POST', 'pulls', { title, head: branch, base, body });
+    this._assertOk(created, 'Failed to open pull request');
+    return { number: created.data.number, url: created.data.html_url };
+  }
+
+  // solution/leetcode/two-sum
+  getPullRequestBranch(platform, problemInfo) {
+    const { slug } = DSAUtils.getTemplateValues(platform, problemInfo);
+    return `${PULL_REQUEST_BRANCH_PREFIX}${platform}/${slug || 'problem'}`;
+  }
+
+  // Pull request description: problem details followed by the AI analysis for mentors to review
+  generatePullRequestBody(problemInfo, platform, analysis = null) {
+    const platformName = platform.charAt(0).toUpperCase() + platform.slice(1);
+    const lines = [
+      `**Problem:** ${problemInfo.url ? `[${problemInfo.title}](${problemInfo.url})` : problemInfo.title}`,
+      `**Platform:** ${platformName}`,
+      `**Difficulty:** ${problemInfo.difficulty || 'Unknown'}`,
+      `**Language:** ${problemInfo.language || 'Unknown'}`,
+      '',
+      '## AI Analysis',
+      '',
+      analysis || '_No AI analysis for this solution._',
+      '',
+      '---',
+      '*Opened automatically by LeetFeedback Extension*'
+    ];
+    return lines.join('\n');
+  }
+
+  async buildIndexFiles(indexEntry) {
+    if (!this.config) {
+      await this.initialize();
+    }
+
+    const branch = this.config.branch || 'main';
+    const [indexFile, readmeFile] = await Promise.all([
+      this.getFileContent(README_INDEX_PATH, branch),
+      this.getFileContent(README_PATH, branch)
+    ]);
+
+    // Never rebuild the index from scratch just because a read failed
+    const readError = indexFile.error || readmeFile.error;
+    if (readError) {
+      throw new Error(`Failed to read README index: ${readError}`);
+    }
+
+    const entries = indexFile.exists
+      ? ReadmeIndex.parse(indexFile.content)
+      : await ReadmeIndex.seedFromProblemData();
+    const updated = ReadmeIndex.upsert(entries, indexEntry);
+
+    return [
+      { path: README_INDEX_PATH, content: ReadmeIndex.serialize(updated) },
+      { path: README_PATH, content: ReadmeIndex.applyToReadme(readmeFile.content, updated, this.config.repo) }
+    ];
+  }
+
+  // Fallback for empty repositories: one contents API commit per file
+  async writeFilesSequentially(files, commitMessage) {
+    let result = { success: true, data: null };
+    for (const file of files) {
+      result = await this.writeFile(file.path, file.content, commitMessage);
+      if (!result.success) return result;
+    }
+    return result;
+  }
+
+  async _gitRequest(method, path, body = null) {
+    const options = {
+      method,
+      headers: {
+        'Authorization': `token ${this.config.token}`,
+        'Accept': 'application/vnd.github.v3+json'
+      }
+    };
+
+    if (body) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await this._fetch(
+      `${this.baseURL}/repos/${this.config.owner}/${this.config.repo}${path ? `/${path}` : ''}`,
+      options
+    );
+    const data = await response.json().catch(() => ({}));
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      data,
+      rateLimitReset: this.getRateLimitReset(response)
+    };
+  }
+
+  _assertOk(result, context) {
+    if (result.ok) return;
+
+    const error = new Error(`${context}: ${this.providerName} API error: ${result.status} - ${result.data?.message}`);
+    error.status = result.status;
+    error.rateLimitReset = result.rateLimitReset;
+    throw error;
+  }
+
+  /**
+   * Timestamp (ms) when the rate limit resets, or null if this response wasn't rate limited
+   * @param {Response} response
+   */
+  getRateLimitReset(response) {
+    const headers = response.headers;
+    if (!headers || typeof headers.get !== 'function') return null;
+
+    // Secondary rate limits send Retry-After (seconds)
+    const retryAfter = parseInt(headers.get('Retry-After'), 10);
+    if (!isNaN(retryAfter)) {
+      return Date.now() + retryAfter * 1000;
+    }
+
+    // Primary rate limit: X-RateLimit-Reset is a UTC epoch in seconds
+    const remaining = headers.get('X-RateLimit-Remaining');
+    const reset = parseInt(headers.get('X-RateLimit-Reset'), 10);
+    if (remaining === '0' && !isNaN(reset)) {
+      return reset * 1000;
+    }
+
+    return null;
+  }
+
+  // Whether a failed write should go to the retry queue instead of being dropped
+  isRetryableFailure(result) {
+    if (result.rateLimitReset) return true;
+    // A conflict that survived the SHA refetch is usually a burst of concurrent writes
+    if (result.status === 409) return true;
+    return RetryQueue.isRetryableStatus(result.status);
+  }
+
+  /**
+   * Deliver a queued push (background.js)
+   * Pushes queued before their solution history could be read get their files laid out now
+   */
+  async replayPush({ files, commitMessage, indexEntry, pullRequest, draft }) {
+    if (!this.config) {
+      await this.initialize();
+    }
+
+    if (draft) {
+      try {
+        ({ files, indexEntry } = await this.buildSolutionFiles(draft));
+      } catch (error) {
+        return { success: false, error: error.message, status: error.status, rateLimitReset: error.rateLimitReset || null };
+      }
+    }
+
+    return pullRequest
+      ? this.commitAsPullRequest(files, commitMessage, indexEntry, pullRequest)
+      : this.commitWithIndex(files, commitMessage, indexEntry);
+  }
+
+  /**
+   * Store a failed commit so background.js can replay it
+   * Keyed by solution path so a newer push of the same file replaces the older one
+   * @param {object|null} draft - Instead of files, when the solution history still has to be read
+   */
+  async enqueueForRetry(solutionId, files, commitMessage, failure, label, indexEntry = null, pullRequest = null, draft = null) {
+    try {
+      const queue = new RetryQueue(RETRY_QUEUE_KEYS.GITHUB);
+      const payload = { files, commitMessage, indexEntry, pullRequest, draft, provider: this.provider };
+      await queue.enqueue(solutionId, payload, {
+        label: label || solutionId,
+        lastError: failure.error,
+        notBefore: failure.rateLimitReset || 0
+      });
+
+      chrome.runtime.sendMessage(
+        { type: 'RETRY_QUEUE_UPDATED', queue: RETRY_QUEUE_KEYS.GITHUB },
+        () => { void chrome.runtime.lastError; }
+      );
+      this._log(`[GitHub API] Queued ${solutionId} for retry`);
+      return true;
+    } catch (error) {
+      this._error('[GitHub API] Failed to queue push for retry:', error);
+      return false;
     }
   }
 
-  // Unified push method that handles both solutions and mistake analysis
-  async pushContent(problemInfo, platform, contentType = 'solution') {
+  /**
+   * Unified push method that handles both solutions and mistake analysis
+   * @param {string|null} problemKey - Suffix of the problem_data_* record, used for attempts, time and AI fields
+   */
+  async pushContent(problemInfo, platform, contentType = 'solution', problemKey = null) {
     try {
       if (!this.config) {
         const initialized = await this.initialize();
         if (!initialized) {
-          throw new Error('GitHub configuration is incomplete');
+          throw new Error(`${this.providerName} configuration is incomplete`);
         }
       }
 
       const { title } = problemInfo;
       this._log(`[GitHub API] Pushing content for: ${title}`);
 
-      // Create directory path and always use solution.md
-      const dirPath = DSAUtils.createDirectoryPath(platform, problemInfo);
-      const filePath = `${dirPath}/solution.md`;
+      // Directory and base file name come from the user's templates; metadata.json sits alongside
+      const dirPath = DSAUtils.createDirectoryPath(platform, problemInfo, this.config.pathTemplate);
+      const fileName = DSAUtils.createFileName(platform, problemInfo, this.config.fileNameTemplate);
+      const problemData = problemKey ? await DSAUtils.getProblemData(problemKey) : null;
       
       let content, commitMessage, analysisResult;
+      let sourceCode = problemInfo.code;
+      let sourceLanguage = problemInfo.language;
 
       if (contentType === 'solution') {
         // Successful solution - just the solution
-        content = this.generateSolutionContent(problemInfo, platform);
+        const template = await MarkdownTemplate.getTemplate(MARKDOWN_TEMPLATE_KEYS.SOLUTION);
+        content = this.generateSolutionContent(problemInfo, platform, { template, problemData });
         commitMessage = `Add solution for ${title}`;
         this._log(`[GitHub API] Creating successful solution`);
         
@@ -194,43 +788,95 @@ class GitHubAPI {
         // Failed attempts - solution + mistake analysis
         const failedAttempts = problemInfo.attempts || [];
         
-        if (failedAttempts.length < 3) {
-          return { success: false, error: `Need at least 3 failed attempts for mistake analysis. Found: ${failedAttempts.length}` };
+        const threshold = await LLMProvider.getFailureThreshold();
+        if (failedAttempts.length < threshold) {
+          return { success: false, error: `Need at least ${threshold} failed attempts for mistake analysis. Found: ${failedAttempts.length}` };
         }
 
-        // Generate Gemini analysis from all attempts
-        const geminiAPI = new GeminiAPI();
-        const geminiConfigured = await geminiAPI.initialize();
-        if (!geminiConfigured) {
-          return { success: false, error: 'Gemini API key not configured' };
+        // Generate analysis from all attempts with the selected AI provider
+        const llm = await LLMProvider.create();
+        const llmConfigured = await llm.initialize();
+        if (!llmConfigured) {
+          return { success: false, error: `${llm.providerName} is not configured` };
         }
 
-        const analysisResult = await geminiAPI.analyzeMistakes(failedAttempts, problemInfo);
+        analysisResult = await llm.analyzeMistakes(failedAttempts, problemInfo);
         if (!analysisResult.success) {
           return { success: false, error: 'Failed to generate mistake analysis: ' + analysisResult.error };
         }
 
         // Get the final (latest) solution from attempts
         const finalAttempt = failedAttempts[failedAttempts.length - 1];
+        sourceCode = finalAttempt.code;
+        sourceLanguage = finalAttempt.language;
         
         // Create combined content: final solution + mistake analysis
-        content = this.generateSolutionWithMistakeAnalysis(problemInfo, platform, finalAttempt, analysisResult.analysis, failedAttempts);
+        const template = await MarkdownTemplate.getTemplate(MARKDOWN_TEMPLATE_KEYS.MISTAKE_ANALYSIS);
+        content = this.generateSolutionWithMistakeAnalysis(
+          problemInfo, platform, finalAttempt, analysisResult.analysis, failedAttempts, { template, problemData }
+        );
         commitMessage = `Add solution with mistake analysis for ${title} (${failedAttempts.length} attempts analyzed)`;
         this._log(`[GitHub API] Creating solution with mistake analysis`);
       }
 
-      // Check if solution.md already exists for updates
-      let sha = null;
-      const existingFile = await this.getFileContent(filePath);
-      sha = existingFile.exists ? existingFile.sha : null;
+      // Everything the file layout needs; queued as is when the solution history can't be read yet
+      const draft = {
+        dirPath,
+        fileName,
+        platform,
+        contentType,
+        content,
+        sourceCode,
+        sourceLanguage,
+        problemInfo,
+        problemData,
+        date: new Date().toISOString()
+      };
 
-      // Push to GitHub
-      const result = await this.createOrUpdateFile(filePath, content, commitMessage, sha);
+      // In pull-request mode the commit goes to a per-problem branch for mentors to review
+      const pullRequest = this.config.pullRequestMode
+        ? {
+          branch: this.getPullRequestBranch(platform, problemInfo),
+          title: commitMessage,
+          body: this.generatePullRequestBody(
+            { ...problemInfo, language: sourceLanguage },
+            platform,
+            analysisResult?.analysis || problemData?.aiAnalysis
+          )
+        }
+        : null;
+
+      let layout;
+      try {
+        layout = await this.buildSolutionFiles(draft);
+      } catch (error) {
+        const failure = { success: false, error: error.message, status: error.status, rateLimitReset: error.rateLimitReset || null };
+        if (!this.isRetryableFailure(failure)) return failure;
+
+        // The file names depend on the history, so the replay lays the files out once it can be read
+        const queued = await this.enqueueForRetry(
+          `${dirPath}/${fileName}@${draft.date}`, null, commitMessage, failure, title, null, pullRequest, draft
+        );
+        return { ...failure, queued, analysis: analysisResult?.analysis };
+      }
+      const { files, indexEntry, baseName } = layout;
+
+      // Push to GitHub as a single commit, README index included
+      const result = pullRequest
+        ? await this.commitAsPullRequest(files, commitMessage, indexEntry, pullRequest)
+        : await this.commitWithIndex(files, commitMessage, indexEntry);
 
       if (result.success) {
-        this._log(`[GitHub API] Content pushed successfully: ${filePath}`);
+        this._log(`[GitHub API] Content pushed successfully: ${dirPath}`);
         // Return analysis with result so it can be stored for backend submission
-        return { ...result, analysis: analysisResult.analysis };
+        return { ...result, analysis: analysisResult?.analysis };
+      }
+
+      if (this.isRetryableFailure(result)) {
+        const queued = await this.enqueueForRetry(
+          `${dirPath}/${baseName}`, files, commitMessage, result, title, indexEntry, pullRequest
+        );
+        return { ...result, queued, analysis: analysisResult?.analysis };
       }
 
       return result;
@@ -242,74 +888,219 @@ class GitHubAPI {
   }
 
   // Simplified public methods
-  async pushSolution(problemInfo, platform) {
+  async pushSolution(problemInfo, platform, problemKey = null) {
     try {
-      return await this.pushContent(problemInfo, platform, 'solution');
+      return await this.pushContent(problemInfo, platform, 'solution', problemKey);
     } catch (error) {
       this._error('[GitHub API] Error in pushSolution:', error);
       return { success: false, error: error.message };
     }
   }
 
-  async pushMistakeAnalysis(problemInfo, platform) {
+  async pushMistakeAnalysis(problemInfo, platform, problemKey = null) {
     try {
-      return await this.pushContent(problemInfo, platform, 'mistake-analysis');
+      return await this.pushContent(problemInfo, platform, 'mistake-analysis', problemKey);
     } catch (error) {
       this._error('[GitHub API] Error in pushMistakeAnalysis:', error);
       return { success: false, error: error.message };
     }
   }
 
-  generateSolutionContent(problemInfo, platform) {
-    const { title, url, difficulty, code, language } = problemInfo;
-    const timestamp = new Date().toISOString().split('T')[0]; // Just date, not full timestamp
+  /**
+   * Render solution.md from the user's Markdown template (or the built-in default)
+   * @param {object} problemInfo
+   * @param {string} platform
+   * @param {object} options - { template, problemData: stored problem_data_* record }
+   */
+  generateSolutionContent(problemInfo, platform, options = {}) {
+    const { template = MARKDOWN_TEMPLATE_DEFAULTS[MARKDOWN_TEMPLATE_KEYS.SOLUTION], problemData = null } = options;
 
-    return `# ${title}
+    const variables = MarkdownTemplate.buildVariables(problemInfo, platform, {
+      problemData,
+      languageFence: this.getLanguageForMarkdown(problemInfo.language)
+    });
+    return MarkdownTemplate.render(template, variables);
+  }
 
-## Problem Information
-- **Platform:** ${platform.charAt(0).toUpperCase() + platform.slice(1)}
-- **Difficulty:** ${difficulty || 'Unknown'}
-- **URL:** ${url || 'N/A'}
-- **Date:** ${timestamp}
+  generateSolutionWithMistakeAnalysis(problemInfo, platform, finalAttempt, mistakeAnalysis, allAttempts, options = {}) {
+    const { template = MARKDOWN_TEMPLATE_DEFAULTS[MARKDOWN_TEMPLATE_KEYS.MISTAKE_ANALYSIS], problemData = null } = options;
 
-## Solution
+    const variables = MarkdownTemplate.buildVariables({ ...problemInfo, attempts: allAttempts }, platform, {
+      problemData,
+      analysis: mistakeAnalysis,
+      attempt: finalAttempt,
+      languageFence: this.getLanguageForMarkdown(finalAttempt.language)
+    });
+    return MarkdownTemplate.render(template, variables);
+  }
 
-\`\`\`${this.getLanguageForMarkdown(language)}
-${code || '// Code not available'}
-\`\`\`
+  /**
+   * Files for one push: the solution, metadata.json, the raw source and, with history, the folder README
+   * Throws with the HTTP status when the solution history can't be read
+   * @param {object} draft - Built by pushContent
+   * @returns {Promise<{files: Array<{path: string, content: string}>, indexEntry: object, baseName: string}>}
+   */
+  async buildSolutionFiles(draft) {
+    const { dirPath, fileName, platform, contentType, content, sourceCode, sourceLanguage, problemInfo, problemData, date } = draft;
 
----
-*Generated automatically by LeetFeedback Extension*
-`;
+    // 'overwrite' replaces solution.md; 'versioned' and 'per-language' keep earlier solutions
+    const historyMode = this.config.solutionHistory || SOLUTION_HISTORY_MODES.OVERWRITE;
+    const keepHistory = historyMode !== SOLUTION_HISTORY_MODES.OVERWRITE;
+    const history = keepHistory ? await this.getSolutionHistory(dirPath, fileName) : [];
+    const baseName = this.getHistoryFileName(fileName, historyMode, history, sourceLanguage);
+
+    // Raw source next to the markdown so the repo can be compiled and linted
+    const sourceFile = sourceCode ? this.getSourceFileName(sourceLanguage, baseName) : null;
+
+    let solutions = null;
+    if (keepHistory) {
+      solutions = this.addToSolutionHistory(history, {
+        file: `${baseName}.md`,
+        sourceFile,
+        language: sourceLanguage || null,
+        date
+      });
+    }
+
+    const files = [
+      { path: `${dirPath}/${baseName}.md`, content },
+      {
+        path: `${dirPath}/metadata.json`,
+        content: this.generateMetadata(problemInfo, platform, contentType, sourceFile, solutions)
+      }
+    ];
+    if (sourceFile) {
+      files.push({ path: `${dirPath}/${sourceFile}`, content: sourceCode });
+    }
+    if (solutions) {
+      files.push({ path: `${dirPath}/README.md`, content: this.generateFolderReadme(problemInfo, platform, solutions) });
+    }
+
+    const indexEntry = ReadmeIndex.createEntry({ ...problemInfo, language: sourceLanguage }, platform, {
+      problemData,
+      // With history the folder README lists every version
+      solutionPath: keepHistory ? `${dirPath}/README.md` : `${dirPath}/${baseName}.md`
+    });
+
+    return { files, indexEntry, baseName };
   }
 
-  generateSolutionWithMistakeAnalysis(problemInfo, platform, finalAttempt, mistakeAnalysis, allAttempts) {
-    const { title, url, difficulty } = problemInfo;
-    const timestamp = new Date().toISOString().split('T')[0]; // Just date, not full timestamp
+  // solution.cpp, solution.py ... or null when the language has no known extension
+  getSourceFileName(language, baseName = FILENAME_TEMPLATE_DEFAULT) {
+    const extension = DSAUtils.getFileExtension(language);
+    return extension === '.txt' ? null : `${baseName}${extension}`;
+  }
 
-    return `# ${title}
+  /**
+   * Earlier solutions in a problem folder, read from its metadata.json
+   * Folders pushed before history was enabled count as one solution named after the base file
+   */
+  async getSolutionHistory(dirPath, fileName) {
+    const metadataFile = await this.getFileContent(`${dirPath}/metadata.json`, this.config.branch);
+    if (metadataFile.error) {
+      const error = new Error(`Failed to read solution history: ${metadataFile.error}`);
+      error.status = metadataFile.status;
+      error.rateLimitReset = metadataFile.rateLimitReset;
+      throw error;
+    }
+    if (!metadataFile.exists) return [];
+
+    let metadata;
+    try {
+      metadata = JSON.parse(metadataFile.content);
+    } catch (error) {
+      return [];
+    }
+
+    if (Array.isArray(metadata.solutions)) {
+      return metadata.solutions;
+    }
+
+    return [{
+      version: 1,
+      file: `${fileName}.md`,
+      sourceFile: metadata.sourceFile || null,
+      language: metadata.language || null,
+      date: metadata.updatedAt || null
+    }];
+  }
+
+  // solution, solution-2, solution-3 ... or solution-cpp, solution-py ...
+  getHistoryFileName(fileName, historyMode, history, language) {
+    if (historyMode === SOLUTION_HISTORY_MODES.VERSIONED) {
+      const version = history.length + 1;
+      return version === 1 ? fileName : `${fileName}-${version}`;
+    }
+
+    if (historyMode === SOLUTION_HISTORY_MODES.PER_LANGUAGE) {
+      const extension = DSAUtils.getFileExtension(language);
+      const languageKey = extension !== '.txt'
+        ? extension.slice(1)
+        : DSAUtils.sanitizeFileName(language || '') || 'text';
+      return `${fileName}-${languageKey}`;
+    }
+
+    return fileName;
+  }
+
+  // Append a solution, replacing an earlier entry that wrote the same file
+  addToSolutionHistory(history, solution) {
+    const existing = history.find((entry) => entry.file === solution.file);
+    const others = history.filter((entry) => entry.file !== solution.file);
+    const version = existing ? existing.version : history.length + 1;
+    return [...others, { version, ...solution }].sort((a, b) => a.version - b.version);
+  }
+
+  // Problem folder README with a table of every kept solution
+  generateFolderReadme(problemInfo, platform, solutions) {
+    const { title, url, difficulty } = problemInfo;
+    const platformName = platform.charAt(0).toUpperCase() + platform.slice(1);
+    const link = (file) => file ? `[${file}](${encodeURI(file)})` : '-';
 
-## Problem Information
-- **Platform:** ${platform.charAt(0).toUpperCase() + platform.slice(1)}
-- **Difficulty:** ${difficulty || 'Unknown'}
-- **URL:** ${url || 'N/A'}
-- **Date:** ${timestamp}
+    const rows = solutions.map((solution) =>
+      `| ${solution.version} | ${(solution.date || '').split('T')[0] || '-'} | ${solution.language || '-'} | ${link(solution.file)} | ${link(solution.sourceFile)} |`
+    );
 
-## Solution
+    return `# ${title}
 
-\`\`\`${this.getLanguageForMarkdown(finalAttempt.language)}
-${finalAttempt.code || '// Code not available'}
-\`\`\`
+${url ? `[Problem](${url}) · ` : ''}${platformName} · ${difficulty || 'Unknown'}
 
-## AI Mistake Analysis
+## Solutions
 
-${mistakeAnalysis}
+| # | Date | Language | Write-up | Source |
+| --- | --- | --- | --- | --- |
+${rows.join('\n')}
 
 ---
 *Generated automatically by LeetFeedback Extension*
 `;
   }
 
+  // Machine-readable summary committed next to the solution files
+  generateMetadata(problemInfo, platform, contentType = 'solution', sourceFile = null, solutions = null) {
+    const { title, number, url, difficulty, language, topics } = problemInfo;
+
+    const metadata = {
+      title,
+      number: number || null,
+      platform,
+      difficulty: difficulty || null,
+      url: url || null,
+      language: language || null,
+      sourceFile,
+      topics: Array.isArray(topics) ? topics : [],
+      attempts: (problemInfo.attempts || []).length,
+      mistakeAnalysis: contentType === 'mistake-analysis',
+      updatedAt: new Date().toISOString()
+    };
+
+    if (solutions) {
+      metadata.solutions = solutions;
+    }
+
+    return JSON.stringify(metadata, null, 2) + '\n';
+  }
+
   getLanguageForMarkdown(language) {
     if (!language) return 'text';
     
@@ -324,12 +1115,32 @@ ${mistakeAnalysis}
       'csharp': 'csharp',
       'c#': 'csharp',
       'go': 'go',
+      'golang': 'go',
       'kotlin': 'kotlin',
       'rust': 'rust',
-      'typescript': 'typescript'
+      'typescript': 'typescript',
+      'php': 'php',
+      'swift': 'swift',
+      'dart': 'dart',
+      'ruby': 'ruby',
+      'scala': 'scala',
+      'racket': 'racket',
+      'erlang': 'erlang',
+      'elixir': 'elixir',
+      'bash': 'bash',
+      'shell': 'bash',
+      'mysql': 'sql',
+      'ms sql server': 'sql',
+      'mssql': 'sql',
+      'oracle': 'sql',
+      'oraclesql': 'sql',
+      'postgresql': 'sql',
+      'sql': 'sql',
+      'pandas': 'python',
+      'pythondata': 'python'
     };
     
-    return languageMap[language.toLowerCase()] || 'text';
+    return languageMap[language.trim().toLowerCase()] || 'text';
   }
 
   // UTF-8 safe encoding helper
@@ -354,5 +1165,5 @@ ${mistakeAnalysis}
   }
 }
 
-// Make GitHubAPI available globally
-window.GitHubAPI = GitHubAPI;
\ No newline at end of file
+// Make GitHubAPI available globally (window in content scripts, the worker global in background.js)
+self.GitHubAPI = GitHubAPI;
\ No newline at end of file
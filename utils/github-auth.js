@@ -0,0 +1,258 @@
+'use strict';
+
+// GitHub OAuth device flow (works for OAuth Apps and GitHub Apps with device flow enabled)
+// https://docs.github.com/en/apps/oauth-apps/building-oauth-apps/authorizing-oauth-apps#device-flow
+// github.com/login/* has no CORS headers, so this runs in the side panel and background only
+
+const GITHUB_OAUTH_SESSION_KEY = 'github_oauth_session';
+const GITHUB_OAUTH_DEFAULT_SCOPE = 'repo';
+const GITHUB_DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// Refresh this long before the access token actually expires
+const GITHUB_TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// OAuth errors meaning the refresh token will never work again
+const GITHUB_REFRESH_REJECTED_ERRORS = ['bad_refresh_token', 'invalid_grant'];
+
+class GitHubDeviceAuth {
+  static _refreshInFlight = null;
+
+  constructor(options = {}) {
+    this.clientId = options.clientId || null;
+    this.baseURL = options.baseURL || 'https://github.com';
+    this.apiBaseURL = options.apiBaseURL || 'https://api.github.com';
+    this.fetchImpl =
+      options.fetch ||
+      (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+    this.sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this.now = options.now || (() => Date.now());
+    this._cancelled = false;
+  }
+
+  async getClientId() {
+    if (this.clientId) return this.clientId;
+
+    const data = await chrome.storage.sync.get(['github_oauth_client_id']);
+    return data.github_oauth_client_id || null;
+  }
+
+  async postForm(path, params) {
+    if (!this.fetchImpl) {
+      throw new Error('fetch is not available in this environment');
+    }
+
+    let response;
+    try {
+      response = await this.fetchImpl(`${this.baseURL}${path}`, {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams(params).toString(),
+      });
+    } catch (networkError) {
+      throw new Error('Unable to reach GitHub. Check your connection.');
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok && !data.error) {
+      throw new Error(`GitHub returned ${response.status}`);
+    }
+    return data;
+  }
+
+  /**
+   * Step 1: ask GitHub for a user code
+   * @returns {Promise<{deviceCode, userCode, verificationUri, expiresAt, interval}>}
+   */
+  async requestDeviceCode(scope = GITHUB_OAUTH_DEFAULT_SCOPE) {
+    const clientId = await this.getClientId();
+    if (!clientId) {
+      throw new Error('GitHub OAuth client ID is not configured');
+    }
+
+    const data = await this.postForm('/login/device/code', { client_id: clientId, scope });
+    if (data.error) {
+      throw new Error(data.error_description || data.error);
+    }
+
+    return {
+      deviceCode: data.device_code,
+      userCode: data.user_code,
+      verificationUri: data.verification_uri,
+      expiresAt: this.now() + data.expires_in * 1000,
+      interval: data.interval || 5,
+    };
+  }
+
+  /**
+   * Step 2: poll until the user approves the code in the browser
+   * @param {object} deviceCode - Result of requestDeviceCode
+   * @returns {Promise<object>} The stored session
+   */
+  async pollForToken(deviceCode) {
+    const clientId = await this.getClientId();
+    let interval = deviceCode.interval;
+    this._cancelled = false;
+
+    while (this.now() < deviceCode.expiresAt) {
+      await this.sleep(interval * 1000);
+      if (this._cancelled) {
+        throw new Error('Sign-in cancelled');
+      }
+
+      const data = await this.postForm('/login/oauth/access_token', {
+        client_id: clientId,
+        device_code: deviceCode.deviceCode,
+        grant_type: GITHUB_DEVICE_GRANT_TYPE,
+      });
+
+      if (data.access_token) {
+        return this.storeSession(data);
+      }
+
+      switch (data.error) {
+        case 'authorization_pending':
+          break;
+        case 'slow_down':
+          // GitHub asks for the interval to grow by 5 seconds
+          interval = data.interval || interval + 5;
+          break;
+        case 'expired_token':
+          throw new Error('The code expired. Start the sign-in again.');
+        case 'access_denied':
+          throw new Error('Sign-in was cancelled on GitHub');
+        default:
+          throw new Error(data.error_description || data.error || 'Unexpected response from GitHub');
+      }
+    }
+
+    throw new Error('The code expired. Start the sign-in again.');
+  }
+
+  cancel() {
+    this._cancelled = true;
+  }
+
+  // Turn a token response into a session, look up the account and persist it
+  async storeSession(tokenResponse, previous = null) {
+    const now = this.now();
+    const session = {
+      accessToken: tokenResponse.access_token,
+      tokenType: tokenResponse.token_type || 'bearer',
+      // OAuth Apps report scopes; GitHub App tokens use app permissions instead
+      scopes: tokenResponse.scope ? tokenResponse.scope.split(/[,\s]+/).filter(Boolean) : [],
+      expiresAt: tokenResponse.expires_in ? now + tokenResponse.expires_in * 1000 : null,
+      refreshToken: tokenResponse.refresh_token || null,
+      refreshTokenExpiresAt: tokenResponse.refresh_token_expires_in
+        ? now + tokenResponse.refresh_token_expires_in * 1000
+        : null,
+      login: previous?.login || null,
+      obtainedAt: now,
+    };
+
+    const account = await this.fetchAccount(session.accessToken);
+    if (account) {
+      session.login = account.login;
+      if (account.scopes.length > 0) {
+        session.scopes = account.scopes;
+      }
+    }
+
+    await chrome.storage.local.set({ [GITHUB_OAUTH_SESSION_KEY]: session });
+    return session;
+  }
+
+  // Login and granted scopes (X-OAuth-Scopes) for a token; null if the lookup fails
+  async fetchAccount(accessToken) {
+    try {
+      const response = await this.fetchImpl(`${this.apiBaseURL}/user`, {
+        headers: {
+          Authorization: `token ${accessToken}`,
+          Accept: 'application/vnd.github.v3+json',
+        },
+      });
+      if (!response.ok) return null;
+
+      const user = await response.json();
+      const scopeHeader = response.headers?.get ? response.headers.get('X-OAuth-Scopes') : null;
+      return {
+        login: user.login,
+        scopes: scopeHeader ? scopeHeader.split(',').map((scope) => scope.trim()).filter(Boolean) : [],
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async getSession() {
+    const data = await chrome.storage.local.get([GITHUB_OAUTH_SESSION_KEY]);
+    return data[GITHUB_OAUTH_SESSION_KEY] || null;
+  }
+
+  async signOut() {
+    await chrome.storage.local.remove([GITHUB_OAUTH_SESSION_KEY]);
+  }
+
+  isExpired(session) {
+    return Boolean(session?.expiresAt && this.now() >= session.expiresAt - GITHUB_TOKEN_REFRESH_MARGIN_MS);
+  }
+
+  // Errors with sessionEnded set mean the user has to sign in again
+  async refresh(session) {
+    if (!session.refreshToken || (session.refreshTokenExpiresAt && this.now() >= session.refreshTokenExpiresAt)) {
+      const error = new Error('GitHub session expired. Sign in again.');
+      error.sessionEnded = true;
+      throw error;
+    }
+
+    const data = await this.postForm('/login/oauth/access_token', {
+      client_id: await this.getClientId(),
+      grant_type: 'refresh_token',
+      refresh_token: session.refreshToken,
+    });
+
+    if (!data.access_token) {
+      const error = new Error(data.error_description || data.error || 'Failed to refresh GitHub token');
+      error.sessionEnded = GITHUB_REFRESH_REJECTED_ERRORS.includes(data.error);
+      throw error;
+    }
+
+    return this.storeSession(data, session);
+  }
+
+  /**
+   * Access token for API calls, refreshed when it is about to expire
+   * @returns {Promise<string|null>} null when not signed in or GitHub rejected the refresh token
+   * @throws {Error} when GitHub can't be reached or fails (5xx); the stored tokens are kept for the next try
+   */
+  async getValidAccessToken() {
+    const session = await this.getSession();
+    if (!session) return null;
+    if (!this.isExpired(session)) return session.accessToken;
+
+    try {
+      // Refresh tokens are single use, so concurrent callers share one refresh
+      if (!GitHubDeviceAuth._refreshInFlight) {
+        GitHubDeviceAuth._refreshInFlight = this.refresh(session).finally(() => {
+          GitHubDeviceAuth._refreshInFlight = null;
+        });
+      }
+      const refreshed = await GitHubDeviceAuth._refreshInFlight;
+      return refreshed.accessToken;
+    } catch (error) {
+      // Drop the session only once GitHub rejects the refresh token
+      if (!error.sessionEnded) throw error;
+      await this.signOut();
+      return null;
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GitHubDeviceAuth, GITHUB_OAUTH_SESSION_KEY };
+} else {
+  self.GitHubDeviceAuth = GitHubDeviceAuth;
+  self.GITHUB_OAUTH_SESSION_KEY = GITHUB_OAUTH_SESSION_KEY;
+}
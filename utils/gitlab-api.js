@@ -0,0 +1,331 @@
+// GitLab provider (gitlab.com or self-managed) behind the same push interface as GitHubAPI
+// Uses REST v4: every push is a single commit with one action per file
+
+class GitLabAPI extends GitHubAPI {
+  constructor() {
+    super();
+    this.baseURL = `${GITLAB_DEFAULT_URL}/api/v4`;
+    this.provider = GIT_PROVIDERS.GITLAB;
+    this.providerName = 'GitLab';
+  }
+
+  async initialize() {
+    try {
+      this.config = await DSAUtils.getStoredConfig();
+      this.config.token = this.config.gitlabToken;
+      this.baseURL = `${this.config.gitlabUrl}/api/v4`;
+
+      return DSAUtils.isConfigComplete(this.config);
+    } catch (error) {
+      this._error('[GitLab API] Error during initialization:', error);
+      return false;
+    }
+  }
+
+  _fetch(url, options = {}) {
+    return providerFetch(url, options);
+  }
+
+  // Projects are addressed by their URL-encoded "namespace/name" path
+  get projectPath() {
+    return `/projects/${encodeURIComponent(`${this.config.owner}/${this.config.repo}`)}`;
+  }
+
+  async _request(method, path, body = null) {
+    const options = {
+      method,
+      headers: {
+        'PRIVATE-TOKEN': this.config.token,
+        'Accept': 'application/json'
+      }
+    };
+
+    if (body) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await this._fetch(`${this.baseURL}${path}`, options);
+    const data = await response.json().catch(() => ({}));
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      data,
+      rateLimitReset: this.getRateLimitReset(response)
+    };
+  }
+
+  // GitLab reports errors as { message } (string or field map) or { error }
+  _assertOk(result, context) {
+    if (result.ok) return;
+
+    const error = new Error(`${context}: GitLab API error: ${result.status} - ${this._errorMessage(result.data)}`);
+    error.status = result.status;
+    error.rateLimitReset = result.rateLimitReset;
+    throw error;
+  }
+
+  _errorMessage(data) {
+    const message = data?.message || data?.error || '';
+    return typeof message === 'string' ? message : JSON.stringify(message);
+  }
+
+  async testConnection() {
+    if (!this.config) {
+      await this.initialize();
+    }
+
+    try {
+      const result = await this._request('GET', '/user');
+      if (!result.ok) {
+        throw new Error(`GitLab API error: ${result.status}`);
+      }
+      return { success: true, user: { ...result.data, login: result.data.username } };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async checkRepository() {
+    if (!this.config) {
+      await this.initialize();
+    }
+
+    try {
+      const result = await this._request('GET', this.projectPath);
+      if (!result.ok) {
+        throw new Error('Repository not found or no access');
+      }
+      return { success: true, repo: result.data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async createRemoteRepository({ isPrivate, description }) {
+    const account = await this.testConnection();
+    if (!account.success) {
+      throw new Error(`Could not verify GitLab account: ${account.error}`);
+    }
+
+    const body = {
+      name: this.config.repo,
+      path: this.config.repo,
+      visibility: isPrivate ? 'private' : 'public',
+      description,
+      initialize_with_readme: false
+    };
+
+    // Without namespace_id the project lands in the user's personal namespace
+    if (account.user.login.toLowerCase() !== this.config.owner.toLowerCase()) {
+      const namespace = await this._request('GET', `/namespaces/${encodeURIComponent(this.config.owner)}`);
+      if (!namespace.ok) {
+        throw new Error(`Group ${this.config.owner} not found or no access`);
+      }
+      body.namespace_id = namespace.data.id;
+    }
+
+    const result = await this._request('POST', '/projects', body);
+    if (!result.ok) {
+      if (result.status === 400 && /already been taken/i.test(JSON.stringify(result.data))) {
+        throw new Error(`${this.config.owner}/${this.config.repo} already exists`);
+      }
+      this._assertOk(result, 'Failed to create project');
+    }
+
+    return { ...result.data, full_name: result.data.path_with_namespace };
+  }
+
+  async setDefaultBranch(branch) {
+    return this._request('PUT', this.projectPath, { default_branch: branch });
+  }
+
+  async getFileContent(filePath, ref = null) {
+    if (!this.config) {
+      await this.initialize();
+    }
+
+    try {
+      const branch = ref || this.config.branch || 'main';
+      const result = await this._request(
+        'GET',
+        `${this.projectPath}/repository/files/${encodeURIComponent(filePath)}?ref=${encodeURIComponent(branch)}`
+      );
+
+      if (result.ok) {
+        // UTF-8 safe decoding
+        const content = decodeURIComponent(escape(atob(result.data.content)));
+        return { exists: true, sha: result.data.blob_id, content };
+      } else if (result.status === 404) {
+        return { exists: false, sha: null, content: null };
+      } else {
+        const readError = new Error(`Failed to get file content: ${result.status}`);
+        readError.status = result.status;
+        readError.rateLimitReset = result.rateLimitReset;
+        throw readError;
+      }
+    } catch (error) {
+      return {
+        exists: false,
+        sha: null,
+        content: null,
+        error: error.message,
+        status: error.status,
+        rateLimitReset: error.rateLimitReset || null
+      };
+    }
+  }
+
+  async fileExists(filePath, ref) {
+    const result = await this._request(
+      'HEAD',
+      `${this.projectPath}/repository/files/${encodeURIComponent(filePath)}?ref=${encodeURIComponent(ref)}`
+    );
+    if (result.status === 404) return false;
+    this._assertOk(result, `Failed to check ${filePath}`);
+    return true;
+  }
+
+  async ensureBranch(branch, base) {
+    const branchPath = `${this.projectPath}/repository/branches`;
+    const existing = await this._request('GET', `${branchPath}/${encodeURIComponent(branch)}`);
+    if (existing.ok) return;
+    if (existing.status !== 404) {
+      this._assertOk(existing, 'Failed to read branch');
+    }
+
+    const created = await this._request(
+      'POST',
+      `${branchPath}?branch=${encodeURIComponent(branch)}&ref=${encodeURIComponent(base)}`
+    );
+    this._assertOk(created, 'Failed to create branch');
+  }
+
+  // GitLab calls pull requests merge requests
+  async ensurePullRequest(branch, base, title, body) {
+    const mergeRequestsPath = `${this.projectPath}/merge_requests`;
+    const open = await this._request(
+      'GET',
+      `${mergeRequestsPath}?state=opened&source_branch=${encodeURIComponent(branch)}&target_branch=${encodeURIComponent(base)}`
+    );
+    this._assertOk(open, 'Failed to list merge requests');
+
+    const existing = Array.isArray(open.data) ? open.data[0] : null;
+    if (existing) {
+      const updated = await this._request('PUT', `${mergeRequestsPath}/${existing.iid}`, { description: body });
+      this._assertOk(updated, 'Failed to update merge request');
+      return { number: existing.iid, url: existing.web_url };
+    }
+
+    const created = await this._request('POST', mergeRequestsPath, {
+      source_branch: branch,
+      target_branch: base,
+      title,
+      description: body
+    });
+    this._assertOk(created, 'Failed to open merge request');
+    return { number: created.data.iid, url: created.data.web_url };
+  }
+
+  // Single files go through the commits API too, so create vs update is decided in one place
+  async createOrUpdateFile(filePath, content, commitMessage) {
+    return this.commitFiles([{ path: filePath, content }], commitMessage);
+  }
+
+  /**
+   * Commit several files in one commit via POST /projects/:id/repository/commits
+   * GitLab needs to know whether each file is created or updated, so existence is checked first
+   */
+  async commitFiles(files, commitMessage, options = {}) {
+    if (!this.config) {
+      await this.initialize();
+    }
+
+    const { maxConflictRetries = 2 } = options;
+    const branch = options.branch || this.config.branch || 'main';
+    let lastFailure = null;
+
+    for (let attempt = 0; attempt <= maxConflictRetries; attempt++) {
+      try {
+        const branchInfo = await this._request('GET', `${this.projectPath}/repository/branches/${encodeURIComponent(branch)}`);
+        let startBranch = null;
+
+        if (branchInfo.status === 404) {
+          const project = await this._request('GET', this.projectPath);
+          this._assertOk(project, 'Failed to read project');
+          // Empty projects accept a first commit on any branch; otherwise branch off the default one
+          if (!project.data.empty_repo && project.data.default_branch) {
+            startBranch = project.data.default_branch;
+          }
+        } else {
+          this._assertOk(branchInfo, 'Failed to read branch');
+        }
+
+        const hasCommits = branchInfo.ok || startBranch;
+        const existing = hasCommits
+          ? await Promise.all(files.map((file) => this.fileExists(file.path, startBranch || branch)))
+          : files.map(() => false);
+
+        const body = {
+          branch,
+          commit_message: commitMessage,
+          actions: files.map((file, index) => ({
+            action: existing[index] ? 'update' : 'create',
+            file_path: file.path,
+            content: file.content,
+            encoding: 'text'
+          }))
+        };
+        if (startBranch) {
+          body.start_branch = startBranch;
+        }
+
+        const commit = await this._request('POST', `${this.projectPath}/repository/commits`, body);
+
+        // Another push created or removed one of the files in the meantime: check again
+        if (commit.status === 400 && /already exists|does(n't| not) exist/i.test(this._errorMessage(commit.data))) {
+          this._warn(`[GitLab API] Files on ${branch} changed during commit, retrying (attempt ${attempt + 1})`);
+          lastFailure = {
+            success: false,
+            error: 'Branch was updated while committing',
+            status: 409,
+            rateLimitReset: null
+          };
+          continue;
+        }
+        this._assertOk(commit, 'Failed to create commit');
+
+        return { success: true, data: commit.data };
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          status: error.status,
+          rateLimitReset: error.rateLimitReset || null
+        };
+      }
+    }
+
+    return lastFailure;
+  }
+
+  // GitLab sends RateLimit-* without the X- prefix
+  getRateLimitReset(response) {
+    const reset = super.getRateLimitReset(response);
+    if (reset) return reset;
+
+    const headers = response.headers;
+    if (!headers || typeof headers.get !== 'function') return null;
+
+    const remaining = headers.get('RateLimit-Remaining');
+    const resetAt = parseInt(headers.get('RateLimit-Reset'), 10);
+    if (remaining === '0' && !isNaN(resetAt)) {
+      return resetAt * 1000;
+    }
+
+    return null;
+  }
+}
+
+self.GitLabAPI = GitLabAPI;
@@ -22,6 +22,21 @@
     if (DEBUG_MODE) console.error(...args);
   }
 
+  // Failing test case and error text of a rejected check response, or null
+  function getFailure(data) {
+    if (data.status === 'Accepted') return null;
+
+    const testCase = Array.isArray(data.results)
+      ? data.results.find((result) => result && result.status && result.status !== 'Accepted') || {}
+      : data;
+    return {
+      input: testCase.input || testCase.stdin || data.last_test_case || '',
+      expected: testCase.expected_output || testCase.expected || '',
+      actual: testCase.output || testCase.stdout || testCase.user_output || '',
+      error: data.compile_output || data.stderr || data.error || testCase.stderr || ''
+    };
+  }
+
   const XHR = XMLHttpRequest.prototype;
   const open = XHR.open;
   const send = XHR.send;
@@ -104,6 +119,7 @@
               passedTestCases: data.passed_test_cases,
               averageTime: data.time + 's',
               averageMemory: data.memory,
+              failure: getFailure(data),
             };
             log('[TUF Interceptor] Processed submission data:', submissionData);
 
@@ -136,6 +152,7 @@
               status: data.status,
               totalTestCases: data.total_test_cases,
               passedTestCases: data.passed_test_cases,
+              failure: getFailure(data),
             };
             log('[TUF Interceptor] Processed run data:', runData);
 
@@ -0,0 +1,413 @@
+// Imports accepted LeetCode submissions made before the extension was installed
+// Runs in the LeetCode content script so GraphQL requests carry the user's session cookies
+// Progress lives in chrome.storage.local, so an interrupted import resumes where it stopped
+
+const LEETCODE_BACKFILL_KEY = 'leetcode_backfill';
+
+const LEETCODE_BACKFILL_STATUS = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  DONE: 'done',
+  ERROR: 'error'
+};
+
+// A running import that has not saved progress for this long died with its tab
+const LEETCODE_BACKFILL_STALE_MS = 3 * 60 * 1000;
+
+const SOLVED_QUESTIONS_QUERY = `
+  query userProgressQuestionList($filters: UserProgressQuestionListInput) {
+    userProgressQuestionList(filters: $filters) {
+      totalNum
+      questions {
+        frontendId
+        title
+        titleSlug
+        difficulty
+        topicTags { name }
+      }
+    }
+  }
+`;
+
+const QUESTION_CONTENT_QUERY = `
+  query backfillQuestion($titleSlug: String!) {
+    question(titleSlug: $titleSlug) {
+      content
+    }
+  }
+`;
+
+const QUESTION_SUBMISSIONS_QUERY = `
+  query backfillSubmissions($titleSlug: String!, $offset: Int!, $limit: Int!) {
+    questionSubmissionList(offset: $offset, limit: $limit, questionSlug: $titleSlug) {
+      hasNext
+      submissions { id timestamp statusDisplay }
+    }
+  }
+`;
+
+const SUBMISSION_DETAILS_QUERY = `
+  query submissionDetails($submissionId: Int!) {
+    submissionDetails(submissionId: $submissionId) {
+      code
+      timestamp
+      runtimeDisplay
+      memoryDisplay
+      runtimePercentile
+      lang { name }
+    }
+  }
+`;
+
+class LeetCodeBackfill {
+  /**
+   * @param {object} options
+   * @param {Function} options.pushSolution - async (slug, problemInfo) => { success, queued, error }
+   * @param {number} options.requestDelayMs - Pause between problems to stay under LeetCode's rate limit
+   */
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'https://leetcode.com';
+    this.fetchImpl =
+      options.fetch ||
+      (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+    this.sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this.now = options.now || (() => Date.now());
+    this.pushSolution = options.pushSolution || null;
+    this.requestDelayMs = options.requestDelayMs ?? 2000;
+    this.rateLimitDelayMs = options.rateLimitDelayMs ?? 30 * 1000;
+    this.maxRateLimitRetries = options.maxRateLimitRetries ?? 3;
+    this.pageSize = options.pageSize || 100;
+    this.submissionPageSize = options.submissionPageSize || 20;
+    this._running = false;
+    this._stopRequested = false;
+  }
+
+  static createProgress(now = Date.now()) {
+    return {
+      status: LEETCODE_BACKFILL_STATUS.IDLE,
+      total: 0,
+      processed: 0,
+      imported: 0,
+      skipped: 0,
+      failed: [],
+      completedSlugs: [],
+      currentTitle: null,
+      error: null,
+      startedAt: now,
+      updatedAt: now
+    };
+  }
+
+  static isStale(progress, now = Date.now()) {
+    return progress?.status === LEETCODE_BACKFILL_STATUS.RUNNING &&
+      now - (progress.updatedAt || 0) > LEETCODE_BACKFILL_STALE_MS;
+  }
+
+  // Plain text from the question's HTML statement
+  static htmlToText(html) {
+    if (!html) return '';
+    if (typeof DOMParser !== 'undefined') {
+      return new DOMParser().parseFromString(html, 'text/html').body.textContent.trim();
+    }
+    return html.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim();
+  }
+
+  isRunning() {
+    return this._running;
+  }
+
+  async getProgress() {
+    const result = await chrome.storage.local.get([LEETCODE_BACKFILL_KEY]);
+    return result[LEETCODE_BACKFILL_KEY] || null;
+  }
+
+  async saveProgress(progress) {
+    progress.updatedAt = this.now();
+    await chrome.storage.local.set({ [LEETCODE_BACKFILL_KEY]: progress });
+  }
+
+  getCsrfToken() {
+    if (typeof document === 'undefined') return '';
+    const match = document.cookie.match(/(?:^|;\s*)csrftoken=([^;]+)/);
+    return match ? decodeURIComponent(match[1]) : '';
+  }
+
+  // POST to /graphql, waiting out 429s before giving up
+  async graphql(query, variables) {
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.fetchImpl(`${this.baseURL}/graphql/`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-csrftoken': this.getCsrfToken()
+        },
+        body: JSON.stringify({ query, variables })
+      });
+
+      if (response.status === 429 && attempt < this.maxRateLimitRetries) {
+        await this.sleep(this.rateLimitDelayMs * Math.pow(2, attempt));
+        continue;
+      }
+      if (!response.ok) {
+        throw new Error(`LeetCode returned ${response.status}`);
+      }
+
+      const body = await response.json();
+      if (body.errors?.length) {
+        throw new Error(body.errors[0].message || 'LeetCode GraphQL error');
+      }
+      return body.data;
+    }
+  }
+
+  // Every solved question, paged; oldest-first order is not guaranteed
+  async fetchSolvedQuestions() {
+    const questions = [];
+    let total = Infinity;
+
+    while (questions.length < total) {
+      const data = await this.graphql(SOLVED_QUESTIONS_QUERY, {
+        filters: { skip: questions.length, limit: this.pageSize, questionStatus: 'SOLVED' }
+      });
+      const page = data?.userProgressQuestionList;
+      if (!page) {
+        throw new Error('Sign in to LeetCode to import your history');
+      }
+
+      total = page.totalNum;
+      questions.push(...page.questions);
+      if (page.questions.length === 0) break;
+    }
+
+    return questions;
+  }
+
+  // Every submission to a question, newest first, whatever its status
+  async fetchSubmissions(titleSlug) {
+    const submissions = [];
+
+    for (;;) {
+      const data = await this.graphql(QUESTION_SUBMISSIONS_QUERY, {
+        titleSlug,
+        offset: submissions.length,
+        limit: this.submissionPageSize
+      });
+      const page = data?.questionSubmissionList;
+      submissions.push(...(page?.submissions || []));
+      if (!page?.hasNext || !page.submissions?.length) break;
+
+      await this.sleep(this.requestDelayMs);
+    }
+
+    return submissions;
+  }
+
+  /**
+   * problemInfo for the latest accepted submission, shaped like LeetCodeExtractor.extractProblemInfo()
+   * tries counts every submission up to and including the first accepted one
+   * @returns {Promise<{problemInfo: object, solvedAt: number, tries: number}>}
+   */
+  async fetchAcceptedSolution(question) {
+    const submissions = await this.fetchSubmissions(question.titleSlug);
+    const accepted = submissions.filter((submission) => submission.statusDisplay === 'Accepted');
+    if (accepted.length === 0) {
+      throw new Error('No accepted submission found');
+    }
+
+    const latest = accepted[0];
+    const firstAcceptedAt = Math.min(...accepted.map((submission) => Number(submission.timestamp)));
+
+    await this.sleep(this.requestDelayMs);
+    const data = await this.graphql(QUESTION_CONTENT_QUERY, { titleSlug: question.titleSlug });
+
+    await this.sleep(this.requestDelayMs);
+    const detailsData = await this.graphql(SUBMISSION_DETAILS_QUERY, { submissionId: Number(latest.id) });
+    const details = detailsData?.submissionDetails;
+    if (!details?.code) {
+      throw new Error('Submission code is not available');
+    }
+
+    const percentile = typeof details.runtimePercentile === 'number'
+      ? `${details.runtimePercentile.toFixed(2)}%`
+      : '';
+
+    return {
+      problemInfo: {
+        title: question.title,
+        number: question.frontendId,
+        description: LeetCodeBackfill.htmlToText(data?.question?.content),
+        difficulty: this.formatDifficulty(question.difficulty),
+        url: `${this.baseURL}/problems/${question.titleSlug}/`,
+        language: details.lang?.name || null,
+        code: details.code,
+        topics: (question.topicTags || []).map((tag) => tag.name),
+        stats: {
+          runtime: details.runtimeDisplay || '',
+          memory: details.memoryDisplay || '',
+          beats: percentile
+        }
+      },
+      solvedAt: Number(details.timestamp || latest.timestamp) * 1000,
+      tries: submissions.filter((submission) => Number(submission.timestamp) <= firstAcceptedAt).length
+    };
+  }
+
+  // GraphQL says EASY / MEDIUM / HARD, the extractor reads Easy / Medium / Hard off the page
+  formatDifficulty(difficulty) {
+    if (!difficulty) return 'Easy';
+    return difficulty.charAt(0).toUpperCase() + difficulty.slice(1).toLowerCase();
+  }
+
+  // problem_data_* record in the same shape LeetCodeExtractor.storeProblemData() writes
+  buildProblemData(slug, problemInfo, solvedAt, tries, existingData = {}) {
+    const difficulty = { easy: 0, medium: 1, hard: 2 }[problemInfo.difficulty.toLowerCase()] ?? 0;
+
+    return {
+      ...existingData,
+      name: problemInfo.title,
+      platform: 'leetcode',
+      difficulty,
+      solved: { value: true, date: solvedAt, tries },
+      ignored: existingData.ignored ?? false,
+      parent_topic: problemInfo.topics,
+      problem_link: problemInfo.url,
+      language: problemInfo.language,
+      attempts: existingData.attempts || [],
+      runCounter: existingData.runCounter || 0,
+      incorrectRunCounter: existingData.incorrectRunCounter || 0,
+      hasAnalyzedMistakes: existingData.hasAnalyzedMistakes || false,
+      shouldAnalyzeWithGemini: false,
+      currentProblemUrl: slug,
+      submitCounter: existingData.submitCounter || 0,
+      aiAnalysis: existingData.aiAnalysis || null,
+      aiTags: existingData.aiTags || [],
+      stats: problemInfo.stats,
+      // Solve time is unknown for past submissions
+      problemStartTime: null,
+      pausedTime: 0,
+      backfilled: true,
+      timestamp: new Date(this.now()).toISOString()
+    };
+  }
+
+  /**
+   * Import one solved question
+   * @returns {Promise<boolean>} false when it was already recorded as solved and got skipped
+   */
+  async importQuestion(question) {
+    const slug = question.titleSlug;
+    const storageKey = `problem_data_${slug}`;
+    const existing = (await chrome.storage.local.get([storageKey]))[storageKey];
+
+    // Solves captured live were already pushed; a backfilled record still marked pushPending was not
+    if (existing?.solved?.value && !existing.pushPending) {
+      return false;
+    }
+
+    // The push reads this record, so it is written first and stays pending until the push succeeds or is queued
+    const { problemInfo, solvedAt, tries } = await this.fetchAcceptedSolution(question);
+    await chrome.storage.local.set({
+      [storageKey]: { ...this.buildProblemData(slug, problemInfo, solvedAt, tries, existing || {}), pushPending: true }
+    });
+
+    if (this.pushSolution) {
+      const result = await this.pushSolution(slug, problemInfo);
+      if (!result.success && !result.queued) {
+        throw new Error(result.error || 'Push failed');
+      }
+    }
+
+    const { [storageKey]: pushed } = await chrome.storage.local.get([storageKey]);
+    delete pushed.pushPending;
+    await chrome.storage.local.set({ [storageKey]: pushed });
+    return true;
+  }
+
+  /**
+   * Walk all solved questions, resuming a paused or interrupted import unless restart is set
+   * @param {object} options - { restart: start over instead of resuming }
+   */
+  async run({ restart = false } = {}) {
+    if (this._running) return;
+    this._running = true;
+    this._stopRequested = false;
+
+    const saved = await this.getProgress();
+    const resumable = saved && !restart && saved.status !== LEETCODE_BACKFILL_STATUS.DONE;
+    const progress = resumable ? saved : LeetCodeBackfill.createProgress(this.now());
+    progress.status = LEETCODE_BACKFILL_STATUS.RUNNING;
+    progress.error = null;
+
+    try {
+      await this.saveProgress(progress);
+
+      const questions = await this.fetchSolvedQuestions();
+      const completed = new Set(progress.completedSlugs);
+      progress.total = questions.length;
+
+      for (const question of questions) {
+        if (completed.has(question.titleSlug)) continue;
+
+        if (this._stopRequested) {
+          progress.status = LEETCODE_BACKFILL_STATUS.PAUSED;
+          progress.currentTitle = null;
+          await this.saveProgress(progress);
+          return;
+        }
+
+        progress.currentTitle = question.title;
+        await this.saveProgress(progress);
+
+        let skipped = false;
+        try {
+          if (await this.importQuestion(question)) {
+            progress.imported++;
+          } else {
+            progress.skipped++;
+            skipped = true;
+          }
+        } catch (error) {
+          // Failed problems are retried by starting over, not on resume
+          progress.failed.push({ slug: question.titleSlug, title: question.title, error: error.message });
+        }
+
+        completed.add(question.titleSlug);
+        progress.completedSlugs.push(question.titleSlug);
+        progress.processed = progress.completedSlugs.length;
+        await this.saveProgress(progress);
+
+        // Skips never reach LeetCode, so only real imports are paced
+        if (!skipped) {
+          await this.sleep(this.requestDelayMs);
+        }
+      }
+
+      progress.status = LEETCODE_BACKFILL_STATUS.DONE;
+      progress.currentTitle = null;
+      await this.saveProgress(progress);
+    } catch (error) {
+      progress.status = LEETCODE_BACKFILL_STATUS.ERROR;
+      progress.error = error.message;
+      progress.currentTitle = null;
+      await this.saveProgress(progress);
+    } finally {
+      this._running = false;
+    }
+  }
+
+  // The current problem finishes first, then the import pauses
+  stop() {
+    this._stopRequested = true;
+  }
+}
+
+// window in content scripts and the side panel
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LeetCodeBackfill, LEETCODE_BACKFILL_KEY, LEETCODE_BACKFILL_STATUS };
+} else {
+  self.LeetCodeBackfill = LeetCodeBackfill;
+  self.LEETCODE_BACKFILL_KEY = LEETCODE_BACKFILL_KEY;
+  self.LEETCODE_BACKFILL_STATUS = LEETCODE_BACKFILL_STATUS;
+}
@@ -0,0 +1,113 @@
+// Page-context hook for LeetCode's judge endpoints, injected by content-scripts/leetcode.js
+// Wraps fetch and XHR and forwards run/submit requests and their final check responses via postMessage
+
+(function () {
+  'use strict';
+
+  if (window.__leetFeedbackJudgeInterceptor) return;
+  window.__leetFeedbackJudgeInterceptor = true;
+
+  const SUBMIT_PATTERN = /\/problems\/[^/]+\/submit\/?$/;
+  const RUN_PATTERN = /\/problems\/[^/]+\/interpret_solution\/?$/;
+  const CHECK_PATTERN = /\/submissions\/detail\/([^/]+)\/check\/?$/;
+
+  // Judge id -> 'run' | 'submit', so check responses can be matched to their request
+  const pendingKinds = new Map();
+
+  function post(type, payload) {
+    window.postMessage({ source: 'LeetFeedback', type, ...payload }, '*');
+  }
+
+  function getPath(url) {
+    try {
+      return new URL(url, window.location.origin).pathname;
+    } catch (_) {
+      return '';
+    }
+  }
+
+  function isJudgeUrl(url) {
+    const path = getPath(url);
+    return SUBMIT_PATTERN.test(path) || RUN_PATTERN.test(path) || CHECK_PATTERN.test(path);
+  }
+
+  function handleResponse(url, requestBody, responseText) {
+    const path = getPath(url);
+    let data;
+    try {
+      data = JSON.parse(responseText);
+    } catch (_) {
+      return;
+    }
+
+    if (SUBMIT_PATTERN.test(path) || RUN_PATTERN.test(path)) {
+      const kind = SUBMIT_PATTERN.test(path) ? 'submit' : 'run';
+      const id = kind === 'submit' ? data.submission_id : data.interpret_id;
+      if (!id) return;
+
+      let request = {};
+      try {
+        request = JSON.parse(requestBody || '{}');
+      } catch (_) {}
+
+      pendingKinds.set(String(id), kind);
+      post('LEETFEEDBACK_JUDGE_REQUEST', {
+        kind,
+        id: String(id),
+        code: request.typed_code || '',
+        language: request.lang || '',
+        dataInput: request.data_input || ''
+      });
+      return;
+    }
+
+    // The page polls check until the judge is done; only the final response matters
+    const match = path.match(CHECK_PATTERN);
+    if (!match || data.state !== 'SUCCESS') return;
+
+    const id = decodeURIComponent(match[1]);
+    const kind = pendingKinds.get(id) || (id.startsWith('runcode') ? 'run' : 'submit');
+    pendingKinds.delete(id);
+    post('LEETFEEDBACK_JUDGE_RESULT', { kind, id, data });
+  }
+
+  const originalFetch = window.fetch;
+  window.fetch = function (input, init) {
+    const url = typeof input === 'string' ? input : (input && input.url) || String(input);
+    const requestBody = init && typeof init.body === 'string' ? init.body : null;
+    const responsePromise = originalFetch.apply(this, arguments);
+
+    if (isJudgeUrl(url)) {
+      responsePromise
+        .then((response) => response.clone().text())
+        .then((text) => handleResponse(url, requestBody, text))
+        .catch(() => {});
+    }
+
+    return responsePromise;
+  };
+
+  const XHR = XMLHttpRequest.prototype;
+  const open = XHR.open;
+  const send = XHR.send;
+
+  XHR.open = function (method, url) {
+    this._leetFeedbackUrl = String(url);
+    return open.apply(this, arguments);
+  };
+
+  XHR.send = function (body) {
+    if (this._leetFeedbackUrl && isJudgeUrl(this._leetFeedbackUrl)) {
+      this.addEventListener('load', function () {
+        try {
+          if (this.responseType === '' || this.responseType === 'text') {
+            handleResponse(this._leetFeedbackUrl, typeof body === 'string' ? body : null, this.responseText);
+          }
+        } catch (_) {
+          // Never break the page's own request handling
+        }
+      });
+    }
+    return send.apply(this, arguments);
+  };
+})();
@@ -0,0 +1,120 @@
+// Turns LeetCode's judge responses (captured by utils/leetcode-interceptor.js) into attempt results
+// Check responses come from GET /submissions/detail/{id}/check/ once state is SUCCESS
+
+const LEETCODE_JUDGE_KINDS = {
+  RUN: 'run',
+  SUBMIT: 'submit'
+};
+
+// status_code values LeetCode reports; anything but ACCEPTED is a failed attempt
+const LEETCODE_JUDGE_STATUS = {
+  ACCEPTED: 10,
+  WRONG_ANSWER: 11,
+  MEMORY_LIMIT_EXCEEDED: 12,
+  OUTPUT_LIMIT_EXCEEDED: 13,
+  TIME_LIMIT_EXCEEDED: 14,
+  RUNTIME_ERROR: 15,
+  INTERNAL_ERROR: 16,
+  COMPILE_ERROR: 20,
+  TIMEOUT: 30
+};
+
+const LeetCodeJudge = {
+  /**
+   * Normalized result of a finished run or submission
+   * @param {object} data - Check response body
+   * @param {object} request - { kind: 'run' | 'submit', dataInput: custom testcases sent with a run }
+   * @returns {{kind, accepted, status, statusCode, runtime, memory, runtimePercentile, memoryPercentile,
+   *   passedTestCases, totalTestCases, failingTestCase: {input, expected, actual}|null, error: string|null}}
+   */
+  parseResult(data, request = {}) {
+    const kind = request.kind || (String(data.submission_id || '').startsWith('runcode') ? LEETCODE_JUDGE_KINDS.RUN : LEETCODE_JUDGE_KINDS.SUBMIT);
+    const statusCode = Number(data.status_code);
+    const finished = statusCode === LEETCODE_JUDGE_STATUS.ACCEPTED;
+
+    // A run "finishes" with status 10 even when outputs differ from the expected ones
+    const wrongRunAnswer = kind === LEETCODE_JUDGE_KINDS.RUN && finished && data.correct_answer === false;
+    const accepted = finished && !wrongRunAnswer;
+
+    return {
+      kind,
+      accepted,
+      status: wrongRunAnswer ? 'Wrong Answer' : (data.status_msg || 'Unknown'),
+      statusCode,
+      runtime: data.status_runtime || '',
+      memory: data.status_memory || '',
+      runtimePercentile: typeof data.runtime_percentile === 'number' ? data.runtime_percentile : null,
+      memoryPercentile: typeof data.memory_percentile === 'number' ? data.memory_percentile : null,
+      passedTestCases: typeof data.total_correct === 'number' ? data.total_correct : null,
+      totalTestCases: typeof data.total_testcases === 'number' ? data.total_testcases : null,
+      failingTestCase: accepted ? null : this.getFailingTestCase(data, kind, request.dataInput),
+      error: data.full_compile_error || data.compile_error || data.full_runtime_error || data.runtime_error || null
+    };
+  },
+
+  getFailingTestCase(data, kind, dataInput) {
+    if (kind === LEETCODE_JUDGE_KINDS.SUBMIT) {
+      if (!data.last_testcase && !data.expected_output && !data.code_output) return null;
+      return {
+        input: data.last_testcase || '',
+        expected: data.expected_output || '',
+        actual: data.code_output || ''
+      };
+    }
+
+    // Runs report one output per testcase and a "1101"-style mask of which ones matched
+    const actual = Array.isArray(data.code_answer) ? data.code_answer : [];
+    const expected = Array.isArray(data.expected_code_answer) ? data.expected_code_answer : [];
+    if (actual.length === 0) return null;
+
+    const failedIndex = Math.max(0, String(data.compare_result || '').indexOf('0'));
+    return {
+      input: this.getRunTestCaseInput(dataInput, actual.length, failedIndex),
+      expected: expected[failedIndex] ?? '',
+      actual: actual[failedIndex] ?? ''
+    };
+  },
+
+  // Custom testcases are sent as one block of lines; each case takes the same number of lines
+  getRunTestCaseInput(dataInput, caseCount, index) {
+    if (!dataInput) return '';
+
+    const lines = dataInput.split('\n');
+    if (caseCount < 1 || lines.length % caseCount !== 0) {
+      return dataInput;
+    }
+
+    const linesPerCase = lines.length / caseCount;
+    return lines.slice(index * linesPerCase, (index + 1) * linesPerCase).join('\n');
+  },
+
+  // attempt.failure for a rejected run or submission; null when the judge accepted it
+  toFailure(result) {
+    if (result.accepted) return null;
+
+    const testCase = result.failingTestCase || {};
+    return {
+      input: testCase.input || '',
+      expected: testCase.expected || '',
+      actual: testCase.actual || '',
+      error: result.error || ''
+    };
+  },
+
+  // problemInfo.stats in the shape the markdown template and backend read
+  toStats(result) {
+    return {
+      runtime: result.runtime,
+      memory: result.memory,
+      beats: result.runtimePercentile !== null ? `${result.runtimePercentile.toFixed(2)}%` : ''
+    };
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LeetCodeJudge, LEETCODE_JUDGE_KINDS, LEETCODE_JUDGE_STATUS };
+} else {
+  self.LeetCodeJudge = LeetCodeJudge;
+  self.LEETCODE_JUDGE_KINDS = LEETCODE_JUDGE_KINDS;
+  self.LEETCODE_JUDGE_STATUS = LEETCODE_JUDGE_STATUS;
+}
@@ -0,0 +1,425 @@
+// Shared base for the mistake-analysis providers (Gemini, OpenAI-compatible, Anthropic, Ollama)
+// Subclasses read their settings in loadSettings() and turn a prompt into text in complete()
+
+// The only tags an analysis may use; the History tab filters problems by them
+const MISTAKE_ANALYSIS_TAGS = [
+  'Logic Error',
+  'Syntax Error',
+  'Algorithm Choice',
+  'Edge Cases',
+  'Data Structure',
+  'Time Complexity',
+  'Space Complexity',
+  'Input Handling',
+  'Loop Logic',
+  'Conditional Logic',
+  'Array Bounds',
+  'Null Pointer',
+  'Off By One'
+];
+
+// Shape shown to the model; parseAnalysisResponse enforces it
+const MISTAKE_ANALYSIS_SCHEMA = `{
+  "tags": ["Off By One"],
+  "keyIssues": ["..."],
+  "improvements": ["..."],
+  "memorableSnippet": { "code": "...", "why": "..." },
+  "complexity": { "time": "O(n)", "space": "O(1)" }
+}`;
+
+// Complexity of an accepted solution, same validation and repair as the mistake analysis
+const COMPLEXITY_ANALYSIS_SCHEMA = `{
+  "time": "O(n log n)",
+  "space": "O(n)",
+  "explanation": "..."
+}`;
+
+// A reply that fails validation is sent back this many times with the errors before giving up
+const MISTAKE_ANALYSIS_REPAIRS = 1;
+
+// Hints while solving go one level deeper per request and stop short of a solution
+const HINT_LEVELS = [
+  { name: 'nudge', instruction: 'Give a nudge of one or two sentences: a question or observation that points at the key insight. Do not name the algorithm or data structure.' },
+  { name: 'approach', instruction: 'Describe the approach in two to four sentences: which algorithm or data structure fits and why. No code.' },
+  { name: 'pseudo-code', instruction: 'Give short pseudo-code of the approach, at most 12 lines. Plain pseudo-code, not any real programming language.' }
+];
+
+class LLMClient {
+  constructor() {
+    this.providerName = 'AI provider';
+    this.baseURL = '';
+    this.model = '';
+    this.apiKey = null;
+    this.configured = false;
+  }
+
+  /**
+   * Load settings from storage
+   * @returns {Promise<boolean>} whether the provider is configured
+   */
+  async initialize() {
+    this.configured = await this.loadSettings();
+    return this.configured;
+  }
+
+  async loadSettings() {
+    throw new Error(`${this.constructor.name} must implement loadSettings()`);
+  }
+
+  /**
+   * Single-turn completion
+   * @param {string} prompt
+   * @param {{json?: boolean}} options - json asks for a JSON-only reply where the provider supports it
+   * @returns {Promise<string>} the model's text
+   */
+  async complete(prompt, options = {}) {
+    throw new Error(`${this.constructor.name} must implement complete()`);
+  }
+
+  getSettings(keys) {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(keys, (data) => resolve(data || {}));
+    });
+  }
+
+  // JSON request to the provider; content scripts go through background.js (no CORS for local servers)
+  async request(path, options = {}) {
+    const response = await providerFetch(`${this.baseURL}${path}`, options, 'LLM_PROVIDER_FETCH');
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      // Use debug-aware error logging
+      if (typeof debugError === 'function') {
+        debugError(`[${this.providerName}] Error ${response.status}:`, errorText);
+      }
+      throw new Error(`${this.providerName} responded with ${response.status}: ${errorText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Mistake analysis of a problem's attempts
+   * The model answers in JSON; a reply that fails validation gets a repair pass
+   * @returns {Promise<{success: boolean, analysis?: string, tags?: string[], details?: object, error?: string}>}
+   */
+  async analyzeMistakes(attempts, problemInfo) {
+    if (!this.configured && !(await this.initialize())) {
+      return { success: false, error: `${this.providerName} is not configured` };
+    }
+
+    if (!attempts || attempts.length === 0) {
+      return { success: false, error: 'No attempts to analyze' };
+    }
+
+    try {
+      let reply = await this.complete(this.buildAnalysisPrompt(attempts, problemInfo), { json: true });
+      let parsed = this.parseAnalysisResponse(reply);
+
+      for (let repair = 0; !parsed.valid && repair < MISTAKE_ANALYSIS_REPAIRS; repair++) {
+        if (typeof debugLog === 'function') {
+          debugLog(`[${this.providerName}] Malformed analysis, asking for a repair:`, parsed.errors);
+        }
+        reply = await this.complete(this.buildRepairPrompt(reply, parsed.errors), { json: true });
+        parsed = this.parseAnalysisResponse(reply);
+      }
+
+      if (!parsed.valid) {
+        return { success: false, error: `Malformed analysis from ${this.providerName}: ${parsed.errors.join('; ')}` };
+      }
+
+      const language = attempts[attempts.length - 1].language;
+      return {
+        success: true,
+        analysis: this.formatAnalysis(parsed.details, language),
+        tags: parsed.details.tags,
+        details: parsed.details
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Time and space complexity of an accepted solution
+   * @param {{title: string, code: string, language?: string}} problemInfo
+   * @returns {Promise<{success: boolean, complexity?: {time: string, space: string, explanation: string}, error?: string}>}
+   */
+  async analyzeComplexity(problemInfo) {
+    if (!this.configured && !(await this.initialize())) {
+      return { success: false, error: `${this.providerName} is not configured` };
+    }
+
+    if (!problemInfo.code) {
+      return { success: false, error: 'No code to analyze' };
+    }
+
+    try {
+      let reply = await this.complete(this.buildComplexityPrompt(problemInfo), { json: true });
+      let parsed = this.parseComplexityResponse(reply);
+
+      for (let repair = 0; !parsed.valid && repair < MISTAKE_ANALYSIS_REPAIRS; repair++) {
+        reply = await this.complete(this.buildRepairPrompt(reply, parsed.errors, COMPLEXITY_ANALYSIS_SCHEMA), { json: true });
+        parsed = this.parseComplexityResponse(reply);
+      }
+
+      if (!parsed.valid) {
+        return { success: false, error: `Malformed complexity from ${this.providerName}: ${parsed.errors.join('; ')}` };
+      }
+
+      return { success: true, complexity: parsed.details };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Models like to wrap JSON in a code fence or a sentence; take the outermost object
+  extractJson(rawReply) {
+    const text = String(rawReply || '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      return { data: null, error: 'reply contains no JSON object' };
+    }
+
+    try {
+      return { data: JSON.parse(text.substring(start, end + 1)), error: null };
+    } catch (error) {
+      return { data: null, error: `invalid JSON: ${error.message}` };
+    }
+  }
+
+  /**
+   * Parse and validate the model's JSON reply
+   * Tags are matched to MISTAKE_ANALYSIS_TAGS ignoring case; unknown ones are dropped
+   * @returns {{valid: boolean, errors: string[], details: object|null}}
+   */
+  parseAnalysisResponse(rawAnalysis) {
+    const { data, error } = this.extractJson(rawAnalysis);
+    if (error) {
+      return { valid: false, errors: [error], details: null };
+    }
+
+    const toList = (value) => (typeof value === 'string' ? [value] : value);
+    const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+    const errors = [];
+
+    const tags = (isStringList(toList(data.tags)) ? toList(data.tags) : [])
+      .map((tag) => MISTAKE_ANALYSIS_TAGS.find((known) => known.toLowerCase() === tag.trim().toLowerCase()))
+      .filter((tag, index, list) => tag && list.indexOf(tag) === index)
+      .slice(0, 3);
+    if (tags.length === 0) {
+      errors.push(`"tags" must list 1-3 of: ${MISTAKE_ANALYSIS_TAGS.join(', ')}`);
+    }
+
+    const keyIssues = toList(data.keyIssues);
+    if (!isStringList(keyIssues) || keyIssues.length === 0) {
+      errors.push('"keyIssues" must be a non-empty array of strings');
+    }
+
+    const improvements = toList(data.improvements ?? []);
+    if (!isStringList(improvements)) {
+      errors.push('"improvements" must be an array of strings');
+    }
+
+    const snippet = data.memorableSnippet;
+    if (!snippet || typeof snippet.code !== 'string' || typeof snippet.why !== 'string') {
+      errors.push('"memorableSnippet" must be an object with string "code" and "why"');
+    }
+
+    const complexity = data.complexity;
+    if (!complexity || typeof complexity.time !== 'string' || typeof complexity.space !== 'string') {
+      errors.push('"complexity" must be an object with string "time" and "space"');
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors, details: null };
+    }
+
+    return {
+      valid: true,
+      errors,
+      details: {
+        tags,
+        keyIssues,
+        improvements,
+        memorableSnippet: { code: snippet.code, why: snippet.why },
+        complexity: { time: complexity.time, space: complexity.space }
+      }
+    };
+  }
+
+  parseComplexityResponse(rawReply) {
+    const { data, error } = this.extractJson(rawReply);
+    if (error) {
+      return { valid: false, errors: [error], details: null };
+    }
+
+    const errors = ['time', 'space', 'explanation']
+      .filter((field) => typeof data[field] !== 'string' || !data[field].trim())
+      .map((field) => `"${field}" must be a non-empty string`);
+    if (errors.length > 0) {
+      return { valid: false, errors, details: null };
+    }
+
+    return {
+      valid: true,
+      errors,
+      details: { time: data.time.trim(), space: data.space.trim(), explanation: data.explanation.trim() }
+    };
+  }
+
+  // Markdown of a validated analysis, as stored in aiAnalysis and pushed to solution.md
+  formatAnalysis(details, language = '') {
+    const list = (items) => items.map((item) => `- ${item}`).join('\n');
+    const sections = [`**Key Issues**\n${list(details.keyIssues)}`];
+
+    if (details.improvements.length > 0) {
+      sections.push(`**Improvements**\n${list(details.improvements)}`);
+    }
+    if (details.memorableSnippet.code.trim()) {
+      sections.push(`**Time-Travel Debugging**\n\`\`\`${language || ''}\n${details.memorableSnippet.code.trim()}\n\`\`\`\n${details.memorableSnippet.why}`);
+    }
+    sections.push(`**Complexity**: Time ${details.complexity.time}, Space ${details.complexity.space}`);
+
+    return sections.join('\n\n');
+  }
+
+  // Failing test case of an attempt as prompt lines; judge output can be huge, so each field is capped
+  formatFailure(failure) {
+    if (!failure) return '';
+
+    const clip = (text) => (text.length > 300 ? `${text.substring(0, 300)}...` : text);
+    const lines = [];
+    if (failure.input) lines.push(`Failing input: ${clip(failure.input)}`);
+    if (failure.expected) lines.push(`Expected output: ${clip(failure.expected)}`);
+    if (failure.actual) lines.push(`Actual output: ${clip(failure.actual)}`);
+    if (failure.error) lines.push(`Error: ${clip(failure.error)}`);
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  buildAnalysisPrompt(attempts, problemInfo) {
+    const { title, description } = problemInfo;
+
+    let prompt = `Analyze the coding attempts for this problem and provide a brief mistake analysis.
+
+Problem: ${title}
+${description ? `Description: ${description.substring(0, 500)}...` : ''}
+
+Coding Attempts (chronological order):
+`;
+
+    attempts.forEach((attempt, index) => {
+      prompt += `
+### Attempt ${index + 1}${attempt.status ? ` (${attempt.type || 'run'}: ${attempt.status})` : ''}
+\`\`\`${attempt.language}
+${attempt.code}
+\`\`\`
+${this.formatFailure(attempt.failure)}`;
+    });
+
+    prompt += `
+
+Reply with ONLY a JSON object, no markdown and no other text, in exactly this shape:
+${MISTAKE_ANALYSIS_SCHEMA}
+
+- "tags": 1-3 of these categories, spelled exactly as given: ${MISTAKE_ANALYSIS_TAGS.join(', ')}
+- "keyIssues": what specific errors occurred, using the failing inputs and outputs where given
+- "improvements": what improved as the attempts progressed
+- "memorableSnippet": the most telling lines from the attempts, the ones that would remind the user how they solved this problem even long after, and why
+- "complexity": time and space of the final attempt in big-O notation
+Keep the text under 100 words total. Focus only on technical programming concepts.`;
+
+    return prompt;
+  }
+
+  /**
+   * Next hint for a problem being solved
+   * @param {{title: string, description?: string, code?: string, language?: string}} problemInfo - code is the current editor content
+   * @param {number} level - Index into HINT_LEVELS
+   * @param {string[]} previousHints - Hints already shown, so the next one builds on them
+   * @returns {Promise<{success: boolean, hint?: string, level?: string, error?: string}>}
+   */
+  async getHint(problemInfo, level = 0, previousHints = []) {
+    if (!this.configured && !(await this.initialize())) {
+      return { success: false, error: `${this.providerName} is not configured` };
+    }
+
+    const hintLevel = HINT_LEVELS[Math.min(level, HINT_LEVELS.length - 1)];
+    try {
+      const hint = await this.complete(this.buildHintPrompt(problemInfo, hintLevel, previousHints));
+      return { success: true, hint: hint.trim(), level: hintLevel.name };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  buildHintPrompt(problemInfo, hintLevel, previousHints = []) {
+    const { title, description, code, language } = problemInfo;
+    const clip = (text, length) => (text.length > length ? `${text.substring(0, length)}...` : text);
+
+    let prompt = `A student is solving this coding problem and asked for a hint.
+
+Problem: ${title}
+${description ? `Description: ${clip(description, 1500)}` : ''}
+`;
+
+    if (code && code.trim()) {
+      prompt += `
+Their code so far:
+\`\`\`${language || ''}
+${clip(code, 3000)}
+\`\`\`
+`;
+    }
+
+    if (previousHints.length > 0) {
+      prompt += `
+Hints already given:
+${previousHints.map((hint, index) => `${index + 1}. ${hint}`).join('\n')}
+`;
+    }
+
+    prompt += `
+${hintLevel.instruction}
+Build on the earlier hints instead of repeating them. If their code has a bug, point at where to look without fixing it.
+Never give the full solution or working code. Reply with the hint only, as plain text.`;
+
+    return prompt;
+  }
+
+  buildComplexityPrompt(problemInfo) {
+    const { title, code, language } = problemInfo;
+    return `Analyze the time and space complexity of this accepted solution.
+
+Problem: ${title}
+
+\`\`\`${language || ''}
+${code.length > 6000 ? `${code.substring(0, 6000)}...` : code}
+\`\`\`
+
+Reply with ONLY a JSON object, no markdown and no other text, in exactly this shape:
+${COMPLEXITY_ANALYSIS_SCHEMA}
+
+- "time" and "space": big-O in terms of the input sizes, worst case
+- "explanation": one or two sentences on what dominates each`;
+  }
+
+  // Second chance for a reply that failed validation
+  buildRepairPrompt(reply, errors, schema = MISTAKE_ANALYSIS_SCHEMA) {
+    const previous = reply.length > 4000 ? `${reply.substring(0, 4000)}...` : reply;
+    return `Your previous reply could not be used:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Previous reply:
+${previous}
+
+Reply again with ONLY the corrected JSON object, no markdown and no other text, in exactly this shape:
+${schema}`;
+  }
+}
+
+self.LLMClient = LLMClient;
+self.MISTAKE_ANALYSIS_TAGS = MISTAKE_ANALYSIS_TAGS;
+self.HINT_LEVELS = HINT_LEVELS;
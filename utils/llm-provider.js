@@ -0,0 +1,35 @@
+// Picks the mistake-analysis provider selected in the side panel
+// Every provider exposes LLMClient's interface: initialize, complete, analyzeMistakes
+
+const LLMProvider = {
+  async getSelected() {
+    const data = await chrome.storage.sync.get(['llm_provider']);
+    return data.llm_provider || LLM_PROVIDERS.GEMINI;
+  },
+
+  // Failed runs that flag a problem for mistake analysis, as set in the side panel
+  async getFailureThreshold() {
+    const data = await chrome.storage.sync.get(['mistake_analysis_threshold']);
+    const threshold = parseInt(data.mistake_analysis_threshold, 10);
+    return threshold >= 1 ? threshold : MISTAKE_ANALYSIS_THRESHOLD_DEFAULT;
+  },
+
+  /**
+   * Provider instance (not yet initialized)
+   * @param {string|null} provider - One of LLM_PROVIDERS, defaults to the stored selection
+   */
+  async create(provider = null) {
+    switch (provider || await this.getSelected()) {
+      case LLM_PROVIDERS.OPENAI:
+        return new OpenAICompatibleAPI();
+      case LLM_PROVIDERS.ANTHROPIC:
+        return new AnthropicAPI();
+      case LLM_PROVIDERS.OLLAMA:
+        return new OllamaAPI();
+      default:
+        return new GeminiAPI();
+    }
+  }
+};
+
+self.LLMProvider = LLMProvider;
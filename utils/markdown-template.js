@@ -0,0 +1,193 @@
+// User-editable Markdown templates for the solution files pushed to GitHub
+// Syntax: {{variable}}, {{#variable}}shown when set{{/variable}}, {{^variable}}shown when empty{{/variable}}
+
+const MARKDOWN_TEMPLATE_KEYS = {
+  SOLUTION: 'markdown_template_solution',
+  MISTAKE_ANALYSIS: 'markdown_template_mistake_analysis'
+};
+
+const MARKDOWN_TEMPLATE_DEFAULTS = {
+  [MARKDOWN_TEMPLATE_KEYS.SOLUTION]: `# {{title}}
+
+## Problem Information
+- **Platform:** {{platformName}}
+- **Difficulty:** {{difficulty}}
+- **URL:** {{url}}
+- **Date:** {{date}}
+
+## Solution
+
+\`\`\`{{languageFence}}
+{{code}}
+\`\`\`
+
+{{#timeComplexity}}## Complexity
+- **Time:** {{timeComplexity}}
+- **Space:** {{spaceComplexity}}
+
+{{complexityExplanation}}
+
+{{/timeComplexity}}---
+*Generated automatically by LeetFeedback Extension*
+`,
+  [MARKDOWN_TEMPLATE_KEYS.MISTAKE_ANALYSIS]: `# {{title}}
+
+## Problem Information
+- **Platform:** {{platformName}}
+- **Difficulty:** {{difficulty}}
+- **URL:** {{url}}
+- **Date:** {{date}}
+
+## Solution
+
+\`\`\`{{languageFence}}
+{{code}}
+\`\`\`
+
+{{#timeComplexity}}## Complexity
+- **Time:** {{timeComplexity}}
+- **Space:** {{spaceComplexity}}
+
+{{complexityExplanation}}
+
+{{/timeComplexity}}## AI Mistake Analysis
+
+{{analysis}}
+
+---
+*Generated automatically by LeetFeedback Extension*
+`
+};
+
+// Shown in the side panel editor
+const MARKDOWN_TEMPLATE_VARIABLES = {
+  title: 'Problem title',
+  number: 'Problem number (LeetCode)',
+  platformName: 'LeetCode, Geeksforgeeks, Takeuforward',
+  difficulty: 'Easy / Medium / Hard',
+  url: 'Problem link',
+  date: 'Date pushed (YYYY-MM-DD)',
+  language: 'Submission language',
+  languageFence: 'Language for the code fence',
+  code: 'Accepted code',
+  runtime: 'Runtime from the result page',
+  memory: 'Memory from the result page',
+  beats: 'Beats percentages',
+  attempts: 'Number of tries',
+  timeTaken: 'Active time spent, e.g. 12m 30s',
+  analysis: 'AI mistake analysis',
+  tags: 'AI mistake tags, comma separated',
+  timeComplexity: 'AI time complexity of the accepted code',
+  spaceComplexity: 'AI space complexity of the accepted code',
+  complexityExplanation: 'Why, in a sentence or two',
+  topics: 'Problem topics, comma separated'
+};
+
+class MarkdownTemplate {
+  /**
+   * Render a template against a flat variables object
+   * @param {string} template
+   * @param {object} variables - Missing or empty values render as ''
+   * @returns {string}
+   */
+  static render(template, variables) {
+    const isSet = (value) =>
+      value !== undefined && value !== null && value !== '' && value !== false &&
+      !(Array.isArray(value) && value.length === 0);
+
+    // Sections first so their bodies can still use {{variables}}
+    const withSections = template.replace(
+      /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g,
+      (match, type, name, body) => {
+        const show = type === '#' ? isSet(variables[name]) : !isSet(variables[name]);
+        return show ? body : '';
+      },
+    );
+
+    return withSections.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      const value = variables[name];
+      if (!isSet(value)) return '';
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+  }
+
+  /**
+   * Build template variables for a problem
+   * @param {object} problemInfo - Extracted problem info ({ title, url, difficulty, code, language, stats, topics })
+   * @param {string} platform
+   * @param {object} options - { problemData: stored problem_data_* record, analysis, attempt: attempt whose code is shown, languageFence }
+   */
+  static buildVariables(problemInfo, platform, options = {}) {
+    const { problemData = null, analysis = null, attempt = null, languageFence = 'text' } = options;
+    const stats = problemInfo.stats || problemData?.stats || {};
+    const code = attempt ? attempt.code : problemInfo.code;
+    const tries = problemData?.solved?.tries || (problemData?.attempts || problemInfo.attempts || []).length;
+    const complexity = problemInfo.complexity || problemData?.complexityAnalysis || {};
+
+    return {
+      title: problemInfo.title || '',
+      number: problemInfo.number || '',
+      platform,
+      platformName: platform.charAt(0).toUpperCase() + platform.slice(1),
+      difficulty: problemInfo.difficulty || 'Unknown',
+      url: problemInfo.url || 'N/A',
+      date: new Date().toISOString().split('T')[0],
+      language: (attempt ? attempt.language : problemInfo.language) || '',
+      languageFence,
+      code: code || '// Code not available',
+      runtime: stats.runtime || '',
+      memory: stats.memory || '',
+      beats: stats.beats || '',
+      attempts: tries || '',
+      timeTaken: this.formatDuration(this.getActiveTime(problemData)),
+      analysis: analysis || problemData?.aiAnalysis || '',
+      tags: problemData?.aiTags || [],
+      timeComplexity: complexity.time || '',
+      spaceComplexity: complexity.space || '',
+      complexityExplanation: complexity.explanation || '',
+      topics: problemInfo.topics || problemData?.parent_topic || []
+    };
+  }
+
+  // Active solving time in ms (same calculation as the timer overlay), or 0 if unknown
+  static getActiveTime(problemData) {
+    if (!problemData?.problemStartTime) return 0;
+
+    const end = problemData.solved?.date || Date.now();
+    const active = end - problemData.problemStartTime - (problemData.pausedTime || 0);
+    return active > 0 ? active : 0;
+  }
+
+  static formatDuration(ms) {
+    if (!ms) return '';
+
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+  }
+
+  // Saved template for a key, falling back to the built-in default
+  static async getTemplate(key) {
+    const result = await chrome.storage.sync.get([key]);
+    return result[key] || MARKDOWN_TEMPLATE_DEFAULTS[key];
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MarkdownTemplate,
+    MARKDOWN_TEMPLATE_KEYS,
+    MARKDOWN_TEMPLATE_DEFAULTS,
+    MARKDOWN_TEMPLATE_VARIABLES
+  };
+} else {
+  self.MarkdownTemplate = MarkdownTemplate;
+  self.MARKDOWN_TEMPLATE_KEYS = MARKDOWN_TEMPLATE_KEYS;
+  self.MARKDOWN_TEMPLATE_DEFAULTS = MARKDOWN_TEMPLATE_DEFAULTS;
+  self.MARKDOWN_TEMPLATE_VARIABLES = MARKDOWN_TEMPLATE_VARIABLES;
+}
@@ -0,0 +1,63 @@
+// "Analyze now" for the platform content scripts
+// The side panel sends ANALYZE_MISTAKES_NOW to the problem tab; the platform supplies its attempts and problem text
+
+class MistakeAnalysis {
+  /**
+   * Answer the side panel's requests in this tab
+   * @param {object} source - Platform getters:
+   *   label: log prefix, e.g. 'LeetCode'
+   *   getAttempts(): attempts recorded so far
+   *   getProblem(): Promise<{title, description}>
+   *   onResult(result): Promise, keeps the analysis for the solve
+   */
+  static listen(source) {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message?.type !== 'ANALYZE_MISTAKES_NOW') return false;
+      this.analyze(source).then(sendResponse);
+      return true;
+    });
+  }
+
+  /**
+   * Mistake analysis of the attempts so far, whatever the failure count
+   * @returns {Promise<{success: boolean, analysis?: string, tags?: string[], details?: object, error?: string}>}
+   */
+  static async analyze({ label, getAttempts, getProblem, onResult }) {
+    const attempts = (getAttempts() || []).filter((attempt) => attempt.code && attempt.code.length > 10);
+    if (attempts.length === 0) {
+      return { success: false, error: 'No runs or submissions with code yet' };
+    }
+
+    try {
+      const problem = await getProblem();
+      const llm = await LLMProvider.create();
+      this._log(`[${label}] Analyzing ${attempts.length} attempts on request with ${llm.providerName}`);
+
+      const result = await llm.analyzeMistakes(attempts, problem);
+      if (!result.success) {
+        this._log(`[${label}] Requested analysis failed: ${result.error}`);
+        return result;
+      }
+
+      await onResult(result);
+      return result;
+    } catch (error) {
+      if (typeof debugError === 'function') {
+        debugError(`[${label}] Requested analysis error:`, error);
+      }
+      return { success: false, error: error.message };
+    }
+  }
+
+  static _log(...args) {
+    if (typeof debugLog === 'function') {
+      debugLog(...args);
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MistakeAnalysis };
+} else {
+  self.MistakeAnalysis = MistakeAnalysis;
+}
@@ -0,0 +1,44 @@
+// Ollama running locally (or anywhere on the network); no API key
+
+const OLLAMA_DEFAULT_URL = 'http://localhost:11434';
+
+class OllamaAPI extends LLMClient {
+  constructor() {
+    super();
+    this.providerName = 'Ollama';
+    this.model = 'llama3.1';
+  }
+
+  async loadSettings() {
+    const data = await this.getSettings(['ollama_base_url', 'ollama_model']);
+    // normalizeServerUrl assumes https, but a bare "localhost:11434" is plain http
+    const url = (data.ollama_base_url || '').trim();
+    this.baseURL = url
+      ? DSAUtils.normalizeServerUrl(/^https?:\/\//i.test(url) ? url : `http://${url}`)
+      : OLLAMA_DEFAULT_URL;
+    this.model = data.ollama_model || this.model;
+    return true;
+  }
+
+  async complete(prompt, options = {}) {
+    const data = await this.request('/api/chat', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: false,
+        ...(options.json && { format: 'json' })
+      })
+    });
+
+    const text = data.message?.content;
+    if (!text) {
+      throw new Error(`Invalid response format from ${this.providerName}`);
+    }
+    return text;
+  }
+}
+
+self.OllamaAPI = OllamaAPI;
+self.OLLAMA_DEFAULT_URL = OLLAMA_DEFAULT_URL;
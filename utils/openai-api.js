@@ -0,0 +1,48 @@
+// OpenAI-compatible chat completions (OpenAI, OpenRouter, Groq, LM Studio, llama.cpp server ...)
+
+const OPENAI_DEFAULT_URL = 'https://api.openai.com/v1';
+
+class OpenAICompatibleAPI extends LLMClient {
+  constructor() {
+    super();
+    this.providerName = 'OpenAI-compatible API';
+    this.model = 'gpt-4o-mini';
+  }
+
+  async loadSettings() {
+    const data = await this.getSettings(['openai_base_url', 'openai_api_key', 'openai_model']);
+    this.baseURL = DSAUtils.normalizeServerUrl(data.openai_base_url) || OPENAI_DEFAULT_URL;
+    this.apiKey = data.openai_api_key || null;
+    this.model = data.openai_model || this.model;
+
+    // Local servers usually run without a key; api.openai.com never does
+    return Boolean(this.apiKey) || this.baseURL !== OPENAI_DEFAULT_URL;
+  }
+
+  async complete(prompt, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const data = await this.request('/chat/completions', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        // Local servers disagree on response_format, so JSON mode is only asked of OpenAI itself
+        ...(options.json && this.baseURL === OPENAI_DEFAULT_URL && { response_format: { type: 'json_object' } })
+      })
+    });
+
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error(`Invalid response format from ${this.providerName}`);
+    }
+    return text;
+  }
+}
+
+self.OpenAICompatibleAPI = OpenAICompatibleAPI;
+self.OPENAI_DEFAULT_URL = OPENAI_DEFAULT_URL;
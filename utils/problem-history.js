@@ -0,0 +1,121 @@
+// Problem history shown in the side panel History tab
+// Flattens every problem_data_* record into one entry and filters/sorts them locally
+
+const PROBLEM_HISTORY_DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+const PROBLEM_HISTORY_SORTS = {
+  RECENT: 'recent',
+  TIME: 'time',
+  TRIES: 'tries'
+};
+
+const PROBLEM_HISTORY_STATUS = {
+  SOLVED: 'solved',
+  UNSOLVED: 'unsolved'
+};
+
+class ProblemHistory {
+  /**
+   * History entries for every stored problem
+   * @param {object} items - Result of chrome.storage.local.get(null)
+   * @returns {Array<object>}
+   */
+  static fromStorage(items) {
+    return Object.keys(items || {})
+      .filter((key) => key.startsWith('problem_data_') && items[key] && typeof items[key] === 'object')
+      .map((key) => this.toEntry(key, items[key]));
+  }
+
+  static toEntry(key, problemData) {
+    const solved = problemData.solved || { value: false, date: 0, tries: 0 };
+
+    return {
+      key,
+      name: problemData.name || key.replace('problem_data_', ''),
+      platform: problemData.platform || '',
+      difficulty: this.getDifficultyLabel(problemData.difficulty),
+      topics: problemData.parent_topic || [],
+      // aiTags is cleared once a solve is pushed; the structured analysis keeps them
+      tags: problemData.aiTags?.length ? problemData.aiTags : problemData.aiAnalysisDetails?.tags || [],
+      solved: !!solved.value,
+      tries: solved.tries || (problemData.attempts || []).length,
+      timeTaken: this.getActiveTime(problemData),
+      // Solve date for solved problems, last activity otherwise
+      date: solved.value && solved.date ? solved.date : new Date(problemData.timestamp || 0).getTime() || 0,
+      url: problemData.problem_link || ''
+    };
+  }
+
+  // Stored difficulty is 0/1/2, older records may hold the label
+  static getDifficultyLabel(difficulty) {
+    if (typeof difficulty === 'number') {
+      return PROBLEM_HISTORY_DIFFICULTIES[difficulty] || '';
+    }
+    const label = String(difficulty || '');
+    return PROBLEM_HISTORY_DIFFICULTIES.find((name) => name.toLowerCase() === label.toLowerCase()) || '';
+  }
+
+  // Same calculation as MarkdownTemplate.getActiveTime, but unsolved problems have no end and count as unknown
+  static getActiveTime(problemData) {
+    if (!problemData.problemStartTime || !problemData.solved?.date) return 0;
+
+    const active = problemData.solved.date - problemData.problemStartTime - (problemData.pausedTime || 0);
+    return active > 0 ? active : 0;
+  }
+
+  /**
+   * @param {Array<object>} entries
+   * @param {object} filters - { platform, difficulty, topic, tag, status: 'solved'|'unsolved', from, to }
+   *   Empty values match everything; from/to are ms timestamps, inclusive
+   */
+  static filter(entries, filters = {}) {
+    const { platform, difficulty, topic, tag, status, from, to } = filters;
+
+    return entries.filter((entry) => {
+      if (platform && entry.platform !== platform) return false;
+      if (difficulty && entry.difficulty !== difficulty) return false;
+      if (topic && !entry.topics.includes(topic)) return false;
+      if (tag && !entry.tags.includes(tag)) return false;
+      if (status === PROBLEM_HISTORY_STATUS.SOLVED && !entry.solved) return false;
+      if (status === PROBLEM_HISTORY_STATUS.UNSOLVED && entry.solved) return false;
+      if (from && entry.date < from) return false;
+      if (to && entry.date > to) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Sorted copy of entries; entries without the sort value (unknown time) always go last
+   * @param {Array<object>} entries
+   * @param {string} sortBy - PROBLEM_HISTORY_SORTS value
+   * @param {boolean} ascending
+   */
+  static sort(entries, sortBy = PROBLEM_HISTORY_SORTS.RECENT, ascending = false) {
+    const field = { [PROBLEM_HISTORY_SORTS.TIME]: 'timeTaken', [PROBLEM_HISTORY_SORTS.TRIES]: 'tries' }[sortBy] || 'date';
+
+    return [...entries].sort((a, b) => {
+      if (!a[field] !== !b[field]) return a[field] ? -1 : 1;
+      const diff = a[field] - b[field];
+      return (ascending ? diff : -diff) || b.date - a.date;
+    });
+  }
+
+  // Distinct values for the filter dropdowns
+  static getFilterOptions(entries) {
+    const unique = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    return {
+      platforms: unique(entries.map((entry) => entry.platform)),
+      topics: unique(entries.flatMap((entry) => entry.topics)),
+      tags: unique(entries.flatMap((entry) => entry.tags))
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ProblemHistory, PROBLEM_HISTORY_SORTS, PROBLEM_HISTORY_STATUS, PROBLEM_HISTORY_DIFFICULTIES };
+} else {
+  self.ProblemHistory = ProblemHistory;
+  self.PROBLEM_HISTORY_SORTS = PROBLEM_HISTORY_SORTS;
+  self.PROBLEM_HISTORY_STATUS = PROBLEM_HISTORY_STATUS;
+  self.PROBLEM_HISTORY_DIFFICULTIES = PROBLEM_HISTORY_DIFFICULTIES;
+}
@@ -0,0 +1,155 @@
+// Local statistics for the side panel Stats tab, computed from ProblemHistory entries
+// Everything is derived from problem_data_* records so it works without the backend
+
+const PROBLEM_STATS_DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+// Solved problems by number of tries; the last bucket collects everything above it
+const PROBLEM_STATS_TRIES_BUCKETS = ['1', '2', '3', '4', '5+'];
+
+class ProblemStats {
+  /**
+   * @param {Array<object>} entries - ProblemHistory.fromStorage() output
+   * @param {object} options - { now: ms timestamp, days: days in the daily chart, weeks: weeks in the weekly chart }
+   */
+  static compute(entries, options = {}) {
+    const { now = Date.now(), days = 14, weeks = 8 } = options;
+    const solved = entries.filter((entry) => entry.solved && entry.date);
+    const solveDays = new Set(solved.map((entry) => this.dayKey(entry.date)));
+
+    return {
+      totalSolved: solved.length,
+      currentStreak: this.getCurrentStreak(solveDays, now),
+      longestStreak: this.getLongestStreak(solveDays),
+      solvesPerDay: this.getSolvesPerDay(solved, now, days),
+      solvesPerWeek: this.getSolvesPerWeek(solved, now, weeks),
+      averageTimeByDifficulty: this.getAverageTimeByDifficulty(solved),
+      triesDistribution: this.getTriesDistribution(solved),
+      topicCoverage: this.getTopicCoverage(solved)
+    };
+  }
+
+  // Local calendar day, so a streak follows the user's own midnight
+  static dayKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  static startOfDay(timestamp) {
+    const date = new Date(timestamp);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  }
+
+  // Same local time on the previous/next day; safe across daylight saving changes
+  static addDays(timestamp, count) {
+    const date = new Date(timestamp);
+    date.setDate(date.getDate() + count);
+    return date.getTime();
+  }
+
+  // A streak is still alive until a full day passes without a solve
+  static getCurrentStreak(solveDays, now) {
+    let day = this.startOfDay(now);
+    if (!solveDays.has(this.dayKey(day))) {
+      day = this.addDays(day, -1);
+    }
+
+    let streak = 0;
+    while (solveDays.has(this.dayKey(day))) {
+      streak++;
+      day = this.addDays(day, -1);
+    }
+    return streak;
+  }
+
+  static getLongestStreak(solveDays) {
+    let longest = 0;
+    for (const key of solveDays) {
+      const [year, month, date] = key.split('-').map(Number);
+      let day = new Date(year, month - 1, date).getTime();
+
+      // Only count from the first day of each run
+      if (solveDays.has(this.dayKey(this.addDays(day, -1)))) continue;
+
+      let length = 0;
+      while (solveDays.has(this.dayKey(day))) {
+        length++;
+        day = this.addDays(day, 1);
+      }
+      longest = Math.max(longest, length);
+    }
+    return longest;
+  }
+
+  // Oldest first, ending today
+  static getSolvesPerDay(solved, now, days) {
+    const counts = {};
+    solved.forEach((entry) => {
+      const key = this.dayKey(entry.date);
+      counts[key] = (counts[key] || 0) + 1;
+    });
+
+    const today = this.startOfDay(now);
+    return Array.from({ length: days }, (_, index) => {
+      const day = this.addDays(today, index - days + 1);
+      return { day: this.dayKey(day), count: counts[this.dayKey(day)] || 0 };
+    });
+  }
+
+  // Weeks start on Monday; oldest first, ending with the current week
+  static getSolvesPerWeek(solved, now, weeks) {
+    const today = this.startOfDay(now);
+    const thisWeek = this.addDays(today, -((new Date(today).getDay() + 6) % 7));
+
+    return Array.from({ length: weeks }, (_, index) => {
+      const start = this.addDays(thisWeek, (index - weeks + 1) * 7);
+      const end = this.addDays(start, 7);
+      return {
+        weekStart: this.dayKey(start),
+        count: solved.filter((entry) => entry.date >= start && entry.date < end).length
+      };
+    });
+  }
+
+  // Average active time in ms per difficulty, null where no solve has a known time
+  static getAverageTimeByDifficulty(solved) {
+    const averages = {};
+    PROBLEM_STATS_DIFFICULTIES.forEach((difficulty) => {
+      const times = solved
+        .filter((entry) => entry.difficulty === difficulty && entry.timeTaken > 0)
+        .map((entry) => entry.timeTaken);
+      averages[difficulty] = times.length ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length) : null;
+    });
+    return averages;
+  }
+
+  static getTriesDistribution(solved) {
+    const distribution = PROBLEM_STATS_TRIES_BUCKETS.map((bucket) => ({ bucket, count: 0 }));
+    solved.forEach((entry) => {
+      const tries = Math.max(1, entry.tries || 1);
+      distribution[Math.min(tries, PROBLEM_STATS_TRIES_BUCKETS.length) - 1].count++;
+    });
+    return distribution;
+  }
+
+  // Most practiced topics first
+  static getTopicCoverage(solved) {
+    const counts = {};
+    solved.forEach((entry) => {
+      entry.topics.forEach((topic) => {
+        counts[topic] = (counts[topic] || 0) + 1;
+      });
+    });
+
+    return Object.keys(counts)
+      .map((topic) => ({ topic, count: counts[topic] }))
+      .sort((a, b) => b.count - a.count || a.topic.localeCompare(b.topic));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ProblemStats, PROBLEM_STATS_TRIES_BUCKETS };
+} else {
+  self.ProblemStats = ProblemStats;
+  self.PROBLEM_STATS_TRIES_BUCKETS = PROBLEM_STATS_TRIES_BUCKETS;
+}
@@ -35,6 +35,12 @@ class ProblemTimer {
     this._dragMouseMoveHandler = null;
     this._dragMouseUpHandler = null;
 
+    // Hint state: the content script supplies the problem and editor code
+    this.hintSource = null;
+    this.hints = []; // Hints given for the current problem, kept with its timer state
+    this.isFetchingHint = false;
+    this.hintPanel = null;
+
     // Initialize
     this._initPromise = this.init();
     this._saveQueue = Promise.resolve(); // Queue for serializing storage writes
@@ -108,9 +114,11 @@ class ProblemTimer {
     }
 
     this.problemUrl = problemUrl;
+    this.clearHints();
 
     // Try to load existing time data from storage
     await this.loadFromStorage();
+    await this.loadHints();
 
     // If no existing data, start fresh
     if (!this.startTime) {
@@ -144,6 +152,7 @@ class ProblemTimer {
     this.tabHiddenAt = null;
     this.isPaused = false;
     this.pausedAt = null;
+    this.clearHints();
     console.log("[ProblemTimer] Timer reset");
   }
 
@@ -383,6 +392,185 @@ class ProblemTimer {
     }
   }
 
+  // ========== HINT METHODS ==========
+
+  /**
+   * Enable the hint button for this page
+   * @param {function(): Promise<{title: string, description: string, code: string, language: string, storageKey: string}>} getContext
+   *   Current problem and editor code; storageKey is the problem_data_* record that counts hints
+   */
+  setHintSource(getContext) {
+    this.hintSource = getContext;
+    if (this.overlay && !document.getElementById("leetfeedback-timer-hint-btn")) {
+      this.hideOverlay();
+      this.showOverlay();
+    }
+  }
+
+  clearHints() {
+    this.hints = [];
+    this.removeHintPanel();
+    this.updateHintButton();
+  }
+
+  // Hints already given survive reloads, so a problem never gets more than HINT_LEVELS
+  async loadHints() {
+    try {
+      const storageKey = `problem_data_${this.problemUrl}`;
+      const result = await chrome.storage.local.get([storageKey]);
+      const hints = result[storageKey]?.hints;
+      this.hints = Array.isArray(hints) ? hints.slice(0, HINT_LEVELS.length) : [];
+      this.updateHintButton();
+    } catch (error) {
+      console.error("[ProblemTimer] Error loading hints:", error);
+    }
+  }
+
+  // Ask the configured AI provider for the next, more detailed hint
+  async requestHint() {
+    if (!this.hintSource || this.isFetchingHint) return;
+    if (this.hints.length >= HINT_LEVELS.length) {
+      this.showHintPanel("All hints used for this problem");
+      return;
+    }
+
+    this.isFetchingHint = true;
+    this.updateHintButton();
+    this.showHintPanel("Thinking...");
+
+    try {
+      const context = await this.hintSource();
+      const llm = await LLMProvider.create();
+      const result = await llm.getHint(context, this.hints.length, this.hints);
+
+      if (!result.success) {
+        this.showHintPanel(
+          llm.configured
+            ? `Could not get a hint: ${result.error}`
+            : `${llm.providerName} is not configured - set it up in the extension side panel`,
+        );
+        return;
+      }
+
+      this.hints.push(result.hint);
+      this.showHintPanel(result.hint, `Hint ${this.hints.length}/${HINT_LEVELS.length} · ${result.level}`);
+      await this.recordHint(context.storageKey || `problem_data_${this.problemUrl}`);
+    } catch (error) {
+      console.error("[ProblemTimer] Error getting hint:", error);
+      this.showHintPanel(`Could not get a hint: ${error.message}`);
+    } finally {
+      this.isFetchingHint = false;
+      this.updateHintButton();
+    }
+  }
+
+  // Count a used hint on the problem record and keep the hints with the timer state (queued with the time saves)
+  async recordHint(storageKey) {
+    const timerKey = `problem_data_${this.problemUrl}`;
+    const hints = [...this.hints];
+
+    this._saveQueue = this._saveQueue.then(async () => {
+      try {
+        const result = await chrome.storage.local.get([storageKey, timerKey]);
+        const problemData = result[storageKey] || {};
+        problemData.hintsUsed = (problemData.hintsUsed || 0) + 1;
+
+        // TakeUforward keys its timer by slug and its record by URL
+        const timerData = timerKey === storageKey ? problemData : result[timerKey] || {};
+        timerData.hints = hints;
+        await chrome.storage.local.set({ [storageKey]: problemData, [timerKey]: timerData });
+      } catch (error) {
+        console.error("[ProblemTimer] Error saving hint count:", error);
+      }
+    });
+
+    await this._saveQueue;
+  }
+
+  updateHintButton() {
+    const hintBtn = document.getElementById("leetfeedback-timer-hint-btn");
+    if (!hintBtn) return;
+
+    const remaining = HINT_LEVELS.length - this.hints.length;
+    hintBtn.disabled = this.isFetchingHint;
+    hintBtn.style.opacity = this.isFetchingHint || remaining === 0 ? "0.4" : "1";
+    hintBtn.title = remaining > 0
+      ? `Get a hint (${HINT_LEVELS[this.hints.length].name}, ${remaining} left)`
+      : "All hints used for this problem";
+  }
+
+  showHintPanel(text, heading = "") {
+    if (!this.overlay) return;
+
+    if (!this.hintPanel) {
+      this.hintPanel = document.createElement("div");
+      this.hintPanel.id = "leetfeedback-timer-hint";
+      this.hintPanel.style.cssText = `
+        flex-basis: 100%;
+        max-width: 320px;
+        max-height: 240px;
+        overflow-y: auto;
+        padding-top: 8px;
+        border-top: 1px solid rgba(255, 255, 255, 0.1);
+        font-size: 13px;
+        font-weight: 400;
+        line-height: 1.45;
+        white-space: pre-wrap;
+        cursor: text;
+        user-select: text;
+      `;
+
+      const header = document.createElement("div");
+      header.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 4px;
+        font-size: 11px;
+        color: rgba(255, 255, 255, 0.5);
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+      `;
+      const headingEl = document.createElement("span");
+      headingEl.id = "leetfeedback-timer-hint-heading";
+      const closeBtn = document.createElement("button");
+      closeBtn.style.cssText = `
+        background: none;
+        border: none;
+        color: rgba(255, 255, 255, 0.6);
+        cursor: pointer;
+        font-size: 12px;
+      `;
+      closeBtn.textContent = "×";
+      closeBtn.title = "Hide hint";
+      closeBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.removeHintPanel();
+      });
+      header.appendChild(headingEl);
+      header.appendChild(closeBtn);
+
+      const body = document.createElement("div");
+      body.id = "leetfeedback-timer-hint-text";
+
+      this.hintPanel.appendChild(header);
+      this.hintPanel.appendChild(body);
+      this.overlay.appendChild(this.hintPanel);
+    }
+
+    document.getElementById("leetfeedback-timer-hint-heading").textContent = heading;
+    document.getElementById("leetfeedback-timer-hint-text").textContent = text;
+    this.overlay.style.opacity = "1";
+    this.constrainToViewport();
+  }
+
+  removeHintPanel() {
+    if (this.hintPanel && this.hintPanel.parentNode) {
+      this.hintPanel.parentNode.removeChild(this.hintPanel);
+    }
+    this.hintPanel = null;
+  }
+
   // ========== OVERLAY METHODS ==========
 
   showOverlay() {
@@ -415,6 +603,7 @@ class ProblemTimer {
       this.overlay.parentNode.removeChild(this.overlay);
       this.overlay = null;
     }
+    this.hintPanel = null;
   }
 
   createOverlay() {
@@ -436,6 +625,7 @@ class ProblemTimer {
       font-size: 14px;
       font-weight: 500;
       display: flex;
+      flex-wrap: wrap;
       align-items: center;
       gap: 10px;
       opacity: 0.6;
@@ -570,6 +760,26 @@ class ProblemTimer {
     this.overlay.appendChild(timeDisplay);
     this.overlay.appendChild(pauseBtn);
     this.overlay.appendChild(resetBtn);
+
+    // Hint button, only where the content script can supply the problem
+    if (this.hintSource) {
+      const hintBtn = document.createElement("button");
+      hintBtn.id = "leetfeedback-timer-hint-btn";
+      hintBtn.style.cssText = resetBtn.style.cssText;
+      hintBtn.textContent = "💡";
+      hintBtn.addEventListener("mouseover", () => {
+        hintBtn.style.background = "rgba(255, 255, 255, 0.2)";
+      });
+      hintBtn.addEventListener("mouseout", () => {
+        hintBtn.style.background = "rgba(255, 255, 255, 0.1)";
+      });
+      hintBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.requestHint();
+      });
+      this.overlay.appendChild(hintBtn);
+    }
+
     this.overlay.appendChild(closeBtn);
 
     // Add drag functionality
@@ -577,6 +787,7 @@ class ProblemTimer {
 
     // Reflect paused state in the UI
     this.updatePauseButton();
+    this.updateHintButton();
 
     // Hover effects using event listeners instead of inline handlers
     this.overlay.addEventListener("mouseover", () => {
@@ -584,7 +795,8 @@ class ProblemTimer {
       this.overlay.style.transform = "scale(1.02)";
     });
     this.overlay.addEventListener("mouseout", () => {
-      this.overlay.style.opacity = "0.6";
+      // Stay readable while a hint is open
+      this.overlay.style.opacity = this.hintPanel ? "1" : "0.6";
       this.overlay.style.transform = "scale(1)";
     });
 
@@ -594,6 +806,7 @@ class ProblemTimer {
   setupDragging() {
     const handleMouseDown = (e) => {
       if (e.target.tagName === "BUTTON") return; // Don't drag when clicking buttons
+      if (e.target.closest("#leetfeedback-timer-hint")) return; // Hint text stays selectable
 
       this.isDragging = true;
       const rect = this.overlay.getBoundingClientRect();
@@ -0,0 +1,140 @@
+// Root README index of every solved problem
+// The index is kept as JSON in the repo so each push only merges one entry instead of crawling the tree
+
+const README_INDEX_PATH = '.leetfeedback/index.json';
+const README_PATH = 'README.md';
+const README_INDEX_START = '<!-- leetfeedback:index:start -->';
+const README_INDEX_END = '<!-- leetfeedback:index:end -->';
+
+const README_DIFFICULTY_LABELS = ['Easy', 'Medium', 'Hard'];
+
+class ReadmeIndex {
+  /**
+   * Index entry for a pushed problem
+   * @param {object} problemInfo - { title, number, url, difficulty, language, topics }
+   * @param {string} platform
+   * @param {object} options - { problemData, solutionPath: repo path of the markdown file }
+   */
+  static createEntry(problemInfo, platform, options = {}) {
+    const { problemData = null, solutionPath = null } = options;
+    const topics = problemInfo.topics || problemData?.parent_topic || [];
+    const solvedAt = problemData?.solved?.date || Date.now();
+
+    return {
+      id: problemInfo.url || solutionPath,
+      title: (problemInfo.title || 'Untitled').replace(/^\d+\.\s*/, ''),
+      number: problemInfo.number || null,
+      platform,
+      difficulty: problemInfo.difficulty || null,
+      topic: topics[0] || null,
+      language: problemInfo.language || null,
+      date: new Date(solvedAt).toISOString().split('T')[0],
+      url: problemInfo.url || null,
+      path: solutionPath
+    };
+  }
+
+  // Entry for a local problem_data_* record (used once, when the repo has no index yet)
+  static entryFromProblemData(problemData) {
+    const attempts = problemData.attempts || [];
+    const lastAttempt = attempts[attempts.length - 1];
+
+    return {
+      id: problemData.problem_link,
+      title: (problemData.name || 'Untitled').replace(/^\d+\.\s*/, ''),
+      number: null,
+      platform: problemData.platform || null,
+      difficulty: README_DIFFICULTY_LABELS[problemData.difficulty] || null,
+      topic: (problemData.parent_topic || [])[0] || null,
+      language: lastAttempt?.language || null,
+      date: new Date(problemData.solved.date || Date.now()).toISOString().split('T')[0],
+      url: problemData.problem_link || null,
+      path: null
+    };
+  }
+
+  // Seed the index from every solved problem stored in this browser
+  static async seedFromProblemData() {
+    const all = await chrome.storage.local.get(null);
+    return Object.keys(all)
+      .filter((key) => key.startsWith('problem_data_') && all[key]?.solved?.value && all[key].problem_link)
+      .map((key) => this.entryFromProblemData(all[key]));
+  }
+
+  static parse(json) {
+    try {
+      const parsed = JSON.parse(json);
+      return Array.isArray(parsed.problems) ? parsed.problems : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  static serialize(entries) {
+    return JSON.stringify({ version: 1, problems: entries }, null, 2) + '\n';
+  }
+
+  // Replace the entry with the same id, keeping the original solve date
+  static upsert(entries, entry) {
+    const existing = entries.find((item) => item.id === entry.id);
+    const merged = existing
+      ? { ...existing, ...entry, date: existing.date < entry.date ? existing.date : entry.date }
+      : entry;
+
+    return [...entries.filter((item) => item.id !== entry.id), merged];
+  }
+
+  static renderTable(entries) {
+    const sorted = [...entries].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    const escape = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const platformName = (platform) => platform ? platform.charAt(0).toUpperCase() + platform.slice(1) : '-';
+
+    const counts = README_DIFFICULTY_LABELS
+      .map((label) => `${label}: ${entries.filter((entry) => entry.difficulty === label).length}`)
+      .join(' · ');
+
+    const rows = sorted.map((entry) => {
+      const problem = entry.url ? `[${escape(entry.title)}](${entry.url})` : escape(entry.title);
+      const solution = entry.path ? `[Solution](${encodeURI(entry.path)})` : '-';
+      return `| ${problem} | ${platformName(entry.platform)} | ${escape(entry.difficulty || '-')} | ${escape(entry.topic || '-')} | ${escape(entry.language || '-')} | ${entry.date || '-'} | ${solution} |`;
+    });
+
+    return [
+      `**${entries.length} problem${entries.length !== 1 ? 's' : ''} solved** (${counts})`,
+      '',
+      '| Problem | Platform | Difficulty | Topic | Language | Date | Solution |',
+      '| --- | --- | --- | --- | --- | --- | --- |',
+      ...rows
+    ].join('\n');
+  }
+
+  /**
+   * Put the table between the index markers, leaving the rest of the README untouched
+   * @param {string|null} readme - Current README content, null if the repo has none
+   * @param {Array} entries
+   * @param {string} repoName - Heading for a freshly created README
+   */
+  static applyToReadme(readme, entries, repoName = 'DSA Solutions') {
+    const section = `${README_INDEX_START}\n${this.renderTable(entries)}\n${README_INDEX_END}`;
+
+    if (!readme) {
+      return `# ${repoName}\n\nSolutions synced by [LeetFeedback](https://github.com/lqSky7/leetFeedback-extension).\n\n${section}\n`;
+    }
+
+    const start = readme.indexOf(README_INDEX_START);
+    const end = readme.indexOf(README_INDEX_END);
+    if (start !== -1 && end > start) {
+      return readme.slice(0, start) + section + readme.slice(end + README_INDEX_END.length);
+    }
+
+    return `${readme.trimEnd()}\n\n## Solved Problems\n\n${section}\n`;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ReadmeIndex, README_INDEX_PATH, README_PATH, README_INDEX_START, README_INDEX_END };
+} else {
+  self.ReadmeIndex = ReadmeIndex;
+  self.README_INDEX_PATH = README_INDEX_PATH;
+  self.README_PATH = README_PATH;
+}
@@ -0,0 +1,211 @@
+// Persistent retry queue for pushes that failed because of the network or the server
+// Items are stored in chrome.storage.local and drained by the background service worker
+// background.js is the only writer: content scripts and the side panel relay their changes to it,
+// so a drain's remove can't overwrite an enqueue made at the same moment in another context
+
+const RETRY_QUEUE_KEYS = {
+  BACKEND: 'backend_outbox',
+  GITHUB: 'github_outbox'
+};
+
+const RETRY_QUEUE_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+// Changes that content scripts and the side panel relay to background.js
+const RETRY_QUEUE_CHANGES = ['enqueue', 'remove', 'markFailure', 'defer', 'resetItem'];
+
+// One write chain per storage key, shared by every instance in this context
+const retryQueueWrites = new Map();
+
+class RetryQueue {
+  constructor(storageKey, options = {}) {
+    this.storageKey = storageKey;
+    this.maxAttempts = options.maxAttempts || 10;
+    this.baseDelayMs = options.baseDelayMs || 30 * 1000; // 30 seconds
+    this.maxDelayMs = options.maxDelayMs || 60 * 60 * 1000; // 1 hour
+    // Pages have a window; the service worker (and node) don't
+    this.relay = options.relay ?? typeof window !== 'undefined';
+  }
+
+  /**
+   * Whether an HTTP status is worth retrying later
+   * @param {number|undefined} status - Missing status means the request never completed
+   * @returns {boolean}
+   */
+  static isRetryableStatus(status) {
+    if (!status || typeof status !== 'number') return true;
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  // Exponential backoff: base, 2x base, 4x base ... capped at maxDelayMs
+  getBackoffDelay(attempts) {
+    const exponent = Math.max(0, attempts - 1);
+    return Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, exponent));
+  }
+
+  async getItems() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return Array.isArray(result[this.storageKey]) ? result[this.storageKey] : [];
+  }
+
+  async getItem(id) {
+    const items = await this.getItems();
+    return items.find((item) => item.id === id) || null;
+  }
+
+  // Items that are pending and whose backoff has elapsed
+  async getReadyItems(now = Date.now()) {
+    const items = await this.getItems();
+    return items.filter(
+      (item) => item.status === RETRY_QUEUE_STATUS.PENDING && item.nextAttemptAt <= now,
+    );
+  }
+
+  /**
+   * Add an item after its first failed attempt (re-enqueueing the same id replaces the payload)
+   * @param {string} id - Stable identifier, e.g. the backend idempotencyKey
+   * @param {object} payload - Everything needed to replay the request
+   * @param {object} meta - { label, lastError, notBefore }
+   */
+  async enqueue(id, payload, meta = {}) {
+    if (this.relay) return this._relayChange('enqueue', id, payload, meta);
+    return this._update((items) => {
+      const now = Date.now();
+      const existing = items.find((item) => item.id === id);
+      const item = {
+        id,
+        payload,
+        label: meta.label || existing?.label || id,
+        status: RETRY_QUEUE_STATUS.PENDING,
+        attempts: 1,
+        lastError: meta.lastError || null,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        nextAttemptAt: Math.max(now + this.getBackoffDelay(1), meta.notBefore || 0)
+      };
+
+      if (existing) {
+        Object.assign(existing, item);
+      } else {
+        items.push(item);
+      }
+      return items;
+    });
+  }
+
+  async remove(id) {
+    if (this.relay) return this._relayChange('remove', id);
+    return this._update((items) => items.filter((item) => item.id !== id));
+  }
+
+  /**
+   * Record another failed attempt and schedule the next one
+   * @param {string} id
+   * @param {string} error - Message shown in the side panel
+   * @param {object} options - { permanent: stop retrying, notBefore: earliest retry timestamp }
+   */
+  async markFailure(id, error, options = {}) {
+    if (this.relay) return this._relayChange('markFailure', id, error, options);
+    return this._update((items) => {
+      const item = items.find((entry) => entry.id === id);
+      if (!item) return items;
+
+      const now = Date.now();
+      item.attempts = (item.attempts || 0) + 1;
+      item.lastError = error || null;
+      item.updatedAt = now;
+
+      if (options.permanent || item.attempts >= this.maxAttempts) {
+        item.status = RETRY_QUEUE_STATUS.FAILED;
+      } else {
+        item.status = RETRY_QUEUE_STATUS.PENDING;
+        item.nextAttemptAt = Math.max(
+          now + this.getBackoffDelay(item.attempts),
+          options.notBefore || 0,
+        );
+      }
+      return items;
+    });
+  }
+
+  // Push back a pending item without counting an attempt (e.g. a shared rate limit hit by another item)
+  async defer(id, notBefore) {
+    if (this.relay) return this._relayChange('defer', id, notBefore);
+    return this._update((items) => {
+      const item = items.find((entry) => entry.id === id);
+      if (item && item.status === RETRY_QUEUE_STATUS.PENDING) {
+        item.nextAttemptAt = Math.max(item.nextAttemptAt || 0, notBefore);
+      }
+      return items;
+    });
+  }
+
+  // Make an item (pending or failed) eligible for an immediate retry
+  async resetItem(id) {
+    if (this.relay) return this._relayChange('resetItem', id);
+    return this._update((items) => {
+      const item = items.find((entry) => entry.id === id);
+      if (item) {
+        item.status = RETRY_QUEUE_STATUS.PENDING;
+        item.attempts = 0;
+        item.nextAttemptAt = 0;
+        item.updatedAt = Date.now();
+      }
+      return items;
+    });
+  }
+
+  /**
+   * Apply a change relayed by RETRY_QUEUE_CHANGE (background.js only)
+   * @param {string} change - One of RETRY_QUEUE_CHANGES
+   * @param {Array} args - Arguments of the matching method
+   * @returns {Promise<Array>} The stored items after the change
+   */
+  async applyChange(change, args = []) {
+    if (!RETRY_QUEUE_CHANGES.includes(change)) {
+      throw new Error(`Unknown retry queue change: ${change}`);
+    }
+    return this[change](...args);
+  }
+
+  _relayChange(change, ...args) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(
+        { type: 'RETRY_QUEUE_CHANGE', queue: this.storageKey, change, args },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else if (!response?.success) {
+            reject(new Error(response?.error || 'No response from the background worker'));
+          } else {
+            resolve(response.items);
+          }
+        },
+      );
+    });
+  }
+
+  async _update(mutator) {
+    const previous = retryQueueWrites.get(this.storageKey) || Promise.resolve();
+    const run = previous.then(async () => {
+      const items = await this.getItems();
+      const updated = mutator(items);
+      await chrome.storage.local.set({ [this.storageKey]: updated });
+      return updated;
+    });
+    // Keep the chain alive even if one write fails
+    retryQueueWrites.set(this.storageKey, run.catch(() => {}));
+    return run;
+  }
+}
+
+// window in content scripts and the side panel, the worker global in background.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RetryQueue, RETRY_QUEUE_KEYS, RETRY_QUEUE_STATUS };
+} else {
+  self.RetryQueue = RetryQueue;
+  self.RETRY_QUEUE_KEYS = RETRY_QUEUE_KEYS;
+  self.RETRY_QUEUE_STATUS = RETRY_QUEUE_STATUS;
+}
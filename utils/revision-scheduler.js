@@ -0,0 +1,177 @@
+// Spaced-repetition (SM-2) review schedule for solved problems
+// Every accepted submission counts as a review; how hard it was sets the next due date
+
+const REVISION_SCHEDULE_KEY = 'revision_schedule';
+
+const REVISION_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Active time considered comfortable for Easy/Medium/Hard before a solve counts as a struggle
+const REVISION_EXPECTED_TIME_MS = [15, 30, 60].map((minutes) => minutes * 60 * 1000);
+
+class RevisionScheduler {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this._writeQueue = Promise.resolve(); // Serialize read-modify-write cycles
+  }
+
+  /**
+   * SM-2 quality (0-5) of a solve from the stored problem record
+   * Extra tries, slow solves and several AI mistake tags each lower it; below 3 restarts the schedule
+   * @param {object} problemData - problem_data_* record right after the accepted submission
+   * @param {object|null} card - Existing schedule entry, used to spot attempts and a timer carried over from an earlier solve
+   * @param {number} now
+   * @returns {number}
+   */
+  static computeQuality(problemData, card = null, now = Date.now()) {
+    const attempts = problemData.attempts || [];
+    // The record keeps attempts from every session; only those after the previous review belong to this solve
+    const sessionAttempts = card
+      ? attempts.filter((attempt) => new Date(attempt.timestamp).getTime() > card.lastReviewedAt)
+      : attempts;
+    const failed = sessionAttempts.filter((attempt) => attempt.successful === false).length;
+    const tries = attempts.length > 0 ? failed + 1 : problemData.solved?.tries || 1;
+
+    let quality = 5 - Math.min(3, Math.max(0, tries - 1));
+
+    // The timer only measures this session if it started after the previous review
+    const startedThisSession = problemData.problemStartTime && (!card || problemData.problemStartTime > card.lastReviewedAt);
+    if (startedThisSession) {
+      const active = now - problemData.problemStartTime - (problemData.pausedTime || 0);
+      const expected = REVISION_EXPECTED_TIME_MS[problemData.difficulty] || REVISION_EXPECTED_TIME_MS[1];
+      if (active > expected * 2) {
+        quality -= 2;
+      } else if (active > expected) {
+        quality -= 1;
+      }
+    }
+
+    if ((problemData.aiTags || []).length >= 2) {
+      quality -= 1;
+    }
+
+    return Math.max(0, Math.min(5, quality));
+  }
+
+  /**
+   * Next schedule entry after a review (the SM-2 update)
+   * @param {object|null} card - Current entry, null for a first solve
+   * @param {number} quality - 0-5
+   * @param {number} now
+   */
+  static applyReview(card, quality, now = Date.now()) {
+    const previous = card || { repetitions: 0, interval: 0, easeFactor: 2.5, reviews: 0 };
+
+    let repetitions;
+    let interval;
+    if (quality < 3) {
+      repetitions = 0;
+      interval = 1;
+    } else {
+      repetitions = previous.repetitions + 1;
+      if (repetitions === 1) {
+        interval = 1;
+      } else if (repetitions === 2) {
+        interval = 6;
+      } else {
+        interval = Math.round(previous.interval * previous.easeFactor);
+      }
+    }
+
+    const easeFactor = Math.max(
+      1.3,
+      previous.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)),
+    );
+
+    return {
+      ...previous,
+      repetitions,
+      interval,
+      easeFactor: Math.round(easeFactor * 100) / 100,
+      lastQuality: quality,
+      lastReviewedAt: now,
+      dueAt: now + interval * REVISION_DAY_MS,
+      reviews: (previous.reviews || 0) + 1
+    };
+  }
+
+  // End of the local day, so anything due later today is already listed
+  static endOfDay(timestamp) {
+    const date = new Date(timestamp);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime() - 1;
+  }
+
+  async getSchedule() {
+    const result = await chrome.storage.local.get([REVISION_SCHEDULE_KEY]);
+    return result[REVISION_SCHEDULE_KEY] || {};
+  }
+
+  /**
+   * Problems due for review by the end of today, most overdue first
+   * @returns {Promise<Array<object>>}
+   */
+  async getDue() {
+    const schedule = await this.getSchedule();
+    const cutoff = RevisionScheduler.endOfDay(this.now());
+    return Object.values(schedule)
+      .filter((card) => card.dueAt <= cutoff)
+      .sort((a, b) => a.dueAt - b.dueAt);
+  }
+
+  /**
+   * Record an accepted submission as a review
+   * @param {string} problemKey - problem_data_* storage key
+   * @param {object} problemData - The stored record; read from storage when omitted
+   * @returns {Promise<object|null>} the updated entry
+   */
+  async recordSolve(problemKey, problemData = null) {
+    if (!problemData) {
+      const result = await chrome.storage.local.get([problemKey]);
+      problemData = result[problemKey];
+    }
+    if (!problemData) return null;
+
+    let updated = null;
+    await this._update((schedule) => {
+      const now = this.now();
+      const card = schedule[problemKey] || null;
+      const quality = RevisionScheduler.computeQuality(problemData, card, now);
+
+      updated = {
+        ...RevisionScheduler.applyReview(card, quality, now),
+        key: problemKey,
+        name: problemData.name || card?.name || problemKey.replace('problem_data_', ''),
+        platform: problemData.platform || card?.platform || '',
+        url: problemData.problem_link || card?.url || ''
+      };
+      schedule[problemKey] = updated;
+      return schedule;
+    });
+    return updated;
+  }
+
+  async remove(problemKey) {
+    return this._update((schedule) => {
+      delete schedule[problemKey];
+      return schedule;
+    });
+  }
+
+  async _update(mutator) {
+    const run = this._writeQueue.then(async () => {
+      const schedule = await this.getSchedule();
+      const updated = mutator(schedule);
+      await chrome.storage.local.set({ [REVISION_SCHEDULE_KEY]: updated });
+      return updated;
+    });
+    // Keep the chain alive even if one write fails
+    this._writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RevisionScheduler, REVISION_SCHEDULE_KEY };
+} else {
+  self.RevisionScheduler = RevisionScheduler;
+  self.REVISION_SCHEDULE_KEY = REVISION_SCHEDULE_KEY;
+}